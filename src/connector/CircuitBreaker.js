@@ -0,0 +1,113 @@
+/**
+ * CircuitBreaker - Stops sending requests to a TallyPrime instance that keeps failing
+ *
+ * CLOSED: requests flow normally; consecutive failures are counted.
+ * OPEN: after `failureThreshold` consecutive failures requests fail fast until
+ * `resetTimeout` has elapsed.
+ * HALF_OPEN: the next request first runs the probe (TallyConnector#testConnection); the
+ * circuit closes if the probe succeeds and opens again otherwise.
+ *
+ * @class CircuitBreaker
+ */
+export class CircuitBreaker {
+    /**
+     * Create a CircuitBreaker instance
+     * @param {Object} [config] - Breaker configuration
+     * @param {number} [config.failureThreshold=5] - Consecutive failures that open the circuit
+     * @param {number} [config.resetTimeout=30000] - Time the circuit stays open, in milliseconds
+     * @param {Function} [config.probe] - Async function resolving to true when the server is healthy
+     */
+    constructor(config = {}) {
+        this.failureThreshold = config.failureThreshold || 5;
+        this.resetTimeout = config.resetTimeout !== undefined ? config.resetTimeout : 30000;
+        this.probe = config.probe || null;
+        this.state = 'CLOSED';
+        this.failures = 0;
+        this.openedAt = null;
+        this.probing = null;
+    }
+
+    /**
+     * Check whether a request may be sent, probing the server when the open period is over
+     * @returns {Promise<boolean>} True if the request may proceed
+     */
+    async allowRequest() {
+        if (this.state === 'CLOSED') return true;
+
+        if (this.state === 'OPEN' && Date.now() - this.openedAt < this.resetTimeout) {
+            return false;
+        }
+
+        this.state = 'HALF_OPEN';
+        if (!this.probe) return true;
+
+        // Concurrent callers share a single probe
+        if (!this.probing) {
+            this.probing = Promise.resolve()
+                .then(() => this.probe())
+                .catch(() => false)
+                .then(healthy => {
+                    this.probing = null;
+                    if (healthy) {
+                        this.recordSuccess();
+                    } else {
+                        this._open();
+                    }
+                    return healthy;
+                });
+        }
+
+        return this.probing;
+    }
+
+    /**
+     * Record a successful request
+     */
+    recordSuccess() {
+        this.state = 'CLOSED';
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    /**
+     * Record a failed request
+     */
+    recordFailure() {
+        this.failures++;
+
+        if (this.state === 'HALF_OPEN' || this.failures >= this.failureThreshold) {
+            this._open();
+        }
+    }
+
+    /**
+     * Force the circuit closed
+     */
+    reset() {
+        this.recordSuccess();
+    }
+
+    /**
+     * Get breaker state
+     * @returns {Object} State details ({ state, failures, openedAt, retryAt })
+     */
+    getState() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt,
+            retryAt: this.openedAt ? this.openedAt + this.resetTimeout : null
+        };
+    }
+
+    /**
+     * Open the circuit
+     * @private
+     */
+    _open() {
+        this.state = 'OPEN';
+        this.openedAt = Date.now();
+    }
+}
+
+export default CircuitBreaker;
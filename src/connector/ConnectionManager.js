@@ -0,0 +1,378 @@
+import { TallyConnector } from './TallyConnector.js';
+import { RetryPolicy } from './RetryPolicy.js';
+import {
+    LedgerService,
+    VoucherService,
+    CompanyService,
+    StockItemService,
+    CostCentreService
+} from '../services/index.js';
+import {
+    TallyConnectionError,
+    TallyTimeoutError,
+    TallyValidationError,
+    TallyNotFoundError
+} from '../errors/index.js';
+
+/**
+ * ConnectionManager - Routes requests across several TallyPrime instances
+ * Each endpoint is a named TallyConnector (for example one per branch). Health checks run
+ * TallyConnector#testConnection and, for healthy endpoints, refresh the list of loaded
+ * companies with CompanyService#getCompanyList. Requests carrying a `companyName` are sent
+ * to the first healthy endpoint, in registration order, that has that company loaded.
+ * Export requests fail over to the next such endpoint when one is unreachable; imports are
+ * never sent twice.
+ *
+ * @class ConnectionManager
+ */
+export class ConnectionManager {
+    /**
+     * Create a ConnectionManager instance
+     * @param {Object} [config] - Manager configuration
+     * @param {Object<string, Object|TallyConnector>} [config.endpoints] - Endpoints to register, by name
+     * @param {number} [config.healthCheckInterval=30000] - Time between periodic health checks, in milliseconds
+     * @param {Object} [config.defaults] - Connector options applied to every endpoint registered from a config object
+     *
+     * @example
+     * const manager = new ConnectionManager({
+     *   endpoints: {
+     *     mumbai: { host: '10.0.1.5', port: 9000 },
+     *     pune: { host: '10.0.2.5', port: 9000 }
+     *   }
+     * });
+     * manager.start();
+     */
+    constructor(config = {}) {
+        this.healthCheckInterval = config.healthCheckInterval || 30000;
+        this.defaults = config.defaults || {};
+        this.endpoints = new Map();
+        this._sessions = new Map();
+        this._checking = null;
+        this._timer = null;
+
+        for (const [name, endpoint] of Object.entries(config.endpoints || {})) {
+            this.addEndpoint(name, endpoint);
+        }
+    }
+
+    /**
+     * Register a TallyPrime instance
+     * @param {string} name - Unique endpoint name
+     * @param {Object|TallyConnector} endpoint - Connector options (see TallyConnector) or an existing connector
+     * @returns {TallyConnector} The endpoint's connector
+     *
+     * @example
+     * manager.addEndpoint('delhi', { host: '10.0.3.5', port: 9000, timeout: 60000 });
+     */
+    addEndpoint(name, endpoint = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new TallyValidationError('Endpoint name is required', { field: 'name' });
+        }
+        if (this.endpoints.has(name)) {
+            throw new TallyValidationError(`Endpoint '${name}' is already registered`, { field: 'name' });
+        }
+
+        const connector = endpoint instanceof TallyConnector
+            ? endpoint
+            : new TallyConnector({ ...this.defaults, ...endpoint });
+
+        this.endpoints.set(name, {
+            name,
+            connector,
+            companyService: new CompanyService(connector),
+            healthy: null,
+            companies: [],
+            lastCheckedAt: null,
+            lastError: null,
+            latency: null
+        });
+
+        return connector;
+    }
+
+    /**
+     * Unregister a TallyPrime instance
+     * @param {string} name - Endpoint name
+     * @returns {boolean} True if the endpoint was registered
+     */
+    removeEndpoint(name) {
+        return this.endpoints.delete(name);
+    }
+
+    /**
+     * Get the connector of an endpoint
+     * @param {string} name - Endpoint name
+     * @returns {TallyConnector} Endpoint connector
+     */
+    getConnector(name) {
+        const endpoint = this.endpoints.get(name);
+        if (!endpoint) {
+            throw new TallyNotFoundError(`Endpoint '${name}' is not registered`, {
+                objectType: 'Endpoint',
+                objectName: name
+            });
+        }
+        return endpoint.connector;
+    }
+
+    /**
+     * Start periodic health checks (the first one runs immediately)
+     * The timer does not keep the process alive.
+     * @returns {ConnectionManager} This manager
+     */
+    start() {
+        if (this._timer) return this;
+
+        this._timer = setInterval(() => this.checkHealth(), this.healthCheckInterval);
+        if (this._timer.unref) this._timer.unref();
+        this.checkHealth();
+
+        return this;
+    }
+
+    /**
+     * Stop periodic health checks
+     */
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+    }
+
+    /**
+     * Check every endpoint and refresh the companies loaded on the healthy ones
+     * Concurrent callers share a single round of checks.
+     * @returns {Promise<Array<Object>>} Endpoint status (see getStatus)
+     *
+     * @example
+     * const status = await manager.checkHealth();
+     * status.filter(endpoint => !endpoint.healthy).forEach(endpoint => {
+     *   console.warn(`${endpoint.name} is down: ${endpoint.lastError}`);
+     * });
+     */
+    checkHealth() {
+        if (!this._checking) {
+            const endpoints = [...this.endpoints.values()];
+            this._checking = Promise.all(endpoints.map(endpoint => this._checkEndpoint(endpoint)))
+                .then(() => this.getStatus())
+                .finally(() => {
+                    this._checking = null;
+                });
+        }
+        return this._checking;
+    }
+
+    /**
+     * Get the status of every endpoint
+     * `healthy` is null until the endpoint has been checked.
+     * @returns {Array<Object>} One entry per endpoint: name, host, port, healthy, companies,
+     * lastCheckedAt, lastError, latency (ms), circuit (breaker state or null) and queue statistics
+     */
+    getStatus() {
+        return [...this.endpoints.values()].map(endpoint => ({
+            name: endpoint.name,
+            host: endpoint.connector.host,
+            port: endpoint.connector.port,
+            healthy: endpoint.healthy,
+            companies: [...endpoint.companies],
+            lastCheckedAt: endpoint.lastCheckedAt,
+            lastError: endpoint.lastError,
+            latency: endpoint.latency,
+            circuit: endpoint.connector.circuitBreaker ? endpoint.connector.circuitBreaker.getState() : null,
+            queue: endpoint.connector.getQueueStats()
+        }));
+    }
+
+    /**
+     * Find the connector to use for a company
+     * Runs a health check first when an endpoint has not been checked yet or no healthy
+     * endpoint is known to have the company loaded.
+     * @param {string} [companyName] - Company name; omit to pick any healthy endpoint
+     * @returns {Promise<TallyConnector>} Connector of the first matching healthy endpoint
+     */
+    async getConnectorForCompany(companyName) {
+        const [endpoint] = await this._route(companyName);
+        return endpoint.connector;
+    }
+
+    /**
+     * Send a request to the endpoint that has the company loaded
+     * Export requests that fail because an endpoint is unreachable are sent to the next
+     * endpoint with the company; that endpoint is marked unhealthy until the next check.
+     * @param {string} xmlData - XML request data
+     * @param {Object} [options] - Request options (see TallyConnector#sendRequest)
+     * @param {string} [options.companyName] - Company that decides the endpoint
+     * @returns {Promise<Object>} Parsed response data
+     *
+     * @example
+     * const response = await manager.sendRequest(exportXml, { companyName: 'Acme Ltd' });
+     */
+    async sendRequest(xmlData, options = {}) {
+        const endpoints = await this._route(options.companyName);
+        const failover = RetryPolicy.isIdempotent(xmlData);
+
+        for (let i = 0; ; i++) {
+            try {
+                return await endpoints[i].connector.sendRequest(xmlData, options);
+            } catch (error) {
+                if (!this._isEndpointFailure(error)) throw error;
+                this._markUnhealthy(endpoints[i], error);
+                if (!failover || i === endpoints.length - 1) throw error;
+            }
+        }
+    }
+
+    /**
+     * Stream the rows of an export from the endpoint that has the company loaded
+     * Streams are not failed over, since rows may already have been consumed.
+     * @param {string} xmlData - XML request data
+     * @param {Object} [options] - Request options (see TallyConnector#streamRequest)
+     * @param {string} [options.companyName] - Company that decides the endpoint
+     * @returns {AsyncGenerator<Object>} Response rows
+     */
+    async *streamRequest(xmlData, options = {}) {
+        const [endpoint] = await this._route(options.companyName);
+
+        try {
+            yield* endpoint.connector.streamRequest(xmlData, options);
+        } catch (error) {
+            if (this._isEndpointFailure(error)) this._markUnhealthy(endpoint, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get services for a company, routed to whichever endpoint has it loaded
+     * Like TallyPrimeSDK#forCompany, every request also carries SVCURRENTCOMPANY. The
+     * endpoint is resolved per request, so the services follow the company when it moves.
+     * Service calls are traced in the metrics collector of the endpoint the company is routed to.
+     * @param {string} companyName - Company name as shown in TallyPrime
+     * @returns {{companyName: string, ledger: LedgerService, voucher: VoucherService, company: CompanyService, stock: StockItemService, costCentre: CostCentreService}} Scoped services
+     *
+     * @example
+     * const acme = manager.forCompany('Acme Ltd');
+     * const ledgers = await acme.ledger.getLedgerList();
+     */
+    forCompany(companyName) {
+        if (!companyName || typeof companyName !== 'string') {
+            throw new TallyValidationError('Company name is required', { field: 'companyName' });
+        }
+
+        if (!this._sessions.has(companyName)) {
+            const manager = this;
+            const connector = {
+                sendRequest: (xmlData, options = {}) => this.sendRequest(xmlData, { ...options, companyName }),
+                streamRequest: (xmlData, options = {}) => this.streamRequest(xmlData, { ...options, companyName }),
+                get metrics() {
+                    return manager._metricsFor(companyName);
+                }
+            };
+            const serviceOptions = { companyName };
+
+            this._sessions.set(companyName, Object.freeze({
+                companyName,
+                ledger: new LedgerService(connector, serviceOptions),
+                voucher: new VoucherService(connector, serviceOptions),
+                company: new CompanyService(connector, serviceOptions),
+                stock: new StockItemService(connector, serviceOptions),
+                costCentre: new CostCentreService(connector, serviceOptions)
+            }));
+        }
+
+        return this._sessions.get(companyName);
+    }
+
+    /**
+     * Run the health check of a single endpoint
+     * @private
+     * @param {Object} endpoint - Endpoint record
+     */
+    async _checkEndpoint(endpoint) {
+        const startedAt = Date.now();
+
+        try {
+            const connected = await endpoint.connector.testConnection();
+            endpoint.latency = Date.now() - startedAt;
+            if (!connected) {
+                throw new TallyConnectionError('Health check failed');
+            }
+
+            const result = await endpoint.companyService.getCompanyList({ priority: 'high' });
+            endpoint.companies = result.data.map(company => company.name).filter(Boolean);
+            endpoint.healthy = true;
+            endpoint.lastError = null;
+        } catch (error) {
+            endpoint.healthy = false;
+            endpoint.lastError = error.message;
+        } finally {
+            endpoint.lastCheckedAt = new Date();
+        }
+    }
+
+    /**
+     * Pick the healthy endpoints for a company, in registration order
+     * @private
+     * @param {string} [companyName] - Company name
+     * @returns {Promise<Array<Object>>} Matching endpoint records (never empty)
+     */
+    async _route(companyName) {
+        if (this.endpoints.size === 0) {
+            throw new TallyConnectionError('No TallyPrime endpoints are registered');
+        }
+
+        const all = () => [...this.endpoints.values()];
+        const hasCompany = endpoint => !companyName ||
+            endpoint.companies.some(name => name.toLowerCase() === companyName.toLowerCase());
+        const candidates = () => all().filter(endpoint => endpoint.healthy && hasCompany(endpoint));
+
+        if (all().some(endpoint => endpoint.lastCheckedAt === null) || candidates().length === 0) {
+            await this.checkHealth();
+        }
+
+        const endpoints = candidates();
+        if (endpoints.length > 0) return endpoints;
+
+        if (companyName && all().every(endpoint => endpoint.healthy)) {
+            throw new TallyNotFoundError(`Company '${companyName}' is not loaded on any TallyPrime endpoint`, {
+                objectType: 'Company',
+                objectName: companyName
+            });
+        }
+
+        const target = companyName ? ` with company '${companyName}' loaded` : '';
+        throw new TallyConnectionError(`No healthy TallyPrime endpoint${target}`);
+    }
+
+    /**
+     * Get the metrics collector of the endpoint a company is currently routed to
+     * Uses the last health check without running one, so the first call before any check is not traced.
+     * @private
+     * @param {string} companyName - Company name
+     * @returns {Object|null} Metrics collector, or null if no healthy endpoint has the company loaded
+     */
+    _metricsFor(companyName) {
+        const endpoint = [...this.endpoints.values()].find(candidate => candidate.healthy &&
+            candidate.companies.some(name => name.toLowerCase() === companyName.toLowerCase()));
+        return endpoint ? endpoint.connector.metrics : null;
+    }
+
+    /**
+     * Check whether an error means the endpoint itself is unavailable
+     * @private
+     */
+    _isEndpointFailure(error) {
+        return error instanceof TallyConnectionError || error instanceof TallyTimeoutError;
+    }
+
+    /**
+     * Take an endpoint out of rotation until its next successful health check
+     * @private
+     */
+    _markUnhealthy(endpoint, error) {
+        endpoint.healthy = false;
+        endpoint.lastError = error.message;
+    }
+}
+
+export default ConnectionManager;
@@ -0,0 +1,164 @@
+import { TallyValidationError } from '../errors/index.js';
+
+const HOOKS = ['beforeRequest', 'afterResponse', 'onError'];
+
+/**
+ * MiddlewareChain - Lifecycle hooks run around TallyConnector#sendRequest and #streamRequest
+ * A middleware is an object with any of these (optionally async) hooks, each called with a
+ * request context:
+ *
+ * - beforeRequest(context): runs before the request is queued; may replace `context.xml`
+ * - afterResponse(context): runs once the request succeeded; may replace `context.response`
+ * - onError(context): runs once the request failed for good (after retries); may replace
+ *   `context.error`, or set it to null and provide `context.response` to recover
+ *
+ * beforeRequest hooks run in registration order, afterResponse and onError hooks in reverse
+ * order, so the first middleware registered wraps all the others. An error thrown by a
+ * beforeRequest or afterResponse hook is handled like a failed request: the onError hooks get
+ * it in `context.error` and may recover. An error thrown by an onError hook fails the request
+ * with that error.
+ *
+ * The context carries `xml` (request envelope), `options` (request options), `service` and
+ * `method` (the calling service class and method, null for raw requests), `companyName`,
+ * `startedAt` and `duration` (ms), `response` (parsed response), `error`, `stream` (true for
+ * streamRequest), `cached` (true when the response came from the response cache) and
+ * `state`, an object middleware can use to keep data between its hooks.
+ *
+ * @class MiddlewareChain
+ */
+export class MiddlewareChain {
+    /**
+     * Create a MiddlewareChain instance
+     * @param {Array<Object>} [middleware] - Middleware to register
+     */
+    constructor(middleware = []) {
+        this.middleware = [];
+        middleware.forEach(entry => this.use(entry));
+    }
+
+    /**
+     * Register a middleware at the end of the chain
+     * @param {Object} middleware - Object with beforeRequest, afterResponse and/or onError hooks
+     * @returns {MiddlewareChain} This chain
+     *
+     * @example
+     * chain.use({
+     *   beforeRequest(context) { context.state.start = Date.now(); },
+     *   afterResponse(context) { console.log(`${context.method} took ${Date.now() - context.state.start}ms`); }
+     * });
+     */
+    use(middleware) {
+        if (!middleware || !HOOKS.some(hook => typeof middleware[hook] === 'function')) {
+            throw new TallyValidationError(`Middleware must define at least one of ${HOOKS.join(', ')}`, {
+                field: 'middleware'
+            });
+        }
+
+        this.middleware.push(middleware);
+        return this;
+    }
+
+    /**
+     * Remove a middleware from the chain
+     * @param {Object} middleware - Middleware previously passed to use()
+     * @returns {boolean} True if the middleware was registered
+     */
+    remove(middleware) {
+        const index = this.middleware.indexOf(middleware);
+        if (index === -1) return false;
+
+        this.middleware.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Create the context for a request
+     * @param {string} xmlData - XML request data
+     * @param {Object} [options] - Request options; service, method and companyName describe the caller
+     * @param {boolean} [stream=false] - Whether the request is streamed
+     * @returns {Object} Request context
+     */
+    createContext(xmlData, options = {}, stream = false) {
+        const { service, method, companyName, ...requestOptions } = options;
+
+        return {
+            xml: xmlData,
+            options: requestOptions,
+            service: service || null,
+            method: method || null,
+            companyName: companyName || null,
+            stream,
+            cached: false,
+            startedAt: Date.now(),
+            duration: null,
+            response: null,
+            error: null,
+            state: {}
+        };
+    }
+
+    /**
+     * Run the beforeRequest hooks
+     * @param {Object} context - Request context
+     */
+    async before(context) {
+        for (const middleware of this.middleware) {
+            if (middleware.beforeRequest) await middleware.beforeRequest(context);
+        }
+    }
+
+    /**
+     * Run the afterResponse hooks
+     * @param {Object} context - Request context with `response` set
+     */
+    async after(context) {
+        context.duration = Date.now() - context.startedAt;
+        for (const middleware of [...this.middleware].reverse()) {
+            if (middleware.afterResponse) await middleware.afterResponse(context);
+        }
+    }
+
+    /**
+     * Run the onError hooks, stopping early if one of them recovers
+     * @param {Object} context - Request context with `error` set
+     */
+    async error(context) {
+        context.duration = Date.now() - context.startedAt;
+        for (const middleware of [...this.middleware].reverse()) {
+            if (middleware.onError) await middleware.onError(context);
+            if (!context.error) break;
+        }
+    }
+
+    /**
+     * Hand an error to the onError hooks and rethrow it unless one of them recovers
+     * @param {Object} context - Request context
+     * @param {Error} error - Error raised by the request or by a hook
+     * @returns {Promise<Object>} Response provided by the hook that recovered
+     */
+    async fail(context, error) {
+        context.error = error;
+        await this.error(context);
+        if (context.error) throw context.error;
+        return context.response;
+    }
+
+    /**
+     * Run a request through the chain
+     * @param {Object} context - Request context (see createContext)
+     * @param {Function} send - Async function (xmlData) => response performing the request
+     * @returns {Promise<Object>} Response, possibly replaced or recovered by a hook
+     */
+    async run(context, send) {
+        try {
+            await this.before(context);
+            context.response = await send(context.xml);
+            await this.after(context);
+            return context.response;
+        } catch (error) {
+            return this.fail(context, error);
+        }
+    }
+}
+
+export default MiddlewareChain;
@@ -0,0 +1,151 @@
+import { TallyAbortError, TallyValidationError } from '../errors/index.js';
+
+const PRIORITIES = ['high', 'normal', 'low'];
+
+/**
+ * RequestQueue - Limits how many requests are in flight to TallyPrime at once
+ * TallyPrime's HTTP server handles one request at a time, so by default requests run
+ * strictly one after another. Waiting requests are kept in priority lanes: every queued
+ * 'high' request starts before any 'normal' one, and 'normal' before 'low', so interactive
+ * reads are not stuck behind a bulk import. Within a lane requests run in arrival order.
+ *
+ * @class RequestQueue
+ */
+export class RequestQueue {
+    /**
+     * Create a RequestQueue instance
+     * @param {Object} [config] - Queue configuration
+     * @param {number} [config.concurrency=1] - Maximum number of requests in flight
+     */
+    constructor(config = {}) {
+        this.concurrency = config.concurrency || 1;
+        this.active = 0;
+        this.lanes = { high: [], normal: [], low: [] };
+        this.processed = 0;
+        this.totalWaitTime = 0;
+        this.maxWaitTime = 0;
+    }
+
+    /**
+     * Run a task once a slot is free
+     * @param {Function} task - Async function performing the request
+     * @param {Object} [options] - Scheduling options
+     * @param {string} [options.priority='normal'] - Lane: 'high', 'normal' or 'low'
+     * @param {AbortSignal} [options.signal] - Removes the task from the queue if aborted before it starts
+     * @returns {Promise<*>} Result of the task
+     *
+     * @example
+     * const response = await queue.run(() => transport.send(xml), { priority: 'low' });
+     */
+    run(task, options = {}) {
+        const priority = options.priority || 'normal';
+        if (!PRIORITIES.includes(priority)) {
+            return Promise.reject(new TallyValidationError(`Unknown priority '${priority}'. Use one of: ${PRIORITIES.join(', ')}`));
+        }
+
+        const { signal } = options;
+        if (signal && signal.aborted) {
+            return Promise.reject(new TallyAbortError('Request was aborted while queued', { cause: signal.reason }));
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = { task, resolve, reject, enqueuedAt: Date.now(), signal };
+
+            if (signal) {
+                entry.onAbort = () => {
+                    const lane = this.lanes[priority];
+                    const index = lane.indexOf(entry);
+                    if (index !== -1) {
+                        lane.splice(index, 1);
+                        reject(new TallyAbortError('Request was aborted while queued', { cause: signal.reason }));
+                    }
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+
+            this.lanes[priority].push(entry);
+            this._next();
+        });
+    }
+
+    /**
+     * Wait for a slot and hold it until the returned release function is called
+     * Used for streamed responses, which occupy TallyPrime until they have been read.
+     * @param {Object} [options] - Scheduling options (see run)
+     * @returns {Promise<Function>} Function that frees the slot
+     */
+    acquire(options = {}) {
+        return new Promise((resolve, reject) => {
+            this.run(() => new Promise(release => resolve(release)), options).catch(reject);
+        });
+    }
+
+    /**
+     * Change the concurrency limit
+     * @param {number} concurrency - New maximum number of requests in flight
+     */
+    setConcurrency(concurrency) {
+        this.concurrency = concurrency || 1;
+        this._next();
+    }
+
+    /**
+     * Get queue depth and wait-time statistics
+     * @returns {Object} Statistics ({ concurrency, active, pending, pendingByPriority, processed,
+     * averageWaitTime, maxWaitTime, oldestWaitTime }); times are in milliseconds
+     */
+    getStats() {
+        const now = Date.now();
+        const pendingByPriority = {};
+        let oldest = null;
+
+        for (const priority of PRIORITIES) {
+            const lane = this.lanes[priority];
+            pendingByPriority[priority] = lane.length;
+            if (lane.length > 0 && (oldest === null || lane[0].enqueuedAt < oldest)) {
+                oldest = lane[0].enqueuedAt;
+            }
+        }
+
+        return {
+            concurrency: this.concurrency,
+            active: this.active,
+            pending: PRIORITIES.reduce((sum, priority) => sum + pendingByPriority[priority], 0),
+            pendingByPriority,
+            processed: this.processed,
+            averageWaitTime: this.processed > 0 ? Math.round(this.totalWaitTime / this.processed) : 0,
+            maxWaitTime: this.maxWaitTime,
+            oldestWaitTime: oldest === null ? 0 : now - oldest
+        };
+    }
+
+    /**
+     * Start queued tasks while slots are free
+     * @private
+     */
+    _next() {
+        while (this.active < this.concurrency) {
+            const lane = PRIORITIES.find(priority => this.lanes[priority].length > 0);
+            if (!lane) return;
+
+            const entry = this.lanes[lane].shift();
+            if (entry.signal) entry.signal.removeEventListener('abort', entry.onAbort);
+
+            const waitTime = Date.now() - entry.enqueuedAt;
+            this.processed++;
+            this.totalWaitTime += waitTime;
+            this.maxWaitTime = Math.max(this.maxWaitTime, waitTime);
+            this.active++;
+
+            Promise.resolve()
+                .then(entry.task)
+                .then(entry.resolve, entry.reject)
+                .finally(() => {
+                    this.active--;
+                    this._next();
+                });
+        }
+    }
+}
+
+export default RequestQueue;
@@ -0,0 +1,239 @@
+const MASTER_TYPES = [
+    'Company', 'Group', 'Ledger', 'Stock Item', 'Stock Group', 'Unit',
+    'Godown', 'Cost Category', 'Cost Centre', 'Voucher Type', 'Currency'
+];
+
+/**
+ * Object elements found in import requests, with the cached types they make stale.
+ * Vouchers change balances in every report and companies change everything, so both clear
+ * the whole cache, as does any element not listed here.
+ * @private
+ */
+const IMPORT_INVALIDATES = {
+    LEDGER: 'Ledger',
+    GROUP: 'Group',
+    STOCKITEM: 'Stock Item',
+    STOCKGROUP: 'Stock Group',
+    UNIT: 'Unit',
+    GODOWN: 'Godown',
+    COSTCATEGORY: 'Cost Category',
+    COSTCENTRE: 'Cost Centre',
+    VOUCHERTYPE: 'Voucher Type',
+    CURRENCY: 'Currency'
+};
+
+/**
+ * ResponseCache - Keeps parsed responses to master data exports for reuse
+ * Entries are keyed by the export envelope, so the same request for a different company or
+ * with different filters is cached separately. By default only master collections (ledgers,
+ * groups, stock items, companies, ...) are cached, for `ttl` milliseconds; `ttlByType` sets
+ * the lifetime per collection type or report name, and adds reports that are not cached by
+ * default. Imports sent through the same connector drop the entries they make stale.
+ *
+ * With `alterIdCheck`, a cached entry is only served while the companies' AlterIDs (which
+ * TallyPrime bumps on every master or voucher change, whoever makes it) are unchanged.
+ *
+ * @class ResponseCache
+ */
+export class ResponseCache {
+    /**
+     * Create a ResponseCache instance
+     * @param {Object} [config] - Cache configuration
+     * @param {number} [config.ttl=60000] - Lifetime of master collection entries, in milliseconds
+     * @param {Object<string, number>} [config.ttlByType] - Lifetime by collection type or report name
+     * (e.g. { 'Stock Item': 300000, 'Ledger Balance': 5000 }); 0 disables caching for that type
+     * @param {number} [config.maxEntries=100] - Maximum number of entries; the oldest are dropped first
+     * @param {boolean} [config.alterIdCheck=false] - Check company AlterIDs before serving an entry
+     * @param {number} [config.alterIdInterval=1000] - How long an AlterID check result is reused, in milliseconds
+     */
+    constructor(config = {}) {
+        this.ttl = config.ttl !== undefined ? config.ttl : 60000;
+        this.ttlByType = {};
+        for (const [type, ttl] of Object.entries(config.ttlByType || {})) {
+            this.ttlByType[type.toLowerCase()] = ttl;
+        }
+        this.maxEntries = config.maxEntries || 100;
+        this.alterIdCheck = Boolean(config.alterIdCheck);
+        this.alterIdInterval = config.alterIdInterval !== undefined ? config.alterIdInterval : 1000;
+
+        this.entries = new Map();
+        this.signature = null;
+        this.signatureCheckedAt = 0;
+        this.hits = 0;
+        this.misses = 0;
+        this.invalidations = 0;
+    }
+
+    /**
+     * Work out what an envelope requests
+     * @param {string} xmlData - XML request data
+     * @returns {{requestType: string|null, type: string|null}} TALLYREQUEST value and the collection
+     * type (TDL collections and 'List of ...' reports) or report name
+     *
+     * @example
+     * ResponseCache.describe(XmlBuilder.buildTDLCollectionRequest('Ledger List', 'Ledger', ['NAME']));
+     * // { requestType: 'Export Data', type: 'Ledger' }
+     */
+    static describe(xmlData) {
+        const requestType = matchText(xmlData, /<TALLYREQUEST>([^<]*)<\/TALLYREQUEST>/i);
+        const collectionType = matchText(xmlData, /<COLLECTION\b[^>]*>\s*<TYPE>([^<]*)<\/TYPE>/i);
+        const reportName = matchText(xmlData, /<REPORTNAME>([^<]*)<\/REPORTNAME>/i);
+        const type = collectionType || (reportName ? reportName.replace(/^List of\s+/i, '') : null);
+
+        return { requestType, type };
+    }
+
+    /**
+     * Build the cache key of an envelope (whitespace between elements is ignored)
+     * @param {string} xmlData - XML request data
+     * @returns {string} Cache key
+     */
+    static key(xmlData) {
+        return xmlData.replace(/>\s+</g, '><').trim();
+    }
+
+    /**
+     * Get the lifetime for a request's response
+     * @param {string} xmlData - XML request data
+     * @returns {number} Lifetime in milliseconds, or 0 if the response must not be cached
+     */
+    ttlFor(xmlData) {
+        const { requestType, type } = ResponseCache.describe(xmlData);
+        if (!requestType || requestType.toLowerCase() !== 'export data' || !type) return 0;
+
+        const configured = this.ttlByType[type.toLowerCase()];
+        if (configured !== undefined) return configured;
+
+        return MASTER_TYPES.some(master => master.toLowerCase() === type.toLowerCase()) ? this.ttl : 0;
+    }
+
+    /**
+     * Get a live entry
+     * @param {string} key - Cache key
+     * @param {string} [signature] - Current AlterID signature; entries stored under another one are dropped
+     * @returns {Object|undefined} Copy of the cached response, so callers cannot change the entry
+     */
+    get(key, signature) {
+        const entry = this.entries.get(key);
+
+        if (!entry || entry.expiresAt <= Date.now() || (signature !== undefined && entry.signature !== signature)) {
+            if (entry) this.entries.delete(key);
+            this.misses++;
+            return undefined;
+        }
+
+        this.hits++;
+        return structuredClone(entry.value);
+    }
+
+    /**
+     * Store a response
+     * @param {string} key - Cache key
+     * @param {Object} value - Parsed response; a copy is stored, so the caller may keep changing it
+     * @param {Object} options - Entry options
+     * @param {string} options.type - Collection type or report name (used for invalidation)
+     * @param {number} options.ttl - Lifetime in milliseconds
+     * @param {string} [options.signature] - AlterID signature the response was read under
+     */
+    set(key, value, options) {
+        this.entries.delete(key);
+        this.entries.set(key, {
+            value: structuredClone(value),
+            type: options.type,
+            signature: options.signature,
+            expiresAt: Date.now() + options.ttl
+        });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Drop cached entries
+     * @param {string} [type] - Drop only entries whose collection type or report name contains this
+     * (case-insensitive, so 'Ledger' also drops 'Ledger Details'); omit to clear the cache
+     * @returns {number} Number of entries dropped
+     *
+     * @example
+     * cache.invalidate('Stock Item');
+     */
+    invalidate(type) {
+        let dropped = 0;
+        const needle = type ? type.toLowerCase() : null;
+
+        for (const [key, entry] of this.entries) {
+            if (!needle || (entry.type && entry.type.toLowerCase().includes(needle))) {
+                this.entries.delete(key);
+                dropped++;
+            }
+        }
+
+        if (!needle) this.signature = null;
+        this.invalidations += dropped;
+        return dropped;
+    }
+
+    /**
+     * Drop the entries a non-export request may have made stale
+     * @param {string} xmlData - XML of the import (or other non-export) request
+     * @returns {number} Number of entries dropped
+     */
+    invalidateForImport(xmlData) {
+        const elements = new Set();
+        const pattern = /<TALLYMESSAGE\b[^>]*>\s*<([A-Z.]+)[\s>/]/gi;
+        let match;
+        while ((match = pattern.exec(xmlData)) !== null) {
+            elements.add(match[1].toUpperCase());
+        }
+
+        const types = [...elements].map(element => IMPORT_INVALIDATES[element]);
+        if (types.length === 0 || types.includes(undefined)) {
+            return this.invalidate();
+        }
+
+        return types.reduce((dropped, type) => dropped + this.invalidate(type), 0);
+    }
+
+    /**
+     * Get the last AlterID signature if it was checked within alterIdInterval
+     * @returns {string|null} Signature, or null if it must be checked again
+     */
+    getRecentSignature() {
+        if (this.signature === null || Date.now() - this.signatureCheckedAt >= this.alterIdInterval) return null;
+        return this.signature;
+    }
+
+    /**
+     * Remember the AlterID signature just read from TallyPrime
+     * @param {string} signature - Signature
+     */
+    setSignature(signature) {
+        this.signature = signature;
+        this.signatureCheckedAt = Date.now();
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {{size: number, hits: number, misses: number, invalidations: number}} Statistics
+     */
+    getStats() {
+        return {
+            size: this.entries.size,
+            hits: this.hits,
+            misses: this.misses,
+            invalidations: this.invalidations
+        };
+    }
+}
+
+/**
+ * Return the trimmed first capture group of a pattern, or null
+ * @private
+ */
+function matchText(text, pattern) {
+    const match = pattern.exec(text);
+    return match ? match[1].trim() : null;
+}
+
+export default ResponseCache;
@@ -0,0 +1,86 @@
+import {
+    TallyConnectionError,
+    TallyTimeoutError,
+    TallyCircuitOpenError,
+    TallyHttpError
+} from '../errors/index.js';
+
+/**
+ * RetryPolicy - Decides whether a failed request is retried and how long to wait first
+ * Delays grow exponentially from `baseDelay` up to `maxDelay`, with full jitter so several
+ * clients waiting on a busy TallyPrime do not retry in lockstep. By default only export
+ * requests are retried: replaying an Import Data request that timed out could create the
+ * same voucher twice.
+ *
+ * @class RetryPolicy
+ */
+export class RetryPolicy {
+    /**
+     * Create a RetryPolicy instance
+     * @param {Object} [config] - Retry configuration
+     * @param {number} [config.maxAttempts=3] - Total attempts, including the first one
+     * @param {number} [config.baseDelay=200] - Delay before the first retry in milliseconds
+     * @param {number} [config.maxDelay=5000] - Upper bound for a single delay in milliseconds
+     * @param {number} [config.factor=2] - Multiplier applied to the delay after every attempt
+     * @param {boolean} [config.jitter=true] - Randomise each delay between 0 and its computed value
+     * @param {Function[]} [config.retryOn] - Error classes that are retried
+     * @param {number[]} [config.retryOnStatus=[502, 503, 504]] - HTTP statuses that are retried
+     * @param {boolean} [config.retryNonIdempotent=false] - Also retry import and function requests
+     *
+     * @example
+     * const connector = new TallyConnector({
+     *   retry: { maxAttempts: 5, baseDelay: 500 }
+     * });
+     */
+    constructor(config = {}) {
+        this.maxAttempts = config.maxAttempts || 3;
+        this.baseDelay = config.baseDelay !== undefined ? config.baseDelay : 200;
+        this.maxDelay = config.maxDelay !== undefined ? config.maxDelay : 5000;
+        this.factor = config.factor || 2;
+        this.jitter = config.jitter !== false;
+        this.retryOn = config.retryOn || [TallyConnectionError, TallyTimeoutError];
+        this.retryOnStatus = config.retryOnStatus || [502, 503, 504];
+        this.retryNonIdempotent = config.retryNonIdempotent === true;
+    }
+
+    /**
+     * Check whether a request envelope can safely be sent more than once
+     * @param {string} xmlData - XML request data
+     * @returns {boolean} True for Export Data requests (reports and collections)
+     */
+    static isIdempotent(xmlData) {
+        const match = /<TALLYREQUEST>\s*([^<]*?)\s*<\/TALLYREQUEST>/i.exec(xmlData || '');
+        return Boolean(match) && /^export( data)?$/i.test(match[1]);
+    }
+
+    /**
+     * Decide whether a failed attempt should be retried
+     * @param {Error} error - Error raised by the attempt
+     * @param {number} attempt - Number of the attempt that failed (1-based)
+     * @param {string} xmlData - XML request data
+     * @returns {boolean} True if another attempt should be made
+     */
+    shouldRetry(error, attempt, xmlData) {
+        if (attempt >= this.maxAttempts) return false;
+        if (!this.retryNonIdempotent && !RetryPolicy.isIdempotent(xmlData)) return false;
+        if (error instanceof TallyCircuitOpenError) return false;
+
+        if (error instanceof TallyHttpError) {
+            return this.retryOnStatus.includes(error.status);
+        }
+
+        return this.retryOn.some(ErrorClass => error instanceof ErrorClass);
+    }
+
+    /**
+     * Compute the wait before the next attempt
+     * @param {number} attempt - Number of the attempt that failed (1-based)
+     * @returns {number} Delay in milliseconds
+     */
+    getDelay(attempt) {
+        const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(this.factor, attempt - 1));
+        return this.jitter ? Math.round(Math.random() * delay) : delay;
+    }
+}
+
+export default RetryPolicy;
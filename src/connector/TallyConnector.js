@@ -1,5 +1,26 @@
-import axios from 'axios';
 import { parseString } from 'xml2js';
+import { HttpTransport, RecordingTransport, ReplayTransport } from './transports/index.js';
+import { RetryPolicy } from './RetryPolicy.js';
+import { CircuitBreaker } from './CircuitBreaker.js';
+import { RequestQueue } from './RequestQueue.js';
+import { MiddlewareChain } from './MiddlewareChain.js';
+import { ResponseCache } from './ResponseCache.js';
+import { InMemoryMetrics } from '../metrics/InMemoryMetrics.js';
+import { SpanContext } from '../metrics/SpanContext.js';
+import { XmlStreamParser } from '../utils/XmlStreamParser.js';
+import { EncodingUtils } from '../utils/EncodingUtils.js';
+import { XmlBuilder } from '../utils/XmlBuilder.js';
+import {
+    TallyError,
+    TallyConnectionError,
+    TallyTimeoutError,
+    TallyCircuitOpenError,
+    TallyAbortError,
+    TallyHttpError,
+    TallyParseError,
+    TallyLineError,
+    TallyImportError
+} from '../errors/index.js';
 
 /**
  * TallyConnector - Main connector class for TallyPrime integration
@@ -14,32 +35,69 @@ export class TallyConnector {
      * @param {string} config.host - TallyPrime host (default: 'localhost')
      * @param {number} config.port - TallyPrime port (default: 9000)
      * @param {number} config.timeout - Request timeout in milliseconds (default: 30000)
+     * @param {Object} [config.transport] - Custom transport (default: HttpTransport to host:port)
+     * @param {Object|RetryPolicy|false} [config.retry] - Retry options (see RetryPolicy), or false to disable
+     * @param {Object|CircuitBreaker|false} [config.circuitBreaker] - Breaker options (see CircuitBreaker), or false to disable
+     * @param {number} [config.concurrency=1] - Maximum number of requests in flight to TallyPrime
+     * @param {string} [config.encoding='utf-8'] - Request encoding ('utf-8' or 'utf-16'); responses are decoded
+     * in whatever charset Tally answers with
+     * @param {Array<Object>} [config.middleware] - Middleware to register (see use())
+     * @param {Object|false} [config.metrics] - Metrics collector (see InMemoryMetrics for the interface),
+     * or false to disable; defaults to a new InMemoryMetrics
+     * @param {Object|ResponseCache|boolean} [config.cache=false] - Cache master data exports: true for the
+     * defaults, cache options (see ResponseCache) or a ResponseCache instance
      */
     constructor(config = {}) {
         this.host = config.host || 'localhost';
         this.port = config.port || 9000;
         this.timeout = config.timeout || 30000;
+        this.encoding = config.encoding || 'utf-8';
         this.baseUrl = `http://${this.host}:${this.port}`;
-        
-        // Configure axios instance
-        this.client = axios.create({
-            baseURL: this.baseUrl,
+
+        // Configure transport (axios over HTTP unless a custom one is supplied)
+        this.transport = config.transport || new HttpTransport({
+            baseUrl: this.baseUrl,
             timeout: this.timeout,
-            headers: {
-                'Content-Type': 'text/xml; charset=utf-8',
-                'SOAPAction': ''
-            }
+            encoding: this.encoding
         });
+        this.client = this.transport.client;
+
+        // TallyPrime serves one request at a time; queue the rest
+        this.queue = new RequestQueue({ concurrency: config.concurrency || 1 });
+
+        // Retry transient failures of export requests
+        this.retryPolicy = config.retry === false ? null
+            : config.retry instanceof RetryPolicy ? config.retry
+                : new RetryPolicy(config.retry);
+
+        // Fail fast while TallyPrime keeps failing, probing it with testConnection
+        this.circuitBreaker = config.circuitBreaker === false ? null
+            : config.circuitBreaker instanceof CircuitBreaker ? config.circuitBreaker
+                : new CircuitBreaker({ probe: () => this.testConnection(), ...config.circuitBreaker });
+
+        // Lifecycle hooks around sendRequest and streamRequest
+        this.middleware = new MiddlewareChain(config.middleware || []);
+
+        // Latency, error and payload-size metrics plus request spans
+        this.metrics = config.metrics === false ? null : config.metrics || new InMemoryMetrics();
+
+        // Opt-in cache of master data exports, invalidated by imports sent through this connector
+        this.cache = !config.cache ? null
+            : config.cache instanceof ResponseCache ? config.cache
+                : new ResponseCache(config.cache === true ? {} : config.cache);
 
         // Add response interceptor for error handling
-        this.client.interceptors.response.use(
-            response => response,
-            error => this._handleError(error)
-        );
+        if (this.client) {
+            this.client.interceptors.response.use(
+                response => response,
+                error => this._handleError(error)
+            );
+        }
     }
 
     /**
      * Test connection to TallyPrime
+     * The request bypasses retries and the circuit breaker, which uses it as its probe.
      * @returns {Promise<boolean>} Connection status
      */
     async testConnection() {
@@ -59,35 +117,538 @@ export class TallyConnector {
                 </ENVELOPE>
             `;
             
-            const response = await this.sendRequest(testXml);
+            const response = await this._dispatch(testXml, { priority: 'high' });
             return response.success;
         } catch (error) {
             return false;
         }
     }
 
+    /**
+     * Register a middleware
+     * Middleware hooks (beforeRequest, afterResponse, onError) see every request made with
+     * sendRequest or streamRequest, including the XML, the parsed response and the calling
+     * service and method. See MiddlewareChain for the hook contract.
+     * @param {Object} middleware - Object with beforeRequest, afterResponse and/or onError hooks
+     * @returns {TallyConnector} This connector
+     *
+     * @example
+     * connector.use({
+     *   afterResponse(context) {
+     *     console.log(`${context.service}.${context.method} took ${context.duration}ms`);
+     *   },
+     *   onError(context) {
+     *     console.error(`${context.method} failed: ${context.error.message}`);
+     *   }
+     * });
+     */
+    use(middleware) {
+        this.middleware.use(middleware);
+        return this;
+    }
+
     /**
      * Send XML request to TallyPrime
+     * Each attempt waits for a slot in the request queue; retry back-off happens outside
+     * the queue so other requests can run meanwhile. Middleware hooks run once around all
+     * attempts.
      * @param {string} xmlData - XML request data
      * @param {Object} options - Additional request options
+     * @param {string} [options.priority='normal'] - Queue lane: 'high', 'normal' or 'low'
+     * @param {AbortSignal} [options.signal] - Cancels the request while queued, in flight or backing off
+     * @param {number} [options.timeout] - Timeout for each attempt in milliseconds (default: connector timeout)
+     * @param {string} [options.service] - Calling service, reported to middleware
+     * @param {string} [options.method] - Calling method, reported to middleware
+     * @param {string} [options.companyName] - Company the request targets, reported to middleware
      * @returns {Promise<Object>} Parsed response data
+     *
+     * @example
+     * const controller = new AbortController();
+     * const pending = connector.sendRequest(exportXml, { signal: controller.signal, timeout: 120000 });
+     * controller.abort(); // rejects with TallyAbortError
      */
     async sendRequest(xmlData, options = {}) {
+        const context = this.middleware.createContext(xmlData, options);
+
+        return this.middleware.run(context, xml => (this.cache
+            ? this._sendCached(context, xml)
+            : this._sendTracked(context, xml)));
+    }
+
+    /**
+     * Send a request with retries, recording metrics
+     * @private
+     * @param {Object} context - Middleware context
+     * @param {string} xmlData - XML request data
+     * @returns {Promise<Object>} Parsed response data
+     */
+    async _sendTracked(context, xmlData) {
+        const track = this._trackRequest(context, xmlData);
         try {
-            const response = await this.client.post('', xmlData, {
-                ...options,
-                headers: {
-                    ...this.client.defaults.headers,
-                    ...options.headers
+            const response = await this._sendWithRetry(xmlData, context.options);
+            track(null, { responseBytes: response && response.rawXml ? Buffer.byteLength(response.rawXml) : undefined });
+            return response;
+        } catch (error) {
+            track(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Serve cacheable exports from the response cache and invalidate it on imports
+     * @private
+     * @param {Object} context - Middleware context; `cached` is set on a cache hit
+     * @param {string} xmlData - XML request data
+     * @returns {Promise<Object>} Parsed response data
+     */
+    async _sendCached(context, xmlData) {
+        const cache = this.cache;
+
+        if (!RetryPolicy.isIdempotent(xmlData)) {
+            try {
+                return await this._sendTracked(context, xmlData);
+            } finally {
+                // Even a failed import may have been partly applied
+                cache.invalidateForImport(xmlData);
+            }
+        }
+
+        const ttl = cache.ttlFor(xmlData);
+        if (!ttl) return this._sendTracked(context, xmlData);
+
+        const { type } = ResponseCache.describe(xmlData);
+        const key = ResponseCache.key(xmlData);
+        const signature = cache.alterIdCheck ? await this._alterIdSignature(context.options) : undefined;
+        const cached = cache.get(key, signature);
+
+        if (this.metrics) {
+            this.metrics.increment('tally_cache_requests_total', { type, result: cached ? 'hit' : 'miss' });
+        }
+        if (cached) {
+            context.cached = true;
+            return cached;
+        }
+
+        const response = await this._sendTracked(context, xmlData);
+        cache.set(key, response, { type, ttl, signature });
+        return response;
+    }
+
+    /**
+     * Read the AlterIDs of the loaded companies as one signature string
+     * TallyPrime increments a company's master or voucher AlterID on every change, so an
+     * unchanged signature means cached exports are still current.
+     * @private
+     * @param {Object} options - Request options of the export being served
+     * @returns {Promise<string>} AlterID signature
+     */
+    async _alterIdSignature(options) {
+        const recent = this.cache.getRecentSignature();
+        if (recent !== null) return recent;
+
+        const xml = XmlBuilder.buildTDLCollectionRequest('Company AlterIDs', 'Company', ['NAME', 'ALTMSTID', 'ALTVCHID']);
+        const response = await this._sendWithRetry(xml, { signal: options.signal, timeout: options.timeout, priority: 'high' });
+
+        const envelope = response.data.ENVELOPE || response.data;
+        const data = (envelope.BODY && envelope.BODY.DATA) || envelope.DATA || {};
+        const companies = [].concat((data.COLLECTION && data.COLLECTION.COMPANY) || []);
+        const signature = companies
+            .map(company => `${company.NAME}:${company.ALTMSTID}:${company.ALTVCHID}`)
+            .sort()
+            .join('|');
+
+        this.cache.setSignature(signature);
+        return signature;
+    }
+
+    /**
+     * Drop cached export responses
+     * @param {string} [type] - Collection type or report name to drop (e.g. 'Ledger'); omit to clear everything
+     * @returns {number} Number of entries dropped
+     *
+     * @example
+     * // Another application changed stock items
+     * connector.clearCache('Stock Item');
+     */
+    clearCache(type) {
+        return this.cache ? this.cache.invalidate(type) : 0;
+    }
+
+    /**
+     * Start measuring a request: counts, latency, payload sizes and a 'tally.request' span
+     * The span is a child of the active service method span, if any (see SpanContext).
+     * @private
+     * @param {Object} context - Middleware context (supplies service, method and companyName)
+     * @param {string} xmlData - XML request data as sent
+     * @returns {Function} Callback (error, { responseBytes, rows }) that finishes the measurement
+     */
+    _trackRequest(context, xmlData) {
+        const metrics = this.metrics;
+        if (!metrics) return () => {};
+
+        const requestType = (/<TALLYREQUEST>\s*([^<]*?)\s*<\/TALLYREQUEST>/i.exec(xmlData) || [])[1] || 'unknown';
+        const labels = {
+            service: context.service || 'none',
+            method: context.method || 'none',
+            type: requestType
+        };
+        const requestBytes = Buffer.byteLength(xmlData);
+        const startedAt = Date.now();
+        const span = metrics.startSpan('tally.request', {
+            'tally.service': context.service,
+            'tally.method': context.method,
+            'tally.company': context.companyName,
+            'tally.request_type': requestType,
+            'tally.request_bytes': requestBytes,
+            'tally.stream': context.stream,
+            'server.address': this.host,
+            'server.port': this.port
+        }, SpanContext.current());
+        let finished = false;
+
+        metrics.observe('tally_request_size_bytes', requestBytes, labels);
+
+        return (error, result = {}) => {
+            if (finished) return;
+            finished = true;
+
+            metrics.observe('tally_request_duration_seconds', (Date.now() - startedAt) / 1000, labels);
+            metrics.increment('tally_requests_total', { ...labels, status: error ? 'error' : 'ok' });
+            if (error) {
+                metrics.increment('tally_request_errors_total', { ...labels, error: error.name });
+                if (error.attempts) span.setAttribute('tally.attempts', error.attempts);
+            }
+            if (result.responseBytes !== undefined) {
+                metrics.observe('tally_response_size_bytes', result.responseBytes, labels);
+                span.setAttribute('tally.response_bytes', result.responseBytes);
+            }
+            if (result.rows !== undefined) span.setAttribute('tally.rows', result.rows);
+            span.end(error || undefined);
+        };
+    }
+
+    /**
+     * Send a request, retrying according to the retry policy
+     * @private
+     * @param {string} xmlData - XML request data
+     * @param {Object} options - Request options (priority, signal, timeout)
+     * @returns {Promise<Object>} Parsed response data
+     */
+    async _sendWithRetry(xmlData, options) {
+        let attempt = 0;
+
+        for (;;) {
+            attempt++;
+            try {
+                this._throwIfAborted(options.signal, xmlData);
+                return await this._attempt(xmlData, options);
+            } catch (error) {
+                const aborted = error instanceof TallyAbortError;
+                if (aborted || !this.retryPolicy || !this.retryPolicy.shouldRetry(error, attempt, xmlData)) {
+                    error.attempts = attempt;
+                    throw error;
                 }
-            });
 
-            return await this._parseResponse(response.data);
+                try {
+                    await sleep(this.retryPolicy.getDelay(attempt), options.signal);
+                } catch (abortError) {
+                    throw new TallyAbortError('Request was aborted', {
+                        request: xmlData,
+                        cause: error
+                    });
+                }
+            }
+        }
+    }
+
+    /**
+     * Send a single attempt through the circuit breaker
+     * @private
+     * @param {string} xmlData - XML request data
+     * @param {Object} options - Additional request options
+     * @returns {Promise<Object>} Parsed response data
+     */
+    async _attempt(xmlData, options) {
+        await this._enterCircuit(xmlData);
+
+        try {
+            const response = await this._dispatch(xmlData, options);
+            this._recordOutcome();
+            return response;
         } catch (error) {
-            throw new Error(`TallyPrime request failed: ${error.message}`);
+            this._recordOutcome(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fail fast if the circuit breaker is open
+     * @private
+     * @param {string} xmlData - XML request data
+     */
+    async _enterCircuit(xmlData) {
+        const breaker = this.circuitBreaker;
+
+        if (breaker && !(await breaker.allowRequest())) {
+            const { retryAt } = breaker.getState();
+            throw new TallyCircuitOpenError(
+                `Circuit open after repeated failures; TallyPrime at ${this.baseUrl} will be probed again after ${new Date(retryAt).toISOString()}`,
+                { request: xmlData, retryAt }
+            );
         }
     }
 
+    /**
+     * Report the outcome of an attempt to the circuit breaker
+     * @private
+     * @param {Error} [error] - Error raised by the attempt, if any
+     */
+    _recordOutcome(error) {
+        const breaker = this.circuitBreaker;
+        if (!breaker || error instanceof TallyAbortError) return;
+
+        // Only failures to get an answer count; Tally rejecting the data means it is up
+        if (error && this._isServerFailure(error)) {
+            breaker.recordFailure();
+        } else {
+            breaker.recordSuccess();
+        }
+    }
+
+    /**
+     * Send a request and yield the rows of the response as they are parsed
+     * Keeps memory flat for exports with hundreds of thousands of rows: the body is read as
+     * a stream and each TALLYMESSAGE or COLLECTION row is handed out as soon as it is complete
+     * (see XmlStreamParser). The request holds its queue slot only until TallyPrime answers, so SDK
+     * calls made inside the loop are not stuck behind it in the queue; TallyPrime itself may not answer
+     * them before it has sent the rest of the export, though, so on large exports they can time out.
+     * Keep the loop body to your own work and make further SDK calls after the loop. A streamed request
+     * is never retried because rows may already have been consumed.
+     * Middleware afterResponse hooks run when the stream ends or the loop is exited, with
+     * `context.response` set to `{ success: true, rows }` (the number of rows read).
+     * @param {string} xmlData - XML request data
+     * @param {Object} [options] - Request options (priority, signal, timeout, service, method, companyName)
+     * @returns {AsyncGenerator<Object>} Response rows in xml2js shape
+     *
+     * @example
+     * const exportXml = XmlBuilder.buildCollectionRequest('Voucher', { FROMDATE: '20240401' });
+     * for await (const row of connector.streamRequest(exportXml)) {
+     *   console.log(row.VOUCHERNUMBER);
+     * }
+     */
+    async *streamRequest(xmlData, options = {}) {
+        const context = this.middleware.createContext(xmlData, options, true);
+        try {
+            await this.middleware.before(context);
+        } catch (error) {
+            // A recovered stream has no rows to yield
+            await this.middleware.fail(context, error);
+            return;
+        }
+
+        const track = this._trackRequest(context, context.xml);
+        let rows = 0;
+        let failed = false;
+
+        try {
+            for await (const row of this._streamRows(context.xml, context.options)) {
+                rows++;
+                yield row;
+            }
+        } catch (error) {
+            failed = true;
+            track(error, { rows });
+            await this.middleware.fail(context, error);
+        } finally {
+            if (!failed) {
+                track(null, { rows });
+                context.response = { success: true, rows };
+                try {
+                    await this.middleware.after(context);
+                } catch (error) {
+                    await this.middleware.fail(context, error);
+                }
+            }
+        }
+    }
+
+    /**
+     * Stream the rows of a response, holding a queue slot until the response headers arrive
+     * @private
+     * @param {string} xmlData - XML request data
+     * @param {Object} options - Request options (priority, signal, timeout)
+     * @returns {AsyncGenerator<Object>} Response rows
+     */
+    async *_streamRows(xmlData, options) {
+        const { priority, ...requestOptions } = options;
+        const { signal } = options;
+        let release = null;
+        let body = null;
+        let contentType;
+
+        try {
+            this._throwIfAborted(signal, xmlData);
+            await this._enterCircuit(xmlData);
+            release = await this.queue.acquire({ priority, signal });
+
+            try {
+                const response = this.transport.stream
+                    ? await this.transport.stream(xmlData, requestOptions)
+                    : await this.transport.send(xmlData, requestOptions);
+                body = response.data;
+                contentType = response.headers ? response.headers['content-type'] : undefined;
+                this._recordOutcome();
+
+                // Holding the slot while the caller works through the rows would deadlock any SDK call in the loop
+                release();
+                release = null;
+            } catch (error) {
+                const tallyError = error instanceof TallyError ? error : this._toTallyError(error);
+                this._recordOutcome(tallyError);
+                throw tallyError;
+            }
+
+            for await (const row of new XmlStreamParser({ contentType }).rows(body)) {
+                this._throwIfAborted(signal, xmlData);
+                yield row;
+            }
+        } catch (error) {
+            const tallyError = signal && signal.aborted && !(error instanceof TallyAbortError)
+                ? new TallyAbortError('Request was aborted', { cause: error })
+                : error instanceof TallyError ? error : this._toTallyError(error);
+            if (!tallyError.request) tallyError.request = xmlData;
+            throw tallyError;
+        } finally {
+            if (body && typeof body.destroy === 'function') body.destroy();
+            if (release) release();
+        }
+    }
+
+    /**
+     * Send a request through the transport and parse the response
+     * @private
+     * @param {string} xmlData - XML request data
+     * @param {Object} [options] - Additional request options
+     * @returns {Promise<Object>} Parsed response data
+     */
+    async _dispatch(xmlData, options = {}) {
+        const { priority, ...requestOptions } = options;
+        const { signal } = options;
+
+        try {
+            const response = await this.queue.run(
+                () => this.transport.send(xmlData, requestOptions),
+                { priority, signal }
+            );
+
+            // The transport may not support signals; never hand back a cancelled response
+            this._throwIfAborted(signal, xmlData);
+            const parsed = await this._parseResponse(this._decodeBody(response));
+            this._throwIfAborted(signal, xmlData);
+
+            return parsed;
+        } catch (error) {
+            const tallyError = error instanceof TallyError ? error : this._toTallyError(error);
+            if (!tallyError.request) tallyError.request = xmlData;
+            throw tallyError;
+        }
+    }
+
+    /**
+     * Decode a transport response body to XML text using its charset
+     * @private
+     * @param {Object} response - Transport response ({ headers, data })
+     * @returns {string} Response XML
+     */
+    _decodeBody(response) {
+        const contentType = response.headers ? response.headers['content-type'] : undefined;
+        return EncodingUtils.decode(response.data, contentType);
+    }
+
+    /**
+     * Throw a TallyAbortError if the signal has been aborted
+     * @private
+     * @param {AbortSignal} [signal] - Abort signal
+     * @param {string} xmlData - XML request data
+     */
+    _throwIfAborted(signal, xmlData) {
+        if (signal && signal.aborted) {
+            throw new TallyAbortError('Request was aborted', { request: xmlData, cause: signal.reason });
+        }
+    }
+
+    /**
+     * Check whether an error means TallyPrime could not answer at all
+     * @private
+     * @param {Error} error - Typed error
+     * @returns {boolean} True for connection failures, timeouts and 5xx responses
+     */
+    _isServerFailure(error) {
+        if (error instanceof TallyHttpError) return error.status >= 500;
+        return error instanceof TallyConnectionError || error instanceof TallyTimeoutError;
+    }
+
+    /**
+     * Get request queue depth and wait-time statistics
+     * @returns {Object} Queue statistics (see RequestQueue#getStats)
+     *
+     * @example
+     * const { pending, averageWaitTime } = connector.getQueueStats();
+     */
+    getQueueStats() {
+        return this.queue.getStats();
+    }
+
+    /**
+     * Get the metrics collector
+     * @returns {Object|null} Metrics collector, or null if metrics are disabled
+     *
+     * @example
+     * console.log(connector.getMetrics().toPrometheus());
+     */
+    getMetrics() {
+        return this.metrics;
+    }
+
+    /**
+     * Replace the transport used to reach TallyPrime
+     * @param {Object} transport - Object with a send(xmlData, options) method
+     */
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    /**
+     * Start recording every request and raw response to a cassette file
+     * @param {string} cassettePath - Path of the cassette JSON file to write
+     * @returns {RecordingTransport} The recorder now in use
+     *
+     * @example
+     * connector.record('./cassettes/ledgers.json');
+     * await ledgerService.getLedgerList();
+     */
+    record(cassettePath) {
+        const recorder = new RecordingTransport({ transport: this.transport, cassettePath });
+        this.setTransport(recorder);
+        return recorder;
+    }
+
+    /**
+     * Serve responses from a cassette instead of contacting TallyPrime
+     * @param {string} cassettePath - Path of a cassette written by record()
+     * @param {Object} [options] - ReplayTransport options (e.g. a custom normalize function)
+     * @returns {ReplayTransport} The player now in use
+     *
+     * @example
+     * connector.replay('./cassettes/ledgers.json');
+     * const ledgers = await ledgerService.getLedgerList();
+     */
+    replay(cassettePath, options = {}) {
+        const player = new ReplayTransport({ ...options, cassettePath });
+        this.setTransport(player);
+        return player;
+    }
+
     /**
      * Send import request to TallyPrime
      * @param {string} xmlData - XML import data
@@ -184,62 +745,153 @@ export class TallyConnector {
      */
     async _parseResponse(xmlData) {
         return new Promise((resolve, reject) => {
-            parseString(xmlData, {
+            // Tally writes control characters such as &#4; that strict XML parsers reject
+            parseString(EncodingUtils.sanitizeXml(xmlData), {
                 explicitArray: false,
                 ignoreAttrs: false,
                 mergeAttrs: true
             }, (error, result) => {
                 if (error) {
-                    reject(new Error(`XML parsing error: ${error.message}`));
+                    reject(new TallyParseError(`XML parsing error: ${error.message}`, {
+                        response: xmlData,
+                        cause: error
+                    }));
                     return;
                 }
 
                 // Check for Tally errors in response
                 const envelope = result.ENVELOPE || result;
                 const body = envelope.BODY || envelope;
+                const data = body.DATA || {};
+                const importResult = this._parseImportResult(result);
 
-                if (body.ERROR || body.LINEERROR) {
-                    const errorMsg = body.ERROR || body.LINEERROR;
-                    reject(new Error(`Tally error: ${errorMsg}`));
+                if (importResult && importResult.errors > 0) {
+                    const details = importResult.lineErrors.length > 0
+                        ? `: ${importResult.lineErrors.join('; ')}`
+                        : '';
+                    reject(new TallyImportError(
+                        `Tally import failed with ${importResult.errors} error(s)${details}`,
+                        { importResult, response: xmlData }
+                    ));
+                    return;
+                }
+
+                if (body.ERROR || body.LINEERROR || data.LINEERROR) {
+                    const errorMsg = body.ERROR || body.LINEERROR || data.LINEERROR;
+                    const lineErrors = (Array.isArray(errorMsg) ? errorMsg : [errorMsg]).map(String);
+                    reject(new TallyLineError(`Tally error: ${lineErrors.join('; ')}`, {
+                        lineErrors,
+                        response: xmlData
+                    }));
                     return;
                 }
 
                 resolve({
                     success: true,
                     data: result,
-                    rawXml: xmlData
+                    rawXml: xmlData,
+                    importResult
                 });
             });
         });
     }
 
+    /**
+     * Read the import counters Tally returns for Import Data requests
+     * Handles both the IMPORTRESULT block inside ENVELOPE/BODY/DATA (TallyPrime) and the bare
+     * RESPONSE root returned by older releases.
+     * @private
+     * @param {Object} result - Parsed response
+     * @returns {Object|null} Import counters, or null if the response is not an import result
+     */
+    _parseImportResult(result) {
+        const envelope = result.ENVELOPE || {};
+        const body = envelope.BODY || {};
+        const block = (body.DATA && body.DATA.IMPORTRESULT) || body.IMPORTRESULT || result.RESPONSE;
+
+        if (!block || typeof block !== 'object' || !('CREATED' in block || 'ERRORS' in block)) {
+            return null;
+        }
+
+        const count = value => parseInt(value, 10) || 0;
+        const lineErrors = block.LINEERROR === undefined
+            ? []
+            : (Array.isArray(block.LINEERROR) ? block.LINEERROR : [block.LINEERROR]).map(String);
+
+        return {
+            created: count(block.CREATED),
+            altered: count(block.ALTERED),
+            deleted: count(block.DELETED),
+            ignored: count(block.IGNORED),
+            errors: Math.max(count(block.ERRORS), lineErrors.length),
+            cancelled: count(block.CANCELLED),
+            combined: count(block.COMBINED),
+            exceptions: count(block.EXCEPTIONS),
+            lastVchId: count(block.LASTVCHID),
+            lastMid: count(block.LASTMID),
+            lineErrors
+        };
+    }
+
     /**
      * Handle HTTP and connection errors
      * @private
      * @param {Error} error - Axios error
-     * @returns {Promise<never>} Rejected promise with formatted error
+     * @returns {Promise<never>} Rejected promise with a typed TallyError
      */
     async _handleError(error) {
+        throw this._toTallyError(error);
+    }
+
+    /**
+     * Map a low-level transport error to the matching TallyError subclass
+     * @private
+     * @param {Error} error - Axios or transport error
+     * @returns {TallyError} Typed error carrying the request envelope, raw response and cause
+     */
+    _toTallyError(error) {
+        const details = {
+            request: error.config ? EncodingUtils.decode(error.config.data || '') : undefined,
+            response: error.response && error.response.data !== undefined && typeof error.response.data.pipe !== 'function'
+                ? this._decodeBody(error.response)
+                : undefined,
+            cause: error
+        };
+
+        if (error.code === 'ERR_CANCELED' || error.name === 'AbortError') {
+            return new TallyAbortError('Request was aborted', details);
+        }
+
         if (error.code === 'ECONNREFUSED') {
-            throw new Error(`Cannot connect to TallyPrime at ${this.baseUrl}. Please ensure TallyPrime is running and the port is correct.`);
+            return new TallyConnectionError(`Cannot connect to TallyPrime at ${this.baseUrl}. Please ensure TallyPrime is running and the port is correct.`, details);
         }
 
-        if (error.code === 'ETIMEDOUT') {
-            throw new Error(`Request timed out after ${this.timeout}ms. TallyPrime may be busy or unresponsive.`);
+        if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+            const timeout = (error.config && error.config.timeout) || this.timeout;
+            return new TallyTimeoutError(`Request timed out after ${timeout}ms. TallyPrime may be busy or unresponsive.`, {
+                ...details,
+                timeout
+            });
         }
 
-        if (error.response) {
+        if (error.response || error.status) {
             // Server responded with error status
-            throw new Error(`TallyPrime server error: ${error.response.status} - ${error.response.statusText}`);
+            const status = error.response ? error.response.status : error.status;
+            const statusText = error.response ? error.response.statusText : '';
+            return new TallyHttpError(`TallyPrime server error: ${status} - ${statusText}`, {
+                ...details,
+                status,
+                statusText
+            });
         }
 
-        if (error.request) {
+        if (error.request || error.code === 'ECONNRESET') {
             // Request was made but no response received
-            throw new Error(`No response received from TallyPrime. Please check if the service is running.`);
+            return new TallyConnectionError(`No response received from TallyPrime. Please check if the service is running.`, details);
         }
 
         // Something else happened
-        throw new Error(`Request failed: ${error.message}`);
+        return new TallyError(`Request failed: ${error.message}`, details);
     }
 
     /**
@@ -251,7 +903,8 @@ export class TallyConnector {
             host: this.host,
             port: this.port,
             baseUrl: this.baseUrl,
-            timeout: this.timeout
+            timeout: this.timeout,
+            encoding: this.encoding
         };
     }
 
@@ -261,18 +914,47 @@ export class TallyConnector {
      * @param {string} config.host - New host
      * @param {number} config.port - New port
      * @param {number} config.timeout - New timeout
+     * @param {number} [config.concurrency] - New request concurrency limit
+     * @param {string} [config.encoding] - New request encoding
      */
     updateConfig(config) {
         if (config.host) this.host = config.host;
         if (config.port) this.port = config.port;
         if (config.timeout) this.timeout = config.timeout;
+        if (config.concurrency) this.queue.setConcurrency(config.concurrency);
+        if (config.encoding) this.encoding = config.encoding;
 
         this.baseUrl = `http://${this.host}:${this.port}`;
         
-        // Update axios instance
-        this.client.defaults.baseURL = this.baseUrl;
-        this.client.defaults.timeout = this.timeout;
+        // Update transport
+        if (this.transport.updateConfig) {
+            this.transport.updateConfig({ baseUrl: this.baseUrl, timeout: this.timeout, encoding: this.encoding });
+        }
     }
 }
 
+/**
+ * Wait for the given number of milliseconds, rejecting early if the signal is aborted
+ * @private
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
 export default TallyConnector;
\ No newline at end of file
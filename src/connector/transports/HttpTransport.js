@@ -0,0 +1,96 @@
+import axios from 'axios';
+import { EncodingUtils } from '../../utils/EncodingUtils.js';
+
+/**
+ * HttpTransport - Default transport that posts request envelopes to TallyPrime over HTTP
+ *
+ * A transport is any object with a `send(xmlData, options)` method resolving to
+ * `{ status, headers, data }`, where `data` is the raw response body (a string or the
+ * undecoded bytes as a Buffer; TallyConnector detects the charset). TallyConnector
+ * funnels every request through its transport, so swapping it changes how requests
+ * reach TallyPrime without touching the services.
+ *
+ * @class HttpTransport
+ */
+export class HttpTransport {
+    /**
+     * Create an HttpTransport instance
+     * @param {Object} config - Transport configuration
+     * @param {string} config.baseUrl - TallyPrime base URL (e.g. 'http://localhost:9000')
+     * @param {number} config.timeout - Request timeout in milliseconds
+     * @param {Object} [config.headers] - Extra default headers
+     * @param {string} [config.encoding='utf-8'] - Request encoding ('utf-8' or 'utf-16'); Tally replies in the same
+     */
+    constructor(config = {}) {
+        this.encoding = config.encoding || 'utf-8';
+        this.client = axios.create({
+            baseURL: config.baseUrl,
+            timeout: config.timeout,
+            headers: {
+                'Content-Type': EncodingUtils.contentType(this.encoding),
+                'SOAPAction': '',
+                ...config.headers
+            }
+        });
+    }
+
+    /**
+     * Post an XML envelope
+     * @param {string} xmlData - XML request data
+     * @param {Object} [options] - Additional axios request options
+     * @returns {Promise<Object>} Response ({ status, headers, data }) with the body as a Buffer
+     */
+    async send(xmlData, options = {}) {
+        const response = await this.client.post('', EncodingUtils.encode(xmlData, this.encoding), {
+            responseType: 'arraybuffer',
+            ...options,
+            headers: {
+                ...this.client.defaults.headers,
+                ...options.headers
+            }
+        });
+
+        return {
+            status: response.status,
+            headers: toPlainHeaders(response.headers),
+            data: options.responseType === 'stream' ? response.data : Buffer.from(response.data)
+        };
+    }
+
+    /**
+     * Post an XML envelope and return the response body as a readable stream
+     * @param {string} xmlData - XML request data
+     * @param {Object} [options] - Additional axios request options
+     * @returns {Promise<Object>} Response ({ status, headers, data }) where data is a Node.js stream
+     */
+    async stream(xmlData, options = {}) {
+        return this.send(xmlData, { ...options, responseType: 'stream' });
+    }
+
+    /**
+     * Update connection settings
+     * @param {Object} config - New settings
+     * @param {string} [config.baseUrl] - New base URL
+     * @param {number} [config.timeout] - New timeout
+     * @param {string} [config.encoding] - New request encoding
+     */
+    updateConfig(config) {
+        if (config.baseUrl) this.client.defaults.baseURL = config.baseUrl;
+        if (config.timeout) this.client.defaults.timeout = config.timeout;
+        if (config.encoding) {
+            this.encoding = config.encoding;
+            this.client.defaults.headers['Content-Type'] = EncodingUtils.contentType(config.encoding);
+        }
+    }
+}
+
+/**
+ * Convert axios headers into a plain object
+ * @private
+ */
+function toPlainHeaders(headers) {
+    if (!headers) return {};
+    return typeof headers.toJSON === 'function' ? headers.toJSON() : { ...headers };
+}
+
+export default HttpTransport;
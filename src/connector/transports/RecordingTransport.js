@@ -0,0 +1,117 @@
+import { writeCassette } from './cassette.js';
+
+/**
+ * RecordingTransport - Transport wrapper that records every request/response pair to a cassette
+ * Requests are forwarded to the wrapped transport unchanged; the request envelope and the raw
+ * response XML (or the error) are appended to the cassette file after each call, so a session
+ * against a real TallyPrime can later be served back by ReplayTransport.
+ *
+ * @class RecordingTransport
+ */
+export class RecordingTransport {
+    /**
+     * Create a RecordingTransport instance
+     * @param {Object} options - Recorder options
+     * @param {Object} options.transport - Transport that actually performs the requests
+     * @param {string} options.cassettePath - Path of the cassette JSON file to write
+     *
+     * @example
+     * const recorder = new RecordingTransport({
+     *   transport: new HttpTransport({ baseUrl: 'http://localhost:9000', timeout: 30000 }),
+     *   cassettePath: './cassettes/ledgers.json'
+     * });
+     * const connector = new TallyConnector({ transport: recorder });
+     */
+    constructor(options = {}) {
+        if (!options.transport) {
+            throw new Error('A transport to record is required');
+        }
+
+        if (!options.cassettePath) {
+            throw new Error('Cassette path is required');
+        }
+
+        this.transport = options.transport;
+        this.cassettePath = options.cassettePath;
+        this.interactions = [];
+        this._lastSave = Promise.resolve();
+    }
+
+    /**
+     * Underlying axios client of the wrapped transport, if any
+     * @returns {Object|undefined} axios instance
+     */
+    get client() {
+        return this.transport.client;
+    }
+
+    /**
+     * Forward a request and record the interaction
+     * @param {string} xmlData - XML request data
+     * @param {Object} [options] - Request options passed to the wrapped transport
+     * @returns {Promise<Object>} Response ({ status, headers, data })
+     */
+    async send(xmlData, options = {}) {
+        let response;
+        try {
+            response = await this.transport.send(xmlData, options);
+        } catch (error) {
+            // A cancelled call says nothing about how TallyPrime answers
+            if (error.code === 'ERR_CANCELED') throw error;
+
+            this.interactions.push({
+                request: { body: xmlData },
+                error: {
+                    message: error.message,
+                    code: error.code,
+                    status: error.response ? error.response.status : error.status
+                }
+            });
+            await this.save();
+            throw error;
+        }
+
+        this.interactions.push({
+            request: { body: xmlData },
+            response: Buffer.isBuffer(response.data)
+                ? {
+                    status: response.status,
+                    headers: response.headers,
+                    body: response.data.toString('base64'),
+                    bodyEncoding: 'base64'
+                }
+                : {
+                    status: response.status,
+                    headers: response.headers,
+                    body: response.data
+                }
+        });
+        await this.save();
+
+        return response;
+    }
+
+    /**
+     * Write the recorded interactions to the cassette file
+     * Writes run one after another, so concurrent requests cannot interleave them and leave
+     * an older or half-written cassette behind.
+     * @returns {Promise<void>}
+     */
+    save() {
+        const write = this._lastSave.then(() => writeCassette(this.cassettePath, this.interactions));
+        this._lastSave = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * Update connection settings of the wrapped transport
+     * @param {Object} config - New settings
+     */
+    updateConfig(config) {
+        if (this.transport.updateConfig) {
+            this.transport.updateConfig(config);
+        }
+    }
+}
+
+export default RecordingTransport;
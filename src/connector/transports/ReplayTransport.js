@@ -0,0 +1,107 @@
+import { normalizeRequestBody, readCassette } from './cassette.js';
+
+/**
+ * ReplayTransport - Transport that serves responses from a cassette written by RecordingTransport
+ * Requests are matched on their normalized body. When the same request was recorded several
+ * times, the recorded responses are served in order and the last one is repeated afterwards,
+ * which keeps replays deterministic. Requests that carry generated values (importVouchers rows
+ * without a remoteId get a random one) never match; record them with fixed values.
+ *
+ * @class ReplayTransport
+ */
+export class ReplayTransport {
+    /**
+     * Create a ReplayTransport instance
+     * @param {Object} options - Player options
+     * @param {string} [options.cassettePath] - Path of the cassette JSON file to serve
+     * @param {Array<Object>} [options.interactions] - Interactions to serve instead of a file
+     * @param {Function} [options.normalize] - Custom request normalizer (xml => key)
+     *
+     * @example
+     * const connector = new TallyConnector({
+     *   transport: new ReplayTransport({ cassettePath: './cassettes/ledgers.json' })
+     * });
+     */
+    constructor(options = {}) {
+        if (!options.cassettePath && !options.interactions) {
+            throw new Error('Cassette path or interactions are required');
+        }
+
+        this.cassettePath = options.cassettePath;
+        this.normalize = options.normalize || normalizeRequestBody;
+        this.interactions = options.interactions || null;
+        this.index = null;
+        this.cursors = new Map();
+    }
+
+    /**
+     * Serve the recorded response for a request
+     * @param {string} xmlData - XML request data
+     * @returns {Promise<Object>} Response ({ status, headers, data })
+     */
+    async send(xmlData) {
+        const index = await this._getIndex();
+        const key = this.normalize(xmlData);
+        const matches = index.get(key);
+
+        if (!matches) {
+            throw new Error(`No recorded interaction matches request: ${key.slice(0, 200)}`);
+        }
+
+        const cursor = this.cursors.get(key) || 0;
+        this.cursors.set(key, cursor + 1);
+        const interaction = matches[Math.min(cursor, matches.length - 1)];
+
+        if (interaction.error) {
+            const error = new Error(interaction.error.message);
+            error.code = interaction.error.code;
+            error.status = interaction.error.status;
+            throw error;
+        }
+
+        const { body, bodyEncoding } = interaction.response;
+
+        return {
+            status: interaction.response.status,
+            headers: interaction.response.headers || {},
+            data: bodyEncoding === 'base64' ? Buffer.from(body, 'base64') : body
+        };
+    }
+
+    /**
+     * Restart serving repeated requests from their first recorded response
+     */
+    rewind() {
+        this.cursors.clear();
+    }
+
+    /**
+     * Load the cassette and index interactions by normalized request body
+     * @private
+     * @returns {Promise<Map>} Interactions grouped by request key
+     */
+    async _getIndex() {
+        if (this.index) {
+            return this.index;
+        }
+
+        if (!this.interactions) {
+            const cassette = await readCassette(this.cassettePath);
+            this.interactions = cassette.interactions;
+        }
+
+        const index = new Map();
+        for (const interaction of this.interactions) {
+            const key = this.normalize(interaction.request.body);
+            if (!index.has(key)) {
+                index.set(key, []);
+            }
+            index.get(key).push(interaction);
+        }
+
+        this.index = index;
+        return index;
+    }
+}
+
+export default ReplayTransport;
@@ -0,0 +1,51 @@
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+/**
+ * Current cassette file format version
+ */
+export const CASSETTE_VERSION = 1;
+
+/**
+ * Normalize a request envelope so that formatting differences do not affect matching
+ * Drops the XML declaration, collapses whitespace between tags and trims the result
+ * @param {string} xmlData - Request envelope
+ * @returns {string} Normalized request body
+ */
+export function normalizeRequestBody(xmlData) {
+    return String(xmlData)
+        .replace(/^\uFEFF/, '')
+        .replace(/<\?xml[^>]*\?>/i, '')
+        .replace(/>\s+</g, '><')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Read a cassette file
+ * @param {string} cassettePath - Path to the cassette JSON file
+ * @returns {Promise<Object>} Cassette ({ version, interactions })
+ */
+export async function readCassette(cassettePath) {
+    const cassette = JSON.parse(await readFile(cassettePath, 'utf8'));
+    if (!cassette || !Array.isArray(cassette.interactions)) {
+        throw new Error(`Invalid cassette file: ${cassettePath}`);
+    }
+    return cassette;
+}
+
+/**
+ * Write a cassette file, creating its directory if needed
+ * @param {string} cassettePath - Path to the cassette JSON file
+ * @param {Array<Object>} interactions - Recorded interactions
+ * @returns {Promise<void>}
+ */
+export async function writeCassette(cassettePath, interactions) {
+    await mkdir(dirname(cassettePath), { recursive: true });
+    const cassette = {
+        version: CASSETTE_VERSION,
+        recordedAt: new Date().toISOString(),
+        interactions
+    };
+    await writeFile(cassettePath, `${JSON.stringify(cassette, null, 2)}\n`, 'utf8');
+}
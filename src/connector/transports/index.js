@@ -0,0 +1,4 @@
+export { HttpTransport } from './HttpTransport.js';
+export { RecordingTransport } from './RecordingTransport.js';
+export { ReplayTransport } from './ReplayTransport.js';
+export { normalizeRequestBody, readCassette, writeCassette } from './cassette.js';
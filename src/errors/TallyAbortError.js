@@ -0,0 +1,20 @@
+import { TallyError } from './TallyError.js';
+
+/**
+ * TallyAbortError - The request was cancelled through its AbortSignal
+ *
+ * @class TallyAbortError
+ */
+export class TallyAbortError extends TallyError {
+    /**
+     * Create a TallyAbortError instance
+     * @param {string} [message] - Error message
+     * @param {Object} [details] - Error details (see TallyError)
+     */
+    constructor(message = 'Request was aborted', details = {}) {
+        super(message, details);
+        this.name = 'TallyAbortError';
+    }
+}
+
+export default TallyAbortError;
@@ -0,0 +1,23 @@
+import { TallyConnectionError } from './TallyConnectionError.js';
+
+/**
+ * TallyCircuitOpenError - The request was not sent because the circuit breaker is open
+ * TallyPrime failed repeatedly, so requests fail fast until the breaker probes it again.
+ *
+ * @class TallyCircuitOpenError
+ */
+export class TallyCircuitOpenError extends TallyConnectionError {
+    /**
+     * Create a TallyCircuitOpenError instance
+     * @param {string} message - Error message
+     * @param {Object} [details] - Error details (see TallyError)
+     * @param {number} [details.retryAt] - Time (ms since epoch) after which the server is probed again
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'TallyCircuitOpenError';
+        this.retryAt = details.retryAt;
+    }
+}
+
+export default TallyCircuitOpenError;
@@ -0,0 +1,21 @@
+import { TallyError } from './TallyError.js';
+
+/**
+ * TallyConnectionError - TallyPrime could not be reached or dropped the connection
+ * Raised for refused connections, resets and requests that got no response at all.
+ *
+ * @class TallyConnectionError
+ */
+export class TallyConnectionError extends TallyError {
+    /**
+     * Create a TallyConnectionError instance
+     * @param {string} message - Error message
+     * @param {Object} [details] - Error details (see TallyError)
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'TallyConnectionError';
+    }
+}
+
+export default TallyConnectionError;
@@ -0,0 +1,56 @@
+/**
+ * TallyError - Base class for every error raised by the SDK
+ * Carries the request envelope that was sent, the raw response that came back (when there
+ * was one) and the original error that caused it, so callers can tell failures apart with
+ * `instanceof` instead of matching on messages.
+ *
+ * @class TallyError
+ */
+export class TallyError extends Error {
+    /**
+     * Create a TallyError instance
+     * @param {string} message - Error message
+     * @param {Object} [details] - Error details
+     * @param {string} [details.request] - Request envelope XML
+     * @param {string} [details.response] - Raw response body
+     * @param {Error} [details.cause] - Original error
+     * @param {string} [details.code] - Low-level error code (e.g. 'ECONNREFUSED')
+     * @param {Array<string>} [details.context] - Operations that failed, outermost first
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'TallyError';
+        this.request = details.request;
+        this.response = details.response;
+        this.cause = details.cause;
+        this.code = details.code || (details.cause && details.cause.code);
+        this.context = details.context || [];
+    }
+
+    /**
+     * Add context to an error while preserving its type and message
+     * SDK errors keep their class, message and details and get the context added in front of
+     * their `context` list; any other error is wrapped in a TallyError with the same message
+     * and the original as its cause.
+     * @param {Error} error - Error to wrap
+     * @param {string} context - Operation that failed (e.g. 'Failed to create ledger')
+     * @returns {TallyError} Error to throw
+     *
+     * @example
+     * try {
+     *   await this.connector.sendRequest(importXml);
+     * } catch (error) {
+     *   throw TallyError.wrap(error, 'Failed to create ledger');
+     * }
+     */
+    static wrap(error, context) {
+        if (error instanceof TallyError) {
+            error.context = [context, ...(error.context || [])];
+            return error;
+        }
+
+        return new TallyError(error.message, { cause: error, context: [context] });
+    }
+}
+
+export default TallyError;
@@ -0,0 +1,24 @@
+import { TallyError } from './TallyError.js';
+
+/**
+ * TallyHttpError - TallyPrime answered with a non-success HTTP status
+ *
+ * @class TallyHttpError
+ */
+export class TallyHttpError extends TallyError {
+    /**
+     * Create a TallyHttpError instance
+     * @param {string} message - Error message
+     * @param {Object} [details] - Error details (see TallyError)
+     * @param {number} [details.status] - HTTP status code
+     * @param {string} [details.statusText] - HTTP status text
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'TallyHttpError';
+        this.status = details.status;
+        this.statusText = details.statusText;
+    }
+}
+
+export default TallyHttpError;
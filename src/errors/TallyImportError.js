@@ -0,0 +1,32 @@
+import { TallyLineError } from './TallyLineError.js';
+
+/**
+ * TallyImportError - Raised when TallyPrime reports errors for an Import Data request
+ * The HTTP call succeeded, but the IMPORTRESULT block counted ERRORS > 0, so some or all
+ * of the imported objects were rejected. The parsed counters and LINEERROR messages are
+ * available on the error.
+ *
+ * @class TallyImportError
+ */
+export class TallyImportError extends TallyLineError {
+    /**
+     * Create a TallyImportError instance
+     * @param {string} message - Error message
+     * @param {Object} details - Error details (see TallyError)
+     * @param {Object} details.importResult - Parsed import counters (see TallyConnector#_parseImportResult)
+     * @param {string} [details.rawXml] - Raw response XML (alias of details.response)
+     */
+    constructor(message, details = {}) {
+        const importResult = details.importResult;
+        super(message, {
+            ...details,
+            response: details.response || details.rawXml,
+            lineErrors: importResult ? importResult.lineErrors : []
+        });
+        this.name = 'TallyImportError';
+        this.importResult = importResult;
+        this.rawXml = this.response;
+    }
+}
+
+export default TallyImportError;
@@ -0,0 +1,22 @@
+import { TallyError } from './TallyError.js';
+
+/**
+ * TallyLineError - TallyPrime processed the request but rejected it with LINEERROR messages
+ *
+ * @class TallyLineError
+ */
+export class TallyLineError extends TallyError {
+    /**
+     * Create a TallyLineError instance
+     * @param {string} message - Error message
+     * @param {Object} [details] - Error details (see TallyError)
+     * @param {string[]} [details.lineErrors] - LINEERROR messages reported by Tally
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'TallyLineError';
+        this.lineErrors = details.lineErrors || [];
+    }
+}
+
+export default TallyLineError;
@@ -0,0 +1,24 @@
+import { TallyError } from './TallyError.js';
+
+/**
+ * TallyNotFoundError - The requested ledger, voucher, stock item or company does not exist
+ *
+ * @class TallyNotFoundError
+ */
+export class TallyNotFoundError extends TallyError {
+    /**
+     * Create a TallyNotFoundError instance
+     * @param {string} message - Error message
+     * @param {Object} [details] - Error details (see TallyError)
+     * @param {string} [details.objectType] - Kind of object looked up (e.g. 'Ledger')
+     * @param {string} [details.objectName] - Name or identifier looked up
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'TallyNotFoundError';
+        this.objectType = details.objectType;
+        this.objectName = details.objectName;
+    }
+}
+
+export default TallyNotFoundError;
@@ -0,0 +1,20 @@
+import { TallyError } from './TallyError.js';
+
+/**
+ * TallyParseError - The response from TallyPrime is not well-formed XML
+ *
+ * @class TallyParseError
+ */
+export class TallyParseError extends TallyError {
+    /**
+     * Create a TallyParseError instance
+     * @param {string} message - Error message
+     * @param {Object} [details] - Error details (see TallyError)
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'TallyParseError';
+    }
+}
+
+export default TallyParseError;
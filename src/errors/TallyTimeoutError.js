@@ -0,0 +1,22 @@
+import { TallyError } from './TallyError.js';
+
+/**
+ * TallyTimeoutError - TallyPrime did not answer within the request timeout
+ *
+ * @class TallyTimeoutError
+ */
+export class TallyTimeoutError extends TallyError {
+    /**
+     * Create a TallyTimeoutError instance
+     * @param {string} message - Error message
+     * @param {Object} [details] - Error details (see TallyError)
+     * @param {number} [details.timeout] - Timeout that elapsed, in milliseconds
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'TallyTimeoutError';
+        this.timeout = details.timeout;
+    }
+}
+
+export default TallyTimeoutError;
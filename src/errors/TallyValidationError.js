@@ -0,0 +1,22 @@
+import { TallyError } from './TallyError.js';
+
+/**
+ * TallyValidationError - Input was rejected by the SDK before anything was sent to TallyPrime
+ *
+ * @class TallyValidationError
+ */
+export class TallyValidationError extends TallyError {
+    /**
+     * Create a TallyValidationError instance
+     * @param {string} message - Error message
+     * @param {Object} [details] - Error details (see TallyError)
+     * @param {string} [details.field] - Name of the offending field, when known
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'TallyValidationError';
+        this.field = details.field;
+    }
+}
+
+export default TallyValidationError;
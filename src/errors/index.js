@@ -0,0 +1,11 @@
+export { TallyError } from './TallyError.js';
+export { TallyConnectionError } from './TallyConnectionError.js';
+export { TallyTimeoutError } from './TallyTimeoutError.js';
+export { TallyCircuitOpenError } from './TallyCircuitOpenError.js';
+export { TallyAbortError } from './TallyAbortError.js';
+export { TallyHttpError } from './TallyHttpError.js';
+export { TallyParseError } from './TallyParseError.js';
+export { TallyLineError } from './TallyLineError.js';
+export { TallyImportError } from './TallyImportError.js';
+export { TallyValidationError } from './TallyValidationError.js';
+export { TallyNotFoundError } from './TallyNotFoundError.js';
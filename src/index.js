@@ -4,8 +4,10 @@ import {
   VoucherService,
   CompanyService,
   StockItemService,
+  CostCentreService,
 } from './services/index.js'
 import { XmlBuilder } from './utils/index.js'
+import { TallyValidationError } from './errors/index.js'
 
 /**
  * TallyPrimeSDK - Main SDK class providing unified access to TallyPrime functionality
@@ -19,6 +21,13 @@ export class TallyPrimeSDK {
    * @param {string} [config.host='localhost'] - TallyPrime host
    * @param {number} [config.port=9000] - TallyPrime port
    * @param {number} [config.timeout=30000] - Request timeout in milliseconds
+   * @param {Object|false} [config.retry] - Retry options for export requests (see RetryPolicy), or false to disable
+   * @param {Object|false} [config.circuitBreaker] - Circuit breaker options (see CircuitBreaker), or false to disable
+   * @param {number} [config.concurrency=1] - Maximum number of requests in flight to TallyPrime
+   * @param {string} [config.companyName] - Company the default services are scoped to (see forCompany)
+   * @param {Array<Object>} [config.middleware] - Request middleware (see use)
+   * @param {Object|false} [config.metrics] - Metrics collector (default: InMemoryMetrics), or false to disable
+   * @param {Object|boolean} [config.cache=false] - Cache master data exports (see ResponseCache)
    *
    * @example
    * // Create SDK instance with default settings (localhost:9000)
@@ -37,10 +46,15 @@ export class TallyPrimeSDK {
     this.connector = new TallyConnector(config)
 
     // Initialize all services
-    this.ledger = new LedgerService(this.connector)
-    this.voucher = new VoucherService(this.connector)
-    this.company = new CompanyService(this.connector)
-    this.stock = new StockItemService(this.connector)
+    const serviceOptions = { companyName: config.companyName }
+    this.ledger = new LedgerService(this.connector, serviceOptions)
+    this.voucher = new VoucherService(this.connector, serviceOptions)
+    this.company = new CompanyService(this.connector, serviceOptions)
+    this.stock = new StockItemService(this.connector, serviceOptions)
+    this.costCentre = new CostCentreService(this.connector, serviceOptions)
+
+    // Company-scoped service sets, created on first use
+    this._companySessions = new Map()
 
     // Expose utilities
     this.utils = {
@@ -80,6 +94,7 @@ export class TallyPrimeSDK {
    * @param {string} [config.host] - New host
    * @param {number} [config.port] - New port
    * @param {number} [config.timeout] - New timeout
+   * @param {number} [config.concurrency] - New request concurrency limit
    *
    * @example
    * tally.updateConfig({
@@ -92,6 +107,104 @@ export class TallyPrimeSDK {
     this.connector.updateConfig(config)
   }
 
+  /**
+   * Get request queue depth and wait-time statistics
+   * @returns {Object} Queue statistics
+   *
+   * @example
+   * const stats = tally.getQueueStats();
+   * console.log(`${stats.pending} request(s) waiting, ${stats.averageWaitTime}ms average wait`);
+   */
+  getQueueStats() {
+    return this.connector.getQueueStats()
+  }
+
+  /**
+   * Register a middleware with beforeRequest, afterResponse and/or onError hooks
+   * Hooks receive a context with the request XML, the parsed response or error, and the
+   * calling service and method. See MiddlewareChain for details.
+   * @param {Object} middleware - Middleware object
+   * @returns {TallyPrimeSDK} This SDK instance
+   *
+   * @example
+   * tally.use({
+   *   beforeRequest(context) {
+   *     auditLog.write({ method: context.method, company: context.companyName, xml: context.xml })
+   *   },
+   *   onError(context) {
+   *     metrics.increment(`tally.errors.${context.error.name}`)
+   *   }
+   * })
+   */
+  use(middleware) {
+    this.connector.use(middleware)
+    return this
+  }
+
+  /**
+   * Get services scoped to a company
+   * Every import, export and collection request made through the returned services carries
+   * SVCURRENTCOMPANY, so several companies can be worked on from one SDK instance. The
+   * services share this SDK's connector (queue, retries, circuit breaker). Sessions are
+   * cached, so calling forCompany twice with the same name returns the same object.
+   * @param {string} companyName - Company name as shown in TallyPrime
+   * @returns {{companyName: string, ledger: LedgerService, voucher: VoucherService, company: CompanyService, stock: StockItemService, costCentre: CostCentreService}} Scoped services
+   *
+   * @example
+   * const acme = tally.forCompany('Acme Ltd')
+   * const globex = tally.forCompany('Globex Pvt Ltd')
+   *
+   * const acmeLedgers = await acme.ledger.getLedgerList()
+   * await globex.voucher.createVoucher(voucherData)
+   */
+  forCompany(companyName) {
+    if (!companyName || typeof companyName !== 'string') {
+      throw new TallyValidationError('Company name is required', { field: 'companyName' })
+    }
+
+    if (!this._companySessions.has(companyName)) {
+      const serviceOptions = { companyName }
+      this._companySessions.set(companyName, Object.freeze({
+        companyName,
+        ledger: new LedgerService(this.connector, serviceOptions),
+        voucher: new VoucherService(this.connector, serviceOptions),
+        company: new CompanyService(this.connector, serviceOptions),
+        stock: new StockItemService(this.connector, serviceOptions),
+        costCentre: new CostCentreService(this.connector, serviceOptions),
+      }))
+    }
+
+    return this._companySessions.get(companyName)
+  }
+
+  /**
+   * Get the metrics collector recording request and service method metrics
+   * @returns {Object|null} Metrics collector, or null if metrics are disabled
+   *
+   * @example
+   * // Prometheus text for a local scrape endpoint
+   * const text = tally.getMetrics().toPrometheus()
+   *
+   * @example
+   * // Recent spans, newest last
+   * const spans = tally.getMetrics().getSpans()
+   */
+  getMetrics() {
+    return this.connector.getMetrics()
+  }
+
+  /**
+   * Drop cached export responses, e.g. after another application changed masters
+   * @param {string} [type] - Collection type or report name (e.g. 'Ledger'); omit to clear everything
+   * @returns {number} Number of entries dropped
+   *
+   * @example
+   * tally.clearCache('Stock Item')
+   */
+  clearCache(type) {
+    return this.connector.clearCache(type)
+  }
+
   /**
    * Execute raw XML request (for advanced users)
    * @param {string} xmlData - Raw XML request data
@@ -218,6 +331,7 @@ export class TallyPrimeSDK {
                 voucher: 'Voucher/transaction management',
                 company: 'Company management and information',
                 stock: 'Stock item and inventory management',
+                costCentre: 'Cost category and cost centre management',
             },
             utilities: {
                 XmlBuilder: 'XML request builder utility',
@@ -227,13 +341,39 @@ export class TallyPrimeSDK {
 }
 // Export individual components for advanced usage
 export { TallyConnector } from './connector/TallyConnector.js'
+export { RetryPolicy } from './connector/RetryPolicy.js'
+export { CircuitBreaker } from './connector/CircuitBreaker.js'
+export { RequestQueue } from './connector/RequestQueue.js'
+export { ConnectionManager } from './connector/ConnectionManager.js'
+export { MiddlewareChain } from './connector/MiddlewareChain.js'
+export { ResponseCache } from './connector/ResponseCache.js'
+export {
+  HttpTransport,
+  RecordingTransport,
+  ReplayTransport,
+} from './connector/transports/index.js'
 export {
   LedgerService,
   VoucherService,
   CompanyService,
   StockItemService,
+  CostCentreService,
 } from './services/index.js'
-export { XmlBuilder } from './utils/index.js'
+export { XmlBuilder, GstCalculator } from './utils/index.js'
+export { InMemoryMetrics, SpanContext } from './metrics/index.js'
+export {
+  TallyError,
+  TallyConnectionError,
+  TallyTimeoutError,
+  TallyCircuitOpenError,
+  TallyAbortError,
+  TallyHttpError,
+  TallyParseError,
+  TallyLineError,
+  TallyImportError,
+  TallyValidationError,
+  TallyNotFoundError,
+} from './errors/index.js'
 
 // Default export
 export default TallyPrimeSDK
@@ -0,0 +1,237 @@
+import { randomBytes } from 'crypto';
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const SIZE_BUCKETS = [256, 1024, 4096, 16384, 65536, 262144, 1048576, 4194304, 16777216, 67108864];
+
+/**
+ * InMemoryMetrics - Default metrics collector used by TallyConnector and the services
+ * Keeps counters and histograms in memory and the most recent finished spans in a ring
+ * buffer, and renders the metrics in the Prometheus text exposition format.
+ *
+ * Any object with the same three methods can be passed as the `metrics` option instead,
+ * for example an adapter to OpenTelemetry or StatsD:
+ *
+ * - increment(name, labels, value): add `value` (default 1) to a counter
+ * - observe(name, value, labels): record a histogram observation
+ * - startSpan(name, attributes, parent): start a span; returns an object with
+ *   setAttribute(key, value) and end(error), plus `traceId` and `spanId`
+ *
+ * @class InMemoryMetrics
+ */
+export class InMemoryMetrics {
+    /**
+     * Create an InMemoryMetrics instance
+     * @param {Object} [config] - Collector configuration
+     * @param {number} [config.maxSpans=100] - Number of finished spans to keep
+     * @param {Object<string, number[]>} [config.buckets] - Histogram bucket bounds by metric name; by default
+     * metrics ending in `_seconds` use latency buckets and metrics ending in `_bytes` use size buckets
+     */
+    constructor(config = {}) {
+        this.maxSpans = config.maxSpans !== undefined ? config.maxSpans : 100;
+        this.buckets = config.buckets || {};
+        this.counters = new Map();
+        this.histograms = new Map();
+        this.spans = [];
+    }
+
+    /**
+     * Add to a counter
+     * @param {string} name - Metric name (e.g. 'tally_requests_total')
+     * @param {Object<string, string>} [labels] - Label values
+     * @param {number} [value=1] - Amount to add
+     */
+    increment(name, labels = {}, value = 1) {
+        const series = this._series(this.counters, name, labels, () => ({ value: 0 }));
+        series.value += value;
+    }
+
+    /**
+     * Record a histogram observation
+     * @param {string} name - Metric name (e.g. 'tally_request_duration_seconds')
+     * @param {number} value - Observed value
+     * @param {Object<string, string>} [labels] - Label values
+     */
+    observe(name, value, labels = {}) {
+        const bounds = this._bucketsFor(name);
+        const series = this._series(this.histograms, name, labels, () => ({
+            bounds,
+            counts: bounds.map(() => 0),
+            count: 0,
+            sum: 0
+        }));
+
+        series.count++;
+        series.sum += value;
+        series.bounds.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+    }
+
+    /**
+     * Start a span
+     * @param {string} name - Span name (e.g. 'tally.request', 'LedgerService.getLedgerList')
+     * @param {Object} [attributes] - Span attributes
+     * @param {Object} [parent] - Parent span; the new span joins its trace
+     * @returns {Object} Span with setAttribute(key, value) and end(error)
+     *
+     * @example
+     * const span = metrics.startSpan('import', { 'tally.company': 'Acme Ltd' });
+     * try {
+     *   await doImport();
+     *   span.end();
+     * } catch (error) {
+     *   span.end(error);
+     * }
+     */
+    startSpan(name, attributes = {}, parent = null) {
+        const span = {
+            name,
+            traceId: parent ? parent.traceId : randomBytes(16).toString('hex'),
+            spanId: randomBytes(8).toString('hex'),
+            parentSpanId: parent ? parent.spanId : null,
+            attributes: { ...attributes },
+            startTime: Date.now(),
+            endTime: null,
+            duration: null,
+            status: 'unset',
+            error: null,
+            setAttribute: (key, value) => {
+                span.attributes[key] = value;
+                return span;
+            },
+            end: error => {
+                if (span.endTime !== null) return;
+                span.endTime = Date.now();
+                span.duration = span.endTime - span.startTime;
+                span.status = error ? 'error' : 'ok';
+                span.error = error ? { name: error.name, message: error.message } : null;
+                this._recordSpan(span);
+            }
+        };
+
+        return span;
+    }
+
+    /**
+     * Get the most recent finished spans, oldest first
+     * @returns {Array<Object>} Finished spans
+     */
+    getSpans() {
+        return this.spans.map(span => ({ ...span, attributes: { ...span.attributes } }));
+    }
+
+    /**
+     * Get the current value of every counter and histogram
+     * @returns {{counters: Array<Object>, histograms: Array<Object>}} Metric series with their labels
+     */
+    getSnapshot() {
+        const counters = [];
+        for (const [name, series] of this.counters) {
+            for (const { labels, value } of series.values()) counters.push({ name, labels, value });
+        }
+
+        const histograms = [];
+        for (const [name, series] of this.histograms) {
+            for (const { labels, bounds, counts, count, sum } of series.values()) {
+                const buckets = Object.fromEntries(bounds.map((bound, i) => [bound, counts[i]]));
+                histograms.push({ name, labels, count, sum, buckets });
+            }
+        }
+
+        return { counters, histograms };
+    }
+
+    /**
+     * Render all metrics in the Prometheus text exposition format
+     * @returns {string} Prometheus metrics text
+     *
+     * @example
+     * http.createServer((req, res) => {
+     *   res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+     *   res.end(tally.getMetrics().toPrometheus());
+     * }).listen(9464);
+     */
+    toPrometheus() {
+        const lines = [];
+
+        for (const [name, series] of this.counters) {
+            lines.push(`# TYPE ${name} counter`);
+            for (const { labels, value } of series.values()) {
+                lines.push(`${name}${formatLabels(labels)} ${value}`);
+            }
+        }
+
+        for (const [name, series] of this.histograms) {
+            lines.push(`# TYPE ${name} histogram`);
+            for (const { labels, bounds, counts, count, sum } of series.values()) {
+                bounds.forEach((bound, i) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: String(bound) })} ${counts[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+            }
+        }
+
+        return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+    }
+
+    /**
+     * Clear all metrics and spans
+     */
+    reset() {
+        this.counters.clear();
+        this.histograms.clear();
+        this.spans = [];
+    }
+
+    /**
+     * Find or create the series of a metric for a label set
+     * @private
+     */
+    _series(store, name, labels, create) {
+        if (!store.has(name)) store.set(name, new Map());
+
+        const series = store.get(name);
+        const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+        if (!series.has(key)) series.set(key, { labels: { ...labels }, ...create() });
+
+        return series.get(key);
+    }
+
+    /**
+     * Pick the histogram bucket bounds for a metric
+     * @private
+     */
+    _bucketsFor(name) {
+        if (this.buckets[name]) return this.buckets[name];
+        if (name.endsWith('_seconds')) return DURATION_BUCKETS;
+        if (name.endsWith('_bytes')) return SIZE_BUCKETS;
+        return DURATION_BUCKETS;
+    }
+
+    /**
+     * Keep a copy of a finished span, dropping the oldest beyond maxSpans
+     * @private
+     */
+    _recordSpan(span) {
+        if (this.maxSpans <= 0) return;
+        const { name, traceId, spanId, parentSpanId, attributes, startTime, endTime, duration, status, error } = span;
+        this.spans.push({ name, traceId, spanId, parentSpanId, attributes: { ...attributes }, startTime, endTime, duration, status, error });
+        if (this.spans.length > this.maxSpans) this.spans.shift();
+    }
+}
+
+/**
+ * Format a label set as {name="value",...}, escaping values
+ * @private
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+export default InMemoryMetrics;
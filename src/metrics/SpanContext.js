@@ -0,0 +1,52 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * SpanContext - Tracks the active span across async calls
+ * Service method spans are made active while the method runs, so the request spans the
+ * connector starts underneath become their children without passing spans around.
+ *
+ * @class SpanContext
+ */
+export class SpanContext {
+    /**
+     * Get the active span
+     * @returns {Object|null} Active span, or null outside any span
+     */
+    static current() {
+        return storage.getStore() || null;
+    }
+
+    /**
+     * Run a function with a span active
+     * @param {Object} span - Span to make active
+     * @param {Function} fn - Function to run
+     * @returns {*} Result of the function
+     */
+    static run(span, fn) {
+        return storage.run(span, fn);
+    }
+
+    /**
+     * Iterate an async iterator with a span active during each step
+     * @param {Object} span - Span to make active
+     * @param {AsyncIterator} iterator - Iterator to drive
+     * @returns {AsyncGenerator} Values of the iterator
+     */
+    static async *iterate(span, iterator) {
+        try {
+            for (;;) {
+                const { value, done } = await storage.run(span, () => iterator.next());
+                if (done) return value;
+                yield value;
+            }
+        } finally {
+            if (typeof iterator.return === 'function') {
+                await storage.run(span, () => iterator.return());
+            }
+        }
+    }
+}
+
+export default SpanContext;
@@ -0,0 +1,2 @@
+export { InMemoryMetrics } from './InMemoryMetrics.js';
+export { SpanContext } from './SpanContext.js';
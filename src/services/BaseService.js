@@ -0,0 +1,419 @@
+import { SpanContext } from '../metrics/SpanContext.js';
+import { XmlBuilder } from '../utils/XmlBuilder.js';
+import { TallyImportError, TallyValidationError } from '../errors/index.js';
+
+const DEFAULT_MASTER_BATCH_SIZE = 100;
+
+/**
+ * BaseService - Common plumbing shared by the service classes
+ * Service methods accept request options next to their own options: `signal` (AbortSignal),
+ * `timeout` (per-call timeout in milliseconds) and `priority` (request queue lane). Only those
+ * keys are forwarded to TallyConnector#sendRequest.
+ *
+ * A service created with a `companyName` is scoped to that company: every request it builds
+ * carries SVCURRENTCOMPANY, so one connector can serve several companies side by side.
+ * Without one, Tally uses whichever company is active.
+ *
+ * Public methods are instrumented when the connector has a metrics collector: each call is
+ * counted and timed and runs inside a `<Service>.<method>` span, which becomes the parent of
+ * the connector's request spans.
+ *
+ * @class BaseService
+ */
+export class BaseService {
+    /**
+     * Create a service instance
+     * @param {TallyConnector} connector - TallyConnector instance
+     * @param {Object} [options] - Service options
+     * @param {string} [options.companyName] - Company every request is scoped to
+     */
+    constructor(connector, options = {}) {
+        this.connector = connector;
+        this.companyName = options.companyName || null;
+        this._instrumentMethods();
+    }
+
+    /**
+     * Wrap the public async methods of the service with metrics and tracing
+     * The connector's collector is looked up on every call, so services over a connector
+     * without metrics run unwrapped.
+     * @private
+     */
+    _instrumentMethods() {
+        const service = this.constructor.name;
+
+        for (let proto = Object.getPrototypeOf(this); proto && proto !== BaseService.prototype; proto = Object.getPrototypeOf(proto)) {
+            for (const name of Object.getOwnPropertyNames(proto)) {
+                if (name === 'constructor' || name.startsWith('_') || Object.prototype.hasOwnProperty.call(this, name)) continue;
+
+                const method = proto[name];
+                const kind = typeof method === 'function' ? method.constructor.name : null;
+
+                if (kind === 'AsyncFunction') {
+                    this[name] = (...args) => {
+                        const metrics = this.connector.metrics;
+                        if (!metrics) return method.apply(this, args);
+                        return traceCall(metrics, this._spanAttributes(service, name), () => method.apply(this, args));
+                    };
+                } else if (kind === 'AsyncGeneratorFunction') {
+                    this[name] = (...args) => {
+                        const metrics = this.connector.metrics;
+                        if (!metrics) return method.apply(this, args);
+                        return traceStream(metrics, this._spanAttributes(service, name), method.apply(this, args));
+                    };
+                }
+            }
+        }
+    }
+
+    /**
+     * XmlBuilder options that scope a request to this service's company
+     * @protected
+     * @param {Object} [extra] - Additional builder options (e.g. reportName)
+     * @returns {Object} Builder options
+     */
+    _builderOptions(extra = {}) {
+        return this.companyName ? { ...extra, companyName: this.companyName } : { ...extra };
+    }
+
+    /**
+     * Span attributes of a service method call
+     * @private
+     */
+    _spanAttributes(service, method) {
+        return { 'tally.service': service, 'tally.method': method, 'tally.company': this.companyName };
+    }
+
+    /**
+     * Send a request through the connector with the caller's request options
+     * @protected
+     * @param {string} xmlData - XML request data
+     * @param {Object} [options] - Method options; signal, timeout and priority are forwarded
+     * @param {string} [method] - Name of the calling method, reported to connector middleware
+     * @returns {Promise<Object>} Parsed response data
+     */
+    _sendRequest(xmlData, options = {}, method) {
+        return this.connector.sendRequest(xmlData, this._callOptions(options, method));
+    }
+
+    /**
+     * Stream the rows of an export through the connector with the caller's request options
+     * @protected
+     * @param {string} xmlData - XML request data
+     * @param {Object} [options] - Method options; signal, timeout and priority are forwarded
+     * @param {string} [method] - Name of the calling method, reported to connector middleware
+     * @returns {AsyncGenerator<Object>} Response rows
+     */
+    _streamRequest(xmlData, options = {}, method) {
+        return this.connector.streamRequest(xmlData, this._callOptions(options, method));
+    }
+
+    /**
+     * Request options plus the caller details middleware sees (service, method, companyName)
+     * @private
+     */
+    _callOptions(options, method) {
+        const callOptions = { ...BaseService.requestOptions(options), service: this.constructor.name };
+        if (method) callOptions.method = method;
+        if (this.companyName) callOptions.companyName = this.companyName;
+        return callOptions;
+    }
+
+    /**
+     * Import masters of several types, several per Import Data request
+     * Masters that already exist (by name, case-insensitively) are skipped. The rest are sorted by
+     * rank, then so that each master follows the masters of the import it depends on, and sent
+     * `batchSize` at a time. When TallyPrime rejects part of a batch, the names of the batch's
+     * types are listed again and the LINEERROR messages go to the masters still missing, in order.
+     * Masters depending on one that failed in an earlier batch are failed without being sent.
+     * @protected
+     * @param {Array<Object>} masters - Masters: { type, index, collection, name, rank, dependsOn, xml, error },
+     * where collection is the Tally object type (e.g. 'Stock Group'), dependsOn lists the [collection, name]
+     * pairs the master refers to and error, if set, fails the master without sending it
+     * @param {Object} options - Import options (batchSize, onProgress) and request options
+     * @param {string} method - Name of the calling method, reported to connector middleware
+     * @returns {Promise<Object>} Import summary: { success, total, created, skipped, failed, batches, results },
+     * where results[i] is { type, index, name, status ('created', 'skipped' or 'failed'), error } for masters[i]
+     */
+    async _importMasters(masters, options, method) {
+        const batchSize = options.batchSize === undefined ? DEFAULT_MASTER_BATCH_SIZE : options.batchSize;
+        if (!Number.isInteger(batchSize) || batchSize < 1) {
+            throw new TallyValidationError('Batch size must be a positive integer', { field: 'batchSize' });
+        }
+
+        const results = masters.map(master => ({
+            type: master.type,
+            index: master.index,
+            name: master.name || null,
+            status: master.error ? 'failed' : 'pending',
+            error: master.error || null
+        }));
+        const keys = masters.map(master => (master.name ? masterKey(master.collection, master.name) : null));
+        const fail = (position, error) => { results[position] = { ...results[position], status: 'failed', error }; };
+
+        const rows = [];
+        const seen = new Set();
+        masters.forEach((master, position) => {
+            if (master.error) return;
+            if (seen.has(keys[position])) {
+                fail(position, `${master.collection} '${master.name}' appears more than once in the import`);
+                return;
+            }
+            seen.add(keys[position]);
+            rows.push({
+                position,
+                key: keys[position],
+                master,
+                dependsOn: master.dependsOn.map(([collection, name]) => masterKey(collection, name))
+            });
+        });
+
+        const existing = await this._masterNames([...new Set(rows.map(row => row.master.collection))], options, method);
+        const pending = rows.filter(row => {
+            if (!existing.has(row.key)) return true;
+            results[row.position].status = 'skipped';
+            return false;
+        });
+
+        const { ordered, circular } = orderByDependency(pending);
+        circular.forEach(row => fail(row.position, `${row.master.collection} '${row.master.name}' is part of a circular parent chain`));
+
+        const batches = [];
+        for (let start = 0; start < ordered.length; start += batchSize) {
+            batches.push(ordered.slice(start, start + batchSize));
+        }
+
+        const count = status => results.filter(result => result.status === status).length;
+        for (let i = 0; i < batches.length; i++) {
+            const failedKeys = new Set(keys.filter((key, position) => key && results[position].status === 'failed'));
+            const batch = batches[i].filter(row => {
+                const missing = row.master.dependsOn.find(([collection, name]) => failedKeys.has(masterKey(collection, name)));
+                if (!missing) return true;
+
+                fail(row.position, `${missing[0]} '${missing[1]}' was not imported`);
+                failedKeys.add(row.key);
+                return false;
+            });
+
+            if (batch.length > 0) {
+                await this._importMasterBatch(batch, results, options, method);
+            }
+
+            if (options.onProgress) {
+                options.onProgress({
+                    batch: i + 1,
+                    batches: batches.length,
+                    processed: masters.length - count('pending'),
+                    total: masters.length,
+                    created: count('created'),
+                    failed: count('failed')
+                });
+            }
+        }
+
+        return {
+            success: count('failed') === 0,
+            total: masters.length,
+            created: count('created'),
+            skipped: count('skipped'),
+            failed: count('failed'),
+            batches: batches.length,
+            results
+        };
+    }
+
+    /**
+     * Send one batch of _importMasters and record the outcome of each of its masters
+     * @private
+     */
+    async _importMasterBatch(batch, results, options, method) {
+        const dataXml = batch.map(row => row.master.xml).join('');
+        const importXml = XmlBuilder.buildImportRequest(dataXml, this._builderOptions({ reportName: 'All Masters' }));
+
+        let failed = [];
+        try {
+            await this._sendRequest(importXml, options, method);
+        } catch (error) {
+            if (!(error instanceof TallyImportError) || !error.importResult) throw error;
+
+            const { errors, lineErrors } = error.importResult;
+            if (errors >= batch.length) {
+                failed = batch;
+            } else {
+                const names = await this._masterNames([...new Set(batch.map(row => row.master.collection))], options, method);
+                failed = batch.filter(row => !names.has(row.key));
+            }
+            failed.forEach((row, position) => {
+                results[row.position] = {
+                    ...results[row.position],
+                    status: 'failed',
+                    error: lineErrors.length === failed.length ? lineErrors[position] : lineErrors.join('; ') || error.message
+                };
+            });
+        }
+
+        for (const row of batch) {
+            if (!failed.includes(row)) results[row.position].status = 'created';
+        }
+    }
+
+    /**
+     * List the names of the masters of some types
+     * @private
+     * @returns {Promise<Set<string>>} Keys ('<collection>:<lower-case name>') of the masters found
+     */
+    async _masterNames(collections, options, method) {
+        const names = new Set();
+
+        for (const collection of collections) {
+            const exportXml = XmlBuilder.buildTDLCollectionRequest(`${collection} Names`, collection, ['NAME'], this._builderOptions());
+            const response = await this._sendRequest(exportXml, options, method);
+
+            const envelope = response.data.ENVELOPE || response.data;
+            const body = envelope.BODY || envelope;
+            const data = body.DATA && body.DATA.COLLECTION;
+            const rows = data ? [].concat(data[collection.replace(/\s+/g, '').toUpperCase()] || []) : [];
+
+            for (const row of rows) {
+                const name = row && [].concat(row.NAME)[0];
+                if (name) names.add(masterKey(collection, typeof name === 'object' ? name._ : name));
+            }
+        }
+
+        return names;
+    }
+
+    /**
+     * Pick the request options out of a method options object
+     * @param {Object} [options] - Method options
+     * @returns {Object} Request options ({ signal, timeout, priority }) that were set
+     */
+    static requestOptions(options = {}) {
+        const picked = {};
+        if (options.signal) picked.signal = options.signal;
+        if (options.timeout) picked.timeout = options.timeout;
+        if (options.priority) picked.priority = options.priority;
+        return picked;
+    }
+}
+
+/**
+ * Run a service method call inside a span and record its outcome
+ * @private
+ */
+async function traceCall(metrics, attributes, call) {
+    const finish = startCall(metrics, attributes);
+    try {
+        const result = await SpanContext.run(finish.span, call);
+        finish();
+        return result;
+    } catch (error) {
+        finish(error);
+        throw error;
+    }
+}
+
+/**
+ * Iterate a streaming service method inside a span and record its outcome
+ * @private
+ */
+async function* traceStream(metrics, attributes, iterator) {
+    const finish = startCall(metrics, attributes);
+    try {
+        yield* SpanContext.iterate(finish.span, iterator);
+        finish();
+    } catch (error) {
+        finish(error);
+        throw error;
+    } finally {
+        // Reached without finishing when the caller leaves the loop early
+        finish();
+    }
+}
+
+/**
+ * Start the span and timer of a service method call
+ * @private
+ * @returns {Function} Callback (error) that records the call; exposes the span as `.span`
+ */
+function startCall(metrics, attributes) {
+    const service = attributes['tally.service'];
+    const method = attributes['tally.method'];
+    const labels = { service, method };
+    const span = metrics.startSpan(`${service}.${method}`, attributes, SpanContext.current());
+    const startedAt = Date.now();
+    let finished = false;
+
+    const finish = error => {
+        if (finished) return;
+        finished = true;
+
+        metrics.observe('tally_service_call_duration_seconds', (Date.now() - startedAt) / 1000, labels);
+        metrics.increment('tally_service_calls_total', { ...labels, status: error ? 'error' : 'ok' });
+        if (error) metrics.increment('tally_service_errors_total', { ...labels, error: error.name });
+        span.end(error);
+    };
+    finish.span = span;
+
+    return finish;
+}
+
+/**
+ * Key of a master by type and name; Tally master names are case-insensitive
+ * @private
+ */
+function masterKey(collection, name) {
+    return `${collection}:${String(name).trim().toLowerCase()}`;
+}
+
+/**
+ * Order import rows so that each follows the rows it depends on, then by rank
+ * Rows depending on a cycle are still ordered (after the cycle), so they fail along with it.
+ * @private
+ * @returns {{ordered: Array<Object>, circular: Array<Object>}} Sorted rows, and rows in a dependency cycle
+ */
+function orderByDependency(rows) {
+    const byKey = new Map(rows.map(row => [row.key, row]));
+    const depth = new Map();
+    const circular = [];
+    const settled = key => !byKey.has(key) || depth.has(key) || circular.includes(byKey.get(key));
+    let remaining = rows;
+
+    for (let wave = 0; remaining.length > 0; wave++) {
+        let ready = remaining.filter(row => row.dependsOn.every(settled));
+        if (ready.length === 0) {
+            circular.push(...remaining.filter(row => inCycle(row.key, byKey)));
+            ready = remaining.filter(row => !circular.includes(row) && row.dependsOn.every(settled));
+        }
+
+        ready.forEach(row => depth.set(row.key, wave));
+        remaining = remaining.filter(row => !depth.has(row.key) && !circular.includes(row));
+    }
+
+    const ordered = rows
+        .filter(row => depth.has(row.key))
+        .sort((a, b) => a.master.rank - b.master.rank || depth.get(a.key) - depth.get(b.key));
+
+    return { ordered, circular };
+}
+
+/**
+ * Whether an import row can reach itself through its dependencies
+ * @private
+ */
+function inCycle(key, byKey) {
+    const seen = new Set();
+    const stack = [...byKey.get(key).dependsOn];
+
+    while (stack.length > 0) {
+        const next = stack.pop();
+        if (next === key) return true;
+        if (seen.has(next) || !byKey.has(next)) continue;
+        seen.add(next);
+        stack.push(...byKey.get(next).dependsOn);
+    }
+
+    return false;
+}
+
+export default BaseService;
@@ -1,4 +1,6 @@
 import { XmlBuilder } from '../utils/XmlBuilder.js';
+import { BaseService } from './BaseService.js';
+import { TallyAbortError, TallyError, TallyNotFoundError, TallyValidationError } from '../errors/index.js';
 
 /**
  * CompanyService - Service class for managing company operations in TallyPrime
@@ -6,13 +8,15 @@ import { XmlBuilder } from '../utils/XmlBuilder.js';
  * 
  * @class CompanyService
  */
-export class CompanyService {
+export class CompanyService extends BaseService {
     /**
      * Create a CompanyService instance
      * @param {TallyConnector} connector - TallyConnector instance
+     * @param {Object} [options] - Service options
+     * @param {string} [options.companyName] - Company every request is scoped to
      */
-    constructor(connector) {
-        this.connector = connector;
+    constructor(connector, options = {}) {
+        super(connector, options);
     }
 
     /**
@@ -20,6 +24,8 @@ export class CompanyService {
      * @param {Object} [options] - List options
      * @param {boolean} [options.activeOnly] - Return only active companies
      * @param {boolean} [options.includeDetails] - Include detailed company information
+     * @param {AbortSignal} [options.signal] - Abort signal
+     * @param {number} [options.timeout] - Per-call timeout in milliseconds
      * @returns {Promise<Array>} List of companies
      * 
      * @example
@@ -35,8 +41,8 @@ export class CompanyService {
                 filters.ACTIVEONLY = 'Yes';
             }
 
-            const exportXml = XmlBuilder.buildTDLCollectionRequest('Company List', 'Company', ['NAME']);
-            const response = await this.connector.sendRequest(exportXml);
+            const exportXml = XmlBuilder.buildTDLCollectionRequest('Company List', 'Company', ['NAME'], this._builderOptions());
+            const response = await this._sendRequest(exportXml, options, 'getCompanyList');
 
             let companies = this._parseCompanyListResponse(response.data);
 
@@ -45,9 +51,10 @@ export class CompanyService {
                 companies = await Promise.all(
                     companies.map(async (company) => {
                         try {
-                            const details = await this.getCompanyInfo(company.name);
+                            const details = await this.getCompanyInfo(company.name, BaseService.requestOptions(options));
                             return { ...company, ...details.data };
                         } catch (error) {
+                            if (error instanceof TallyAbortError) throw error;
                             // If error getting details, return basic info
                             return company;
                         }
@@ -61,21 +68,22 @@ export class CompanyService {
                 count: companies.length
             };
         } catch (error) {
-            throw new Error(`Failed to get company list: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to get company list');
         }
     }
 
     /**
      * Get detailed information about a specific company
      * @param {string} companyName - Name of the company
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
      * @returns {Promise<Object>} Company information
      * 
      * @example
      * const companyInfo = await companyService.getCompanyInfo('My Company Ltd');
      */
-    async getCompanyInfo(companyName) {
+    async getCompanyInfo(companyName, options = {}) {
         if (!companyName) {
-            throw new Error('Company name is required');
+            throw new TallyValidationError('Company name is required');
         }
 
         try {
@@ -83,30 +91,39 @@ export class CompanyService {
                 COMPANYNAME: companyName
             };
 
-            const exportXml = XmlBuilder.buildExportRequest('Company Details', filters);
-            const response = await this.connector.sendRequest(exportXml);
+            const exportXml = XmlBuilder.buildExportRequest('Company Details', filters, this._builderOptions());
+            const response = await this._sendRequest(exportXml, options, 'getCompanyInfo');
+
+            const company = this._parseCompanyResponse(response.data);
+            if (!company.name) {
+                throw new TallyNotFoundError(`Company '${companyName}' not found`, {
+                    objectType: 'Company',
+                    objectName: companyName
+                });
+            }
 
             return {
                 success: true,
-                data: this._parseCompanyResponse(response.data),
+                data: company,
                 companyName
             };
         } catch (error) {
-            throw new Error(`Failed to get company info: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to get company info');
         }
     }
 
     /**
      * Load (activate) a specific company
      * @param {string} companyName - Name of the company to load
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
      * @returns {Promise<Object>} Load response
      * 
      * @example
      * const result = await companyService.loadCompany('My Company Ltd');
      */
-    async loadCompany(companyName) {
+    async loadCompany(companyName, options = {}) {
         if (!companyName) {
-            throw new Error('Company name is required');
+            throw new TallyValidationError('Company name is required');
         }
 
         try {
@@ -122,7 +139,7 @@ export class CompanyService {
                 </BODY>
             </ENVELOPE>`;
 
-            const response = await this.connector.sendRequest(loadXml);
+            const response = await this._sendRequest(loadXml, options, 'loadCompany');
 
             return {
                 success: true,
@@ -131,7 +148,7 @@ export class CompanyService {
                 companyName
             };
         } catch (error) {
-            throw new Error(`Failed to load company: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to load company');
         }
     }
 
@@ -147,6 +164,7 @@ export class CompanyService {
      * @param {string} [companyData.financialYearFrom] - Financial year start date
      * @param {string} [companyData.booksBeginFrom] - Books begin from date
      * @param {string} [companyData.currencySymbol] - Currency symbol
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
      * @returns {Promise<Object>} Created company response
      * 
      * @example
@@ -161,66 +179,69 @@ export class CompanyService {
      *   currencySymbol: 'Rs.'
      * });
      */
-    async createCompany(companyData) {
+    async createCompany(companyData, options = {}) {
         if (!companyData.name) {
-            throw new Error('Company name is required');
+            throw new TallyValidationError('Company name is required');
         }
 
         try {
             const companyXml = XmlBuilder.buildCompanyXml(companyData);
-            const importXml = XmlBuilder.buildImportRequest(companyXml);
+            const importXml = XmlBuilder.buildImportRequest(companyXml, this._builderOptions());
             
-            const response = await this.connector.sendRequest(importXml);
+            const response = await this._sendRequest(importXml, options, 'createCompany');
             
             return {
                 success: true,
                 message: `Company '${companyData.name}' created successfully`,
                 data: response.data,
+                importResult: response.importResult,
                 companyName: companyData.name
             };
         } catch (error) {
-            throw new Error(`Failed to create company: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to create company');
         }
     }
 
     /**
      * Get current active company information
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
      * @returns {Promise<Object>} Current company information
      * 
      * @example
      * const currentCompany = await companyService.getCurrentCompany();
      */
-    async getCurrentCompany() {
+    async getCurrentCompany(options = {}) {
         try {
-            const exportXml = XmlBuilder.buildExportRequest('Current Company Info', {});
-            const response = await this.connector.sendRequest(exportXml);
+            const exportXml = XmlBuilder.buildExportRequest('Current Company Info', {}, this._builderOptions());
+            const response = await this._sendRequest(exportXml, options, 'getCurrentCompany');
 
             return {
                 success: true,
                 data: this._parseCompanyResponse(response.data)
             };
         } catch (error) {
-            throw new Error(`Failed to get current company info: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to get current company info');
         }
     }
 
     /**
      * Get company's financial year information
      * @param {string} [companyName] - Company name (if not provided, uses current company)
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
      * @returns {Promise<Object>} Financial year information
      * 
      * @example
      * const financialYear = await companyService.getFinancialYear('My Company Ltd');
      */
-    async getFinancialYear(companyName) {
+    async getFinancialYear(companyName, options = {}) {
         try {
             const filters = {};
             if (companyName) {
                 filters.COMPANYNAME = companyName;
             }
 
-            const exportXml = XmlBuilder.buildExportRequest('Financial Year Info', filters);
-            const response = await this.connector.sendRequest(exportXml);
+            const exportXml = XmlBuilder.buildExportRequest('Financial Year Info', filters, this._builderOptions());
+            const response = await this._sendRequest(exportXml, options, 'getFinancialYear');
 
             return {
                 success: true,
@@ -228,7 +249,7 @@ export class CompanyService {
                 companyName
             };
         } catch (error) {
-            throw new Error(`Failed to get financial year info: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to get financial year info');
         }
     }
 
@@ -239,6 +260,8 @@ export class CompanyService {
      * @param {boolean} [options.includeLedgerCount] - Include ledger count
      * @param {boolean} [options.includeVoucherCount] - Include voucher count
      * @param {boolean} [options.includeStockCount] - Include stock item count
+     * @param {AbortSignal} [options.signal] - Abort signal
+     * @param {number} [options.timeout] - Per-call timeout in milliseconds
      * @returns {Promise<Object>} Company statistics
      * 
      * @example
@@ -255,8 +278,8 @@ export class CompanyService {
                 filters.COMPANYNAME = companyName;
             }
 
-            const exportXml = XmlBuilder.buildExportRequest('Company Statistics', filters);
-            const response = await this.connector.sendRequest(exportXml);
+            const exportXml = XmlBuilder.buildExportRequest('Company Statistics', filters, this._builderOptions());
+            const response = await this._sendRequest(exportXml, options, 'getCompanyStatistics');
 
             let statistics = this._parseCompanyStatisticsResponse(response.data);
 
@@ -272,7 +295,7 @@ export class CompanyService {
                 companyName
             };
         } catch (error) {
-            throw new Error(`Failed to get company statistics: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to get company statistics');
         }
     }
 
@@ -282,6 +305,8 @@ export class CompanyService {
      * @param {Object} [options] - Backup options
      * @param {string} [options.backupPath] - Path for backup file
      * @param {boolean} [options.includeImages] - Include images in backup
+     * @param {AbortSignal} [options.signal] - Abort signal
+     * @param {number} [options.timeout] - Per-call timeout in milliseconds
      * @returns {Promise<Object>} Backup response
      * 
      * @example
@@ -292,7 +317,7 @@ export class CompanyService {
      */
     async backupCompany(companyName, options = {}) {
         if (!companyName) {
-            throw new Error('Company name is required');
+            throw new TallyValidationError('Company name is required');
         }
 
         try {
@@ -309,7 +334,7 @@ export class CompanyService {
                 </BODY>
             </ENVELOPE>`;
 
-            const response = await this.connector.sendRequest(backupXml);
+            const response = await this._sendRequest(backupXml, options, 'backupCompany');
 
             return {
                 success: true,
@@ -318,7 +343,7 @@ export class CompanyService {
                 companyName
             };
         } catch (error) {
-            throw new Error(`Failed to backup company: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to backup company');
         }
     }
 
@@ -335,28 +360,29 @@ export class CompanyService {
         try {
             if (options.includeLedgerCount) {
                 const ledgerFilters = companyName ? { COMPANYNAME: companyName } : {};
-                const ledgerXml = XmlBuilder.buildCollectionRequest('Ledger', ledgerFilters);
-                const ledgerResponse = await this.connector.sendRequest(ledgerXml);
+                const ledgerXml = XmlBuilder.buildCollectionRequest('Ledger', ledgerFilters, this._builderOptions());
+                const ledgerResponse = await this._sendRequest(ledgerXml, options, 'getCompanyStatistics');
                 const ledgers = this._parseLedgerListResponse(ledgerResponse.data);
                 stats.ledgerCount = ledgers.length;
             }
 
             if (options.includeVoucherCount) {
                 const voucherFilters = companyName ? { COMPANYNAME: companyName } : {};
-                const voucherXml = XmlBuilder.buildCollectionRequest('Voucher', voucherFilters);
-                const voucherResponse = await this.connector.sendRequest(voucherXml);
+                const voucherXml = XmlBuilder.buildCollectionRequest('Voucher', voucherFilters, this._builderOptions());
+                const voucherResponse = await this._sendRequest(voucherXml, options, 'getCompanyStatistics');
                 const vouchers = this._parseVoucherListResponse(voucherResponse.data);
                 stats.voucherCount = vouchers.length;
             }
 
             if (options.includeStockCount) {
                 const stockFilters = companyName ? { COMPANYNAME: companyName } : {};
-                const stockXml = XmlBuilder.buildCollectionRequest('Stock Item', stockFilters);
-                const stockResponse = await this.connector.sendRequest(stockXml);
+                const stockXml = XmlBuilder.buildCollectionRequest('Stock Item', stockFilters, this._builderOptions());
+                const stockResponse = await this._sendRequest(stockXml, options, 'getCompanyStatistics');
                 const stockItems = this._parseStockListResponse(stockResponse.data);
                 stats.stockItemCount = stockItems.length;
             }
         } catch (error) {
+            if (error instanceof TallyAbortError) throw error;
             // If any additional stat fails, continue with what we have
             console.warn(`Warning: Could not fetch some statistics: ${error.message}`);
         }
@@ -401,9 +427,12 @@ export class CompanyService {
     _parseCompanyListResponse(responseData) {
         const envelope = responseData.ENVELOPE || responseData;
         const body = envelope.BODY || envelope;
-        
-        if (body.EXPORTDATA && body.EXPORTDATA.REQUESTDATA) {
-            const companies = body.EXPORTDATA.REQUESTDATA.TALLYMESSAGE || [];
+        const collection = body.DATA && body.DATA.COLLECTION;
+
+        if (collection || (body.EXPORTDATA && body.EXPORTDATA.REQUESTDATA)) {
+            const companies = collection
+                ? collection.COMPANY || []
+                : body.EXPORTDATA.REQUESTDATA.TALLYMESSAGE || [];
             const companyArray = Array.isArray(companies) ? companies : [companies];
             
             return companyArray.map(company => ({
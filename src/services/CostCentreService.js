@@ -0,0 +1,193 @@
+import { XmlBuilder } from '../utils/XmlBuilder.js';
+import { BaseService } from './BaseService.js';
+import { TallyError, TallyValidationError } from '../errors/index.js';
+
+/**
+ * CostCentreService - Service class for managing cost categories and cost centres in TallyPrime
+ * Provides methods to create and list the masters that voucher cost allocations refer to
+ *
+ * @class CostCentreService
+ */
+export class CostCentreService extends BaseService {
+    /**
+     * Create a CostCentreService instance
+     * @param {TallyConnector} connector - TallyConnector instance
+     * @param {Object} [options] - Service options
+     * @param {string} [options.companyName] - Company every request is scoped to
+     */
+    constructor(connector, options = {}) {
+        super(connector, options);
+    }
+
+    /**
+     * Create a new cost category in TallyPrime
+     * @param {Object} categoryData - Cost category information
+     * @param {string} categoryData.name - Cost category name
+     * @param {boolean} [categoryData.allocateRevenue=true] - Allocate revenue items
+     * @param {boolean} [categoryData.allocateNonRevenue=false] - Allocate non-revenue items
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
+     * @returns {Promise<Object>} Created cost category response
+     *
+     * @example
+     * await costCentreService.createCostCategory({ name: 'Projects' });
+     */
+    async createCostCategory(categoryData, options = {}) {
+        if (!categoryData || !categoryData.name) {
+            throw new TallyValidationError('Cost category name is required', { field: 'name' });
+        }
+
+        try {
+            const categoryXml = XmlBuilder.buildCostCategoryXml(categoryData);
+            const importXml = XmlBuilder.buildImportRequest(categoryXml, this._builderOptions({ reportName: 'All Masters' }));
+
+            const response = await this._sendRequest(importXml, options, 'createCostCategory');
+
+            return {
+                success: true,
+                message: `Cost category '${categoryData.name}' created successfully`,
+                data: response.data,
+                importResult: response.importResult,
+                costCategoryName: categoryData.name
+            };
+        } catch (error) {
+            throw TallyError.wrap(error, 'Failed to create cost category');
+        }
+    }
+
+    /**
+     * Get list of all cost categories
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
+     * @returns {Promise<Object>} List of cost categories
+     *
+     * @example
+     * const { data } = await costCentreService.getCostCategoryList();
+     * // [{ name: 'Primary Cost Category', allocateRevenue: true, allocateNonRevenue: false }, ...]
+     */
+    async getCostCategoryList(options = {}) {
+        try {
+            const exportXml = XmlBuilder.buildTDLCollectionRequest(
+                'Cost Category List',
+                'Cost Category',
+                ['NAME', 'ALLOCATEREVENUE', 'ALLOCATENONREVENUE'],
+                this._builderOptions()
+            );
+            const response = await this._sendRequest(exportXml, options, 'getCostCategoryList');
+
+            const categories = this._parseCollection(response.data, 'COSTCATEGORY').map(category => ({
+                name: category.NAME || '',
+                allocateRevenue: category.ALLOCATEREVENUE !== 'No',
+                allocateNonRevenue: category.ALLOCATENONREVENUE === 'Yes'
+            }));
+
+            return {
+                success: true,
+                data: categories,
+                count: categories.length
+            };
+        } catch (error) {
+            throw TallyError.wrap(error, 'Failed to fetch cost category list');
+        }
+    }
+
+    /**
+     * Create a new cost centre in TallyPrime
+     * @param {Object} centreData - Cost centre information
+     * @param {string} centreData.name - Cost centre name
+     * @param {string} [centreData.parent] - Parent cost centre (omit for Primary)
+     * @param {string} [centreData.category='Primary Cost Category'] - Cost category
+     * @param {string} [centreData.alias] - Alias
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
+     * @returns {Promise<Object>} Created cost centre response
+     *
+     * @example
+     * await costCentreService.createCostCentre({ name: 'Project Alpha', category: 'Projects' });
+     */
+    async createCostCentre(centreData, options = {}) {
+        if (!centreData || !centreData.name) {
+            throw new TallyValidationError('Cost centre name is required', { field: 'name' });
+        }
+
+        try {
+            const centreXml = XmlBuilder.buildCostCentreXml(centreData);
+            const importXml = XmlBuilder.buildImportRequest(centreXml, this._builderOptions({ reportName: 'All Masters' }));
+
+            const response = await this._sendRequest(importXml, options, 'createCostCentre');
+
+            return {
+                success: true,
+                message: `Cost centre '${centreData.name}' created successfully`,
+                data: response.data,
+                importResult: response.importResult,
+                costCentreName: centreData.name
+            };
+        } catch (error) {
+            throw TallyError.wrap(error, 'Failed to create cost centre');
+        }
+    }
+
+    /**
+     * Get list of all cost centres with optional filtering
+     * @param {Object} [filters] - Filter criteria
+     * @param {string} [filters.category] - Only cost centres in this cost category
+     * @param {string} [filters.parent] - Only direct children of this cost centre
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
+     * @returns {Promise<Object>} List of cost centres
+     *
+     * @example
+     * const { data } = await costCentreService.getCostCentreList({ category: 'Projects' });
+     * // [{ name: 'Project Alpha', parent: '', category: 'Projects' }, ...]
+     */
+    async getCostCentreList(filters = {}, options = {}) {
+        try {
+            const exportXml = XmlBuilder.buildTDLCollectionRequest(
+                'Cost Centre List',
+                'Cost Centre',
+                ['NAME', 'PARENT', 'CATEGORY'],
+                this._builderOptions()
+            );
+            const response = await this._sendRequest(exportXml, options, 'getCostCentreList');
+
+            let centres = this._parseCollection(response.data, 'COSTCENTRE').map(centre => ({
+                name: centre.NAME || '',
+                parent: centre.PARENT || '',
+                category: centre.CATEGORY || ''
+            }));
+
+            if (filters.category) {
+                const category = filters.category.toLowerCase();
+                centres = centres.filter(centre => centre.category.toLowerCase() === category);
+            }
+
+            if (filters.parent) {
+                const parent = filters.parent.toLowerCase();
+                centres = centres.filter(centre => centre.parent.toLowerCase() === parent);
+            }
+
+            return {
+                success: true,
+                data: centres,
+                count: centres.length
+            };
+        } catch (error) {
+            throw TallyError.wrap(error, 'Failed to fetch cost centre list');
+        }
+    }
+
+    /**
+     * Get the rows of a TDL collection response
+     * @param {Object} responseData - Raw response data from Tally
+     * @param {string} type - Object element name (e.g. 'COSTCENTRE')
+     * @returns {Array<Object>} Raw rows
+     * @private
+     */
+    _parseCollection(responseData, type) {
+        const envelope = responseData.ENVELOPE || responseData;
+        const body = envelope.BODY || envelope;
+        const collection = body.DATA && body.DATA.COLLECTION;
+        const rows = collection ? collection[type] || [] : [];
+
+        return (Array.isArray(rows) ? rows : [rows]).filter(Boolean);
+    }
+}
+
+export default CostCentreService;
@@ -1,4 +1,6 @@
 import { XmlBuilder } from '../utils/XmlBuilder.js';
+import { BaseService } from './BaseService.js';
+import { TallyAbortError, TallyError, TallyNotFoundError, TallyValidationError } from '../errors/index.js';
 
 /**
  * LedgerService - Service class for managing ledger operations in TallyPrime
@@ -6,13 +8,15 @@ import { XmlBuilder } from '../utils/XmlBuilder.js';
  * 
  * @class LedgerService
  */
-export class LedgerService {
+export class LedgerService extends BaseService {
     /**
      * Create a LedgerService instance
      * @param {TallyConnector} connector - TallyConnector instance
+     * @param {Object} [options] - Service options
+     * @param {string} [options.companyName] - Company every request is scoped to
      */
-    constructor(connector) {
-        this.connector = connector;
+    constructor(connector, options = {}) {
+        super(connector, options);
     }
 
     /**
@@ -25,6 +29,7 @@ export class LedgerService {
      * @param {number} [ledgerData.openingBalance.amount] - Opening balance amount
      * @param {boolean} [ledgerData.openingBalance.isBillWise] - Enable bill-wise details
      * @param {boolean} [ledgerData.openingBalance.isCostCentre] - Enable cost centre
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
      * @returns {Promise<Object>} Created ledger response
      * 
      * @example
@@ -39,29 +44,78 @@ export class LedgerService {
      *   }
      * });
      */
-    async createLedger(ledgerData) {
+    async createLedger(ledgerData, options = {}) {
         if (!ledgerData.name) {
-            throw new Error('Ledger name is required');
+            throw new TallyValidationError('Ledger name is required');
         }
         
         if (!ledgerData.parent) {
-            throw new Error('Parent group is required');
+            throw new TallyValidationError('Parent group is required');
         }
 
         try {
             const ledgerXml = XmlBuilder.buildLedgerXml(ledgerData);
-            const importXml = XmlBuilder.buildImportRequest(ledgerXml, { reportName: 'All Masters', companyName: process.env.TALLY_COMPANY });
+            const importXml = XmlBuilder.buildImportRequest(ledgerXml, this._builderOptions({ reportName: 'All Masters' }));
             
-            const response = await this.connector.sendRequest(importXml);
+            const response = await this._sendRequest(importXml, options, 'createLedger');
             
             return {
                 success: true,
                 message: `Ledger '${ledgerData.name}' created successfully`,
                 data: response.data,
+                importResult: response.importResult,
                 ledgerName: ledgerData.name
             };
         } catch (error) {
-            throw new Error(`Failed to create ledger: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to create ledger');
+        }
+    }
+
+    /**
+     * Import many groups and ledgers, several per Import Data request
+     * Groups and ledgers that already exist are skipped. Groups are sent before ledgers, and a
+     * group after the groups of the import it sits under, so one call can set up a whole chart of
+     * accounts (see BaseService#_importMasters for how rejected masters are told apart).
+     * @param {Object} masters - Masters to import
+     * @param {Array<Object>} [masters.groups] - Groups ({ name, parent }; omit parent for Primary)
+     * @param {Array<Object>} [masters.ledgers] - Ledgers, as createLedger takes them
+     * @param {Object} [options] - Import options and request options ({ signal, timeout, priority })
+     * @param {number} [options.batchSize=100] - Masters per request
+     * @param {Function} [options.onProgress] - Called after each batch with { batch, batches, processed,
+     * total, created, failed }
+     * @returns {Promise<Object>} Import summary: { success, total, created, skipped, failed, batches, results },
+     * with one result { type ('group' or 'ledger'), index, name, status ('created', 'skipped' or 'failed'),
+     * error } per master, groups first
+     *
+     * @example
+     * const summary = await ledgerService.importLedgers({
+     *   groups: [{ name: 'Online Customers', parent: 'Sundry Debtors' }],
+     *   ledgers: [
+     *     { name: 'Acme Retail', parent: 'Online Customers' },
+     *     { name: 'Globex Stores', parent: 'Online Customers' }
+     *   ]
+     * });
+     * summary.results.filter(row => row.status === 'failed').forEach(row => console.log(row.name, row.error));
+     */
+    async importLedgers(masters, options = {}) {
+        if (!masters || typeof masters !== 'object' || Array.isArray(masters)) {
+            throw new TallyValidationError('Masters must be an object with groups and/or ledgers', { field: 'masters' });
+        }
+
+        const { groups = [], ledgers = [] } = masters;
+        if (!Array.isArray(groups) || !Array.isArray(ledgers)) {
+            throw new TallyValidationError('Groups and ledgers must be arrays', { field: 'masters' });
+        }
+
+        const rows = [
+            ...groups.map((groupData, index) => this._importRow('group', index, groupData)),
+            ...ledgers.map((ledgerData, index) => this._importRow('ledger', index, ledgerData))
+        ];
+
+        try {
+            return await this._importMasters(rows, options, 'importLedgers');
+        } catch (error) {
+            throw TallyError.wrap(error, 'Failed to import ledgers');
         }
     }
 
@@ -72,6 +126,8 @@ export class LedgerService {
      * @param {boolean} [options.includeBalance] - Include current balance
      * @param {string} [options.fromDate] - From date for balance calculation
      * @param {string} [options.toDate] - To date for balance calculation
+     * @param {AbortSignal} [options.signal] - Abort signal
+     * @param {number} [options.timeout] - Per-call timeout in milliseconds
      * @returns {Promise<Object>} Ledger details
      * 
      * @example
@@ -83,7 +139,7 @@ export class LedgerService {
      */
     async fetchLedger(ledgerName, options = {}) {
         if (!ledgerName) {
-            throw new Error('Ledger name is required');
+            throw new TallyValidationError('Ledger name is required');
         }
 
         try {
@@ -94,16 +150,24 @@ export class LedgerService {
             if (options.fromDate) filters.FROMDATE = options.fromDate;
             if (options.toDate) filters.TODATE = options.toDate;
 
-            const exportXml = XmlBuilder.buildExportRequest('Ledger Details', filters);
-            const response = await this.connector.sendRequest(exportXml);
+            const exportXml = XmlBuilder.buildExportRequest('Ledger Details', filters, this._builderOptions());
+            const response = await this._sendRequest(exportXml, options, 'fetchLedger');
+
+            const ledger = this._parseLedgerResponse(response.data);
+            if (!ledger.name) {
+                throw new TallyNotFoundError(`Ledger '${ledgerName}' not found`, {
+                    objectType: 'Ledger',
+                    objectName: ledgerName
+                });
+            }
 
             return {
                 success: true,
-                data: this._parseLedgerResponse(response.data),
+                data: ledger,
                 ledgerName
             };
         } catch (error) {
-            throw new Error(`Failed to fetch ledger: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to fetch ledger');
         }
     }
 
@@ -113,6 +177,7 @@ export class LedgerService {
      * @param {string} [filters.group] - Filter by parent group
      * @param {boolean} [filters.activeOnly] - Return only active ledgers
      * @param {string} [filters.nameContains] - Filter ledgers containing text
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
      * @returns {Promise<Array>} List of ledgers
      * 
      * @example
@@ -122,7 +187,7 @@ export class LedgerService {
      *   nameContains: 'Corp'
      * });
      */
-    async getLedgerList(filters = {}) {
+    async getLedgerList(filters = {}, options = {}) {
         try {
             const requestFilters = {};
             
@@ -131,8 +196,8 @@ export class LedgerService {
             }
 
             // Prefer robust TDL collection request
-            const exportXml = XmlBuilder.buildTDLCollectionRequest('Ledger List', 'Ledger', ['NAME','PARENT']);
-            const response = await this.connector.sendRequest(exportXml);
+            const exportXml = XmlBuilder.buildTDLCollectionRequest('Ledger List', 'Ledger', ['NAME','PARENT'], this._builderOptions());
+            const response = await this._sendRequest(exportXml, options, 'getLedgerList');
 
             let ledgers = this._parseLedgerListResponse(response.data);
 
@@ -154,7 +219,38 @@ export class LedgerService {
                 count: ledgers.length
             };
         } catch (error) {
-            throw new Error(`Failed to fetch ledger list: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to fetch ledger list');
+        }
+    }
+
+    /**
+     * Stream ledgers one at a time without loading the whole export into memory
+     * Make no other SDK calls inside the loop (see TallyConnector#streamRequest).
+     * @param {Object} [filters] - Filter criteria (see getLedgerList)
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
+     * @returns {AsyncGenerator<Object>} Ledgers in the same shape as getLedgerList entries
+     *
+     * @example
+     * for await (const ledger of ledgerService.streamLedgers({ nameContains: 'Corp' })) {
+     *   console.log(ledger.name, ledger.parent);
+     * }
+     */
+    async *streamLedgers(filters = {}, options = {}) {
+        const exportXml = XmlBuilder.buildTDLCollectionRequest('Ledger List', 'Ledger', ['NAME','PARENT'], this._builderOptions());
+        const searchTerm = filters.nameContains ? filters.nameContains.toLowerCase() : null;
+
+        try {
+            for await (const row of this._streamRequest(exportXml, options, 'streamLedgers')) {
+                const ledger = this._parseLedgerRow(row || {});
+
+                if (!ledger.name) continue;
+                if (filters.activeOnly && ledger.isActive === false) continue;
+                if (searchTerm && !ledger.name.toLowerCase().includes(searchTerm)) continue;
+
+                yield ledger;
+            }
+        } catch (error) {
+            throw TallyError.wrap(error, 'Failed to stream ledgers');
         }
     }
 
@@ -165,6 +261,7 @@ export class LedgerService {
      * @param {string} [updates.alias] - New alias
      * @param {string} [updates.parent] - New parent group
      * @param {Object} [updates.openingBalance] - Updated opening balance
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
      * @returns {Promise<Object>} Update response
      * 
      * @example
@@ -176,14 +273,14 @@ export class LedgerService {
      *   }
      * });
      */
-    async updateLedger(ledgerName, updates) {
+    async updateLedger(ledgerName, updates, options = {}) {
         if (!ledgerName) {
-            throw new Error('Ledger name is required');
+            throw new TallyValidationError('Ledger name is required');
         }
 
         try {
             // First, fetch current ledger details
-            const currentLedger = await this.fetchLedger(ledgerName);
+            const currentLedger = await this.fetchLedger(ledgerName, BaseService.requestOptions(options));
             
             // Merge current data with updates
             const updatedLedgerData = {
@@ -196,18 +293,19 @@ export class LedgerService {
             // Build update XML (similar to create, but with ACTION="Alter")
             const ledgerXml = XmlBuilder.buildLedgerXml(updatedLedgerData);
             const updateXml = ledgerXml.replace('ACTION="Create"', 'ACTION="Alter"');
-            const importXml = XmlBuilder.buildImportRequest(updateXml, { reportName: 'All Masters', companyName: process.env.TALLY_COMPANY });
+            const importXml = XmlBuilder.buildImportRequest(updateXml, this._builderOptions({ reportName: 'All Masters' }));
             
-            const response = await this.connector.sendRequest(importXml);
+            const response = await this._sendRequest(importXml, options, 'updateLedger');
             
             return {
                 success: true,
                 message: `Ledger '${ledgerName}' updated successfully`,
                 data: response.data,
+                importResult: response.importResult,
                 ledgerName
             };
         } catch (error) {
-            throw new Error(`Failed to update ledger: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to update ledger');
         }
     }
 
@@ -216,6 +314,8 @@ export class LedgerService {
      * @param {string} ledgerName - Name of the ledger to delete
      * @param {Object} [options] - Deletion options
      * @param {boolean} [options.force] - Force deletion even if ledger has transactions
+     * @param {AbortSignal} [options.signal] - Abort signal
+     * @param {number} [options.timeout] - Per-call timeout in milliseconds
      * @returns {Promise<Object>} Deletion response
      * 
      * @example
@@ -225,15 +325,15 @@ export class LedgerService {
      */
     async deleteLedger(ledgerName, options = {}) {
         if (!ledgerName) {
-            throw new Error('Ledger name is required');
+            throw new TallyValidationError('Ledger name is required');
         }
 
         try {
             // Check if ledger has transactions (unless force is true)
             if (!options.force) {
-                const hasTransactions = await this.checkLedgerTransactions(ledgerName);
+                const hasTransactions = await this.checkLedgerTransactions(ledgerName, BaseService.requestOptions(options));
                 if (hasTransactions) {
-                    throw new Error('Cannot delete ledger with existing transactions. Use force option to override.');
+                    throw new TallyValidationError('Cannot delete ledger with existing transactions. Use force option to override.');
                 }
             }
 
@@ -243,17 +343,18 @@ export class LedgerService {
                 </LEDGER>
             </TALLYMESSAGE>`;
             
-            const importXml = XmlBuilder.buildImportRequest(deleteXml, { reportName: 'All Masters', companyName: process.env.TALLY_COMPANY });
-            const response = await this.connector.sendRequest(importXml);
+            const importXml = XmlBuilder.buildImportRequest(deleteXml, this._builderOptions({ reportName: 'All Masters' }));
+            const response = await this._sendRequest(importXml, options, 'deleteLedger');
             
             return {
                 success: true,
                 message: `Ledger '${ledgerName}' deleted successfully`,
                 data: response.data,
+                importResult: response.importResult,
                 ledgerName
             };
         } catch (error) {
-            throw new Error(`Failed to delete ledger: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to delete ledger');
         }
     }
 
@@ -264,6 +365,8 @@ export class LedgerService {
      * @param {string} [options.fromDate] - Start date (default: financial year start)
      * @param {string} [options.toDate] - End date (default: current date)
      * @param {boolean} [options.includePending] - Include pending transactions
+     * @param {AbortSignal} [options.signal] - Abort signal
+     * @param {number} [options.timeout] - Per-call timeout in milliseconds
      * @returns {Promise<Object>} Ledger balance information
      * 
      * @example
@@ -275,7 +378,7 @@ export class LedgerService {
      */
     async getLedgerBalance(ledgerName, options = {}) {
         if (!ledgerName) {
-            throw new Error('Ledger name is required');
+            throw new TallyValidationError('Ledger name is required');
         }
 
         try {
@@ -285,8 +388,8 @@ export class LedgerService {
                 TODATE: options.toDate || XmlBuilder.formatDate(new Date())
             };
 
-            const exportXml = XmlBuilder.buildExportRequest('Ledger Balance', filters);
-            const response = await this.connector.sendRequest(exportXml);
+            const exportXml = XmlBuilder.buildExportRequest('Ledger Balance', filters, this._builderOptions());
+            const response = await this._sendRequest(exportXml, options, 'getLedgerBalance');
 
             return {
                 success: true,
@@ -298,17 +401,18 @@ export class LedgerService {
                 }
             };
         } catch (error) {
-            throw new Error(`Failed to get ledger balance: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to get ledger balance');
         }
     }
 
     /**
      * Check if a ledger has transactions
      * @param {string} ledgerName - Name of the ledger to check
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
      * @returns {Promise<boolean>} True if ledger has transactions
      * @private
      */
-    async checkLedgerTransactions(ledgerName) {
+    async checkLedgerTransactions(ledgerName, options = {}) {
         try {
             const filters = {
                 LEDGERNAME: ledgerName,
@@ -316,18 +420,53 @@ export class LedgerService {
                 TODATE: XmlBuilder.formatDate(new Date())
             };
 
-            const exportXml = XmlBuilder.buildExportRequest('Ledger Transactions', filters);
-            const response = await this.connector.sendRequest(exportXml);
+            const exportXml = XmlBuilder.buildExportRequest('Ledger Transactions', filters, this._builderOptions());
+            const response = await this._sendRequest(exportXml, options, 'checkLedgerTransactions');
             
             // Parse response to check if there are any transactions
             const transactions = this._parseLedgerTransactionsResponse(response.data);
             return transactions && transactions.length > 0;
         } catch (error) {
+            if (error instanceof TallyAbortError) throw error;
             // If error occurs, assume there are transactions to be safe
             return true;
         }
     }
 
+    /**
+     * Describe one group or ledger of importLedgers for BaseService#_importMasters
+     * @param {string} type - 'group' or 'ledger'
+     * @param {number} index - Position in its array
+     * @param {Object} data - Group or ledger data
+     * @returns {Object} Import row; `error` is set if the data is invalid
+     * @private
+     */
+    _importRow(type, index, data) {
+        const isGroup = type === 'group';
+        const row = {
+            type,
+            index,
+            collection: isGroup ? 'Group' : 'Ledger',
+            name: data && data.name,
+            rank: isGroup ? 0 : 1,
+            dependsOn: data && data.parent ? [['Group', data.parent]] : [],
+            xml: null,
+            error: null
+        };
+
+        if (!data || typeof data !== 'object') {
+            row.error = `${row.collection} data must be an object`;
+        } else if (!data.name) {
+            row.error = `${row.collection} name is required`;
+        } else if (!isGroup && !data.parent) {
+            row.error = 'Parent group is required';
+        } else {
+            row.xml = isGroup ? XmlBuilder.buildGroupXml(data) : XmlBuilder.buildLedgerXml(data);
+        }
+
+        return row;
+    }
+
     /**
      * Parse ledger response data
      * @param {Object} responseData - Raw response data from Tally
@@ -368,25 +507,34 @@ export class LedgerService {
         const body = envelope.BODY || envelope;
         
         // Handle TDL Collection response: top-level is RESPONSE/ or COLLECTION dump
-        const tdlNodes = body?.DESC || body?.COLLECTION || body?.TALLYMESSAGE;
+        const tdlNodes = body?.DATA?.COLLECTION?.LEDGER || body?.DESC || body?.COLLECTION || body?.TALLYMESSAGE;
         const exportData = body.EXPORTDATA && body.EXPORTDATA.REQUESTDATA && body.EXPORTDATA.REQUESTDATA.TALLYMESSAGE;
         const nodes = exportData || tdlNodes || [];
         const arr = Array.isArray(nodes) ? nodes : [nodes];
 
         return arr
-            .map(n => n || {})
-            .map(node => ({
-                name: node.NAME || node.LedgerName || node.$NAME || '',
-                parent: node.PARENT || node.Parent || '',
-                alias: node.ALIAS || node.Alias || '',
-                isActive: node.ISACTIVE ? node.ISACTIVE !== 'No' : true
-            }))
+            .map(n => this._parseLedgerRow(n || {}))
             .filter(x => x.name);
         
 
         return [];
     }
 
+    /**
+     * Parse a single ledger row of a ledger list
+     * @param {Object} node - Raw ledger row from Tally
+     * @returns {Object} Parsed ledger summary
+     * @private
+     */
+    _parseLedgerRow(node) {
+        return {
+            name: node.NAME || node.LedgerName || node.$NAME || '',
+            parent: node.PARENT || node.Parent || '',
+            alias: node.ALIAS || node.Alias || '',
+            isActive: node.ISACTIVE ? node.ISACTIVE !== 'No' : true
+        };
+    }
+
     /**
      * Parse ledger balance response data
      * @param {Object} responseData - Raw response data from Tally
@@ -1,4 +1,6 @@
 import { XmlBuilder } from '../utils/XmlBuilder.js';
+import { BaseService } from './BaseService.js';
+import { TallyAbortError, TallyError, TallyNotFoundError, TallyValidationError } from '../errors/index.js';
 
 /**
  * StockItemService - Service class for managing stock items and inventory in TallyPrime
@@ -6,13 +8,15 @@ import { XmlBuilder } from '../utils/XmlBuilder.js';
  * 
  * @class StockItemService
  */
-export class StockItemService {
+export class StockItemService extends BaseService {
     /**
      * Create a StockItemService instance
      * @param {TallyConnector} connector - TallyConnector instance
+     * @param {Object} [options] - Service options
+     * @param {string} [options.companyName] - Company every request is scoped to
      */
-    constructor(connector) {
-        this.connector = connector;
+    constructor(connector, options = {}) {
+        super(connector, options);
     }
 
     /**
@@ -26,6 +30,14 @@ export class StockItemService {
      * @param {number} [stockData.openingBalance.quantity] - Opening quantity
      * @param {number} [stockData.openingBalance.rate] - Opening rate per unit
      * @param {number} [stockData.openingBalance.value] - Opening value
+     * @param {Object} [stockData.gst] - GST details
+     * @param {string} [stockData.gst.hsnCode] - HSN/SAC code
+     * @param {number} [stockData.gst.gstRate] - Integrated GST rate in percent (e.g. 18)
+     * @param {number} [stockData.gst.cessRate] - Cess rate in percent
+     * @param {string} [stockData.gst.taxability] - Taxability (default 'Taxable')
+     * @param {string} [stockData.gst.typeOfSupply] - 'Goods' (default) or 'Services'
+     * @param {string} [stockData.gst.applicableFrom] - Date the GST details apply from (default '1-Jul-2017')
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
      * @returns {Promise<Object>} Created stock item response
      * 
      * @example
@@ -41,33 +53,83 @@ export class StockItemService {
      *   }
      * });
      */
-    async createStockItem(stockData) {
+    async createStockItem(stockData, options = {}) {
         if (!stockData.name) {
-            throw new Error('Stock item name is required');
+            throw new TallyValidationError('Stock item name is required');
         }
         
         if (!stockData.parent) {
-            throw new Error('Parent group is required');
+            throw new TallyValidationError('Parent group is required');
         }
 
         if (!stockData.baseUnits) {
-            throw new Error('Base units are required');
+            throw new TallyValidationError('Base units are required');
         }
 
         try {
             const stockXml = XmlBuilder.buildStockItemXml(stockData);
-            const importXml = XmlBuilder.buildImportRequest(stockXml);
+            const importXml = XmlBuilder.buildImportRequest(stockXml, this._builderOptions());
             
-            const response = await this.connector.sendRequest(importXml);
+            const response = await this._sendRequest(importXml, options, 'createStockItem');
             
             return {
                 success: true,
                 message: `Stock item '${stockData.name}' created successfully`,
                 data: response.data,
+                importResult: response.importResult,
                 stockItemName: stockData.name
             };
         } catch (error) {
-            throw new Error(`Failed to create stock item: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to create stock item');
+        }
+    }
+
+    /**
+     * Import many units, stock groups and stock items, several per Import Data request
+     * Masters that already exist are skipped. Units and stock groups are sent before stock items,
+     * and a stock group after the stock groups of the import it sits under (see
+     * BaseService#_importMasters for how rejected masters are told apart).
+     * @param {Object} masters - Masters to import
+     * @param {Array<Object>} [masters.units] - Simple units ({ name, formalName, decimalPlaces })
+     * @param {Array<Object>} [masters.stockGroups] - Stock groups ({ name, parent, alias }; omit parent for Primary)
+     * @param {Array<Object>} [masters.stockItems] - Stock items, as createStockItem takes them
+     * @param {Object} [options] - Import options and request options ({ signal, timeout, priority })
+     * @param {number} [options.batchSize=100] - Masters per request
+     * @param {Function} [options.onProgress] - Called after each batch with { batch, batches, processed,
+     * total, created, failed }
+     * @returns {Promise<Object>} Import summary: { success, total, created, skipped, failed, batches, results },
+     * with one result { type ('unit', 'stockGroup' or 'stockItem'), index, name, status ('created',
+     * 'skipped' or 'failed'), error } per master, units first, then stock groups
+     *
+     * @example
+     * const summary = await stockItemService.importStockItems({
+     *   units: [{ name: 'Kg', formalName: 'Kilograms', decimalPlaces: 3 }],
+     *   stockGroups: [{ name: 'Raw Materials' }],
+     *   stockItems: [{ name: 'Copper Wire', parent: 'Raw Materials', baseUnits: 'Kg' }]
+     * });
+     */
+    async importStockItems(masters, options = {}) {
+        if (!masters || typeof masters !== 'object' || Array.isArray(masters)) {
+            throw new TallyValidationError('Masters must be an object with units, stockGroups and/or stockItems', {
+                field: 'masters'
+            });
+        }
+
+        const { units = [], stockGroups = [], stockItems = [] } = masters;
+        if (![units, stockGroups, stockItems].every(Array.isArray)) {
+            throw new TallyValidationError('Units, stock groups and stock items must be arrays', { field: 'masters' });
+        }
+
+        const rows = [
+            ...units.map((unitData, index) => this._importRow('unit', index, unitData)),
+            ...stockGroups.map((stockGroupData, index) => this._importRow('stockGroup', index, stockGroupData)),
+            ...stockItems.map((stockData, index) => this._importRow('stockItem', index, stockData))
+        ];
+
+        try {
+            return await this._importMasters(rows, options, 'importStockItems');
+        } catch (error) {
+            throw TallyError.wrap(error, 'Failed to import stock items');
         }
     }
 
@@ -77,6 +139,8 @@ export class StockItemService {
      * @param {Object} [options] - Additional fetch options
      * @param {boolean} [options.includeBalance] - Include current stock balance
      * @param {string} [options.asOn] - Date for balance calculation
+     * @param {AbortSignal} [options.signal] - Abort signal
+     * @param {number} [options.timeout] - Per-call timeout in milliseconds
      * @returns {Promise<Object>} Stock item details
      * 
      * @example
@@ -87,7 +151,7 @@ export class StockItemService {
      */
     async fetchStockItem(stockItemName, options = {}) {
         if (!stockItemName) {
-            throw new Error('Stock item name is required');
+            throw new TallyValidationError('Stock item name is required');
         }
 
         try {
@@ -97,16 +161,24 @@ export class StockItemService {
 
             if (options.asOn) filters.ASON = options.asOn;
 
-            const exportXml = XmlBuilder.buildExportRequest('Stock Item Details', filters);
-            const response = await this.connector.sendRequest(exportXml);
+            const exportXml = XmlBuilder.buildExportRequest('Stock Item Details', filters, this._builderOptions());
+            const response = await this._sendRequest(exportXml, options, 'fetchStockItem');
+
+            const stockItem = this._parseStockItemResponse(response.data);
+            if (!stockItem.name) {
+                throw new TallyNotFoundError(`Stock item '${stockItemName}' not found`, {
+                    objectType: 'Stock Item',
+                    objectName: stockItemName
+                });
+            }
 
             return {
                 success: true,
-                data: this._parseStockItemResponse(response.data),
+                data: stockItem,
                 stockItemName
             };
         } catch (error) {
-            throw new Error(`Failed to fetch stock item: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to fetch stock item');
         }
     }
 
@@ -117,6 +189,7 @@ export class StockItemService {
      * @param {boolean} [filters.activeOnly] - Return only active stock items
      * @param {string} [filters.nameContains] - Filter stock items containing text
      * @param {boolean} [filters.withBalance] - Only items with non-zero balance
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
      * @returns {Promise<Array>} List of stock items
      * 
      * @example
@@ -127,7 +200,7 @@ export class StockItemService {
      *   withBalance: true
      * });
      */
-    async getStockItemList(filters = {}) {
+    async getStockItemList(filters = {}, options = {}) {
         try {
             const requestFilters = {};
             
@@ -135,8 +208,8 @@ export class StockItemService {
                 requestFilters.GROUP = filters.group;
             }
 
-            const exportXml = XmlBuilder.buildTDLCollectionRequest('Stock Item List', 'Stock Item', ['NAME','PARENT']);
-            const response = await this.connector.sendRequest(exportXml);
+            const exportXml = XmlBuilder.buildTDLCollectionRequest('Stock Item List', 'Stock Item', ['NAME','PARENT'], this._builderOptions());
+            const response = await this._sendRequest(exportXml, options, 'getStockItemList');
 
             let stockItems = this._parseStockItemListResponse(response.data);
 
@@ -164,7 +237,78 @@ export class StockItemService {
                 count: stockItems.length
             };
         } catch (error) {
-            throw new Error(`Failed to fetch stock item list: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to fetch stock item list');
+        }
+    }
+
+    /**
+     * Get list of all units of measure
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
+     * @returns {Promise<Object>} List of units
+     *
+     * @example
+     * const { data } = await stockItemService.getUnitList();
+     * // [{ name: 'Nos', formalName: 'Numbers', isSimpleUnit: true }, ...]
+     */
+    async getUnitList(options = {}) {
+        try {
+            const exportXml = XmlBuilder.buildTDLCollectionRequest(
+                'Unit List',
+                'Unit',
+                ['NAME', 'ORIGINALNAME', 'ISSIMPLEUNIT'],
+                this._builderOptions()
+            );
+            const response = await this._sendRequest(exportXml, options, 'getUnitList');
+
+            const envelope = response.data.ENVELOPE || response.data;
+            const body = envelope.BODY || envelope;
+            const collection = body.DATA && body.DATA.COLLECTION;
+            const units = (collection && collection.UNIT ? [].concat(collection.UNIT) : [])
+                .filter(Boolean)
+                .map(unit => ({
+                    name: unitName(unit),
+                    formalName: unit.ORIGINALNAME || '',
+                    isSimpleUnit: unit.ISSIMPLEUNIT !== 'No'
+                }));
+
+            return {
+                success: true,
+                data: units,
+                count: units.length
+            };
+        } catch (error) {
+            throw TallyError.wrap(error, 'Failed to fetch unit list');
+        }
+    }
+
+    /**
+     * Stream stock items one at a time without loading the whole export into memory
+     * Make no other SDK calls inside the loop (see TallyConnector#streamRequest).
+     * @param {Object} [filters] - Filter criteria (see getStockItemList)
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
+     * @returns {AsyncGenerator<Object>} Stock items in the same shape as getStockItemList entries
+     *
+     * @example
+     * for await (const item of stockItemService.streamStockItems({ withBalance: true })) {
+     *   console.log(item.name, item.closingBalance.quantity);
+     * }
+     */
+    async *streamStockItems(filters = {}, options = {}) {
+        const exportXml = XmlBuilder.buildTDLCollectionRequest('Stock Item List', 'Stock Item', ['NAME','PARENT'], this._builderOptions());
+        const searchTerm = filters.nameContains ? filters.nameContains.toLowerCase() : null;
+
+        try {
+            for await (const row of this._streamRequest(exportXml, options, 'streamStockItems')) {
+                const item = this._parseStockItemRow(row || {});
+
+                if (filters.activeOnly && item.isActive === false) continue;
+                if (searchTerm && !item.name.toLowerCase().includes(searchTerm)) continue;
+                if (filters.withBalance && !(item.closingBalance.quantity > 0)) continue;
+
+                yield item;
+            }
+        } catch (error) {
+            throw TallyError.wrap(error, 'Failed to stream stock items');
         }
     }
 
@@ -175,6 +319,7 @@ export class StockItemService {
      * @param {string} [updates.alias] - New alias
      * @param {string} [updates.parent] - New parent group
      * @param {string} [updates.baseUnits] - New base units
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
      * @returns {Promise<Object>} Update response
      * 
      * @example
@@ -183,14 +328,14 @@ export class StockItemService {
      *   baseUnits: 'Kg'
      * });
      */
-    async updateStockItem(stockItemName, updates) {
+    async updateStockItem(stockItemName, updates, options = {}) {
         if (!stockItemName) {
-            throw new Error('Stock item name is required');
+            throw new TallyValidationError('Stock item name is required');
         }
 
         try {
             // First, fetch current stock item details
-            const currentItem = await this.fetchStockItem(stockItemName);
+            const currentItem = await this.fetchStockItem(stockItemName, BaseService.requestOptions(options));
             
             // Merge current data with updates
             const updatedStockData = {
@@ -204,18 +349,19 @@ export class StockItemService {
             // Build update XML (similar to create, but with ACTION="Alter")
             const stockXml = XmlBuilder.buildStockItemXml(updatedStockData);
             const updateXml = stockXml.replace('ACTION="Create"', 'ACTION="Alter"');
-            const importXml = XmlBuilder.buildImportRequest(updateXml);
+            const importXml = XmlBuilder.buildImportRequest(updateXml, this._builderOptions());
             
-            const response = await this.connector.sendRequest(importXml);
+            const response = await this._sendRequest(importXml, options, 'updateStockItem');
             
             return {
                 success: true,
                 message: `Stock item '${stockItemName}' updated successfully`,
                 data: response.data,
+                importResult: response.importResult,
                 stockItemName
             };
         } catch (error) {
-            throw new Error(`Failed to update stock item: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to update stock item');
         }
     }
 
@@ -224,6 +370,8 @@ export class StockItemService {
      * @param {string} stockItemName - Name of the stock item to delete
      * @param {Object} [options] - Deletion options
      * @param {boolean} [options.force] - Force deletion even if item has transactions
+     * @param {AbortSignal} [options.signal] - Abort signal
+     * @param {number} [options.timeout] - Per-call timeout in milliseconds
      * @returns {Promise<Object>} Deletion response
      * 
      * @example
@@ -233,15 +381,15 @@ export class StockItemService {
      */
     async deleteStockItem(stockItemName, options = {}) {
         if (!stockItemName) {
-            throw new Error('Stock item name is required');
+            throw new TallyValidationError('Stock item name is required');
         }
 
         try {
             // Check if stock item has transactions (unless force is true)
             if (!options.force) {
-                const hasTransactions = await this.checkStockTransactions(stockItemName);
+                const hasTransactions = await this.checkStockTransactions(stockItemName, BaseService.requestOptions(options));
                 if (hasTransactions) {
-                    throw new Error('Cannot delete stock item with existing transactions. Use force option to override.');
+                    throw new TallyValidationError('Cannot delete stock item with existing transactions. Use force option to override.');
                 }
             }
 
@@ -251,17 +399,18 @@ export class StockItemService {
                 </STOCKITEM>
             </TALLYMESSAGE>`;
             
-            const importXml = XmlBuilder.buildImportRequest(deleteXml);
-            const response = await this.connector.sendRequest(importXml);
+            const importXml = XmlBuilder.buildImportRequest(deleteXml, this._builderOptions());
+            const response = await this._sendRequest(importXml, options, 'deleteStockItem');
             
             return {
                 success: true,
                 message: `Stock item '${stockItemName}' deleted successfully`,
                 data: response.data,
+                importResult: response.importResult,
                 stockItemName
             };
         } catch (error) {
-            throw new Error(`Failed to delete stock item: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to delete stock item');
         }
     }
 
@@ -271,6 +420,8 @@ export class StockItemService {
      * @param {Object} [options] - Balance calculation options
      * @param {string} [options.asOn] - Date for balance calculation (default: current date)
      * @param {string} [options.godown] - Specific godown/location
+     * @param {AbortSignal} [options.signal] - Abort signal
+     * @param {number} [options.timeout] - Per-call timeout in milliseconds
      * @returns {Promise<Object>} Stock balance information
      * 
      * @example
@@ -281,7 +432,7 @@ export class StockItemService {
      */
     async getStockBalance(stockItemName, options = {}) {
         if (!stockItemName) {
-            throw new Error('Stock item name is required');
+            throw new TallyValidationError('Stock item name is required');
         }
 
         try {
@@ -292,8 +443,8 @@ export class StockItemService {
 
             if (options.godown) filters.GODOWN = options.godown;
 
-            const exportXml = XmlBuilder.buildExportRequest('Stock Balance', filters);
-            const response = await this.connector.sendRequest(exportXml);
+            const exportXml = XmlBuilder.buildExportRequest('Stock Balance', filters, this._builderOptions());
+            const response = await this._sendRequest(exportXml, options, 'getStockBalance');
 
             return {
                 success: true,
@@ -302,7 +453,7 @@ export class StockItemService {
                 asOn: filters.ASON
             };
         } catch (error) {
-            throw new Error(`Failed to get stock balance: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to get stock balance');
         }
     }
 
@@ -313,6 +464,8 @@ export class StockItemService {
      * @param {string} [options.asOn] - Date for summary (default: current date)
      * @param {boolean} [options.includeZeroBalance] - Include items with zero balance
      * @param {string} [options.godown] - Specific godown/location
+     * @param {AbortSignal} [options.signal] - Abort signal
+     * @param {number} [options.timeout] - Per-call timeout in milliseconds
      * @returns {Promise<Object>} Stock summary report
      * 
      * @example
@@ -335,8 +488,8 @@ export class StockItemService {
                 filters.INCLUDEZEROBALANCE = options.includeZeroBalance ? 'Yes' : 'No';
             }
 
-            const exportXml = XmlBuilder.buildExportRequest('Stock Summary', filters);
-            const response = await this.connector.sendRequest(exportXml);
+            const exportXml = XmlBuilder.buildExportRequest('Stock Summary', filters, this._builderOptions());
+            const response = await this._sendRequest(exportXml, options, 'getStockSummary');
 
             return {
                 success: true,
@@ -344,7 +497,7 @@ export class StockItemService {
                 asOn: filters.ASON
             };
         } catch (error) {
-            throw new Error(`Failed to get stock summary: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to get stock summary');
         }
     }
 
@@ -356,6 +509,8 @@ export class StockItemService {
      * @param {string} [options.toDate] - End date for movements
      * @param {string} [options.voucherType] - Filter by voucher type
      * @param {string} [options.godown] - Specific godown/location
+     * @param {AbortSignal} [options.signal] - Abort signal
+     * @param {number} [options.timeout] - Per-call timeout in milliseconds
      * @returns {Promise<Array>} Stock movements
      * 
      * @example
@@ -368,7 +523,7 @@ export class StockItemService {
      */
     async getStockMovements(stockItemName, options = {}) {
         if (!stockItemName) {
-            throw new Error('Stock item name is required');
+            throw new TallyValidationError('Stock item name is required');
         }
 
         try {
@@ -381,8 +536,8 @@ export class StockItemService {
             if (options.voucherType) filters.VOUCHERTYPE = options.voucherType;
             if (options.godown) filters.GODOWN = options.godown;
 
-            const exportXml = XmlBuilder.buildExportRequest('Stock Movements', filters);
-            const response = await this.connector.sendRequest(exportXml);
+            const exportXml = XmlBuilder.buildExportRequest('Stock Movements', filters, this._builderOptions());
+            const response = await this._sendRequest(exportXml, options, 'getStockMovements');
 
             return {
                 success: true,
@@ -394,17 +549,18 @@ export class StockItemService {
                 }
             };
         } catch (error) {
-            throw new Error(`Failed to get stock movements: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to get stock movements');
         }
     }
 
     /**
      * Check if a stock item has transactions
      * @param {string} stockItemName - Name of the stock item to check
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
      * @returns {Promise<boolean>} True if stock item has transactions
      * @private
      */
-    async checkStockTransactions(stockItemName) {
+    async checkStockTransactions(stockItemName, options = {}) {
         try {
             const filters = {
                 STOCKITEMNAME: stockItemName,
@@ -412,18 +568,67 @@ export class StockItemService {
                 TODATE: XmlBuilder.formatDate(new Date())
             };
 
-            const exportXml = XmlBuilder.buildExportRequest('Stock Transactions', filters);
-            const response = await this.connector.sendRequest(exportXml);
+            const exportXml = XmlBuilder.buildExportRequest('Stock Transactions', filters, this._builderOptions());
+            const response = await this._sendRequest(exportXml, options, 'checkStockTransactions');
             
             // Parse response to check if there are any transactions
             const transactions = this._parseStockMovementsResponse(response.data);
             return transactions && transactions.length > 0;
         } catch (error) {
+            if (error instanceof TallyAbortError) throw error;
             // If error occurs, assume there are transactions to be safe
             return true;
         }
     }
 
+    /**
+     * Describe one unit, stock group or stock item of importStockItems for BaseService#_importMasters
+     * @param {string} type - 'unit', 'stockGroup' or 'stockItem'
+     * @param {number} index - Position in its array
+     * @param {Object} data - Master data
+     * @returns {Object} Import row; `error` is set if the data is invalid
+     * @private
+     */
+    _importRow(type, index, data) {
+        const collection = { unit: 'Unit', stockGroup: 'Stock Group', stockItem: 'Stock Item' }[type];
+        const row = {
+            type,
+            index,
+            collection,
+            name: data && data.name,
+            rank: type === 'stockItem' ? 1 : 0,
+            dependsOn: [],
+            xml: null,
+            error: null
+        };
+
+        if (!data || typeof data !== 'object') {
+            row.error = `${collection} data must be an object`;
+            return row;
+        }
+        if (!data.name) {
+            row.error = `${collection} name is required`;
+            return row;
+        }
+
+        if (data.parent && type !== 'unit') row.dependsOn.push(['Stock Group', data.parent]);
+
+        if (type === 'unit') {
+            row.xml = XmlBuilder.buildUnitXml(data);
+        } else if (type === 'stockGroup') {
+            row.xml = XmlBuilder.buildStockGroupXml(data);
+        } else if (!data.parent) {
+            row.error = 'Parent group is required';
+        } else if (!data.baseUnits) {
+            row.error = 'Base units are required';
+        } else {
+            row.dependsOn.push(['Unit', data.baseUnits]);
+            row.xml = XmlBuilder.buildStockItemXml(data);
+        }
+
+        return row;
+    }
+
     /**
      * Parse stock item response data
      * @param {Object} responseData - Raw response data from Tally
@@ -466,27 +671,40 @@ export class StockItemService {
     _parseStockItemListResponse(responseData) {
         const envelope = responseData.ENVELOPE || responseData;
         const body = envelope.BODY || envelope;
-        
-        if (body.EXPORTDATA && body.EXPORTDATA.REQUESTDATA) {
-            const stockItems = body.EXPORTDATA.REQUESTDATA.TALLYMESSAGE || [];
+        const collection = body.DATA && body.DATA.COLLECTION;
+
+        if (collection || (body.EXPORTDATA && body.EXPORTDATA.REQUESTDATA)) {
+            const stockItems = collection
+                ? collection.STOCKITEM || []
+                : body.EXPORTDATA.REQUESTDATA.TALLYMESSAGE || [];
             const stockArray = Array.isArray(stockItems) ? stockItems : [stockItems];
             
-            return stockArray.map(stock => ({
-                name: stock.NAME || '',
-                parent: stock.PARENT || '',
-                alias: stock.ALIAS || '',
-                baseUnits: stock.BASEUNITS || '',
-                isActive: stock.ISACTIVE !== 'No',
-                closingBalance: {
-                    quantity: parseFloat(stock.CLOSINGBALANCE) || 0,
-                    value: parseFloat(stock.CLOSINGVALUE) || 0
-                }
-            }));
+            return stockArray.map(stock => this._parseStockItemRow(stock));
         }
 
         return [];
     }
 
+    /**
+     * Parse a single stock item row of a stock item list
+     * @param {Object} stock - Raw stock item row from Tally
+     * @returns {Object} Parsed stock item summary
+     * @private
+     */
+    _parseStockItemRow(stock) {
+        return {
+            name: stock.NAME || '',
+            parent: stock.PARENT || '',
+            alias: stock.ALIAS || '',
+            baseUnits: stock.BASEUNITS || '',
+            isActive: stock.ISACTIVE !== 'No',
+            closingBalance: {
+                quantity: parseFloat(stock.CLOSINGBALANCE) || 0,
+                value: parseFloat(stock.CLOSINGVALUE) || 0
+            }
+        };
+    }
+
     /**
      * Parse stock balance response data
      * @param {Object} responseData - Raw response data from Tally
@@ -601,4 +819,16 @@ export class StockItemService {
     }
 }
 
-export default StockItemService;
\ No newline at end of file
+/**
+ * Name of a unit row of a collection export (NAME arrives as the attribute, the field, or both)
+ * @param {Object} unit - Raw UNIT row
+ * @returns {string} Unit name
+ * @private
+ */
+function unitName(unit) {
+    const name = [].concat(unit.NAME)[0];
+    if (name === undefined || name === null) return '';
+    return typeof name === 'object' ? name._ || '' : name;
+}
+
+export default StockItemService;
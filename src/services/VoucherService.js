@@ -1,4 +1,23 @@
+import { randomUUID } from 'crypto';
 import { XmlBuilder } from '../utils/XmlBuilder.js';
+import { GstCalculator } from '../utils/GstCalculator.js';
+import { BaseService } from './BaseService.js';
+import { LedgerService } from './LedgerService.js';
+import { StockItemService } from './StockItemService.js';
+import { TallyError, TallyImportError, TallyNotFoundError, TallyValidationError } from '../errors/index.js';
+
+const BILL_TYPES = ['New Ref', 'Agst Ref', 'Advance', 'On Account'];
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * Voucher identifiers and the Voucher Details report variables that select by them
+ * @private
+ */
+const ID_FILTERS = {
+    guid: 'GUID',
+    masterId: 'MASTERID',
+    remoteId: 'REMOTEID'
+};
 
 /**
  * VoucherService - Service class for managing voucher operations in TallyPrime
@@ -6,13 +25,18 @@ import { XmlBuilder } from '../utils/XmlBuilder.js';
  * 
  * @class VoucherService
  */
-export class VoucherService {
+export class VoucherService extends BaseService {
     /**
      * Create a VoucherService instance
      * @param {TallyConnector} connector - TallyConnector instance
+     * @param {Object} [options] - Service options
+     * @param {string} [options.companyName] - Company every request is scoped to
      */
-    constructor(connector) {
-        this.connector = connector;
+    constructor(connector, options = {}) {
+        super(connector, options);
+        this._pendingPosts = new Map();
+        this._ledgers = new LedgerService(connector, options);
+        this._stockItems = new StockItemService(connector, options);
     }
 
     /**
@@ -22,12 +46,64 @@ export class VoucherService {
      * @param {string} voucherData.date - Voucher date (DD-MMM-YYYY format)
      * @param {string} [voucherData.voucherNumber] - Voucher number
      * @param {string} [voucherData.narration] - Voucher narration/description
+     * @param {string} [voucherData.remoteId] - Remote ID to create the voucher with; TallyPrime also makes it the GUID
      * @param {Array} voucherData.ledgerEntries - Array of ledger entries
      * @param {string} voucherData.ledgerEntries[].ledgerName - Ledger name for entry
      * @param {number} voucherData.ledgerEntries[].amount - Entry amount (positive for debit, negative for credit)
-     * @param {string} [voucherData.ledgerEntries[].billName] - Bill reference name
-     * @param {string} [voucherData.ledgerEntries[].billType] - Bill type ('New Ref', 'Against Ref', 'Advance')
-     * @returns {Promise<Object>} Created voucher response
+     * @param {string} [voucherData.ledgerEntries[].billName] - Bill reference name (shorthand for a single allocation)
+     * @param {string} [voucherData.ledgerEntries[].billType] - Bill type ('New Ref', 'Agst Ref', 'Advance', 'On Account')
+     * @param {Array} [voucherData.ledgerEntries[].billAllocations] - Bill-wise allocations of a party line; they
+     * must add up to the entry amount. Entries without billAllocations or billName carry no bill details.
+     * @param {string} [voucherData.ledgerEntries[].billAllocations[].name] - Bill name (not used for 'On Account')
+     * @param {string} [voucherData.ledgerEntries[].billAllocations[].billType] - 'New Ref' (default), 'Agst Ref',
+     * 'Advance' or 'On Account'
+     * @param {number} [voucherData.ledgerEntries[].billAllocations[].amount] - Amount, signed like the entry amount
+     * (optional for a lone allocation)
+     * @param {string} [voucherData.ledgerEntries[].billAllocations[].dueDate] - Due date of a New Ref bill
+     * @param {number} [voucherData.ledgerEntries[].billAllocations[].creditPeriod] - Credit period of a New Ref bill, in days
+     * @param {Array} [voucherData.ledgerEntries[].costAllocations] - Cost centre allocations; each cost category
+     * must allocate the whole entry amount
+     * @param {string} voucherData.ledgerEntries[].costAllocations[].costCentre - Cost centre name
+     * @param {string} [voucherData.ledgerEntries[].costAllocations[].category] - Cost category (default 'Primary Cost Category')
+     * @param {number} [voucherData.ledgerEntries[].costAllocations[].amount] - Amount, signed like the entry amount
+     * (optional for the only allocation in its category)
+     * @param {string} [voucherData.partyLedgerName] - Party ledger of an invoice
+     * @param {Array} [voucherData.inventoryEntries] - Stock lines; makes the voucher an item invoice
+     * @param {string} voucherData.inventoryEntries[].stockItemName - Stock item name
+     * @param {number} voucherData.inventoryEntries[].quantity - Quantity
+     * @param {string} [voucherData.inventoryEntries[].unit] - Unit symbol (e.g. 'Nos')
+     * @param {number} [voucherData.inventoryEntries[].rate] - Rate per unit (required without amount)
+     * @param {number} [voucherData.inventoryEntries[].discount] - Discount in percent
+     * @param {number} [voucherData.inventoryEntries[].amount] - Line amount (default: quantity x rate less discount)
+     * @param {string} voucherData.inventoryEntries[].ledgerName - Sales or purchase ledger the line is allocated to;
+     * the lines of each ledger must add up to that ledger's amount in ledgerEntries
+     * @param {string} [voucherData.inventoryEntries[].godownName] - Godown
+     * @param {string} [voucherData.inventoryEntries[].batchName] - Batch name
+     * @param {boolean} [voucherData.optional=false] - Create an optional (memorandum) voucher, kept out of the books
+     * until converted with convertToRegular
+     * @param {boolean} [voucherData.postDated=false] - Create a post-dated voucher, posted to the books on its date
+     * @param {string} [voucherData.idempotencyKey] - External reference (e.g. an order ID) that makes replays safe:
+     * when a voucher with this key already exists it is returned, or altered, instead of created again
+     * @param {Object<string, string>} [voucherData.udfs] - User-defined field values by UDF name
+     * @param {Object} [options] - Request options ({ signal, timeout, priority }) and idempotency options
+     * @param {string} [options.onDuplicate='return'] - With an idempotencyKey that already exists: 'return' the
+     * existing voucher unchanged, or 'alter' the fields that differ from voucherData (fields it leaves out are kept)
+     * @param {string} [options.idempotencyUdf] - UDF that stores the idempotency key; by default it is stored in
+     * REMOTEID, which also becomes the voucher's GUID
+     * @param {Object} [options.autoCreateMasters] - Check the ledgers and stock items the voucher refers to before
+     * posting it, and create the missing ones from these defaults; a missing master without defaults fails the call
+     * with a TallyNotFoundError instead of a line error
+     * @param {Object|Function} [options.autoCreateMasters.ledgers] - Ledger data for new ledgers (e.g. { parent:
+     * 'Sundry Debtors' }), or a function (ledgerName, voucherData) returning it, or null to leave that ledger missing
+     * @param {Object|Function} [options.autoCreateMasters.stockItems] - Stock item data for new stock items (parent
+     * defaults to 'Primary', baseUnits to the line's unit), or a function (stockItemName, line) returning it, or null.
+     * Units that the lines or the new stock items use and that do not exist are created as simple units. With an
+     * idempotencyKey, the key is looked up first and nothing is created for a voucher that already exists.
+     * @returns {Promise<Object>} Created voucher response, with the new voucher's `masterId` (from LASTVCHID) and,
+     * when a remoteId was given, its `remoteId` and `guid`, for addressing it in fetchVoucher, updateVoucher and
+     * deleteVoucher. With an idempotencyKey, `duplicate` tells whether the voucher already existed. With
+     * autoCreateMasters, `createdMasters` lists the masters created first as { type ('ledger', 'unit' or
+     * 'stockItem'), name }.
      * 
      * @example
      * const voucher = await voucherService.createVoucher({
@@ -41,65 +117,353 @@ export class VoucherService {
      *     { ledgerName: 'GST Output 18%', amount: -1800 }
      *   ]
      * });
+     *
+     * @example
+     * // Receipt settling one bill in full and another in part, with the rest on account
+     * await voucherService.createVoucher({
+     *   voucherType: 'Receipt',
+     *   date: '20-Sep-2023',
+     *   ledgerEntries: [
+     *     { ledgerName: 'Bank', amount: 15000 },
+     *     {
+     *       ledgerName: 'ABC Corporation',
+     *       amount: -15000,
+     *       billAllocations: [
+     *         { name: 'INV001', billType: 'Agst Ref', amount: -11800 },
+     *         { name: 'INV002', billType: 'Agst Ref', amount: -3000 },
+     *         { billType: 'On Account', amount: -200 }
+     *       ]
+     *     }
+     *   ]
+     * });
+     *
+     * @example
+     * // Expense split across two projects
+     * await voucherService.createVoucher({
+     *   voucherType: 'Payment',
+     *   date: '21-Sep-2023',
+     *   ledgerEntries: [
+     *     {
+     *       ledgerName: 'Travel Expenses',
+     *       amount: 5000,
+     *       costAllocations: [
+     *         { category: 'Projects', costCentre: 'Project Alpha', amount: 3000 },
+     *         { category: 'Projects', costCentre: 'Project Beta', amount: 2000 }
+     *       ]
+     *     },
+     *     { ledgerName: 'Cash', amount: -5000 }
+     *   ]
+     * });
+     *
+     * @example
+     * // Item invoice: the Sales ledger amount is posted through the stock lines
+     * await voucherService.createVoucher({
+     *   voucherType: 'Sales',
+     *   date: '15-Sep-2023',
+     *   partyLedgerName: 'ABC Corporation',
+     *   ledgerEntries: [
+     *     { ledgerName: 'ABC Corporation', amount: 11800 },
+     *     { ledgerName: 'Sales', amount: -10000 },
+     *     { ledgerName: 'GST Output 18%', amount: -1800 }
+     *   ],
+     *   inventoryEntries: [
+     *     { stockItemName: 'Widget', quantity: 10, unit: 'Nos', rate: 500, ledgerName: 'Sales' },
+     *     { stockItemName: 'Gadget', quantity: 5, unit: 'Nos', rate: 1250, discount: 20, ledgerName: 'Sales' }
+     *   ]
+     * });
+     *
+     * @example
+     * // Safe to replay after a network error: the second call returns the voucher the first one created
+     * const result = await voucherService.createVoucher({ ...orderVoucher, idempotencyKey: `WEB-${order.id}` });
+     * if (result.duplicate) console.log(`Order already posted as voucher ${result.masterId}`);
+     *
+     * @example
+     * // Web order from a first-time customer: the party ledger is created under Sundry Debtors
+     * const result = await voucherService.createVoucher(orderVoucher, {
+     *   autoCreateMasters: {
+     *     ledgers: name => (name === orderVoucher.partyLedgerName ? { parent: 'Sundry Debtors' } : null),
+     *     stockItems: { parent: 'Finished Goods', baseUnits: 'Nos' }
+     *   }
+     * });
+     * // result.createdMasters: [{ type: 'ledger', name: 'Jane Doe' }]
      */
-    async createVoucher(voucherData) {
+    async createVoucher(voucherData, options = {}) {
         this._validateVoucherData(voucherData);
 
+        if (options.autoCreateMasters !== undefined) {
+            this._validateAutoCreateMasters(options.autoCreateMasters);
+        }
+
+        if (voucherData.idempotencyKey !== undefined) {
+            this._validateIdempotency(voucherData, options);
+            return this._createIdempotent(voucherData, options);
+        }
+
         try {
+            const createdMasters = await this._createMissingMasters(voucherData, options);
             const voucherXml = XmlBuilder.buildVoucherXml(voucherData);
-            const importXml = XmlBuilder.buildImportRequest(voucherXml);
+            const importXml = XmlBuilder.buildImportRequest(voucherXml, this._builderOptions());
             
-            const response = await this.connector.sendRequest(importXml);
+            const response = await this._sendRequest(importXml, options, 'createVoucher');
             
             return {
                 success: true,
                 message: `Voucher created successfully`,
                 data: response.data,
+                importResult: response.importResult,
                 voucherNumber: voucherData.voucherNumber,
-                voucherType: voucherData.voucherType
+                voucherType: voucherData.voucherType,
+                ...this._createdVoucherIds(response, voucherData),
+                ...createdMasters
             };
         } catch (error) {
-            throw new Error(`Failed to create voucher: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to create voucher');
         }
     }
 
     /**
-     * Fetch voucher details by voucher number and type
-     * @param {string} voucherNumber - Voucher number to fetch
-     * @param {string} voucherType - Type of voucher
+     * Create a GST sales or purchase invoice in TallyPrime
+     * Computes CGST + SGST (intra-state) or IGST (inter-state) from the line rates, cess and the
+     * round-off, posts them to the given tax ledgers and fills the party GSTIN, place of supply,
+     * HSN/SAC codes and rate details of the invoice.
+     * @param {Object} invoiceData - Invoice information
+     * @param {string} [invoiceData.invoiceType='Sales'] - 'Sales' or 'Purchase'
+     * @param {string} [invoiceData.voucherType] - Voucher type (default: invoiceType)
+     * @param {string} invoiceData.date - Invoice date
+     * @param {string} [invoiceData.voucherNumber] - Voucher number
+     * @param {string} [invoiceData.narration] - Narration
+     * @param {string} [invoiceData.remoteId] - Remote ID to create the invoice with
+     * @param {string} invoiceData.partyLedgerName - Customer or supplier ledger
+     * @param {string} [invoiceData.partyGstin] - Party GSTIN (omit for unregistered parties)
+     * @param {string} [invoiceData.partyState] - Party state as a name or state code (default: from partyGstin)
+     * @param {string} [invoiceData.registrationType] - Party registration type (default: 'Regular' with a GSTIN,
+     * 'Unregistered' without)
+     * @param {string} invoiceData.companyState - State of the company, as a name, state code or GSTIN
+     * @param {string} [invoiceData.placeOfSupply] - Place of supply (default: the party's state on sales,
+     * the company's state on purchases)
+     * @param {string} invoiceData.accountLedgerName - Sales or purchase ledger the lines are allocated to
+     * @param {Object} invoiceData.taxLedgers - Tax ledger names ({ cgst, sgst, igst, cess }); only the
+     * ones with tax on this invoice are required
+     * @param {string} [invoiceData.roundOffLedgerName] - Round-off ledger; the total is rounded to the
+     * nearest rupee only when given
+     * @param {string} [invoiceData.billName] - Bill reference of the invoice on the party ledger
+     * @param {Array} invoiceData.lines - Stock lines ({ stockItemName, hsnCode, quantity, unit, rate, discount,
+     * amount, gstRate, cessRate }); gstRate is the integrated rate in percent
+     * @param {Array} [invoiceData.taxEntries] - Tax entries ({ ledgerName, amount }) to check the computed tax
+     * against; the invoice is rejected if they differ
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
+     * @returns {Promise<Object>} Created voucher response, with the computed `gst` totals
+     *
+     * @example
+     * const invoice = await voucherService.createGstInvoice({
+     *   date: '15-Sep-2023',
+     *   voucherNumber: 'S-101',
+     *   partyLedgerName: 'ABC Corporation',
+     *   partyGstin: '27AAPFU0939F1ZV',
+     *   companyState: 'Karnataka',
+     *   accountLedgerName: 'Sales',
+     *   taxLedgers: { cgst: 'CGST Output', sgst: 'SGST Output', igst: 'IGST Output' },
+     *   roundOffLedgerName: 'Round Off',
+     *   lines: [
+     *     { stockItemName: 'Widget', hsnCode: '8471', quantity: 10, unit: 'Nos', rate: 499.5, gstRate: 18 }
+     *   ]
+     * });
+     * // invoice.gst: { taxableValue: 4995, igst: 899.1, roundOff: -0.1, invoiceTotal: 5894, ... }
+     */
+    async createGstInvoice(invoiceData, options = {}) {
+        const { voucherData, gst } = this._buildGstInvoiceData(invoiceData);
+        this._validateVoucherData(voucherData);
+
+        try {
+            const voucherXml = XmlBuilder.buildVoucherXml(voucherData);
+            const importXml = XmlBuilder.buildImportRequest(voucherXml, this._builderOptions());
+
+            const response = await this._sendRequest(importXml, options, 'createGstInvoice');
+
+            return {
+                success: true,
+                message: `GST invoice created successfully`,
+                data: response.data,
+                importResult: response.importResult,
+                voucherNumber: voucherData.voucherNumber,
+                voucherType: voucherData.voucherType,
+                ...this._createdVoucherIds(response, voucherData),
+                gst
+            };
+        } catch (error) {
+            throw TallyError.wrap(error, 'Failed to create GST invoice');
+        }
+    }
+
+    /**
+     * Import many vouchers, several per Import Data request
+     * Every row is validated first; invalid rows are reported and never sent. Valid rows are sent
+     * `batchSize` at a time as TALLYMESSAGE blocks of one envelope. TallyPrime only counts the
+     * errors of a request, so when a batch is partly rejected the service looks up which of its
+     * vouchers exist (by remote ID) and hands the LINEERROR messages to the missing rows in order.
+     * Rows without a remoteId are given a random UUID for this, which is stored in the voucher's
+     * REMOTEID and becomes its GUID; it is returned as the row's `remoteId` so the voucher can be
+     * addressed later, and so a failed row can be resent under the same ID. Pass your own remoteId
+     * (e.g. the source system's document ID) to keep generated IDs out of the company, and to replay the
+     * import from a cassette (generated IDs make every envelope unique, so it never matches a recording).
+     *
+     * If a batch fails for a reason other than TallyPrime rejecting rows (connection lost, timeout,
+     * open circuit), no further batches are sent: the rows of that batch are reported as failed with
+     * the error, since TallyPrime may or may not have imported them, the rows after it as skipped,
+     * and the error is returned as `error` in the summary. If that error comes from the lookup after a
+     * partly rejected batch, the batch's rows are reported as unresolved instead: TallyPrime imported
+     * some of them, so they must be checked (by remoteId) before any is resent.
+     * @param {Array<Object>} vouchers - Voucher data, as createVoucher takes it
+     * @param {Object} [options] - Import options and request options ({ signal, timeout, priority })
+     * @param {number} [options.batchSize=100] - Vouchers per request
+     * @param {boolean} [options.stopOnError=false] - Send nothing if any row is invalid, and send no further
+     * batches once TallyPrime rejects a row; the rows left are reported as skipped
+     * @param {Function} [options.onProgress] - Called after each batch with { batch, batches, processed,
+     * total, imported, failed }
+     * @returns {Promise<Object>} Import summary: { success, total, imported, failed, unresolved, skipped, batches,
+     * results, error }, where results[i] is { index, status ('imported', 'failed', 'unresolved' or 'skipped'), guid,
+     * remoteId, error } for vouchers[i]
+     *
+     * @example
+     * const summary = await voucherService.importVouchers(nightlyVouchers, {
+     *   batchSize: 200,
+     *   onProgress: ({ processed, total }) => console.log(`${processed}/${total}`)
+     * });
+     * summary.results.filter(row => row.status === 'failed').forEach(row => console.log(row.index, row.error));
+     */
+    async importVouchers(vouchers, options = {}) {
+        if (!Array.isArray(vouchers)) {
+            throw new TallyValidationError('Vouchers must be an array', { field: 'vouchers' });
+        }
+
+        const batchSize = options.batchSize === undefined ? DEFAULT_BATCH_SIZE : options.batchSize;
+        if (!Number.isInteger(batchSize) || batchSize < 1) {
+            throw new TallyValidationError('Batch size must be a positive integer', { field: 'batchSize' });
+        }
+
+        const results = vouchers.map((voucherData, index) => ({ index, status: 'pending', guid: null, remoteId: null, error: null }));
+        const rows = [];
+        vouchers.forEach((voucherData, index) => {
+            try {
+                this._validateImportRow(voucherData);
+                const remoteId = voucherData.remoteId || randomUUID();
+                results[index].remoteId = remoteId;
+                rows.push({ index, voucherData: { ...voucherData, remoteId } });
+            } catch (error) {
+                if (!(error instanceof TallyValidationError)) throw error;
+                results[index] = { ...results[index], status: 'failed', error: error.message };
+            }
+        });
+
+        const batches = [];
+        for (let start = 0; start < rows.length; start += batchSize) {
+            batches.push(rows.slice(start, start + batchSize));
+        }
+
+        const count = status => results.filter(result => result.status === status).length;
+        let stopped = options.stopOnError && rows.length < vouchers.length;
+        let batchError = null;
+
+        for (let i = 0; i < batches.length && !stopped; i++) {
+            try {
+                await this._importVoucherBatch(batches[i], results, options);
+            } catch (error) {
+                // The batches before this one are in TallyPrime, so report them instead of throwing
+                batchError = error;
+                batches[i].filter(row => results[row.index].status === 'pending').forEach(row => {
+                    results[row.index] = { ...results[row.index], status: 'failed', error: error.message };
+                });
+            }
+
+            if (options.onProgress) {
+                options.onProgress({
+                    batch: i + 1,
+                    batches: batches.length,
+                    processed: vouchers.length - count('pending'),
+                    total: vouchers.length,
+                    imported: count('imported'),
+                    failed: count('failed')
+                });
+            }
+
+            stopped = batchError !== null ||
+                (options.stopOnError && batches[i].some(row => results[row.index].status === 'failed'));
+        }
+
+        results.filter(result => result.status === 'pending').forEach(result => { result.status = 'skipped'; });
+
+        return {
+            success: count('failed') === 0 && count('unresolved') === 0,
+            total: vouchers.length,
+            imported: count('imported'),
+            failed: count('failed'),
+            unresolved: count('unresolved'),
+            skipped: count('skipped'),
+            batches: batches.length,
+            results,
+            error: batchError
+        };
+    }
+
+    /**
+     * Fetch voucher details by voucher number and type, or by identifier
+     * Voucher numbers repeat across periods and can be blank, so prefer an identifier
+     * ({ guid }, { masterId } or { remoteId }) where one is known.
+     * @param {string|Object} voucherNumber - Voucher number to fetch, or a voucher identifier
+     * @param {string|Object} [voucherType] - Type of voucher (required with a voucher number); options when
+     * fetching by identifier
      * @param {Object} [options] - Additional fetch options
      * @param {string} [options.date] - Specific date to search (if multiple vouchers with same number)
-     * @returns {Promise<Object>} Voucher details
+     * @param {AbortSignal} [options.signal] - Abort signal
+     * @param {number} [options.timeout] - Per-call timeout in milliseconds
+     * @returns {Promise<Object>} Voucher details, including guid, masterId, alterId and remoteId, and the
+     * partyLedgerName, inventoryEntries and udfs of item invoices, in the shape createVoucher takes
      * 
      * @example
      * const voucher = await voucherService.fetchVoucher('S001', 'Sales', {
      *   date: '15-Sep-2023'
      * });
+     *
+     * @example
+     * const { masterId } = await voucherService.createVoucher(voucherData);
+     * const voucher = await voucherService.fetchVoucher({ masterId });
      */
     async fetchVoucher(voucherNumber, voucherType, options = {}) {
-        if (!voucherNumber || !voucherType) {
-            throw new Error('Voucher number and type are required');
+        const id = voucherIdentifier(voucherNumber);
+        const fetchOptions = id ? voucherType || {} : options;
+        if (!id && (!voucherNumber || !voucherType)) {
+            throw new TallyValidationError('Voucher number and type are required');
         }
 
         try {
-            const filters = {
-                VOUCHERNUMBER: voucherNumber,
-                VOUCHERTYPE: voucherType
-            };
+            const filters = id
+                ? { [ID_FILTERS[id.key]]: String(id.value) }
+                : { VOUCHERNUMBER: voucherNumber, VOUCHERTYPE: voucherType };
+
+            if (fetchOptions.date) filters.DATE = fetchOptions.date;
 
-            if (options.date) filters.DATE = options.date;
+            const exportXml = XmlBuilder.buildExportRequest('Voucher Details', filters, this._builderOptions());
+            const response = await this._sendRequest(exportXml, fetchOptions, 'fetchVoucher');
 
-            const exportXml = XmlBuilder.buildExportRequest('Voucher Details', filters);
-            const response = await this.connector.sendRequest(exportXml);
+            const voucher = this._parseVoucherResponse(response.data);
+            if (!voucher.voucherNumber && !voucher.masterId && !voucher.guid) {
+                throw new TallyNotFoundError(
+                    id ? `Voucher with ${id.key} '${id.value}' not found` : `${voucherType} voucher '${voucherNumber}' not found`,
+                    {
+                        objectType: 'Voucher',
+                        objectName: id ? String(id.value) : voucherNumber
+                    }
+                );
+            }
 
             return {
                 success: true,
-                data: this._parseVoucherResponse(response.data),
-                voucherNumber,
-                voucherType
+                data: voucher,
+                voucherNumber: id ? voucher.voucherNumber : voucherNumber,
+                voucherType: id ? voucher.voucherType : voucherType
             };
         } catch (error) {
-            throw new Error(`Failed to fetch voucher: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to fetch voucher');
         }
     }
 
@@ -112,6 +476,7 @@ export class VoucherService {
      * @param {string} [filters.ledgerName] - Filter vouchers containing specific ledger
      * @param {number} [filters.amountRange] - Filter by amount range
      * @param {number} [filters.limit] - Limit number of results
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
      * @returns {Promise<Array>} List of vouchers
      * 
      * @example
@@ -123,17 +488,10 @@ export class VoucherService {
      *   limit: 50
      * });
      */
-    async getVoucherList(filters = {}) {
+    async getVoucherList(filters = {}, options = {}) {
         try {
-            const requestFilters = {};
-            
-            if (filters.voucherType) requestFilters.VOUCHERTYPE = filters.voucherType;
-            if (filters.fromDate) requestFilters.FROMDATE = filters.fromDate;
-            if (filters.toDate) requestFilters.TODATE = filters.toDate;
-            if (filters.ledgerName) requestFilters.LEDGERNAME = filters.ledgerName;
-
-            const exportXml = XmlBuilder.buildCollectionRequest('Voucher', requestFilters);
-            const response = await this.connector.sendRequest(exportXml);
+            const exportXml = XmlBuilder.buildCollectionRequest('Voucher', this._buildVoucherListFilters(filters), this._builderOptions());
+            const response = await this._sendRequest(exportXml, options, 'getVoucherList');
 
             let vouchers = this._parseVoucherListResponse(response.data);
 
@@ -155,19 +513,72 @@ export class VoucherService {
                 count: vouchers.length
             };
         } catch (error) {
-            throw new Error(`Failed to fetch voucher list: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to fetch voucher list');
+        }
+    }
+
+    /**
+     * Stream vouchers one at a time without loading the whole export into memory
+     * Accepts the same filters as getVoucherList; rows are parsed as they arrive, so a day
+     * book with hundreds of thousands of vouchers can be processed with constant memory.
+     * Leaving the loop early stops reading the response. Make no other SDK calls inside the loop
+     * (see TallyConnector#streamRequest).
+     * @param {Object} [filters] - Filter criteria (see getVoucherList)
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
+     * @returns {AsyncGenerator<Object>} Vouchers in the same shape as getVoucherList entries
+     *
+     * @example
+     * for await (const voucher of voucherService.streamVouchers({
+     *   fromDate: '01-Apr-2023',
+     *   toDate: '31-Mar-2024'
+     * })) {
+     *   await warehouse.insert(voucher);
+     * }
+     */
+    async *streamVouchers(filters = {}, options = {}) {
+        const exportXml = XmlBuilder.buildCollectionRequest('Voucher', this._buildVoucherListFilters(filters), this._builderOptions());
+        let count = 0;
+
+        try {
+            for await (const row of this._streamRequest(exportXml, options, 'streamVouchers')) {
+                const voucher = this._parseVoucherRow(row);
+                if (filters.amountRange && (
+                    Math.abs(voucher.amount) < filters.amountRange.min ||
+                    Math.abs(voucher.amount) > filters.amountRange.max
+                )) {
+                    continue;
+                }
+
+                yield voucher;
+                if (filters.limit && ++count >= filters.limit) return;
+            }
+        } catch (error) {
+            throw TallyError.wrap(error, 'Failed to stream vouchers');
         }
     }
 
     /**
-     * Update an existing voucher
-     * @param {string} voucherNumber - Voucher number to update
+     * Update an existing voucher, found by voucher number and type or by identifier
+     * The voucher is fetched and compared with the updates, and only the fields that differ are
+     * sent, in an alteration addressed by MasterID or GUID. Fields the SDK does not model (GST
+     * details, UDFs not mentioned, ...) are left alone, so a whole fetched voucher can be edited
+     * and passed back. Ledger and stock lines are sent in full whenever either changes.
+     * @param {string|Object} voucherNumber - Voucher number to update, or a voucher identifier
+     * ({ guid }, { masterId } or { remoteId }); with an identifier the remaining arguments shift left
      * @param {string} voucherType - Type of voucher
-     * @param {Object} updates - Updated voucher information
+     * @param {Object} updates - Updated voucher information, or a fetched voucher's data with edits
      * @param {string} [updates.narration] - New narration
      * @param {Array} [updates.ledgerEntries] - Updated ledger entries
      * @param {string} [updates.date] - New date
-     * @returns {Promise<Object>} Update response
+     * @param {string} [updates.voucherNumber] - New voucher number
+     * @param {Object<string, string>} [updates.udfs] - User-defined field values to change
+     * @param {Array} [updates.inventoryEntries] - Stock lines of an item invoice (see createVoucher)
+     * @param {string} [updates.partyLedgerName] - Party ledger of an invoice
+     * @param {boolean} [updates.optional] - Make the voucher optional (true) or regular (false)
+     * @param {boolean} [updates.postDated] - Make the voucher post-dated (true) or not (false)
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
+     * @returns {Promise<Object>} Update response, with the `changedFields` that were sent (nothing is sent
+     * when the list is empty)
      * 
      * @example
      * const result = await voucherService.updateVoucher('S001', 'Sales', {
@@ -177,85 +588,164 @@ export class VoucherService {
      *     { ledgerName: 'Sales', amount: -12000 }
      *   ]
      * });
+     *
+     * @example
+     * await voucherService.updateVoucher({ guid: voucher.data.guid }, { narration: 'Corrected' });
+     *
+     * @example
+     * // Edit the fetched voucher and send it back; only NARRATION is altered
+     * const { data } = await voucherService.fetchVoucher({ masterId: 1042 });
+     * await voucherService.updateVoucher({ masterId: 1042 }, { ...data, narration: 'Corrected' });
      */
-    async updateVoucher(voucherNumber, voucherType, updates) {
+    async updateVoucher(voucherNumber, voucherType, updates, options = {}) {
+        const id = voucherIdentifier(voucherNumber);
+        if (id) {
+            return this._updateVoucher(null, null, id, voucherType || {}, updates || {});
+        }
         if (!voucherNumber || !voucherType) {
-            throw new Error('Voucher number and type are required');
+            throw new TallyValidationError('Voucher number and type are required');
         }
 
-        try {
-            // First, fetch current voucher details
-            const currentVoucher = await this.fetchVoucher(voucherNumber, voucherType);
-            
-            // Merge current data with updates
-            const updatedVoucherData = {
-                voucherType: voucherType,
-                voucherNumber: voucherNumber,
-                date: updates.date || currentVoucher.data.date,
-                narration: updates.narration || currentVoucher.data.narration,
-                ledgerEntries: updates.ledgerEntries || currentVoucher.data.ledgerEntries
-            };
-
-            this._validateVoucherData(updatedVoucherData);
-
-            // Build update XML (similar to create, but with ACTION="Alter")
-            const voucherXml = XmlBuilder.buildVoucherXml(updatedVoucherData);
-            const updateXml = voucherXml.replace('ACTION="Create"', 'ACTION="Alter"');
-            const importXml = XmlBuilder.buildImportRequest(updateXml);
-            
-            const response = await this.connector.sendRequest(importXml);
-            
-            return {
-                success: true,
-                message: `Voucher '${voucherNumber}' updated successfully`,
-                data: response.data,
-                voucherNumber,
-                voucherType
-            };
-        } catch (error) {
-            throw new Error(`Failed to update voucher: ${error.message}`);
-        }
+        return this._updateVoucher(voucherNumber, voucherType, null, updates, options);
     }
 
     /**
-     * Delete a voucher
-     * @param {string} voucherNumber - Voucher number to delete
+     * Delete a voucher, found by voucher number and type or by identifier
+     * @param {string|Object} voucherNumber - Voucher number to delete, or a voucher identifier
+     * ({ guid }, { masterId } or { remoteId }); with an identifier the options come second
      * @param {string} voucherType - Type of voucher
      * @param {Object} [options] - Deletion options
      * @param {string} [options.date] - Specific date if multiple vouchers with same number
+     * @param {AbortSignal} [options.signal] - Abort signal
+     * @param {number} [options.timeout] - Per-call timeout in milliseconds
      * @returns {Promise<Object>} Deletion response
      * 
      * @example
      * const result = await voucherService.deleteVoucher('S001', 'Sales', {
      *   date: '15-Sep-2023'
      * });
+     *
+     * @example
+     * await voucherService.deleteVoucher({ masterId: 1042 });
      */
     async deleteVoucher(voucherNumber, voucherType, options = {}) {
-        if (!voucherNumber || !voucherType) {
-            throw new Error('Voucher number and type are required');
+        const id = voucherIdentifier(voucherNumber);
+        const deleteOptions = id ? voucherType || {} : options;
+        if (!id && (!voucherNumber || !voucherType)) {
+            throw new TallyValidationError('Voucher number and type are required');
         }
 
         try {
             // Build deletion XML
+            const target = id
+                ? XmlBuilder.buildVoucherIdAttributes({ [id.key]: id.value })
+                : `VOUCHERNUMBER="${XmlBuilder.escapeXml(voucherNumber)}" VCHTYPE="${XmlBuilder.escapeXml(voucherType)}"`;
             const deleteXml = `<TALLYMESSAGE xmlns:UDF="TallyUDF">
-                <VOUCHER VOUCHERNUMBER="${XmlBuilder.escapeXml(voucherNumber)}" VCHTYPE="${XmlBuilder.escapeXml(voucherType)}" ACTION="Delete">
-                    ${options.date ? `<DATE>${options.date}</DATE>` : ''}
+                <VOUCHER ${target} ACTION="Delete">
+                    ${deleteOptions.date ? `<DATE>${deleteOptions.date}</DATE>` : ''}
                 </VOUCHER>
             </TALLYMESSAGE>`;
             
-            const importXml = XmlBuilder.buildImportRequest(deleteXml);
-            const response = await this.connector.sendRequest(importXml);
+            const importXml = XmlBuilder.buildImportRequest(deleteXml, this._builderOptions());
+            const response = await this._sendRequest(importXml, deleteOptions, 'deleteVoucher');
             
             return {
                 success: true,
-                message: `Voucher '${voucherNumber}' deleted successfully`,
+                message: `Voucher '${id ? id.value : voucherNumber}' deleted successfully`,
+                data: response.data,
+                importResult: response.importResult,
+                voucherNumber: id ? undefined : voucherNumber,
+                voucherType: id ? undefined : voucherType,
+                ...(id ? { [id.key]: id.value } : {})
+            };
+        } catch (error) {
+            throw TallyError.wrap(error, 'Failed to delete voucher');
+        }
+    }
+
+    /**
+     * Cancel a voucher, found by voucher number and type or by identifier
+     * Unlike deletion, cancellation keeps the voucher and its number in the books (marked
+     * cancelled, without amounts), so the numbering has no gaps.
+     * @param {string|Object} voucherNumber - Voucher number to cancel, or a voucher identifier
+     * ({ guid }, { masterId } or { remoteId }); with an identifier the options come second
+     * @param {string} voucherType - Type of voucher
+     * @param {Object} [options] - Cancellation options
+     * @param {string} [options.date] - Specific date if multiple vouchers with same number
+     * @param {string} [options.narration] - Narration to record, e.g. the reason for cancelling
+     * @param {AbortSignal} [options.signal] - Abort signal
+     * @param {number} [options.timeout] - Per-call timeout in milliseconds
+     * @returns {Promise<Object>} Cancellation response
+     *
+     * @example
+     * await voucherService.cancelVoucher('S001', 'Sales', { narration: 'Order cancelled by customer' });
+     */
+    async cancelVoucher(voucherNumber, voucherType, options = {}) {
+        const id = voucherIdentifier(voucherNumber);
+        const cancelOptions = id ? voucherType || {} : options;
+        if (!id && (!voucherNumber || !voucherType)) {
+            throw new TallyValidationError('Voucher number and type are required');
+        }
+
+        try {
+            // TallyPrime needs the voucher's date and type to cancel it
+            const requestOptions = BaseService.requestOptions(cancelOptions);
+            const current = id
+                ? await this.fetchVoucher({ [id.key]: id.value }, requestOptions)
+                : await this.fetchVoucher(voucherNumber, voucherType, { ...requestOptions, date: cancelOptions.date });
+            const voucher = current.data;
+            if (voucher.cancelled) {
+                throw new TallyValidationError(`Voucher '${id ? id.value : voucherNumber}' is already cancelled`);
+            }
+
+            // Address the voucher just resolved, not its number, which repeats across periods
+            const target = XmlBuilder.buildVoucherIdAttributes(this._alterTarget(id, voucher));
+            const cancelXml = `<TALLYMESSAGE xmlns:UDF="TallyUDF">
+                <VOUCHER ${target} DATE="${XmlBuilder.formatDate(voucher.date)}" VCHTYPE="${XmlBuilder.escapeXml(voucher.voucherType)}" ACTION="Cancel">
+                    ${cancelOptions.narration ? `<NARRATION>${XmlBuilder.escapeXml(cancelOptions.narration)}</NARRATION>` : ''}
+                </VOUCHER>
+            </TALLYMESSAGE>`;
+
+            const importXml = XmlBuilder.buildImportRequest(cancelXml, this._builderOptions());
+            const response = await this._sendRequest(importXml, cancelOptions, 'cancelVoucher');
+
+            return {
+                success: true,
+                message: `Voucher '${id ? id.value : voucherNumber}' cancelled successfully`,
                 data: response.data,
-                voucherNumber,
-                voucherType
+                importResult: response.importResult,
+                voucherNumber: voucher.voucherNumber,
+                voucherType: voucher.voucherType,
+                guid: voucher.guid,
+                masterId: voucher.masterId
             };
         } catch (error) {
-            throw new Error(`Failed to delete voucher: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to cancel voucher');
+        }
+    }
+
+    /**
+     * Convert an optional voucher into a regular one, posting it to the books
+     * @param {string|Object} voucherNumber - Voucher number, or a voucher identifier ({ guid }, { masterId }
+     * or { remoteId }); with an identifier the options come second
+     * @param {string} voucherType - Type of voucher
+     * @param {Object} [options] - Request options ({ signal, timeout, priority })
+     * @returns {Promise<Object>} Update response
+     *
+     * @example
+     * const memo = await voucherService.createVoucher({ ...voucherData, optional: true });
+     * await voucherService.convertToRegular({ masterId: memo.masterId });
+     */
+    async convertToRegular(voucherNumber, voucherType, options = {}) {
+        const id = voucherIdentifier(voucherNumber);
+        if (id) {
+            return this._updateVoucher(null, null, id, { optional: false }, voucherType || {});
+        }
+        if (!voucherNumber || !voucherType) {
+            throw new TallyValidationError('Voucher number and type are required');
         }
+
+        return this._updateVoucher(voucherNumber, voucherType, null, { optional: false }, options);
     }
 
     /**
@@ -265,6 +755,8 @@ export class VoucherService {
      * @param {string} [options.toDate] - End date
      * @param {string} [options.voucherType] - Filter by voucher type
      * @param {boolean} [options.groupByType] - Group results by voucher type
+     * @param {AbortSignal} [options.signal] - Abort signal
+     * @param {number} [options.timeout] - Per-call timeout in milliseconds
      * @returns {Promise<Object>} Voucher summary
      * 
      * @example
@@ -285,8 +777,8 @@ export class VoucherService {
                 filters.VOUCHERTYPE = options.voucherType;
             }
 
-            const exportXml = XmlBuilder.buildExportRequest('Voucher Summary', filters);
-            const response = await this.connector.sendRequest(exportXml);
+            const exportXml = XmlBuilder.buildExportRequest('Voucher Summary', filters, this._builderOptions());
+            const response = await this._sendRequest(exportXml, options, 'getVoucherSummary');
 
             return {
                 success: true,
@@ -297,7 +789,7 @@ export class VoucherService {
                 }
             };
         } catch (error) {
-            throw new Error(`Failed to get voucher summary: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to get voucher summary');
         }
     }
 
@@ -308,6 +800,8 @@ export class VoucherService {
      * @param {string} [options.fromDate] - From date filter
      * @param {string} [options.toDate] - To date filter
      * @param {string} [options.voucherType] - Filter by voucher type
+     * @param {AbortSignal} [options.signal] - Abort signal
+     * @param {number} [options.timeout] - Per-call timeout in milliseconds
      * @returns {Promise<Array>} Vouchers containing the specified ledger
      * 
      * @example
@@ -319,7 +813,7 @@ export class VoucherService {
      */
     async getVouchersByLedger(ledgerName, options = {}) {
         if (!ledgerName) {
-            throw new Error('Ledger name is required');
+            throw new TallyValidationError('Ledger name is required');
         }
 
         try {
@@ -331,8 +825,8 @@ export class VoucherService {
 
             if (options.voucherType) filters.VOUCHERTYPE = options.voucherType;
 
-            const exportXml = XmlBuilder.buildExportRequest('Ledger Vouchers', filters);
-            const response = await this.connector.sendRequest(exportXml);
+            const exportXml = XmlBuilder.buildExportRequest('Ledger Vouchers', filters, this._builderOptions());
+            const response = await this._sendRequest(exportXml, options, 'getVouchersByLedger');
 
             return {
                 success: true,
@@ -344,111 +838,1022 @@ export class VoucherService {
                 }
             };
         } catch (error) {
-            throw new Error(`Failed to fetch vouchers for ledger: ${error.message}`);
+            throw TallyError.wrap(error, 'Failed to fetch vouchers for ledger');
         }
     }
 
     /**
-     * Validate voucher data before processing
-     * @param {Object} voucherData - Voucher data to validate
+     * Fetch a voucher and send a targeted alteration with only the fields the updates change
+     * @param {string|null} voucherNumber - Voucher number (when not addressed by identifier)
+     * @param {string|null} voucherType - Voucher type (when not addressed by identifier)
+     * @param {Object|null} id - Voucher identifier ({ key, value })
+     * @param {Object} updates - Updated voucher information (see updateVoucher)
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} Update response
      * @private
      */
-    _validateVoucherData(voucherData) {
-        if (!voucherData.voucherType) {
-            throw new Error('Voucher type is required');
-        }
+    async _updateVoucher(voucherNumber, voucherType, id, updates, options) {
+        try {
+            // First, fetch current voucher details
+            const requestOptions = BaseService.requestOptions(options);
+            const currentVoucher = id
+                ? await this.fetchVoucher({ [id.key]: id.value }, requestOptions)
+                : await this.fetchVoucher(voucherNumber, voucherType, requestOptions);
+            const current = currentVoucher.data;
 
-        if (!voucherData.date) {
-            throw new Error('Voucher date is required');
+            const changes = this._voucherChanges(current, updates);
+            const changedFields = Object.keys(changes);
+            const result = {
+                success: true,
+                voucherNumber: changes.voucherNumber || current.voucherNumber,
+                voucherType: current.voucherType,
+                guid: current.guid,
+                masterId: current.masterId,
+                changedFields
+            };
+
+            if (changedFields.length === 0) {
+                return {
+                    ...result,
+                    message: `Voucher '${id ? id.value : voucherNumber}' is unchanged`,
+                    data: null,
+                    importResult: null
+                };
+            }
+
+            if (changes.ledgerEntries) {
+                this._validateVoucherData({ ...current, ...changes, inventoryEntries: changes.inventoryEntries });
+            }
+
+            // Alter only what changed, addressed by identifier so it cannot hit a same-numbered voucher
+            const updateXml = XmlBuilder.buildVoucherAlterXml(this._alterTarget(id, current), current.voucherType, changes);
+            const importXml = XmlBuilder.buildImportRequest(updateXml, this._builderOptions());
+            
+            const response = await this._sendRequest(importXml, options, 'updateVoucher');
+            
+            return {
+                ...result,
+                message: `Voucher '${id ? id.value : voucherNumber}' updated successfully`,
+                data: response.data,
+                importResult: response.importResult
+            };
+        } catch (error) {
+            throw TallyError.wrap(error, 'Failed to update voucher');
         }
+    }
 
-        if (!voucherData.ledgerEntries || !Array.isArray(voucherData.ledgerEntries)) {
-            throw new Error('Ledger entries are required and must be an array');
+    /**
+     * Work out which fields of a fetched voucher an update changes
+     * Ledger and stock lines are compared as the XML they would be sent as, so shorthand such as
+     * billName or a numeric creditPeriod matches what was fetched; when either differs both are
+     * returned, complete (stock lines only if the voucher has any).
+     * @param {Object} current - Fetched voucher (fetchVoucher data)
+     * @param {Object} updates - Updated voucher information; may be a whole fetched voucher
+     * @returns {Object} Changed fields (see XmlBuilder.buildVoucherAlterXml)
+     * @private
+     */
+    _voucherChanges(current, updates) {
+        const changes = {};
+
+        for (const field of ['voucherNumber', 'narration', 'partyLedgerName']) {
+            if (updates[field] !== undefined && String(updates[field]) !== String(current[field] || '')) {
+                changes[field] = updates[field];
+            }
+        }
+        for (const field of ['optional', 'postDated']) {
+            if (updates[field] !== undefined && Boolean(updates[field]) !== Boolean(current[field])) {
+                changes[field] = Boolean(updates[field]);
+            }
+        }
+        if (updates.date && XmlBuilder.formatDate(updates.date) !== XmlBuilder.formatDate(current.date)) {
+            changes.date = updates.date;
+        }
+        if (updates.udfs) {
+            const currentUdfs = current.udfs || {};
+            const udfs = Object.entries(updates.udfs).filter(([name, value]) => String(value) !== currentUdfs[name]);
+            if (udfs.length > 0) changes.udfs = Object.fromEntries(udfs);
         }
 
-        if (voucherData.ledgerEntries.length < 2) {
-            throw new Error('At least two ledger entries are required for a voucher');
+        const ledgerEntries = updates.ledgerEntries || current.ledgerEntries;
+        const inventoryEntries = updates.inventoryEntries || current.inventoryEntries || [];
+        const entriesXml = XmlBuilder.buildVoucherEntriesXml(ledgerEntries, inventoryEntries);
+        if (entriesXml !== XmlBuilder.buildVoucherEntriesXml(current.ledgerEntries, current.inventoryEntries || [])) {
+            changes.ledgerEntries = ledgerEntries;
+            if (inventoryEntries.length > 0) changes.inventoryEntries = inventoryEntries;
         }
 
-        // Validate ledger entries
-        for (const entry of voucherData.ledgerEntries) {
-            if (!entry.ledgerName) {
-                throw new Error('Each ledger entry must have a ledger name');
+        return changes;
+    }
+
+    /**
+     * Identifier an alteration is addressed by: the caller's, else the fetched voucher's own
+     * @param {Object|null} id - Voucher identifier the caller gave ({ key, value })
+     * @param {Object} voucher - Fetched voucher
+     * @returns {Object} Identifier ({ guid }, { masterId } or { remoteId })
+     * @private
+     */
+    _alterTarget(id, voucher) {
+        if (id) return { [id.key]: id.value };
+        if (voucher.masterId) return { masterId: voucher.masterId };
+        if (voucher.guid) return { guid: voucher.guid };
+
+        throw new TallyError(`Voucher '${voucher.voucherNumber}' has no MasterID or GUID to alter it by`);
+    }
+
+    /**
+     * Create the ledgers, stock items and units a voucher refers to that do not exist yet
+     * The names are checked against getLedgerList, getStockItemList and getUnitList; the missing
+     * masters are created with importLedgers and importStockItems. Does nothing without the
+     * autoCreateMasters option.
+     * @param {Object} voucherData - Voucher data (see createVoucher)
+     * @param {Object} options - Request options and autoCreateMasters (see createVoucher)
+     * @returns {Promise<Object>} { createdMasters } listing the masters created as { type, name },
+     * or an empty object without autoCreateMasters
+     * @private
+     */
+    async _createMissingMasters(voucherData, options) {
+        if (options.autoCreateMasters === undefined) return {};
+
+        const { ledgers: ledgerDefaults, stockItems: stockItemDefaults } = options.autoCreateMasters;
+        const requestOptions = BaseService.requestOptions(options);
+        const inventoryEntries = voucherData.inventoryEntries || [];
+
+        const ledgerNames = uniqueNames([
+            ...voucherData.ledgerEntries.map(entry => entry.ledgerName),
+            voucherData.partyLedgerName,
+            ...inventoryEntries.map(line => line.ledgerName)
+        ]);
+        const stockItemNames = uniqueNames(inventoryEntries.map(line => line.stockItemName));
+
+        const ledgers = [];
+        const { data: existingLedgers } = await this._ledgers.getLedgerList({}, requestOptions);
+        for (const name of missingNames(ledgerNames, existingLedgers)) {
+            const ledgerData = masterDefaults(ledgerDefaults, name, voucherData);
+            if (!ledgerData) {
+                throw new TallyNotFoundError(`Ledger '${name}' does not exist`, { objectType: 'Ledger', objectName: name });
             }
-            if (typeof entry.amount !== 'number' || entry.amount === 0) {
-                throw new Error('Each ledger entry must have a non-zero amount');
+            ledgers.push({ ...ledgerData, name });
+        }
+
+        const stockItems = [];
+        if (stockItemNames.length > 0) {
+            const { data: existingItems } = await this._stockItems.getStockItemList({}, requestOptions);
+            for (const name of missingNames(stockItemNames, existingItems)) {
+                const line = inventoryEntries.find(entry => entry.stockItemName.toLowerCase() === name.toLowerCase());
+                const stockData = masterDefaults(stockItemDefaults, name, line);
+                if (!stockData) {
+                    throw new TallyNotFoundError(`Stock item '${name}' does not exist`, {
+                        objectType: 'Stock Item',
+                        objectName: name
+                    });
+                }
+                stockItems.push({ parent: 'Primary', baseUnits: line.unit, ...stockData, name });
             }
         }
 
-        // Check if debits and credits balance
-        const totalAmount = voucherData.ledgerEntries.reduce((sum, entry) => sum + entry.amount, 0);
-        if (Math.abs(totalAmount) > 0.01) { // Allow for minor rounding differences
-            throw new Error('Voucher debits and credits must balance');
+        // Every unit a line is written in is checked, not only those of new stock items
+        const unitNames = uniqueNames([...inventoryEntries.map(line => line.unit), ...stockItems.map(item => item.baseUnits)]);
+        let units = [];
+        if (unitNames.length > 0) {
+            const { data: existingUnits } = await this._stockItems.getUnitList(requestOptions);
+            units = missingNames(unitNames, existingUnits).map(name => ({ name }));
         }
+
+        const summaries = [];
+        if (ledgers.length > 0) {
+            summaries.push(await this._ledgers.importLedgers({ ledgers }, requestOptions));
+        }
+        if (units.length > 0 || stockItems.length > 0) {
+            summaries.push(await this._stockItems.importStockItems({ units, stockItems }, requestOptions));
+        }
+
+        const results = summaries.flatMap(summary => summary.results);
+        const failed = results.find(result => result.status === 'failed');
+        if (failed) {
+            const [objectType, label] = {
+                ledger: ['Ledger', 'Ledger'],
+                unit: ['Unit', 'Unit'],
+                stockItem: ['Stock Item', 'Stock item']
+            }[failed.type];
+            throw new TallyNotFoundError(`${label} '${failed.name}' does not exist and could not be created: ${failed.error}`, {
+                objectType,
+                objectName: failed.name
+            });
+        }
+
+        return {
+            createdMasters: results
+                .filter(result => result.status === 'created')
+                .map(result => ({ type: result.type, name: result.name }))
+        };
     }
 
     /**
-     * Parse voucher response data
-     * @param {Object} responseData - Raw response data from Tally
-     * @returns {Object} Parsed voucher data
+     * Validate the autoCreateMasters option of createVoucher
+     * @param {Object} settings - autoCreateMasters option
      * @private
      */
-    _parseVoucherResponse(responseData) {
-        const envelope = responseData.ENVELOPE || responseData;
-        const body = envelope.BODY || envelope;
-        
-        if (body.EXPORTDATA && body.EXPORTDATA.REQUESTDATA) {
-            const voucherData = body.EXPORTDATA.REQUESTDATA.TALLYMESSAGE || {};
-            return {
-                voucherNumber: voucherData.VOUCHERNUMBER || '',
-                voucherType: voucherData.VOUCHERTYPENAME || '',
-                date: voucherData.DATE || '',
-                narration: voucherData.NARRATION || '',
-                ledgerEntries: this._parseLedgerEntries(voucherData['LEDGERENTRIES.LIST'] || [])
-            };
+    _validateAutoCreateMasters(settings) {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new TallyValidationError('autoCreateMasters must be an object', { field: 'autoCreateMasters' });
         }
 
-        return {};
+        for (const key of ['ledgers', 'stockItems']) {
+            const value = settings[key];
+            if (value !== undefined && value !== null && typeof value !== 'object' && typeof value !== 'function') {
+                throw new TallyValidationError(`autoCreateMasters.${key} must be an object or a function`, {
+                    field: `autoCreateMasters.${key}`
+                });
+            }
+        }
     }
 
     /**
-     * Parse voucher list response data
-     * @param {Object} responseData - Raw response data from Tally
-     * @returns {Array} Parsed voucher list
+     * Create a voucher unless one with its idempotency key exists
+     * Concurrent calls for the same key share one request, so parallel replays cannot both create.
+     * @param {Object} voucherData - Voucher data with an idempotencyKey (see createVoucher)
+     * @param {Object} options - Request and idempotency options (see createVoucher)
+     * @returns {Promise<Object>} Create response, with `duplicate` and `idempotencyKey`
      * @private
      */
-    _parseVoucherListResponse(responseData) {
-        const envelope = responseData.ENVELOPE || responseData;
-        const body = envelope.BODY || envelope;
-        
-        if (body.EXPORTDATA && body.EXPORTDATA.REQUESTDATA) {
-            const vouchers = body.EXPORTDATA.REQUESTDATA.TALLYMESSAGE || [];
-            const voucherArray = Array.isArray(vouchers) ? vouchers : [vouchers];
-            
-            return voucherArray.map(voucher => ({
-                voucherNumber: voucher.VOUCHERNUMBER || '',
-                voucherType: voucher.VOUCHERTYPENAME || '',
-                date: voucher.DATE || '',
-                narration: voucher.NARRATION || '',
-                amount: this._calculateVoucherAmount(voucher['LEDGERENTRIES.LIST'] || [])
-            }));
+    _createIdempotent(voucherData, options) {
+        const key = String(voucherData.idempotencyKey);
+        const pendingKey = `${options.idempotencyUdf || 'REMOTEID'}:${key}`;
+        if (this._pendingPosts.has(pendingKey)) {
+            return this._pendingPosts.get(pendingKey);
         }
 
-        return [];
+        const post = this._postIdempotent(key, voucherData, options).finally(() => this._pendingPosts.delete(pendingKey));
+        this._pendingPosts.set(pendingKey, post);
+        return post;
     }
 
     /**
-     * Parse voucher summary response data
-     * @param {Object} responseData - Raw response data from Tally
-     * @param {boolean} groupByType - Whether to group by voucher type
-     * @returns {Object} Parsed summary data
+     * Look up the idempotency key, then create, return or alter the voucher
+     * @param {string} key - Idempotency key
+     * @param {Object} voucherData - Voucher data (see createVoucher)
+     * @param {Object} options - Request and idempotency options (see createVoucher)
+     * @returns {Promise<Object>} Create response
      * @private
      */
-    _parseVoucherSummaryResponse(responseData, groupByType = false) {
-        const envelope = responseData.ENVELOPE || responseData;
-        const body = envelope.BODY || envelope;
-        
-        if (body.EXPORTDATA && body.EXPORTDATA.REQUESTDATA) {
+    async _postIdempotent(key, voucherData, options) {
+        const udf = options.idempotencyUdf;
+        const { idempotencyKey, ...data } = voucherData;
+        if (udf) {
+            data.udfs = { ...data.udfs, [udf]: key };
+        } else {
+            data.remoteId = key;
+        }
+
+        try {
+            const existing = await this._findByIdempotencyKey(key, udf, options);
+
+            // A replay returns before any master is created
+            if (existing && options.onDuplicate !== 'alter') {
+                return {
+                    success: true,
+                    message: `Voucher with idempotency key '${key}' already exists`,
+                    data: existing,
+                    importResult: null,
+                    voucherNumber: existing.voucherNumber,
+                    voucherType: existing.voucherType,
+                    masterId: existing.masterId,
+                    remoteId: existing.remoteId || null,
+                    guid: existing.guid || null,
+                    duplicate: true,
+                    idempotencyKey,
+                    ...(options.autoCreateMasters !== undefined ? { createdMasters: [] } : {})
+                };
+            }
+
+            const createdMasters = await this._createMissingMasters(data, options);
+
+            if (existing) {
+                return {
+                    ...(await this._alterDuplicate(existing, data, options)),
+                    message: `Voucher with idempotency key '${key}' altered successfully`,
+                    idempotencyKey,
+                    ...createdMasters
+                };
+            }
+
+            const voucherXml = XmlBuilder.buildVoucherXml(data);
+            const importXml = XmlBuilder.buildImportRequest(voucherXml, this._builderOptions());
+
+            const response = await this._sendRequest(importXml, options, 'createVoucher');
+
+            return {
+                success: true,
+                message: 'Voucher created successfully',
+                data: response.data,
+                importResult: response.importResult,
+                voucherNumber: data.voucherNumber,
+                voucherType: data.voucherType,
+                ...this._createdVoucherIds(response, data),
+                duplicate: false,
+                idempotencyKey,
+                ...createdMasters
+            };
+        } catch (error) {
+            throw TallyError.wrap(error, 'Failed to create voucher');
+        }
+    }
+
+    /**
+     * Alter the voucher found for an idempotency key to the replayed voucher data
+     * Only the fields that differ are sent, as in updateVoucher, so fields the replay leaves out
+     * (an automatic voucher number, a narration edited since) keep their values.
+     * @param {Object} existing - Voucher found by _findByIdempotencyKey
+     * @param {Object} data - Replayed voucher data, without the idempotency key
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} Alter response, with the fields that changed in `changedFields`
+     * @private
+     */
+    async _alterDuplicate(existing, data, options) {
+        const changes = this._voucherChanges(existing, data);
+        const changedFields = Object.keys(changes);
+        const result = {
+            success: true,
+            data: null,
+            importResult: null,
+            voucherNumber: changes.voucherNumber || existing.voucherNumber,
+            voucherType: existing.voucherType,
+            masterId: existing.masterId,
+            remoteId: existing.remoteId || null,
+            guid: existing.guid || null,
+            duplicate: true,
+            changedFields
+        };
+        if (changedFields.length === 0) return result;
+
+        const alterXml = XmlBuilder.buildVoucherAlterXml({ masterId: existing.masterId }, existing.voucherType, changes);
+        const importXml = XmlBuilder.buildImportRequest(alterXml, this._builderOptions());
+        const response = await this._sendRequest(importXml, options, 'createVoucher');
+
+        return { ...result, data: response.data, importResult: response.importResult };
+    }
+
+    /**
+     * Find the voucher that carries an idempotency key
+     * @param {string} key - Idempotency key
+     * @param {string} [udf] - UDF holding the key; REMOTEID when omitted
+     * @param {Object} options - Request options
+     * @returns {Promise<Object|null>} Parsed voucher, as fetchVoucher returns it, or null if there is none
+     * @private
+     */
+    async _findByIdempotencyKey(key, udf, options) {
+        const requestOptions = BaseService.requestOptions(options);
+        let voucherId = { remoteId: key };
+
+        if (udf) {
+            // _validateIdempotency rejects keys with double quotes, so the key cannot end the TDL string early
+            const exportXml = XmlBuilder.buildTDLCollectionRequest(
+                'Voucher By Idempotency Key',
+                'Voucher',
+                ['GUID'],
+                this._builderOptions({ filter: `$${udf} = "${key}"` })
+            );
+            const response = await this._sendRequest(exportXml, options, 'createVoucher');
+
+            const rows = this._parseVoucherCollection(response.data);
+            const guid = rows.length > 0 ? this._parseVoucherRow(rows[0]).guid : null;
+            if (!guid) return null;
+            voucherId = { guid };
+        }
+
+        try {
+            const voucher = await this.fetchVoucher(voucherId, requestOptions);
+            return voucher.data;
+        } catch (error) {
+            if (error instanceof TallyNotFoundError) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Validate one row of importVouchers
+     * @param {Object} voucherData - Voucher data
+     * @private
+     */
+    _validateImportRow(voucherData) {
+        if (!voucherData || typeof voucherData !== 'object') {
+            throw new TallyValidationError('Voucher data must be an object');
+        }
+
+        this._validateVoucherData(voucherData);
+
+        if (voucherData.idempotencyKey !== undefined) {
+            throw new TallyValidationError('importVouchers does not take idempotency keys; give the row a remoteId instead', {
+                field: 'idempotencyKey'
+            });
+        }
+
+        // Remote IDs go into a TDL filter formula when a batch is partly rejected
+        if (voucherData.remoteId && String(voucherData.remoteId).includes('"')) {
+            throw new TallyValidationError('Remote IDs of imported vouchers cannot contain double quotes', { field: 'remoteId' });
+        }
+    }
+
+    /**
+     * Send one batch of importVouchers and record the outcome of each of its rows
+     * @param {Array<Object>} batch - Rows ({ index, voucherData }) with remote IDs
+     * @param {Array<Object>} results - Per-row results, updated in place
+     * @param {Object} options - Request options
+     * @private
+     */
+    async _importVoucherBatch(batch, results, options) {
+        const dataXml = batch.map(row => XmlBuilder.buildVoucherXml(row.voucherData)).join('');
+        const importXml = XmlBuilder.buildImportRequest(dataXml, this._builderOptions());
+
+        let failed = [];
+        try {
+            await this._sendRequest(importXml, options, 'importVouchers');
+        } catch (error) {
+            if (!(error instanceof TallyImportError) || !error.importResult) throw error;
+
+            const { errors, lineErrors } = error.importResult;
+            try {
+                failed = errors >= batch.length ? batch : await this._findMissingVouchers(batch, options);
+            } catch (lookupError) {
+                // Some of the batch is in TallyPrime, so none of it may be reported as failed and resent
+                batch.forEach(row => {
+                    results[row.index] = {
+                        ...results[row.index],
+                        status: 'unresolved',
+                        error: `${error.message}; could not look up which vouchers were imported: ${lookupError.message}`
+                    };
+                });
+                throw lookupError;
+            }
+            failed.forEach((row, position) => {
+                results[row.index] = {
+                    ...results[row.index],
+                    status: 'failed',
+                    error: lineErrors.length === failed.length ? lineErrors[position] : lineErrors.join('; ') || error.message
+                };
+            });
+        }
+
+        for (const row of batch) {
+            if (failed.includes(row)) continue;
+            results[row.index] = { ...results[row.index], status: 'imported', guid: row.voucherData.remoteId, error: null };
+        }
+    }
+
+    /**
+     * Find the rows of a partly rejected batch whose vouchers TallyPrime did not import
+     * @param {Array<Object>} batch - Rows ({ index, voucherData }) with remote IDs
+     * @param {Object} options - Request options
+     * @returns {Promise<Array<Object>>} Rows with no voucher under their remote ID
+     * @private
+     */
+    async _findMissingVouchers(batch, options) {
+        const filter = batch.map(row => `$GUID = "${row.voucherData.remoteId}"`).join(' OR ');
+        const exportXml = XmlBuilder.buildTDLCollectionRequest(
+            'Imported Vouchers',
+            'Voucher',
+            ['GUID'],
+            this._builderOptions({ filter })
+        );
+        const response = await this._sendRequest(exportXml, options, 'importVouchers');
+
+        const found = new Set(this._parseVoucherCollection(response.data).map(voucher => voucher.GUID));
+        return batch.filter(row => !found.has(row.voucherData.remoteId));
+    }
+
+    /**
+     * Get the rows of a TDL Voucher collection response
+     * @param {Object} responseData - Raw response data from Tally
+     * @returns {Array<Object>} Raw voucher rows
+     * @private
+     */
+    _parseVoucherCollection(responseData) {
+        const envelope = responseData.ENVELOPE || responseData;
+        const body = envelope.BODY || envelope;
+        const collection = body.DATA && body.DATA.COLLECTION;
+
+        return collection && collection.VOUCHER ? [].concat(collection.VOUCHER).filter(Boolean) : [];
+    }
+
+    /**
+     * Validate the idempotency key and options of a create
+     * @param {Object} voucherData - Voucher data (see createVoucher)
+     * @param {Object} options - Idempotency options (see createVoucher)
+     * @private
+     */
+    _validateIdempotency(voucherData, options) {
+        const key = voucherData.idempotencyKey;
+        if ((typeof key !== 'string' && typeof key !== 'number') || String(key).trim() === '') {
+            throw new TallyValidationError('Idempotency key must be a non-empty string', { field: 'idempotencyKey' });
+        }
+
+        if (options.onDuplicate !== undefined && !['return', 'alter'].includes(options.onDuplicate)) {
+            throw new TallyValidationError(`Invalid onDuplicate '${options.onDuplicate}'; expected 'return' or 'alter'`, {
+                field: 'onDuplicate'
+            });
+        }
+
+        if (options.idempotencyUdf !== undefined) {
+            if (!/^\w+$/.test(options.idempotencyUdf)) {
+                throw new TallyValidationError(`Invalid UDF name '${options.idempotencyUdf}'`, { field: 'idempotencyUdf' });
+            }
+            if (String(key).includes('"')) {
+                throw new TallyValidationError('Idempotency keys stored in a UDF cannot contain double quotes', {
+                    field: 'idempotencyKey'
+                });
+            }
+        } else if (voucherData.remoteId && voucherData.remoteId !== String(key)) {
+            throw new TallyValidationError('The idempotency key is stored in REMOTEID; omit remoteId or set idempotencyUdf', {
+                field: 'remoteId'
+            });
+        }
+    }
+
+    /**
+     * Identifiers of a voucher just created
+     * @param {Object} response - Import response
+     * @param {Object} voucherData - Voucher data it was created from
+     * @returns {{masterId: number|null, remoteId: string|null, guid: string|null}} Identifiers
+     * @private
+     */
+    _createdVoucherIds(response, voucherData) {
+        const importResult = response.importResult || {};
+        return {
+            masterId: importResult.lastVchId || null,
+            remoteId: voucherData.remoteId || null,
+            guid: voucherData.remoteId || null
+        };
+    }
+
+    /**
+     * Validate voucher data before processing
+     * @param {Object} voucherData - Voucher data to validate
+     * @private
+     */
+    _validateVoucherData(voucherData) {
+        if (!voucherData.voucherType) {
+            throw new TallyValidationError('Voucher type is required');
+        }
+
+        if (!voucherData.date) {
+            throw new TallyValidationError('Voucher date is required');
+        }
+
+        if (!voucherData.ledgerEntries || !Array.isArray(voucherData.ledgerEntries)) {
+            throw new TallyValidationError('Ledger entries are required and must be an array');
+        }
+
+        if (voucherData.ledgerEntries.length < 2) {
+            throw new TallyValidationError('At least two ledger entries are required for a voucher');
+        }
+
+        // Validate ledger entries
+        for (const entry of voucherData.ledgerEntries) {
+            if (!entry.ledgerName) {
+                throw new TallyValidationError('Each ledger entry must have a ledger name');
+            }
+            if (typeof entry.amount !== 'number' || entry.amount === 0) {
+                throw new TallyValidationError('Each ledger entry must have a non-zero amount');
+            }
+            if (entry.billAllocations !== undefined) {
+                this._validateBillAllocations(entry);
+            }
+            if (entry.costAllocations !== undefined) {
+                this._validateCostAllocations(entry);
+            }
+        }
+
+        // Check if debits and credits balance
+        const totalAmount = voucherData.ledgerEntries.reduce((sum, entry) => sum + entry.amount, 0);
+        if (Math.abs(totalAmount) > 0.01) { // Allow for minor rounding differences
+            throw new TallyValidationError('Voucher debits and credits must balance');
+        }
+
+        if (voucherData.inventoryEntries !== undefined) {
+            this._validateInventoryEntries(voucherData.inventoryEntries, voucherData.ledgerEntries);
+        }
+    }
+
+    /**
+     * Turn GST invoice data into voucher data with computed tax, party and round-off entries
+     * @param {Object} invoiceData - Invoice data (see createGstInvoice)
+     * @returns {{voucherData: Object, gst: Object}} Voucher data and the computed GST totals
+     * @private
+     */
+    _buildGstInvoiceData(invoiceData) {
+        const invoiceType = invoiceData.invoiceType || 'Sales';
+        if (invoiceType !== 'Sales' && invoiceType !== 'Purchase') {
+            throw new TallyValidationError(`Invoice type must be 'Sales' or 'Purchase', got '${invoiceType}'`, { field: 'invoiceType' });
+        }
+        if (!invoiceData.partyLedgerName) {
+            throw new TallyValidationError('Party ledger name is required', { field: 'partyLedgerName' });
+        }
+        if (!invoiceData.accountLedgerName) {
+            throw new TallyValidationError('Sales or purchase ledger name is required', { field: 'accountLedgerName' });
+        }
+        if (invoiceData.partyGstin && !GstCalculator.isValidGstin(invoiceData.partyGstin)) {
+            throw new TallyValidationError(`Invalid party GSTIN '${invoiceData.partyGstin}'`, { field: 'partyGstin' });
+        }
+
+        const companyState = GstCalculator.stateName(invoiceData.companyState);
+        if (!companyState) {
+            throw new TallyValidationError('Company state is required to work out the GST split', { field: 'companyState' });
+        }
+
+        const isPurchase = invoiceType === 'Purchase';
+        const partyState = GstCalculator.stateName(invoiceData.partyState || invoiceData.partyGstin);
+        if (invoiceData.partyState && !partyState) {
+            throw new TallyValidationError(`Unknown party state '${invoiceData.partyState}'`, { field: 'partyState' });
+        }
+        const placeOfSupply = GstCalculator.stateName(invoiceData.placeOfSupply || (isPurchase ? companyState : partyState || companyState));
+        if (!placeOfSupply) {
+            throw new TallyValidationError(`Unknown place of supply '${invoiceData.placeOfSupply}'`, { field: 'placeOfSupply' });
+        }
+        const supplierState = isPurchase ? partyState || companyState : companyState;
+
+        if (!Array.isArray(invoiceData.lines) || invoiceData.lines.length === 0) {
+            throw new TallyValidationError('Invoice lines must be a non-empty array', { field: 'lines' });
+        }
+
+        const inventoryEntries = invoiceData.lines.map(line => {
+            const entry = { ...line, ledgerName: invoiceData.accountLedgerName };
+            this._validateInventoryLine(entry);
+            if (typeof line.gstRate !== 'number' || line.gstRate < 0 || line.gstRate > 100) {
+                throw new TallyValidationError(`Invoice line for '${line.stockItemName}' needs a GST rate between 0 and 100`, { field: 'gstRate' });
+            }
+            return entry;
+        });
+
+        const gst = GstCalculator.calculate(
+            inventoryEntries.map(line => ({
+                taxableValue: XmlBuilder.inventoryLineAmount(line),
+                gstRate: line.gstRate,
+                cessRate: line.cessRate
+            })),
+            {
+                interState: GstCalculator.isInterState(supplierState, placeOfSupply),
+                roundOff: Boolean(invoiceData.roundOffLedgerName)
+            }
+        );
+
+        // Sales credit the sales and tax ledgers, purchases debit them; the party takes the other side
+        const sign = isPurchase ? 1 : -1;
+        const taxLedgers = invoiceData.taxLedgers || {};
+        const taxAmounts = new Map();
+        for (const head of ['cgst', 'sgst', 'igst', 'cess']) {
+            if (gst[head] === 0) continue;
+            if (!taxLedgers[head]) {
+                throw new TallyValidationError(`A tax ledger for ${head.toUpperCase()} is required for this invoice`, { field: 'taxLedgers' });
+            }
+            taxAmounts.set(taxLedgers[head], Math.round(((taxAmounts.get(taxLedgers[head]) || 0) + gst[head]) * 100) / 100);
+        }
+
+        if (invoiceData.taxEntries) {
+            this._checkTaxEntries(invoiceData.taxEntries, taxAmounts);
+        }
+
+        const ledgerEntries = [
+            {
+                ledgerName: invoiceData.partyLedgerName,
+                amount: -sign * gst.invoiceTotal,
+                billName: invoiceData.billName || invoiceData.voucherNumber,
+                billType: 'New Ref'
+            },
+            { ledgerName: invoiceData.accountLedgerName, amount: sign * gst.taxableValue },
+            ...[...taxAmounts].map(([ledgerName, amount]) => ({ ledgerName, amount: sign * amount }))
+        ];
+        if (gst.roundOff !== 0) {
+            ledgerEntries.push({ ledgerName: invoiceData.roundOffLedgerName, amount: sign * gst.roundOff });
+        }
+
+        return {
+            voucherData: {
+                voucherType: invoiceData.voucherType || invoiceType,
+                date: invoiceData.date,
+                voucherNumber: invoiceData.voucherNumber,
+                narration: invoiceData.narration,
+                remoteId: invoiceData.remoteId,
+                partyLedgerName: invoiceData.partyLedgerName,
+                ledgerEntries,
+                inventoryEntries,
+                gst: {
+                    partyGstin: invoiceData.partyGstin,
+                    partyState: partyState || '',
+                    placeOfSupply,
+                    registrationType: invoiceData.registrationType
+                }
+            },
+            gst
+        };
+    }
+
+    /**
+     * Check caller-provided tax entries against the computed tax per ledger
+     * @param {Array} taxEntries - Tax entries ({ ledgerName, amount })
+     * @param {Map<string, number>} taxAmounts - Computed tax by ledger name
+     * @private
+     */
+    _checkTaxEntries(taxEntries, taxAmounts) {
+        const provided = new Map();
+        for (const entry of taxEntries) {
+            if (!entry.ledgerName || typeof entry.amount !== 'number') {
+                throw new TallyValidationError('Each tax entry must have a ledger name and an amount', { field: 'taxEntries' });
+            }
+            provided.set(entry.ledgerName, (provided.get(entry.ledgerName) || 0) + Math.abs(entry.amount));
+        }
+
+        for (const ledgerName of new Set([...provided.keys(), ...taxAmounts.keys()])) {
+            const expected = taxAmounts.get(ledgerName) || 0;
+            const given = provided.get(ledgerName) || 0;
+            if (Math.abs(expected - given) > 0.01) {
+                throw new TallyValidationError(
+                    `Tax for '${ledgerName}' works out to ${expected.toFixed(2)} but the invoice gives ${given.toFixed(2)}`,
+                    { field: 'taxEntries' }
+                );
+            }
+        }
+    }
+
+    /**
+     * Validate the bill allocations of a ledger entry and check that they add up to its amount
+     * @param {Object} entry - Ledger entry with billAllocations
+     * @private
+     */
+    _validateBillAllocations(entry) {
+        if (!Array.isArray(entry.billAllocations)) {
+            throw new TallyValidationError(`Bill allocations of '${entry.ledgerName}' must be an array`, { field: 'billAllocations' });
+        }
+        if (entry.billAllocations.length === 0) return;
+
+        let total = 0;
+        for (const allocation of XmlBuilder.billAllocations(entry)) {
+            if (!BILL_TYPES.includes(allocation.billType)) {
+                throw new TallyValidationError(
+                    `Invalid bill type '${allocation.billType}' on '${entry.ledgerName}'; expected one of ${BILL_TYPES.join(', ')}`,
+                    { field: 'billType' }
+                );
+            }
+            if (allocation.billType !== 'On Account' && !allocation.name) {
+                throw new TallyValidationError(`${allocation.billType} allocations on '${entry.ledgerName}' need a bill name`, { field: 'name' });
+            }
+            if (typeof allocation.amount !== 'number' || allocation.amount === 0) {
+                throw new TallyValidationError(`Each bill allocation on '${entry.ledgerName}' must have a non-zero amount`, { field: 'amount' });
+            }
+            if ((allocation.dueDate || allocation.creditPeriod !== undefined) && allocation.billType !== 'New Ref') {
+                throw new TallyValidationError(`Only New Ref bills can have a due date or credit period ('${allocation.name}')`, { field: 'dueDate' });
+            }
+            if (allocation.dueDate && Number.isNaN(new Date(allocation.dueDate).getTime())) {
+                throw new TallyValidationError(`Invalid due date '${allocation.dueDate}' for bill '${allocation.name}'`, { field: 'dueDate' });
+            }
+            if (allocation.creditPeriod !== undefined && typeof allocation.creditPeriod === 'number' && allocation.creditPeriod < 0) {
+                throw new TallyValidationError(`Invalid credit period for bill '${allocation.name}'`, { field: 'creditPeriod' });
+            }
+
+            total += allocation.amount;
+        }
+
+        if (Math.abs(total - entry.amount) > 0.01) {
+            throw new TallyValidationError(
+                `Bill allocations of '${entry.ledgerName}' add up to ${total.toFixed(2)}, not the entry amount ${entry.amount.toFixed(2)}`,
+                { field: 'billAllocations' }
+            );
+        }
+    }
+
+    /**
+     * Validate the cost centre allocations of a ledger entry and check that each cost category
+     * allocates its whole amount
+     * @param {Object} entry - Ledger entry with costAllocations
+     * @private
+     */
+    _validateCostAllocations(entry) {
+        if (!Array.isArray(entry.costAllocations)) {
+            throw new TallyValidationError(`Cost allocations of '${entry.ledgerName}' must be an array`, { field: 'costAllocations' });
+        }
+
+        for (const { category, allocations } of XmlBuilder.costAllocationsByCategory(entry)) {
+            let total = 0;
+            for (const allocation of allocations) {
+                if (!allocation.costCentre) {
+                    throw new TallyValidationError(`Each cost allocation on '${entry.ledgerName}' must name a cost centre`, { field: 'costCentre' });
+                }
+                if (typeof allocation.amount !== 'number' || allocation.amount === 0) {
+                    throw new TallyValidationError(
+                        `Cost allocation to '${allocation.costCentre}' on '${entry.ledgerName}' must have a non-zero amount`,
+                        { field: 'amount' }
+                    );
+                }
+                total += allocation.amount;
+            }
+
+            if (Math.abs(total - entry.amount) > 0.01) {
+                throw new TallyValidationError(
+                    `Cost allocations of '${entry.ledgerName}' in '${category}' add up to ${total.toFixed(2)}, not the entry amount ${entry.amount.toFixed(2)}`,
+                    { field: 'costAllocations' }
+                );
+            }
+        }
+    }
+
+    /**
+     * Validate inventory lines and check that they tie to their sales/purchase ledger amounts
+     * @param {Array} inventoryEntries - Inventory lines
+     * @param {Array} ledgerEntries - Ledger entries of the voucher
+     * @private
+     */
+    _validateInventoryEntries(inventoryEntries, ledgerEntries) {
+        if (!Array.isArray(inventoryEntries) || inventoryEntries.length === 0) {
+            throw new TallyValidationError('Inventory entries must be a non-empty array', { field: 'inventoryEntries' });
+        }
+
+        const totals = new Map();
+        for (const line of inventoryEntries) {
+            this._validateInventoryLine(line);
+
+            const amount = XmlBuilder.inventoryLineAmount(line);
+            totals.set(line.ledgerName, (totals.get(line.ledgerName) || 0) + amount);
+        }
+
+        for (const [ledgerName, total] of totals) {
+            const ledgerEntry = ledgerEntries.find(entry => entry.ledgerName === ledgerName);
+            if (!ledgerEntry) {
+                throw new TallyValidationError(`Inventory entries are allocated to '${ledgerName}', which has no ledger entry`, { field: 'inventoryEntries' });
+            }
+            if (Math.abs(Math.abs(ledgerEntry.amount) - total) > 0.01) {
+                throw new TallyValidationError(
+                    `Inventory total for '${ledgerName}' (${total.toFixed(2)}) does not match its ledger amount (${Math.abs(ledgerEntry.amount).toFixed(2)})`,
+                    { field: 'inventoryEntries' }
+                );
+            }
+        }
+    }
+
+    /**
+     * Validate the fields of an inventory line
+     * @param {Object} line - Inventory line
+     * @private
+     */
+    _validateInventoryLine(line) {
+        if (!line.stockItemName) {
+            throw new TallyValidationError('Each inventory entry must have a stock item name', { field: 'stockItemName' });
+        }
+        if (typeof line.quantity !== 'number' || line.quantity <= 0) {
+            throw new TallyValidationError(`Inventory entry for '${line.stockItemName}' must have a positive quantity`, { field: 'quantity' });
+        }
+        if (line.rate !== undefined && (typeof line.rate !== 'number' || line.rate < 0)) {
+            throw new TallyValidationError(`Inventory entry for '${line.stockItemName}' has an invalid rate`, { field: 'rate' });
+        }
+        if (line.rate === undefined && typeof line.amount !== 'number') {
+            throw new TallyValidationError(`Inventory entry for '${line.stockItemName}' needs a rate or an amount`, { field: 'rate' });
+        }
+        if (line.discount !== undefined && (typeof line.discount !== 'number' || line.discount < 0 || line.discount > 100)) {
+            throw new TallyValidationError(`Inventory entry for '${line.stockItemName}' has a discount outside 0-100%`, { field: 'discount' });
+        }
+        if (!line.ledgerName) {
+            throw new TallyValidationError(`Inventory entry for '${line.stockItemName}' must name its sales or purchase ledger`, { field: 'ledgerName' });
+        }
+
+        if (typeof line.amount === 'number' && line.rate !== undefined) {
+            const amount = XmlBuilder.inventoryLineAmount(line);
+            const computed = XmlBuilder.inventoryLineAmount({ ...line, amount: undefined });
+            if (Math.abs(computed - amount) > 0.01) {
+                throw new TallyValidationError(
+                    `Inventory entry for '${line.stockItemName}' has amount ${amount.toFixed(2)} but quantity x rate gives ${computed.toFixed(2)}`,
+                    { field: 'amount' }
+                );
+            }
+        }
+    }
+
+    /**
+     * Parse voucher response data
+     * @param {Object} responseData - Raw response data from Tally
+     * @returns {Object} Parsed voucher data
+     * @private
+     */
+    _parseVoucherResponse(responseData) {
+        const envelope = responseData.ENVELOPE || responseData;
+        const body = envelope.BODY || envelope;
+        
+        if (body.EXPORTDATA && body.EXPORTDATA.REQUESTDATA) {
+            const voucherData = body.EXPORTDATA.REQUESTDATA.TALLYMESSAGE || {};
+            const inventoryData = voucherData['ALLINVENTORYENTRIES.LIST'] || voucherData['INVENTORYENTRIES.LIST'];
+            return {
+                voucherNumber: voucherData.VOUCHERNUMBER || '',
+                voucherType: voucherData.VOUCHERTYPENAME || '',
+                date: voucherData.DATE || '',
+                narration: voucherData.NARRATION || '',
+                partyLedgerName: voucherData.PARTYLEDGERNAME || '',
+                ...this._parseVoucherIds(voucherData),
+                ...this._parseVoucherStatus(voucherData),
+                ledgerEntries: [
+                    ...this._parseLedgerEntries(voucherData['LEDGERENTRIES.LIST'] || []),
+                    ...this._parseAllocationLedgerEntries(inventoryData)
+                ],
+                inventoryEntries: this._parseInventoryEntries(inventoryData),
+                udfs: this._parseUdfs(voucherData)
+            };
+        }
+
+        return {};
+    }
+
+    /**
+     * Parse voucher list response data
+     * @param {Object} responseData - Raw response data from Tally
+     * @returns {Array} Parsed voucher list
+     * @private
+     */
+    _parseVoucherListResponse(responseData) {
+        const envelope = responseData.ENVELOPE || responseData;
+        const body = envelope.BODY || envelope;
+        
+        if (body.EXPORTDATA && body.EXPORTDATA.REQUESTDATA) {
+            const vouchers = body.EXPORTDATA.REQUESTDATA.TALLYMESSAGE || [];
+            const voucherArray = Array.isArray(vouchers) ? vouchers : [vouchers];
+            
+            return voucherArray.map(voucher => this._parseVoucherRow(voucher));
+        }
+
+        return [];
+    }
+
+    /**
+     * Parse a single voucher row of a voucher list
+     * @param {Object} voucher - Raw voucher row from Tally
+     * @returns {Object} Parsed voucher summary
+     * @private
+     */
+    _parseVoucherRow(voucher) {
+        return {
+            voucherNumber: voucher.VOUCHERNUMBER || '',
+            voucherType: voucher.VOUCHERTYPENAME || '',
+            date: voucher.DATE || '',
+            narration: voucher.NARRATION || '',
+            ...this._parseVoucherIds(voucher),
+            ...this._parseVoucherStatus(voucher),
+            amount: this._calculateVoucherAmount(voucher['LEDGERENTRIES.LIST'] || [])
+        };
+    }
+
+    /**
+     * Parse the identifiers of a voucher
+     * @param {Object} voucher - Raw voucher data from Tally
+     * @returns {{guid: string, masterId: number|null, alterId: number|null, remoteId: string}} Identifiers
+     * @private
+     */
+    _parseVoucherIds(voucher) {
+        return {
+            guid: voucher.GUID || '',
+            masterId: parseInt(voucher.MASTERID, 10) || null,
+            alterId: parseInt(voucher.ALTERID, 10) || null,
+            remoteId: voucher.REMOTEID || ''
+        };
+    }
+
+    /**
+     * Parse the optional, post-dated and cancelled flags of a voucher
+     * @param {Object} voucher - Raw voucher data from Tally
+     * @returns {{optional: boolean, postDated: boolean, cancelled: boolean}} Flags
+     * @private
+     */
+    _parseVoucherStatus(voucher) {
+        return {
+            optional: voucher.ISOPTIONAL === 'Yes',
+            postDated: voucher.ISPOSTDATED === 'Yes',
+            cancelled: voucher.ISCANCELLED === 'Yes'
+        };
+    }
+
+    /**
+     * Map voucher list filters to report variables
+     * @param {Object} filters - Filter criteria (see getVoucherList)
+     * @returns {Object} Report filters
+     * @private
+     */
+    _buildVoucherListFilters(filters) {
+        const requestFilters = {};
+
+        if (filters.voucherType) requestFilters.VOUCHERTYPE = filters.voucherType;
+        if (filters.fromDate) requestFilters.FROMDATE = filters.fromDate;
+        if (filters.toDate) requestFilters.TODATE = filters.toDate;
+        if (filters.ledgerName) requestFilters.LEDGERNAME = filters.ledgerName;
+
+        return requestFilters;
+    }
+
+    /**
+     * Parse voucher summary response data
+     * @param {Object} responseData - Raw response data from Tally
+     * @param {boolean} groupByType - Whether to group by voucher type
+     * @returns {Object} Parsed summary data
+     * @private
+     */
+    _parseVoucherSummaryResponse(responseData, groupByType = false) {
+        const envelope = responseData.ENVELOPE || responseData;
+        const body = envelope.BODY || envelope;
+        
+        if (body.EXPORTDATA && body.EXPORTDATA.REQUESTDATA) {
             const summaryData = body.EXPORTDATA.REQUESTDATA.TALLYMESSAGE || {};
             
             if (groupByType) {
@@ -480,14 +1885,165 @@ export class VoucherService {
     _parseLedgerEntries(ledgerEntriesData) {
         const entriesArray = Array.isArray(ledgerEntriesData) ? ledgerEntriesData : [ledgerEntriesData];
         
-        return entriesArray.map(entry => ({
-            ledgerName: entry.LEDGERNAME || '',
-            amount: parseFloat(entry.AMOUNT) * (entry.ISDEEMEDPOSITIVE === 'No' ? -1 : 1) || 0,
-            billName: entry['BILLALLOCATIONS.LIST'] ? entry['BILLALLOCATIONS.LIST'].NAME : '',
-            billType: entry['BILLALLOCATIONS.LIST'] ? entry['BILLALLOCATIONS.LIST'].BILLTYPE : ''
+        return entriesArray.map(entry => {
+            const direction = entry.ISDEEMEDPOSITIVE === 'No' ? -1 : 1;
+            const billAllocations = this._parseBillAllocations(entry['BILLALLOCATIONS.LIST'], direction);
+
+            return {
+                ledgerName: entry.LEDGERNAME || '',
+                amount: parseFloat(entry.AMOUNT) * direction || 0,
+                billName: billAllocations.length > 0 ? billAllocations[0].name : '',
+                billType: billAllocations.length > 0 ? billAllocations[0].billType : '',
+                billAllocations,
+                costAllocations: this._parseCostAllocations(entry['CATEGORYALLOCATIONS.LIST'], direction)
+            };
+        });
+    }
+
+    /**
+     * Parse the cost centre allocations of a ledger entry
+     * @param {Object|Array} categoriesData - Raw CATEGORYALLOCATIONS.LIST data
+     * @param {number} direction - 1 for a debit entry, -1 for a credit entry
+     * @returns {Array} Allocations ({ category, costCentre, amount }), amounts signed like the entry
+     * @private
+     */
+    _parseCostAllocations(categoriesData, direction) {
+        if (!categoriesData) return [];
+        const categoriesArray = Array.isArray(categoriesData) ? categoriesData : [categoriesData];
+
+        return categoriesArray.filter(Boolean).flatMap(category => {
+            const centres = category['COSTCENTREALLOCATIONS.LIST'];
+            if (!centres) return [];
+
+            return (Array.isArray(centres) ? centres : [centres]).map(centre => ({
+                category: category.CATEGORY || '',
+                costCentre: centre.NAME || '',
+                amount: parseFloat(centre.AMOUNT) * direction || 0
+            }));
+        });
+    }
+
+    /**
+     * Parse the stock lines of an item invoice into the shape createVoucher takes
+     * @param {Object|Array} inventoryData - Raw ALLINVENTORYENTRIES.LIST data
+     * @returns {Array<Object>} Stock lines
+     * @private
+     */
+    _parseInventoryEntries(inventoryData) {
+        if (!inventoryData) return [];
+        const linesArray = Array.isArray(inventoryData) ? inventoryData : [inventoryData];
+
+        return linesArray.filter(Boolean).map(line => {
+            const [quantity, ...unit] = String(line.BILLEDQTY || line.ACTUALQTY || '').trim().split(/\s+/);
+            const allocation = [].concat(line['ACCOUNTINGALLOCATIONS.LIST'] || [])[0];
+            const batch = [].concat(line['BATCHALLOCATIONS.LIST'] || [])[0];
+            const rates = [].concat(line['RATEDETAILS.LIST'] || []);
+            const dutyRate = head => {
+                const detail = rates.find(rate => rate && rate.GSTRATEDUTYHEAD === head);
+                return detail ? parseFloat(detail.GSTRATE) || 0 : undefined;
+            };
+
+            const parsed = {
+                stockItemName: line.STOCKITEMNAME || '',
+                quantity: parseFloat(quantity) || 0,
+                unit: unit.join(' '),
+                rate: parseFloat(line.RATE) || 0,
+                amount: Math.abs(parseFloat(line.AMOUNT)) || 0,
+                ledgerName: allocation ? allocation.LEDGERNAME || '' : ''
+            };
+            if (line.DISCOUNT) parsed.discount = parseFloat(line.DISCOUNT) || 0;
+            if (batch) {
+                parsed.godownName = batch.GODOWNNAME || '';
+                parsed.batchName = batch.BATCHNAME || '';
+            }
+            if (line.GSTHSNNAME) parsed.hsnCode = line.GSTHSNNAME;
+            if (dutyRate('IGST') !== undefined) {
+                parsed.gstRate = dutyRate('IGST');
+                if (dutyRate('Cess')) parsed.cessRate = dutyRate('Cess');
+            }
+            return parsed;
+        });
+    }
+
+    /**
+     * Parse the ledgers an item invoice posts through its stock lines' accounting allocations
+     * into ledger entries, one per ledger, as createVoucher takes them
+     * @param {Object|Array} inventoryData - Raw ALLINVENTORYENTRIES.LIST data
+     * @returns {Array<Object>} Ledger entries
+     * @private
+     */
+    _parseAllocationLedgerEntries(inventoryData) {
+        if (!inventoryData) return [];
+        const totals = new Map();
+
+        for (const line of [].concat(inventoryData).filter(Boolean)) {
+            for (const allocation of [].concat(line['ACCOUNTINGALLOCATIONS.LIST'] || []).filter(Boolean)) {
+                const direction = allocation.ISDEEMEDPOSITIVE === 'No' ? -1 : 1;
+                const amount = Math.abs(parseFloat(allocation.AMOUNT)) * direction || 0;
+                const ledgerName = allocation.LEDGERNAME || '';
+                totals.set(ledgerName, (totals.get(ledgerName) || 0) + amount);
+            }
+        }
+
+        return [...totals].map(([ledgerName, amount]) => ({
+            ledgerName,
+            amount: Math.round(amount * 100) / 100,
+            billName: '',
+            billType: '',
+            billAllocations: [],
+            costAllocations: []
         }));
     }
 
+    /**
+     * Parse the user-defined field values of a voucher
+     * @param {Object} voucher - Raw voucher data from Tally
+     * @returns {Object<string, string>} Values by UDF name
+     * @private
+     */
+    _parseUdfs(voucher) {
+        const udfs = {};
+
+        for (const [key, value] of Object.entries(voucher)) {
+            const match = /^UDF:(.+)\.LIST$/.exec(key);
+            if (!match) continue;
+
+            const list = Array.isArray(value) ? value[0] : value;
+            const item = list && [].concat(list[`UDF:${match[1]}`])[0];
+            const name = String((list && list.DESC) || match[1]).replace(/`/g, '');
+            udfs[name] = item && typeof item === 'object' ? String(item._ || '') : String(item || '');
+        }
+
+        return udfs;
+    }
+
+    /**
+     * Parse the bill allocations of a ledger entry
+     * @param {Object|Array} allocationsData - Raw BILLALLOCATIONS.LIST data
+     * @param {number} direction - 1 for a debit entry, -1 for a credit entry
+     * @returns {Array} Allocations ({ name, billType, amount, creditPeriod }), amounts signed like the entry
+     * @private
+     */
+    _parseBillAllocations(allocationsData, direction) {
+        if (!allocationsData) return [];
+        const allocationsArray = Array.isArray(allocationsData) ? allocationsData : [allocationsData];
+
+        return allocationsArray
+            .filter(allocation => allocation && allocation.BILLTYPE)
+            .map(allocation => {
+                const creditPeriod = allocation.BILLCREDITPERIOD;
+                const parsed = {
+                    name: allocation.NAME || '',
+                    billType: allocation.BILLTYPE,
+                    amount: parseFloat(allocation.AMOUNT) * direction || 0
+                };
+                if (creditPeriod) {
+                    parsed.creditPeriod = typeof creditPeriod === 'object' ? creditPeriod._ || creditPeriod.P || '' : creditPeriod;
+                }
+                return parsed;
+            });
+    }
+
     /**
      * Calculate total voucher amount from ledger entries
      * @param {Array} ledgerEntries - Ledger entries data
@@ -517,4 +2073,55 @@ export class VoucherService {
     }
 }
 
+/**
+ * Parse a voucher identifier ({ guid }, { masterId } or { remoteId })
+ * @param {*} value - Voucher number or identifier
+ * @returns {{key: string, value: string|number}|null} Identifier, or null for a voucher number
+ * @private
+ */
+function voucherIdentifier(value) {
+    if (!value || typeof value !== 'object') return null;
+
+    const keys = Object.keys(ID_FILTERS).filter(key => value[key] !== undefined && value[key] !== null && value[key] !== '');
+    if (keys.length !== 1) {
+        throw new TallyValidationError('A voucher identifier needs exactly one of guid, masterId or remoteId', {
+            field: 'voucherId'
+        });
+    }
+
+    return { key: keys[0], value: value[keys[0]] };
+}
+
+/**
+ * Distinct non-empty names, case-insensitively, in first-seen spelling
+ * @private
+ */
+function uniqueNames(names) {
+    const unique = new Map();
+    for (const name of names) {
+        if (name && !unique.has(name.toLowerCase())) unique.set(name.toLowerCase(), name);
+    }
+    return [...unique.values()];
+}
+
+/**
+ * Names not found in a master list ([{ name }, ...]), compared case-insensitively
+ * @private
+ */
+function missingNames(names, masters) {
+    const existing = new Set(masters.map(master => master.name.toLowerCase()));
+    return names.filter(name => !existing.has(name.toLowerCase()));
+}
+
+/**
+ * Resolve the autoCreateMasters defaults for one missing master
+ * @param {Object|Function} [defaults] - Master data, or a function (name, context) returning it
+ * @returns {Object|null} Master data, or null if the master must not be created
+ * @private
+ */
+function masterDefaults(defaults, name, context) {
+    const data = typeof defaults === 'function' ? defaults(name, context) : defaults;
+    return data && typeof data === 'object' ? { ...data } : null;
+}
+
 export default VoucherService;
\ No newline at end of file
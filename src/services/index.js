@@ -1,7 +1,9 @@
+export { BaseService } from './BaseService.js';
 export { LedgerService } from './LedgerService.js';
 export { VoucherService } from './VoucherService.js';
 export { CompanyService } from './CompanyService.js';
 export { StockItemService } from './StockItemService.js';
+export { CostCentreService } from './CostCentreService.js';
 
 // export { default as LedgerService } from './LedgerService.js';
 // export { default as VoucherService } from './VoucherService.js';
@@ -0,0 +1,1286 @@
+import http from 'http';
+import { randomUUID } from 'crypto';
+import { parseString, Builder } from 'xml2js';
+import { EncodingUtils } from '../utils/EncodingUtils.js';
+
+/**
+ * Reserved groups every new Tally company starts with, as [name, parent] pairs
+ * @private
+ */
+const DEFAULT_GROUPS = [
+    ['Capital Account', 'Primary'],
+    ['Loans (Liability)', 'Primary'],
+    ['Current Liabilities', 'Primary'],
+    ['Fixed Assets', 'Primary'],
+    ['Investments', 'Primary'],
+    ['Current Assets', 'Primary'],
+    ['Branch / Divisions', 'Primary'],
+    ['Misc. Expenses (ASSET)', 'Primary'],
+    ['Suspense A/c', 'Primary'],
+    ['Sales Accounts', 'Primary'],
+    ['Purchase Accounts', 'Primary'],
+    ['Direct Incomes', 'Primary'],
+    ['Direct Expenses', 'Primary'],
+    ['Indirect Incomes', 'Primary'],
+    ['Indirect Expenses', 'Primary'],
+    ['Reserves & Surplus', 'Capital Account'],
+    ['Bank OD A/c', 'Loans (Liability)'],
+    ['Secured Loans', 'Loans (Liability)'],
+    ['Unsecured Loans', 'Loans (Liability)'],
+    ['Duties & Taxes', 'Current Liabilities'],
+    ['Provisions', 'Current Liabilities'],
+    ['Sundry Creditors', 'Current Liabilities'],
+    ['Bank Accounts', 'Current Assets'],
+    ['Cash-in-Hand', 'Current Assets'],
+    ['Deposits (Asset)', 'Current Assets'],
+    ['Loans & Advances (Asset)', 'Current Assets'],
+    ['Stock-in-Hand', 'Current Assets'],
+    ['Sundry Debtors', 'Current Assets']
+];
+
+/**
+ * Reserved ledgers every new Tally company starts with
+ * @private
+ */
+const DEFAULT_LEDGERS = [
+    ['Cash', 'Cash-in-Hand'],
+    ['Profit & Loss A/c', 'Primary']
+];
+
+/**
+ * Predefined voucher types
+ * @private
+ */
+const DEFAULT_VOUCHER_TYPES = [
+    'Contra', 'Payment', 'Receipt', 'Journal', 'Sales', 'Purchase', 'Credit Note', 'Debit Note',
+    'Memorandum', 'Reversing Journal', 'Delivery Note', 'Receipt Note', 'Rejections In',
+    'Rejections Out', 'Stock Journal', 'Physical Stock', 'Sales Order', 'Purchase Order'
+];
+
+/**
+ * Master object types understood by the mock, keyed by their XML tag
+ * @private
+ */
+const MASTER_TYPES = {
+    GROUP: { label: 'Group', parentType: 'GROUP' },
+    LEDGER: { label: 'Ledger', parentType: 'GROUP' },
+    STOCKGROUP: { label: 'Stock Group', parentType: 'STOCKGROUP' },
+    STOCKITEM: { label: 'Stock Item', parentType: 'STOCKGROUP' },
+    UNIT: { label: 'Unit' },
+    VOUCHERTYPE: { label: 'Voucher Type' },
+    COSTCATEGORY: { label: 'Cost Category' },
+    COSTCENTRE: { label: 'Cost Centre', parentType: 'COSTCENTRE' }
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Error raised while applying a single object; becomes a LINEERROR in the response
+ * @private
+ */
+class MockLineError extends Error {}
+
+/**
+ * MockTallyServer - In-process stand-in for the TallyPrime XML/HTTP server
+ * Speaks the same ENVELOPE protocol as TallyPrime on port 9000 and keeps an in-memory
+ * company, so the SDK can be exercised without a running TallyPrime instance
+ *
+ * Supported requests:
+ * - Import Data: GROUP, LEDGER, STOCKGROUP, STOCKITEM, UNIT, VOUCHERTYPE, COSTCATEGORY, COSTCENTRE,
+ *   VOUCHER and COMPANY objects with ACTION Create, Alter or Delete (and Cancel for vouchers), answered
+ *   with IMPORTRESULT counters (CREATED, ALTERED, DELETED, CANCELLED, ERRORS, LASTVCHID, LASTMID, ...)
+ *   and LINEERROR messages
+ * - Export Data: TDL collection requests (HEADER TYPE Collection) and the report names used
+ *   by the SDK services ('List of Companies', 'Ledger Details', 'Voucher Details', ...)
+ * - Load Company, Backup Company and Execute Function, which are acknowledged
+ *
+ * Like TallyPrime, the mock answers in the encoding of the request (UTF-8 or UTF-16LE with
+ * a BOM) unless a fixed response encoding is configured.
+ *
+ * @class MockTallyServer
+ */
+export class MockTallyServer {
+    /**
+     * Create a MockTallyServer instance
+     * @param {Object} [options] - Server options
+     * @param {string} [options.host='127.0.0.1'] - Interface to listen on
+     * @param {number} [options.port=0] - Port to listen on (0 picks a free port)
+     * @param {string} [options.companyName='Mock Company'] - Name of the initially loaded company
+     * @param {string} [options.encoding] - Fixed response encoding: 'utf-8', 'utf-16' or 'windows-1252'
+     * (sent without a charset label, like older releases)
+     *
+     * @example
+     * const server = new MockTallyServer({ companyName: 'Acme Ltd' });
+     * const { port } = await server.start();
+     * const tally = new TallyPrimeSDK({ host: '127.0.0.1', port });
+     */
+    constructor(options = {}) {
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port || 0;
+        this.defaultCompanyName = options.companyName || 'Mock Company';
+        this.encoding = options.encoding || null;
+        this.server = null;
+        this.builder = new Builder({
+            headless: true,
+            renderOpts: { pretty: true, indent: ' ', newline: '\n' }
+        });
+
+        this.reset();
+    }
+
+    /**
+     * Start listening for requests
+     * @returns {Promise<Object>} Bound address ({ host, port, baseUrl })
+     */
+    async start() {
+        if (this.server) {
+            return this.getAddress();
+        }
+
+        this.server = http.createServer((req, res) => this._onHttpRequest(req, res));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.port = this.server.address().port;
+        return this.getAddress();
+    }
+
+    /**
+     * Stop listening and close open connections
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+
+        const server = this.server;
+        this.server = null;
+
+        await new Promise(resolve => {
+            server.close(() => resolve());
+            if (server.closeAllConnections) {
+                server.closeAllConnections();
+            }
+        });
+    }
+
+    /**
+     * Get the address the server is bound to
+     * @returns {Object} Address details ({ host, port, baseUrl })
+     */
+    getAddress() {
+        return {
+            host: this.host,
+            port: this.port,
+            baseUrl: `http://${this.host}:${this.port}`
+        };
+    }
+
+    /**
+     * Drop all companies, recorded requests and pending faults, and recreate the default company
+     */
+    reset() {
+        this.companies = new Map();
+        this.currentCompany = null;
+        this.requests = [];
+        this.faults = [];
+        this.addCompany(this.defaultCompanyName);
+    }
+
+    /**
+     * Add (load) a company with the default groups, ledgers, units and voucher types
+     * @param {string} name - Company name
+     * @returns {Object} Company record
+     */
+    addCompany(name) {
+        const key = name.toLowerCase();
+        if (this.companies.has(key)) {
+            return this.companies.get(key);
+        }
+
+        const company = {
+            name,
+            guid: randomUUID(),
+            fields: { NAME: name, BOOKSBEGINFROM: '01-Apr-2023', CURRENCYSYMBOL: 'Rs.' },
+            masters: Object.fromEntries(Object.keys(MASTER_TYPES).map(type => [type, new Map()])),
+            vouchers: [],
+            lastMasterId: 0,
+            altMstId: 0,
+            altVchId: 0,
+            voucherNumbers: {}
+        };
+
+        for (const [groupName, parent] of DEFAULT_GROUPS) {
+            this._insertMaster(company, 'GROUP', groupName, { PARENT: parent });
+        }
+        for (const [ledgerName, parent] of DEFAULT_LEDGERS) {
+            this._insertMaster(company, 'LEDGER', ledgerName, { PARENT: parent });
+        }
+        for (const typeName of DEFAULT_VOUCHER_TYPES) {
+            this._insertMaster(company, 'VOUCHERTYPE', typeName, { PARENT: typeName });
+        }
+        this._insertMaster(company, 'UNIT', 'Nos', { ORIGINALNAME: 'Numbers', ISSIMPLEUNIT: 'Yes' });
+        this._insertMaster(company, 'COSTCATEGORY', 'Primary Cost Category', { ALLOCATEREVENUE: 'Yes', ALLOCATENONREVENUE: 'No' });
+
+        this.companies.set(key, company);
+        if (!this.currentCompany) {
+            this.currentCompany = company;
+        }
+
+        return company;
+    }
+
+    /**
+     * Get a company record
+     * @param {string} [name] - Company name (defaults to the currently loaded company)
+     * @returns {Object|undefined} Company record
+     */
+    getCompany(name) {
+        return name ? this.companies.get(name.toLowerCase()) : this.currentCompany;
+    }
+
+    /**
+     * Insert masters directly, bypassing import validation
+     * @param {Object} data - Masters to insert
+     * @param {Array<{name:string,parent:string}>} [data.groups] - Groups
+     * @param {Array<{name:string,parent:string}>} [data.ledgers] - Ledgers
+     * @param {Array<{name:string,parent?:string}>} [data.stockGroups] - Stock groups
+     * @param {Array<{name:string}>} [data.units] - Units of measure
+     * @param {Array<{name:string,parent?:string,baseUnits:string}>} [data.stockItems] - Stock items
+     * @param {string} [companyName] - Target company (defaults to the current company)
+     *
+     * @example
+     * server.seed({
+     *   ledgers: [{ name: 'ABC Corporation', parent: 'Sundry Debtors' }],
+     *   stockItems: [{ name: 'Widget A', baseUnits: 'Nos' }]
+     * });
+     */
+    seed(data, companyName) {
+        const company = this.getCompany(companyName) || this.addCompany(companyName);
+        const sections = [
+            ['groups', 'GROUP'],
+            ['ledgers', 'LEDGER'],
+            ['units', 'UNIT'],
+            ['stockGroups', 'STOCKGROUP'],
+            ['stockItems', 'STOCKITEM']
+        ];
+
+        for (const [key, type] of sections) {
+            for (const item of data[key] || []) {
+                const fields = { PARENT: item.parent || (type === 'LEDGER' ? '' : 'Primary') };
+                if (item.baseUnits) fields.BASEUNITS = item.baseUnits;
+                this._insertMaster(company, type, item.name, fields);
+            }
+        }
+    }
+
+    /**
+     * List masters of a type
+     * @param {string} type - Master tag (e.g. 'LEDGER', 'GROUP', 'STOCKITEM')
+     * @param {string} [companyName] - Company name (defaults to the current company)
+     * @returns {Array<Object>} Master records ({ name, masterId, alterId, guid, fields })
+     */
+    listMasters(type, companyName) {
+        const company = this.getCompany(companyName);
+        const masters = company && company.masters[type.toUpperCase()];
+        return masters ? Array.from(masters.values()) : [];
+    }
+
+    /**
+     * Find a master by name
+     * @param {string} type - Master tag (e.g. 'LEDGER')
+     * @param {string} name - Master name
+     * @param {string} [companyName] - Company name (defaults to the current company)
+     * @returns {Object|undefined} Master record
+     */
+    getMaster(type, name, companyName) {
+        const company = this.getCompany(companyName);
+        const masters = company && company.masters[type.toUpperCase()];
+        return masters ? masters.get(String(name).toLowerCase()) : undefined;
+    }
+
+    /**
+     * List vouchers
+     * @param {string} [companyName] - Company name (defaults to the current company)
+     * @returns {Array<Object>} Voucher records ({ masterId, alterId, guid, remoteId, fields })
+     */
+    listVouchers(companyName) {
+        const company = this.getCompany(companyName);
+        return company ? company.vouchers.slice() : [];
+    }
+
+    /**
+     * Queue a fault for upcoming HTTP requests
+     * @param {Object} fault - Fault description
+     * @param {number} [fault.status] - Respond with this HTTP status instead of processing
+     * @param {boolean} [fault.reset] - Destroy the socket without responding (ECONNRESET)
+     * @param {number} [fault.delay] - Delay in milliseconds before processing
+     * @param {number} [fault.times=1] - Number of requests the fault applies to
+     *
+     * @example
+     * server.injectFault({ reset: true, times: 2 });
+     */
+    injectFault(fault) {
+        this.faults.push({ times: 1, ...fault });
+    }
+
+    /**
+     * Process a request envelope and produce the response XML, without going through HTTP
+     * @param {string} xml - Request envelope
+     * @returns {Promise<string>} Response XML
+     */
+    async handle(xml) {
+        let request;
+        try {
+            request = await this._parseXml(xml);
+        } catch (error) {
+            return this._render(this._errorEnvelope(`Could not parse request: ${error.message}`));
+        }
+
+        const envelope = request && request.ENVELOPE;
+        if (!envelope) {
+            return '<RESPONSE>Unknown Request, cannot be processed</RESPONSE>';
+        }
+
+        const header = envelope.HEADER || {};
+        const body = envelope.BODY || {};
+        const requestType = text(header.TALLYREQUEST).trim().toLowerCase();
+
+        this.requests.push({ requestType, xml, receivedAt: new Date() });
+
+        try {
+            switch (requestType) {
+                case 'import data':
+                case 'import':
+                    return this._render(this._handleImport(body));
+                case 'export data':
+                case 'export':
+                    return this._render(this._handleExport(header, body));
+                case 'load company':
+                    return this._render(this._handleLoadCompany(body));
+                case 'backup company':
+                case 'execute function':
+                    return this._render(this._envelope(1, ''));
+                default:
+                    return '<RESPONSE>Unknown Request, cannot be processed</RESPONSE>';
+            }
+        } catch (error) {
+            if (error instanceof MockLineError) {
+                return this._render(this._errorEnvelope(error.message));
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Handle an HTTP request, applying queued faults
+     * @private
+     */
+    async _onHttpRequest(req, res) {
+        if (req.method !== 'POST') {
+            res.writeHead(200, { 'Content-Type': 'text/xml; charset=utf-8' });
+            res.end('<RESPONSE>TallyPrime Server is Running</RESPONSE>');
+            return;
+        }
+
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+        const body = Buffer.concat(chunks);
+        const xml = EncodingUtils.decode(body, req.headers['content-type']);
+
+        const fault = this.faults[0];
+        if (fault) {
+            fault.times -= 1;
+            if (fault.times <= 0) {
+                this.faults.shift();
+            }
+            if (fault.delay) {
+                await new Promise(resolve => setTimeout(resolve, fault.delay));
+            }
+            if (fault.reset) {
+                req.socket.destroy();
+                return;
+            }
+            if (fault.status) {
+                res.writeHead(fault.status, { 'Content-Type': 'text/plain' });
+                res.end(http.STATUS_CODES[fault.status] || 'Error');
+                return;
+            }
+        }
+
+        try {
+            const responseXml = await this.handle(xml);
+            const encoding = EncodingUtils.normalizeEncoding(this.encoding) ||
+                EncodingUtils.detectEncoding(body, req.headers['content-type']);
+
+            if (encoding === 'utf-16le') {
+                res.writeHead(200, { 'Content-Type': 'text/xml; charset=utf-16' });
+                res.end(EncodingUtils.encode(responseXml, 'utf-16'));
+            } else if (encoding === 'windows-1252') {
+                res.writeHead(200, { 'Content-Type': 'text/xml' });
+                res.end(EncodingUtils.encode(responseXml, 'windows-1252'));
+            } else {
+                res.writeHead(200, { 'Content-Type': 'text/xml; charset=utf-8' });
+                res.end(responseXml);
+            }
+        } catch (error) {
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end(error.message);
+        }
+    }
+
+    /**
+     * Apply an Import Data request
+     * @private
+     */
+    _handleImport(body) {
+        const importData = body.IMPORTDATA || {};
+        const requestDesc = importData.REQUESTDESC || {};
+        const company = this._resolveCompany(requestDesc.STATICVARIABLES);
+        const requestData = importData.REQUESTDATA || importData;
+
+        const result = {
+            created: 0,
+            altered: 0,
+            deleted: 0,
+            lastVchId: 0,
+            lastMid: 0,
+            combined: 0,
+            ignored: 0,
+            errors: 0,
+            cancelled: 0,
+            exceptions: 0,
+            lineErrors: []
+        };
+
+        for (const message of asArray(requestData.TALLYMESSAGE)) {
+            if (!message || typeof message !== 'object') {
+                continue;
+            }
+
+            for (const [tag, value] of Object.entries(message)) {
+                if (tag === '$') {
+                    continue;
+                }
+
+                for (const element of asArray(value)) {
+                    try {
+                        this._importObject(company, tag, element || {}, result);
+                    } catch (error) {
+                        if (!(error instanceof MockLineError)) {
+                            throw error;
+                        }
+                        result.errors += 1;
+                        result.lineErrors.push(error.message);
+                    }
+                }
+            }
+        }
+
+        const importResult = {};
+        if (result.lineErrors.length > 0) {
+            importResult.LINEERROR = result.lineErrors;
+        }
+        Object.assign(importResult, {
+            CREATED: result.created,
+            ALTERED: result.altered,
+            DELETED: result.deleted,
+            LASTVCHID: result.lastVchId,
+            LASTMID: result.lastMid,
+            COMBINED: result.combined,
+            IGNORED: result.ignored,
+            ERRORS: result.errors,
+            CANCELLED: result.cancelled,
+            EXCEPTIONS: result.exceptions
+        });
+
+        return this._envelope(1, { IMPORTRESULT: importResult });
+    }
+
+    /**
+     * Apply a single imported object
+     * @private
+     */
+    _importObject(company, tag, element, result) {
+        const attrs = element.$ || {};
+        const action = text(attrs.ACTION).trim().toLowerCase();
+
+        if (tag === 'VOUCHER') {
+            this._importVoucher(company, element, action, result);
+            return;
+        }
+
+        if (tag === 'COMPANY') {
+            const name = masterName(element);
+            if (!name) {
+                throw new MockLineError('Company name not specified!');
+            }
+            const existing = this.getCompany(name);
+            if (existing && action === 'create') {
+                throw new MockLineError(`Company '${name}' already exists!`);
+            }
+            const target = existing || this.addCompany(name);
+            Object.assign(target.fields, withoutAttrs(element));
+            existing ? (result.altered += 1) : (result.created += 1);
+            return;
+        }
+
+        if (!MASTER_TYPES[tag]) {
+            throw new MockLineError(`Unknown object type '${tag}'`);
+        }
+
+        this._importMaster(company, tag, element, action, result);
+    }
+
+    /**
+     * Create, alter or delete a master
+     * @private
+     */
+    _importMaster(company, type, element, action, result) {
+        const { label, parentType } = MASTER_TYPES[type];
+        const name = masterName(element);
+        if (!name) {
+            throw new MockLineError(`${label} name not specified!`);
+        }
+
+        const masters = company.masters[type];
+        const existing = masters.get(name.toLowerCase());
+
+        if (action === 'delete') {
+            if (!existing) {
+                throw new MockLineError(`${label} '${name}' does not exist!`);
+            }
+            if (type === 'LEDGER' && this._ledgerHasVouchers(company, existing.name)) {
+                throw new MockLineError(`Cannot delete ${label} '${existing.name}' as it has vouchers!`);
+            }
+            masters.delete(name.toLowerCase());
+            result.deleted += 1;
+            return;
+        }
+
+        if (action === 'create' && existing) {
+            throw new MockLineError(`${label} '${name}' already exists!`);
+        }
+        if (action === 'alter' && !existing) {
+            throw new MockLineError(`${label} '${name}' does not exist!`);
+        }
+        if (action && !['create', 'alter'].includes(action)) {
+            throw new MockLineError(`Unknown action '${action}' for ${label} '${name}'`);
+        }
+
+        const fields = withoutAttrs(element);
+        const merged = existing ? { ...existing.fields, ...fields } : fields;
+
+        if (parentType) {
+            this._assertParent(company, type, name, text(merged.PARENT));
+        }
+        if (type === 'COSTCENTRE') {
+            const category = text(merged.CATEGORY).trim();
+            if (category && !company.masters.COSTCATEGORY.has(category.toLowerCase())) {
+                throw new MockLineError(`Cost Category '${category}' does not exist!`);
+            }
+        }
+        if (type === 'STOCKITEM') {
+            const baseUnits = text(merged.BASEUNITS).trim();
+            if (baseUnits && !company.masters.UNIT.has(baseUnits.toLowerCase())) {
+                throw new MockLineError(`Unit '${baseUnits}' does not exist!`);
+            }
+        }
+
+        if (existing) {
+            const newName = text(first(fields.NAME)).trim();
+            existing.fields = merged;
+            existing.alterId = ++company.altMstId;
+            if (newName && newName !== existing.name) {
+                masters.delete(existing.name.toLowerCase());
+                existing.name = newName;
+                masters.set(newName.toLowerCase(), existing);
+            }
+            result.altered += 1;
+            result.lastMid = existing.masterId;
+            return;
+        }
+
+        const record = this._insertMaster(company, type, name, fields);
+        result.created += 1;
+        result.lastMid = record.masterId;
+    }
+
+    /**
+     * Validate that the parent of a master exists
+     * @private
+     */
+    _assertParent(company, type, name, parent) {
+        const { label, parentType } = MASTER_TYPES[type];
+        const parentName = parent.trim();
+
+        if (!parentName || parentName.toLowerCase() === 'primary') {
+            if (type === 'LEDGER') {
+                throw new MockLineError(`Parent group not specified for ${label} '${name}'!`);
+            }
+            return;
+        }
+
+        if (!company.masters[parentType].has(parentName.toLowerCase())) {
+            throw new MockLineError(`${MASTER_TYPES[parentType].label} '${parentName}' does not exist!`);
+        }
+    }
+
+    /**
+     * Insert a master record and assign its identifiers
+     * @private
+     */
+    _insertMaster(company, type, name, fields) {
+        const masterId = ++company.lastMasterId;
+        const record = {
+            type,
+            name,
+            masterId,
+            alterId: ++company.altMstId,
+            guid: `${company.guid}-${masterId.toString(16).padStart(8, '0')}`,
+            fields: { ...fields }
+        };
+
+        company.masters[type].set(name.toLowerCase(), record);
+        return record;
+    }
+
+    /**
+     * Create, alter or delete a voucher
+     * @private
+     */
+    _importVoucher(company, element, action, result) {
+        const attrs = element.$ || {};
+        const fields = withoutAttrs(element);
+
+        if (action === 'delete' || action === 'alter' || action === 'cancel') {
+            const existing = this._findVoucher(company, attrs, fields);
+            if (!existing) {
+                throw new MockLineError('Voucher does not exist!');
+            }
+
+            if (action === 'delete') {
+                company.vouchers.splice(company.vouchers.indexOf(existing), 1);
+                result.deleted += 1;
+                return;
+            }
+
+            if (action === 'cancel') {
+                existing.fields = { ...existing.fields, ...fields, ISCANCELLED: 'Yes' };
+                existing.alterId = ++company.altVchId;
+                result.cancelled += 1;
+                result.lastVchId = existing.masterId;
+                return;
+            }
+
+            const merged = { ...existing.fields, ...fields };
+            this._validateVoucher(company, merged, attrs);
+            existing.fields = merged;
+            existing.alterId = ++company.altVchId;
+            result.altered += 1;
+            result.lastVchId = existing.masterId;
+            return;
+        }
+
+        if (action && action !== 'create') {
+            throw new MockLineError(`Unknown action '${action}' for Voucher`);
+        }
+
+        const remoteId = text(attrs.REMOTEID).trim();
+        const duplicate = remoteId && this._findVoucher(company, { REMOTEID: remoteId }, {});
+        if (duplicate) {
+            const merged = { ...duplicate.fields, ...fields };
+            this._validateVoucher(company, merged, attrs);
+            duplicate.fields = merged;
+            duplicate.alterId = ++company.altVchId;
+            result.altered += 1;
+            result.lastVchId = duplicate.masterId;
+            return;
+        }
+
+        const voucherType = this._validateVoucher(company, fields, attrs);
+        if (!text(first(fields.VOUCHERNUMBER)).trim()) {
+            company.voucherNumbers[voucherType] = (company.voucherNumbers[voucherType] || 0) + 1;
+            fields.VOUCHERNUMBER = String(company.voucherNumbers[voucherType]);
+        }
+
+        const masterId = ++company.lastMasterId;
+        const record = {
+            masterId,
+            alterId: ++company.altVchId,
+            guid: remoteId || `${company.guid}-${masterId.toString(16).padStart(8, '0')}`,
+            remoteId,
+            voucherType,
+            fields
+        };
+
+        company.vouchers.push(record);
+        result.created += 1;
+        result.lastVchId = masterId;
+    }
+
+    /**
+     * Validate a voucher's type, date, ledgers, stock items and totals
+     * @private
+     * @returns {string} Resolved voucher type name
+     */
+    _validateVoucher(company, fields, attrs) {
+        const voucherType = text(first(fields.VOUCHERTYPENAME)).trim() || text(attrs.VCHTYPE).trim();
+        const typeRecord = company.masters.VOUCHERTYPE.get(voucherType.toLowerCase());
+        if (!typeRecord) {
+            throw new MockLineError(`Voucher Type '${voucherType}' does not exist!`);
+        }
+
+        if (Number.isNaN(dateKey(first(fields.DATE)))) {
+            throw new MockLineError(`Invalid date '${text(first(fields.DATE))}' in Voucher!`);
+        }
+
+        const entries = voucherLedgerEntries(fields);
+        if (entries.length === 0) {
+            throw new MockLineError('No entries in Voucher!');
+        }
+
+        for (const line of voucherInventoryEntries(fields)) {
+            const stockItemName = text(first(line.STOCKITEMNAME)).trim();
+            if (!company.masters.STOCKITEM.has(stockItemName.toLowerCase())) {
+                throw new MockLineError(`Stock Item '${stockItemName}' does not exist!`);
+            }
+        }
+
+        let debit = 0;
+        let credit = 0;
+        for (const entry of entries) {
+            const ledgerName = text(entry.LEDGERNAME).trim();
+            if (!company.masters.LEDGER.has(ledgerName.toLowerCase())) {
+                throw new MockLineError(`Ledger '${ledgerName}' does not exist!`);
+            }
+
+            for (const category of asArray(entry['CATEGORYALLOCATIONS.LIST'])) {
+                for (const allocation of asArray(category['COSTCENTREALLOCATIONS.LIST'])) {
+                    const costCentre = text(first(allocation.NAME)).trim();
+                    if (!company.masters.COSTCENTRE.has(costCentre.toLowerCase())) {
+                        throw new MockLineError(`Cost Centre '${costCentre}' does not exist!`);
+                    }
+                }
+            }
+
+            const amount = signedAmount(entry);
+            if (amount > 0) debit += amount;
+            else credit -= amount;
+        }
+
+        if (Math.abs(debit - credit) > 0.005) {
+            throw new MockLineError(
+                `Voucher totals do not match! Dr: ${debit.toFixed(2)} Dr, Cr: ${credit.toFixed(2)} Cr, Diff: ${Math.abs(debit - credit).toFixed(2)}`
+            );
+        }
+
+        return typeRecord.name;
+    }
+
+    /**
+     * Locate a voucher by TAGNAME/TAGVALUE, REMOTEID, GUID, MASTERID or number and type
+     * @private
+     */
+    _findVoucher(company, attrs, fields) {
+        const tagName = text(attrs.TAGNAME).replace(/\s+/g, '').toUpperCase();
+        const tagValue = text(attrs.TAGVALUE).trim();
+        const remoteId = text(attrs.REMOTEID).trim();
+        const guid = text(first(fields.GUID)).trim();
+        const masterId = text(first(fields.MASTERID)).trim();
+
+        if (tagName && tagValue) {
+            const tagType = text(attrs.VCHTYPE).trim().toLowerCase();
+            const tagDate = text(attrs.DATE).trim() ? dateKey(text(attrs.DATE).trim()) : null;
+            return company.vouchers.find(voucher => {
+                if (tagType && voucher.voucherType.toLowerCase() !== tagType) return false;
+                if (tagDate !== null && dateKey(first(voucher.fields.DATE)) !== tagDate) return false;
+                if (tagName === 'MASTERID') return String(voucher.masterId) === tagValue;
+                if (tagName === 'GUID') return voucher.guid === tagValue;
+                return text(first(voucher.fields[tagName])) === tagValue;
+            });
+        }
+        if (remoteId) {
+            return company.vouchers.find(voucher => voucher.remoteId === remoteId || voucher.guid === remoteId);
+        }
+        if (guid) {
+            return company.vouchers.find(voucher => voucher.guid === guid);
+        }
+        if (masterId) {
+            return company.vouchers.find(voucher => String(voucher.masterId) === masterId);
+        }
+
+        const number = text(attrs.VOUCHERNUMBER).trim() || text(first(fields.VOUCHERNUMBER)).trim();
+        const type = (text(attrs.VCHTYPE).trim() || text(first(fields.VOUCHERTYPENAME)).trim()).toLowerCase();
+        const date = first(fields.DATE) ? dateKey(first(fields.DATE)) : null;
+        if (!number) {
+            return undefined;
+        }
+
+        return company.vouchers.find(voucher =>
+            text(first(voucher.fields.VOUCHERNUMBER)) === number &&
+            (!type || voucher.voucherType.toLowerCase() === type) &&
+            (date === null || dateKey(first(voucher.fields.DATE)) === date)
+        );
+    }
+
+    /**
+     * Check whether any voucher references a ledger
+     * @private
+     */
+    _ledgerHasVouchers(company, ledgerName) {
+        const key = ledgerName.toLowerCase();
+        return company.vouchers.some(voucher =>
+            voucherLedgerEntries(voucher.fields).some(entry => text(entry.LEDGERNAME).trim().toLowerCase() === key)
+        );
+    }
+
+    /**
+     * Answer an Export Data request
+     * @private
+     */
+    _handleExport(header, body) {
+        if (text(header.TYPE).trim().toLowerCase() === 'collection') {
+            return this._handleCollectionExport(header, body);
+        }
+
+        const exportData = body.EXPORTDATA || {};
+        const requestDesc = exportData.REQUESTDESC || {};
+        const staticVariables = requestDesc.STATICVARIABLES || {};
+        const reportName = text(requestDesc.REPORTNAME).trim();
+        const filters = { ...staticVariables, ...withoutAttrs(requestDesc) };
+        const filter = key => text(first(filters[key])).trim();
+
+        if (reportName.toLowerCase() === 'list of companies') {
+            const rows = Array.from(this.companies.values()).map(company => ({ ...company.fields, NAME: company.name }));
+            return this._reportEnvelope(reportName, rows);
+        }
+
+        const company = this._resolveCompany(staticVariables);
+        let rows = [];
+
+        switch (reportName.toLowerCase()) {
+            case 'list of ledger':
+            case 'list of ledgers':
+                rows = this.listMasters('LEDGER', company.name).map(masterRow);
+                break;
+            case 'list of stock item':
+            case 'list of stock items':
+                rows = this.listMasters('STOCKITEM', company.name).map(masterRow);
+                break;
+            case 'list of voucher':
+            case 'list of vouchers':
+            case 'ledger vouchers':
+            case 'ledger transactions':
+            case 'voucher register':
+            case 'day book':
+                rows = this._filterVouchers(company, {
+                    voucherType: filter('VOUCHERTYPE'),
+                    fromDate: filter('FROMDATE') || filter('SVFROMDATE'),
+                    toDate: filter('TODATE') || filter('SVTODATE'),
+                    ledgerName: filter('LEDGERNAME')
+                }).map(reportVoucherRow);
+                break;
+            case 'ledger details': {
+                const ledger = company.masters.LEDGER.get(filter('LEDGERNAME').toLowerCase());
+                rows = ledger ? [masterRow(ledger)] : [];
+                break;
+            }
+            case 'stock item details': {
+                const item = company.masters.STOCKITEM.get(filter('STOCKITEMNAME').toLowerCase());
+                rows = item ? [masterRow(item)] : [];
+                break;
+            }
+            case 'voucher details': {
+                const fields = { GUID: filter('GUID'), MASTERID: filter('MASTERID') };
+                if (filter('DATE')) fields.DATE = filter('DATE');
+                const voucher = this._findVoucher(
+                    company,
+                    { VOUCHERNUMBER: filter('VOUCHERNUMBER'), VCHTYPE: filter('VOUCHERTYPE'), REMOTEID: filter('REMOTEID') },
+                    fields
+                );
+                rows = voucher ? [reportVoucherRow(voucher)] : [];
+                break;
+            }
+            case 'company details':
+            case 'current company info': {
+                const target = filter('COMPANYNAME') ? this.getCompany(filter('COMPANYNAME')) : company;
+                rows = target ? [{ ...target.fields, NAME: target.name }] : [];
+                break;
+            }
+            default:
+                rows = [];
+        }
+
+        return this._reportEnvelope(reportName, rows);
+    }
+
+    /**
+     * Answer a TDL collection export request
+     * @private
+     */
+    _handleCollectionExport(header, body) {
+        const desc = body.DESC || {};
+        const tdlMessage = (desc.TDL && desc.TDL.TDLMESSAGE) || {};
+        const collection = first(tdlMessage.COLLECTION) || {};
+        const type = text(first(collection.TYPE)).replace(/\s+/g, '').toUpperCase();
+        const fetch = text(first(collection.FETCH))
+            .split(',')
+            .map(field => field.trim().toUpperCase())
+            .filter(Boolean);
+
+        if (type === 'COMPANY') {
+            const companies = Array.from(this.companies.values()).map(company => {
+                const row = { ...company.fields, GUID: company.guid, ALTMSTID: company.altMstId, ALTVCHID: company.altVchId };
+                delete row.NAME;
+                return { $: { NAME: company.name }, ...pickFields(row, fetch) };
+            });
+            return this._envelope(1, { COLLECTION: { COMPANY: companies } });
+        }
+
+        const company = this._resolveCompany(desc.STATICVARIABLES);
+
+        if (type === 'VOUCHER') {
+            const matches = collectionFilter(tdlMessage, collection);
+            const vouchers = company.vouchers.filter(voucher => matches(reportVoucherRow(voucher))).map(voucher => ({
+                $: { REMOTEID: voucher.remoteId, VCHTYPE: voucher.voucherType },
+                ...pickFields(voucherRow(voucher), fetch.length > 0 ? fetch : ['*'])
+            }));
+            return this._envelope(1, { COLLECTION: { VOUCHER: vouchers } });
+        }
+
+        if (!MASTER_TYPES[type]) {
+            throw new MockLineError(`Unknown collection type '${text(first(collection.TYPE))}'`);
+        }
+
+        const rows = this.listMasters(type, company.name).map(record => {
+            const { NAME, ...fields } = masterRow(record);
+            return { $: { NAME }, ...pickFields(fields, fetch.length > 0 ? fetch : ['PARENT']) };
+        });
+
+        return this._envelope(1, { COLLECTION: { [type]: rows } });
+    }
+
+    /**
+     * Answer a Load Company request
+     * @private
+     */
+    _handleLoadCompany(body) {
+        const loadCompany = body.LOADCOMPANY || {};
+        const name = text(loadCompany.COMPANYNAME).trim();
+        const company = this.getCompany(name);
+        if (!company) {
+            throw new MockLineError(`Could not find Company '${name}'`);
+        }
+
+        this.currentCompany = company;
+        return this._envelope(1, '');
+    }
+
+    /**
+     * Filter vouchers by type, date range and ledger
+     * @private
+     */
+    _filterVouchers(company, { voucherType, fromDate, toDate, ledgerName }) {
+        const from = fromDate ? dateKey(fromDate) : -Infinity;
+        const to = toDate ? dateKey(toDate) : Infinity;
+
+        return company.vouchers.filter(voucher => {
+            const date = dateKey(first(voucher.fields.DATE));
+            if (voucherType && voucher.voucherType.toLowerCase() !== voucherType.toLowerCase()) return false;
+            if (date < from || date > to) return false;
+            if (ledgerName) {
+                const key = ledgerName.toLowerCase();
+                return voucherLedgerEntries(voucher.fields).some(entry => text(entry.LEDGERNAME).trim().toLowerCase() === key);
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Resolve the company a request targets from its STATICVARIABLES
+     * @private
+     */
+    _resolveCompany(staticVariables) {
+        const name = text(first(staticVariables && staticVariables.SVCURRENTCOMPANY)).trim();
+        if (!name) {
+            return this.currentCompany;
+        }
+
+        const company = this.getCompany(name);
+        if (!company) {
+            throw new MockLineError(`Could not set 'SVCurrentCompany' to '${name}'`);
+        }
+        return company;
+    }
+
+    /**
+     * Build a response envelope
+     * @private
+     */
+    _envelope(status, data) {
+        return {
+            ENVELOPE: {
+                HEADER: { VERSION: '1', STATUS: String(status) },
+                BODY: { DESC: '', DATA: data }
+            }
+        };
+    }
+
+    /**
+     * Build an error response envelope carrying a LINEERROR
+     * @private
+     */
+    _errorEnvelope(message) {
+        return this._envelope(0, { LINEERROR: message });
+    }
+
+    /**
+     * Build a report export envelope in the EXPORTDATA/REQUESTDATA layout read by the services
+     * @private
+     */
+    _reportEnvelope(reportName, rows) {
+        return {
+            ENVELOPE: {
+                HEADER: { VERSION: '1', STATUS: '1' },
+                BODY: {
+                    EXPORTDATA: {
+                        REQUESTDESC: { REPORTNAME: reportName },
+                        REQUESTDATA: rows.length > 0 ? { TALLYMESSAGE: rows } : ''
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Serialize a response object to XML
+     * @private
+     */
+    _render(object) {
+        return this.builder.buildObject(object);
+    }
+
+    /**
+     * Parse request XML keeping attributes under '$'
+     * @private
+     */
+    _parseXml(xml) {
+        return new Promise((resolve, reject) => {
+            parseString(xml, { explicitArray: false }, (error, result) => {
+                if (error) reject(error);
+                else resolve(result);
+            });
+        });
+    }
+}
+
+/**
+ * Wrap a value in an array unless it already is one
+ * @private
+ */
+function asArray(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * First item of a possibly repeated element
+ * @private
+ */
+function first(value) {
+    return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Text content of a parsed element
+ * @private
+ */
+function text(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object') return value._ !== undefined ? String(value._) : '';
+    return String(value);
+}
+
+/**
+ * Child elements of a parsed element without its attributes; repeated identical scalar
+ * tags (which the SDK's voucher builder emits) are collapsed into a single value
+ * @private
+ */
+function withoutAttrs(element) {
+    const fields = {};
+    for (const [key, value] of Object.entries(element)) {
+        if (key === '$' || key === '_') continue;
+        if (Array.isArray(value) && value.every(item => typeof item === 'string' && item === value[0])) {
+            fields[key] = value[0];
+        } else {
+            fields[key] = value;
+        }
+    }
+    return fields;
+}
+
+/**
+ * Name of a master from its NAME attribute, NAME child or NAME.LIST
+ * @private
+ */
+function masterName(element) {
+    const attrs = element.$ || {};
+    const nameList = first(element['NAME.LIST']);
+    return (
+        text(attrs.NAME).trim() ||
+        text(first(element.NAME)).trim() ||
+        (nameList ? text(first(nameList.NAME)).trim() : '')
+    );
+}
+
+/**
+ * Ledger entries of a voucher, including the accounting allocations of its inventory lines
+ * @private
+ */
+function voucherLedgerEntries(fields) {
+    const allocations = voucherInventoryEntries(fields)
+        .flatMap(line => asArray(line['ACCOUNTINGALLOCATIONS.LIST']));
+    return [...asArray(fields['LEDGERENTRIES.LIST']), ...asArray(fields['ALLLEDGERENTRIES.LIST']), ...allocations];
+}
+
+/**
+ * Inventory lines of a voucher
+ * @private
+ */
+function voucherInventoryEntries(fields) {
+    return [...asArray(fields['ALLINVENTORYENTRIES.LIST']), ...asArray(fields['INVENTORYENTRIES.LIST'])];
+}
+
+/**
+ * Signed entry amount, positive for debits
+ * Accepts both the SDK convention (absolute AMOUNT plus ISDEEMEDPOSITIVE) and Tally's own
+ * convention (negative AMOUNT for debits)
+ * @private
+ */
+function signedAmount(entry) {
+    const raw = text(first(entry.AMOUNT)).trim();
+    const amount = Math.abs(parseFloat(raw) || 0);
+    const deemedPositive = text(first(entry.ISDEEMEDPOSITIVE)).trim().toLowerCase();
+    if (deemedPositive === 'yes') return amount;
+    if (deemedPositive === 'no') return -amount;
+    return raw.startsWith('-') ? amount : -amount;
+}
+
+/**
+ * Convert a Tally date (DD-MMM-YYYY or YYYYMMDD) into a sortable YYYYMMDD number
+ * @private
+ */
+function dateKey(value) {
+    const raw = text(value).trim();
+    let match = /^(\d{4})(\d{2})(\d{2})$/.exec(raw);
+    if (match) {
+        return Number(raw);
+    }
+
+    match = /^(\d{1,2})-([A-Za-z]{3})-(\d{2}|\d{4})$/.exec(raw);
+    if (match) {
+        const month = MONTHS.indexOf(match[2].toLowerCase());
+        let year = Number(match[3]);
+        if (year < 100) year += 2000;
+        if (month >= 0) {
+            return year * 10000 + (month + 1) * 100 + Number(match[1]);
+        }
+    }
+
+    const date = raw ? new Date(raw) : null;
+    if (date && !Number.isNaN(date.getTime())) {
+        return date.getFullYear() * 10000 + (date.getMonth() + 1) * 100 + date.getDate();
+    }
+    return NaN;
+}
+
+/**
+ * Export row for a master record
+ * @private
+ */
+function masterRow(record) {
+    return {
+        ...record.fields,
+        NAME: record.name,
+        MASTERID: record.masterId,
+        ALTERID: record.alterId,
+        GUID: record.guid
+    };
+}
+
+/**
+ * Export row for a voucher record
+ * @private
+ */
+function voucherRow(record) {
+    return {
+        ...record.fields,
+        VOUCHERTYPENAME: record.voucherType,
+        MASTERID: record.masterId,
+        ALTERID: record.alterId,
+        GUID: record.guid
+    };
+}
+
+/**
+ * Report row for a voucher record (reports carry the remote ID that collections send as an attribute)
+ * @private
+ */
+function reportVoucherRow(record) {
+    return { ...voucherRow(record), REMOTEID: record.remoteId };
+}
+
+/**
+ * Predicate for the FILTERS of a TDL collection; only formulae comparing fields (or UDFs) with
+ * strings, as in `$OrderRef = "WEB-1042"`, optionally joined with OR, are understood
+ * @private
+ */
+function collectionFilter(tdlMessage, collection) {
+    const name = text(first(collection.FILTERS)).trim();
+    if (!name) {
+        return () => true;
+    }
+
+    const systems = [].concat(tdlMessage.SYSTEM || []);
+    const formula = systems.find(system => system.$ && system.$.NAME === name);
+    const terms = formula ? text(formula).split(/\s+OR\s+/i).map(term => /^\s*\$(\w+)\s*=\s*"([^"]*)"\s*$/.exec(term)) : [null];
+    if (terms.includes(null)) {
+        throw new MockLineError(`Unsupported collection filter '${name}'`);
+    }
+
+    const fieldValue = (row, field) => {
+        const udf = first(row[`UDF:${field}.LIST`]);
+        return text(udf ? first(udf[`UDF:${field}`]) : first(row[field])).trim().toLowerCase();
+    };
+    return row => terms.some(([, field, value]) => fieldValue(row, field.toUpperCase()) === value.toLowerCase());
+}
+
+/**
+ * Restrict a row to the fields named in a TDL FETCH list ('*' keeps all)
+ * @private
+ */
+function pickFields(row, fetch) {
+    if (fetch.includes('*')) {
+        return row;
+    }
+
+    const picked = {};
+    for (const field of fetch) {
+        if (row[field] !== undefined) {
+            picked[field] = row[field];
+        }
+    }
+    return picked;
+}
+
+export default MockTallyServer;
@@ -0,0 +1 @@
+export { MockTallyServer } from './MockTallyServer.js';
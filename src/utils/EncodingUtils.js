@@ -0,0 +1,255 @@
+/**
+ * Windows-1252 code points for bytes 0x80-0x9F (the only range that differs from Latin-1).
+ * Node's TextDecoder treats 'windows-1252' as Latin-1, so these are mapped by hand.
+ * Undefined bytes (0x81, 0x8D, 0x8F, 0x90, 0x9D) map to the same C1 control code point.
+ * @private
+ */
+const WINDOWS_1252_HIGH = [
+    0x20AC, 0x81, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021,
+    0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0x8D, 0x017D, 0x8F,
+    0x90, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014,
+    0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0x9D, 0x017E, 0x0178
+];
+
+const CHARSET_ALIASES = {
+    'utf8': 'utf-8',
+    'utf-8': 'utf-8',
+    'utf-16': 'utf-16le',
+    'utf16': 'utf-16le',
+    'unicode': 'utf-16le',
+    'utf-16le': 'utf-16le',
+    'utf-16be': 'utf-16be',
+    'windows-1252': 'windows-1252',
+    'cp1252': 'windows-1252',
+    'iso-8859-1': 'windows-1252',
+    'latin1': 'windows-1252',
+    'us-ascii': 'windows-1252',
+    'ascii': 'windows-1252'
+};
+
+/**
+ * EncodingUtils - Character set handling for TallyPrime requests and responses
+ * TallyPrime answers in the encoding of the request (UTF-8 or UTF-16LE with a BOM), older
+ * releases reply in Windows-1252 without saying so, and exports may contain references to
+ * control characters such as `&#4;` that are not legal XML. These helpers turn raw response
+ * bytes into clean XML text and encode outgoing envelopes.
+ *
+ * @class EncodingUtils
+ */
+export class EncodingUtils {
+    /**
+     * Normalize a charset label to one of 'utf-8', 'utf-16le', 'utf-16be' or 'windows-1252'
+     * @param {string} charset - Charset label (e.g. 'UTF-16', 'iso-8859-1')
+     * @returns {string|null} Normalized encoding, or null if unsupported
+     */
+    static normalizeEncoding(charset) {
+        if (!charset) return null;
+        return CHARSET_ALIASES[String(charset).trim().toLowerCase()] || null;
+    }
+
+    /**
+     * Detect the encoding of a response body
+     * Checks, in order: byte order mark, Content-Type charset, the zero-byte pattern of
+     * UTF-16 text starting with '<', and the XML declaration. Falls back to UTF-8.
+     * @param {Buffer} data - Raw response bytes
+     * @param {string} [contentType] - Content-Type header value
+     * @returns {string} Normalized encoding
+     *
+     * @example
+     * EncodingUtils.detectEncoding(Buffer.from([0xFF, 0xFE, 0x3C, 0x00])); // 'utf-16le'
+     */
+    static detectEncoding(data, contentType) {
+        if (data.length >= 3 && data[0] === 0xEF && data[1] === 0xBB && data[2] === 0xBF) return 'utf-8';
+        if (data.length >= 2 && data[0] === 0xFF && data[1] === 0xFE) return 'utf-16le';
+        if (data.length >= 2 && data[0] === 0xFE && data[1] === 0xFF) return 'utf-16be';
+
+        const headerMatch = /charset=["']?([\w-]+)/i.exec(contentType || '');
+        const fromHeader = headerMatch && this.normalizeEncoding(headerMatch[1]);
+        if (fromHeader) return fromHeader;
+
+        if (data.length >= 2 && data[0] === 0x3C && data[1] === 0x00) return 'utf-16le';
+        if (data.length >= 2 && data[0] === 0x00 && data[1] === 0x3C) return 'utf-16be';
+
+        const declaration = /^\s*<\?xml[^>]*encoding=["']([\w-]+)["']/i.exec(data.subarray(0, 200).toString('latin1'));
+        return (declaration && this.normalizeEncoding(declaration[1])) || 'utf-8';
+    }
+
+    /**
+     * Decode a response body to text
+     * Unlabelled bodies that are not valid UTF-8 are decoded as Windows-1252, which is what
+     * older Tally releases send. A leading byte order mark is removed.
+     * @param {Buffer|string} data - Raw response bytes (strings are returned without their BOM)
+     * @param {string} [contentType] - Content-Type header value
+     * @returns {string} Decoded text
+     */
+    static decode(data, contentType) {
+        if (typeof data === 'string') {
+            return data.replace(/^\uFEFF/, '');
+        }
+
+        const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        const encoding = this.detectEncoding(buffer, contentType);
+
+        if (encoding === 'utf-8') {
+            try {
+                return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+            } catch (error) {
+                return this._decodeWindows1252(buffer);
+            }
+        }
+
+        return this.createDecoder(encoding).decode(buffer);
+    }
+
+    /**
+     * Create a decoder for chunked input
+     * Like decode(), a UTF-8 decoder switches to Windows-1252 once it meets bytes that are
+     * not valid UTF-8.
+     * @param {string} encoding - Normalized encoding
+     * @returns {{decode: Function}} Object with a TextDecoder-compatible decode(chunk, { stream }) method
+     */
+    static createDecoder(encoding) {
+        if (encoding === 'utf-8') {
+            const utf8 = new TextDecoder('utf-8', { fatal: true });
+            let fallback = false;
+            return {
+                decode: (chunk, options = {}) => {
+                    if (!fallback) {
+                        try {
+                            return utf8.decode(chunk, options);
+                        } catch (error) {
+                            fallback = true;
+                        }
+                    }
+                    return chunk ? this._decodeWindows1252(chunk) : '';
+                }
+            };
+        }
+
+        if (encoding === 'windows-1252') {
+            return { decode: chunk => (chunk ? this._decodeWindows1252(chunk) : '') };
+        }
+
+        if (encoding === 'utf-16be') {
+            // Swap byte pairs and decode as little-endian, carrying an odd trailing byte over
+            const decoder = new TextDecoder('utf-16le');
+            let carry = null;
+            return {
+                decode(chunk, options = {}) {
+                    let bytes = chunk ? Buffer.from(chunk) : Buffer.alloc(0);
+                    if (carry) bytes = Buffer.concat([carry, bytes]);
+                    const even = bytes.length - (bytes.length % 2);
+                    carry = even < bytes.length ? bytes.subarray(even) : null;
+                    const swapped = Buffer.from(bytes.subarray(0, even)).swap16();
+                    return decoder.decode(swapped, options);
+                }
+            };
+        }
+
+        return new TextDecoder(encoding);
+    }
+
+    /**
+     * Encode a request envelope
+     * For UTF-16 a byte order mark is added and the XML declaration is relabelled so Tally
+     * parses the body correctly (and answers in UTF-16 as well).
+     * @param {string} xml - Request XML
+     * @param {string} [encoding='utf-8'] - Target encoding ('utf-8', 'utf-16', 'utf-16le' or 'windows-1252')
+     * @returns {Buffer|string} Encoded body (UTF-8 requests are returned as strings)
+     *
+     * @example
+     * const body = EncodingUtils.encode(xml, 'utf-16');
+     */
+    static encode(xml, encoding = 'utf-8') {
+        const normalized = this.normalizeEncoding(encoding) || 'utf-8';
+
+        if (normalized === 'utf-16le') {
+            const relabelled = xml.replace(/(<\?xml[^>]*encoding=["'])[\w-]+(["'])/i, '$1UTF-16$2');
+            return Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(relabelled, 'utf16le')]);
+        }
+
+        if (normalized === 'windows-1252') {
+            const relabelled = xml.replace(/(<\?xml[^>]*encoding=["'])[\w-]+(["'])/i, '$1windows-1252$2');
+            return this._encodeWindows1252(relabelled);
+        }
+
+        return xml;
+    }
+
+    /**
+     * Build the Content-Type header for a request encoding
+     * @param {string} [encoding='utf-8'] - Request encoding
+     * @returns {string} Content-Type header value
+     */
+    static contentType(encoding = 'utf-8') {
+        const normalized = this.normalizeEncoding(encoding) || 'utf-8';
+        const label = normalized === 'utf-16le' ? 'utf-16' : normalized;
+        return `text/xml; charset=${label}`;
+    }
+
+    /**
+     * Remove characters that are not allowed in XML 1.0
+     * Tally writes control characters such as EOT into exported text (as `&#4;` or raw),
+     * which makes strict XML parsers fail. Tab, line feed and carriage return are kept.
+     * @param {string} xml - XML text
+     * @returns {string} XML text without illegal characters or character references
+     *
+     * @example
+     * EncodingUtils.sanitizeXml('<NAME>ABC&#4; Ltd</NAME>'); // '<NAME>ABC Ltd</NAME>'
+     */
+    static sanitizeXml(xml) {
+        return xml
+            .replace(/&#(x[0-9a-f]+|[0-9]+);/gi, (reference, code) => {
+                const value = code[0] === 'x' || code[0] === 'X' ? parseInt(code.slice(1), 16) : parseInt(code, 10);
+                return isXmlChar(value) ? reference : '';
+            })
+            .replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '');
+    }
+
+    /**
+     * Decode Windows-1252 bytes
+     * @private
+     */
+    static _decodeWindows1252(buffer) {
+        let text = '';
+        for (let i = 0; i < buffer.length; i++) {
+            const byte = buffer[i];
+            text += String.fromCharCode(byte >= 0x80 && byte <= 0x9F ? WINDOWS_1252_HIGH[byte - 0x80] : byte);
+        }
+        return text;
+    }
+
+    /**
+     * Encode text as Windows-1252, replacing unmappable characters with character references
+     * @private
+     */
+    static _encodeWindows1252(text) {
+        const bytes = [];
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            const high = WINDOWS_1252_HIGH.indexOf(code);
+
+            if (code < 0x80 || (code >= 0xA0 && code <= 0xFF)) {
+                bytes.push(code);
+            } else if (high !== -1) {
+                bytes.push(0x80 + high);
+            } else {
+                for (const byte of Buffer.from(`&#${code};`, 'latin1')) bytes.push(byte);
+            }
+        }
+        return Buffer.from(bytes);
+    }
+}
+
+/**
+ * Check whether a code point is allowed in XML 1.0 documents
+ * @private
+ */
+function isXmlChar(code) {
+    return code === 0x9 || code === 0xA || code === 0xD ||
+        (code >= 0x20 && code <= 0xD7FF) ||
+        (code >= 0xE000 && code <= 0xFFFD) ||
+        (code >= 0x10000 && code <= 0x10FFFF);
+}
+
+export default EncodingUtils;
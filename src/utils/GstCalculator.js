@@ -0,0 +1,179 @@
+/**
+ * GST state codes (the first two digits of a GSTIN) with the state names TallyPrime uses
+ * @private
+ */
+const STATES = {
+    '01': 'Jammu & Kashmir',
+    '02': 'Himachal Pradesh',
+    '03': 'Punjab',
+    '04': 'Chandigarh',
+    '05': 'Uttarakhand',
+    '06': 'Haryana',
+    '07': 'Delhi',
+    '08': 'Rajasthan',
+    '09': 'Uttar Pradesh',
+    '10': 'Bihar',
+    '11': 'Sikkim',
+    '12': 'Arunachal Pradesh',
+    '13': 'Nagaland',
+    '14': 'Manipur',
+    '15': 'Mizoram',
+    '16': 'Tripura',
+    '17': 'Meghalaya',
+    '18': 'Assam',
+    '19': 'West Bengal',
+    '20': 'Jharkhand',
+    '21': 'Odisha',
+    '22': 'Chhattisgarh',
+    '23': 'Madhya Pradesh',
+    '24': 'Gujarat',
+    '26': 'Dadra & Nagar Haveli and Daman & Diu',
+    '27': 'Maharashtra',
+    '29': 'Karnataka',
+    '30': 'Goa',
+    '31': 'Lakshadweep',
+    '32': 'Kerala',
+    '33': 'Tamil Nadu',
+    '34': 'Puducherry',
+    '35': 'Andaman & Nicobar Islands',
+    '36': 'Telangana',
+    '37': 'Andhra Pradesh',
+    '38': 'Ladakh',
+    '97': 'Other Territory'
+};
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * GstCalculator - GST helpers for invoices
+ * Resolves states from GSTINs, applies the intra/inter-state rule (CGST + SGST when the
+ * supplier's state is the place of supply, IGST otherwise) and computes the tax on invoice
+ * lines, rounded to paise per duty head, plus the round-off to the nearest rupee.
+ *
+ * @class GstCalculator
+ */
+export class GstCalculator {
+    /**
+     * Check the format and check digit of a GSTIN
+     * @param {string} gstin - GSTIN (15 characters)
+     * @returns {boolean} True if the GSTIN is well formed
+     *
+     * @example
+     * GstCalculator.isValidGstin('27AAPFU0939F1ZV'); // true
+     */
+    static isValidGstin(gstin) {
+        if (typeof gstin !== 'string' || !GSTIN_PATTERN.test(gstin) || !STATES[gstin.slice(0, 2)]) {
+            return false;
+        }
+
+        let sum = 0;
+        for (let i = 0; i < 14; i++) {
+            const product = GSTIN_CHARSET.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+            sum += Math.floor(product / 36) + (product % 36);
+        }
+
+        return GSTIN_CHARSET[(36 - (sum % 36)) % 36] === gstin[14];
+    }
+
+    /**
+     * Resolve a state name from a state name, a two-digit state code or a GSTIN
+     * @param {string} value - State name, state code or GSTIN
+     * @returns {string|null} State name as TallyPrime spells it, or null if unknown
+     *
+     * @example
+     * GstCalculator.stateName('29AABCT1332L1ZT'); // 'Karnataka'
+     * GstCalculator.stateName('27');              // 'Maharashtra'
+     */
+    static stateName(value) {
+        if (!value) return null;
+
+        const text = String(value).trim();
+        if (/^\d{1,2}$/.test(text)) return STATES[text.padStart(2, '0')] || null;
+        if (/^\d{2}[0-9A-Z]{13}$/i.test(text)) return STATES[text.slice(0, 2)] || null;
+
+        const name = text.toLowerCase();
+        return Object.values(STATES).find(state => state.toLowerCase() === name) || null;
+    }
+
+    /**
+     * Whether a supply is inter-state (IGST) rather than intra-state (CGST + SGST)
+     * @param {string} supplierState - Supplier's state name, state code or GSTIN
+     * @param {string} placeOfSupply - Place of supply as a state name, state code or GSTIN
+     * @returns {boolean} True if the supplier's state differs from the place of supply
+     */
+    static isInterState(supplierState, placeOfSupply) {
+        return this.stateName(supplierState) !== this.stateName(placeOfSupply);
+    }
+
+    /**
+     * Compute the tax on invoice lines
+     * @param {Array<Object>} lines - Invoice lines
+     * @param {number} lines[].taxableValue - Taxable value of the line
+     * @param {number} lines[].gstRate - Integrated GST rate in percent (e.g. 18); halved into CGST and SGST
+     * intra-state
+     * @param {number} [lines[].cessRate] - Cess rate in percent of the taxable value
+     * @param {Object} options - Calculation options
+     * @param {boolean} options.interState - Whether the supply is inter-state
+     * @param {boolean} [options.roundOff=true] - Round the invoice total to the nearest rupee
+     * @returns {{taxableValue: number, cgst: number, sgst: number, igst: number, cess: number,
+     * totalTax: number, roundOff: number, invoiceTotal: number, byRate: Array<Object>}} Totals per
+     * duty head and per GST rate
+     *
+     * @example
+     * GstCalculator.calculate([{ taxableValue: 1000, gstRate: 18 }], { interState: false });
+     * // { taxableValue: 1000, cgst: 90, sgst: 90, igst: 0, cess: 0, totalTax: 180, roundOff: 0, invoiceTotal: 1180, ... }
+     */
+    static calculate(lines, options) {
+        const interState = Boolean(options.interState);
+        const rates = new Map();
+        let cess = 0;
+
+        for (const line of lines) {
+            const entry = rates.get(line.gstRate) || { gstRate: line.gstRate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+            entry.taxableValue += line.taxableValue;
+            rates.set(line.gstRate, entry);
+            if (line.cessRate) cess += line.taxableValue * line.cessRate / 100;
+        }
+
+        // Tax is computed on the taxable value per rate, as TallyPrime does, not per line
+        const byRate = [...rates.values()].map(entry => {
+            const taxableValue = round(entry.taxableValue);
+            if (interState) {
+                return { ...entry, taxableValue, igst: round(taxableValue * entry.gstRate / 100) };
+            }
+            const half = round(taxableValue * entry.gstRate / 200);
+            return { ...entry, taxableValue, cgst: half, sgst: half };
+        });
+
+        const sum = key => round(byRate.reduce((total, entry) => total + entry[key], 0));
+        const totals = {
+            taxableValue: sum('taxableValue'),
+            cgst: sum('cgst'),
+            sgst: sum('sgst'),
+            igst: sum('igst'),
+            cess: round(cess)
+        };
+        const totalTax = round(totals.cgst + totals.sgst + totals.igst + totals.cess);
+        const exactTotal = round(totals.taxableValue + totalTax);
+        const invoiceTotal = options.roundOff === false ? exactTotal : Math.round(exactTotal);
+
+        return {
+            ...totals,
+            totalTax,
+            roundOff: round(invoiceTotal - exactTotal),
+            invoiceTotal,
+            byRate
+        };
+    }
+}
+
+/**
+ * Round to paise
+ * @private
+ */
+function round(value) {
+    return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+export default GstCalculator;
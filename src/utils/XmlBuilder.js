@@ -1,3 +1,15 @@
+/**
+ * Bill types TallyPrime accepts, keyed by the lowercase names callers may use
+ * @private
+ */
+const BILL_TYPE_ALIASES = {
+    'new ref': 'New Ref',
+    'agst ref': 'Agst Ref',
+    'against ref': 'Agst Ref',
+    'advance': 'Advance',
+    'on account': 'On Account'
+};
+
 /**
  * XmlBuilder - Utility class for building TallyPrime XML requests
  * Provides methods to construct properly formatted XML for various Tally operations
@@ -27,9 +39,11 @@ export class XmlBuilder {
      * Build export request XML
      * @param {string} reportName - Name of the report to export
      * @param {Object} filters - Export filters and parameters
+     * @param {Object} [options] - Request options
+     * @param {string} [options.companyName] - Company to export from (SVCURRENTCOMPANY); defaults to the active company
      * @returns {string} Export request XML
      */
-    static buildExportRequest(reportName, filters = {}) {
+    static buildExportRequest(reportName, filters = {}, options = {}) {
         let filterXml = '';
         if (Object.keys(filters).length > 0) {
             filterXml = Object.entries(filters)
@@ -37,9 +51,16 @@ export class XmlBuilder {
                 .join('\\n');
         }
 
+        const staticVars = options.companyName
+            ? `
+                <STATICVARIABLES>
+                    ${this.buildCompanyVariable(options.companyName)}
+                </STATICVARIABLES>`
+            : '';
+
         const bodyContent = `<EXPORTDATA>
             <REQUESTDESC>
-                <REPORTNAME>${reportName}</REPORTNAME>
+                <REPORTNAME>${reportName}</REPORTNAME>${staticVars}
 ${filterXml}
             </REQUESTDESC>
         </EXPORTDATA>`;
@@ -50,16 +71,18 @@ ${filterXml}
     /**
      * Build import request XML
      * @param {string} dataXml - Data to import
+     * @param {Object} [options] - Request options
+     * @param {string} [options.reportName='All Masters'] - Import report name
+     * @param {string} [options.companyName] - Company to import into (SVCURRENTCOMPANY); defaults to the active company
      * @returns {string} Import request XML
      */
     static buildImportRequest(dataXml, options = {}) {
         const reportName = options.reportName || 'All Masters';
-        const companyName = options.companyName || process.env.TALLY_COMPANY || '';
 
-        const staticVars = companyName
+        const staticVars = options.companyName
             ? `
                 <STATICVARIABLES>
-                    <SVCURRENTCOMPANY>${this.escapeXml(companyName)}</SVCURRENTCOMPANY>
+                    ${this.buildCompanyVariable(options.companyName)}
                 </STATICVARIABLES>`
             : '';
 
@@ -113,30 +136,51 @@ ${filterXml}
      * @param {Object} voucherData - Voucher information
      * @param {string} voucherData.voucherType - Type of voucher
      * @param {string} voucherData.date - Voucher date
-     * @param {Array} voucherData.ledgerEntries - Ledger entries
+     * @param {Array} voucherData.ledgerEntries - Ledger entries; bill allocations are written only for entries
+     * with billAllocations or billName (see buildBillAllocationsXml), cost centre allocations only for entries
+     * with costAllocations (see buildCostAllocationsXml)
+     * @param {Array} [voucherData.inventoryEntries] - Stock lines; makes the voucher an item invoice. The
+     * ledgers they are allocated to are posted through ACCOUNTINGALLOCATIONS instead of LEDGERENTRIES.
+     * @param {string} [voucherData.partyLedgerName] - Party ledger of an invoice
+     * @param {Object} [voucherData.gst] - GST details of an invoice
+     * @param {string} [voucherData.gst.partyGstin] - Party GSTIN
+     * @param {string} [voucherData.gst.partyState] - Party state name
+     * @param {string} [voucherData.gst.placeOfSupply] - Place of supply (state name)
+     * @param {string} [voucherData.gst.registrationType] - Party registration type (e.g. 'Regular', 'Unregistered')
+     * @param {string} [voucherData.gst.gstClass] - GST classification of the voucher
+     * @param {string} [voucherData.remoteId] - Remote ID of a new voucher; TallyPrime also uses it as the GUID
+     * @param {boolean} [voucherData.optional] - Optional (memorandum) voucher, kept out of the books until made regular
+     * @param {boolean} [voucherData.postDated] - Post-dated voucher, posted to the books only on its date
+     * @param {Object<string, string>} [voucherData.udfs] - User-defined field values by UDF name (the UDFs must be
+     * defined in a TDL loaded in TallyPrime)
+     * @param {Object} [options] - Build options
+     * @param {string} [options.action='Create'] - Import action ('Create' or 'Alter')
+     * @param {Object} [options.target] - Identifier of the voucher to alter ({ guid }, { masterId } or { remoteId });
+     * see buildVoucherIdAttributes
      * @returns {string} Voucher XML
      */
-    static buildVoucherXml(voucherData) {
+    static buildVoucherXml(voucherData, options = {}) {
         const { voucherType, date, ledgerEntries, narration, voucherNumber } = voucherData;
-
-        const ledgerEntriesXml = ledgerEntries.map(entry => `
-            <LEDGERENTRIES.LIST>
-                <OLDAUDITENTRYIDS.LIST TYPE="Number">
-                    <OLDAUDITENTRYIDS>-1</OLDAUDITENTRYIDS>
-                </OLDAUDITENTRYIDS.LIST>
-                <LEDGERNAME>${this.escapeXml(entry.ledgerName)}</LEDGERNAME>
-                <ISDEEMEDPOSITIVE>${entry.amount > 0 ? 'Yes' : 'No'}</ISDEEMEDPOSITIVE>
-                <AMOUNT>${Math.abs(entry.amount)}</AMOUNT>
-                <BILLALLOCATIONS.LIST>
-                    <NAME>${this.escapeXml(entry.billName || '')}</NAME>
-                    <BILLTYPE>${entry.billType || 'New Ref'}</BILLTYPE>
-                    <AMOUNT>${Math.abs(entry.amount)}</AMOUNT>
-                </BILLALLOCATIONS.LIST>
-            </LEDGERENTRIES.LIST>
-        `).join('');
+        const action = options.action || 'Create';
+        const identity = options.target
+            ? this.buildVoucherIdAttributes(options.target)
+            : `REMOTEID="${this.escapeXml(voucherData.remoteId || '')}"`;
+        const gst = voucherData.gst || {};
+        const gstClassXml = gst.gstClass ? `<VCHGSTCLASS>${this.escapeXml(gst.gstClass)}</VCHGSTCLASS>` : '<VCHGSTCLASS/>';
+        const gstXml = voucherData.gst
+            ? `
+                <PARTYGSTIN>${this.escapeXml(gst.partyGstin || '')}</PARTYGSTIN>
+                <PLACEOFSUPPLY>${this.escapeXml(gst.placeOfSupply || '')}</PLACEOFSUPPLY>
+                <STATENAME>${this.escapeXml(gst.partyState || '')}</STATENAME>
+                <COUNTRYOFRESIDENCE>India</COUNTRYOFRESIDENCE>
+                <GSTREGISTRATIONTYPE>${this.escapeXml(gst.registrationType || (gst.partyGstin ? 'Regular' : 'Unregistered'))}</GSTREGISTRATIONTYPE>`
+            : '';
+        const isInvoice = (voucherData.inventoryEntries || []).length > 0;
+        const view = isInvoice ? 'Invoice Voucher View' : 'Accounting Voucher View';
+        const entriesXml = this.buildVoucherEntriesXml(ledgerEntries, voucherData.inventoryEntries);
 
         return `<TALLYMESSAGE xmlns:UDF="TallyUDF">
-            <VOUCHER REMOTEID="" VCHKEY="" VCHTYPE="${this.escapeXml(voucherType)}" ACTION="Create" OBJVIEW="Accounting Voucher View">
+            <VOUCHER ${identity} VCHKEY="" VCHTYPE="${this.escapeXml(voucherType)}" ACTION="${action}" OBJVIEW="${view}">
                 <OLDAUDITENTRYIDS.LIST TYPE="Number">
                     <OLDAUDITENTRYIDS>-1</OLDAUDITENTRYIDS>
                 </OLDAUDITENTRYIDS.LIST>
@@ -144,18 +188,20 @@ ${filterXml}
                 <VOUCHERTYPENAME>${this.escapeXml(voucherType)}</VOUCHERTYPENAME>
                 <VOUCHERNUMBER>${this.escapeXml(voucherNumber || '')}</VOUCHERNUMBER>
                 <NARRATION>${this.escapeXml(narration || '')}</NARRATION>
-                <PARTYLEDGERNAME></PARTYLEDGERNAME>
+                <PARTYLEDGERNAME>${this.escapeXml(voucherData.partyLedgerName || '')}</PARTYLEDGERNAME>${gstXml}
                 <VOUCHERTYPENAME>${this.escapeXml(voucherType)}</VOUCHERTYPENAME>
                 <REFERENCE></REFERENCE>
-                <PERSISTEDVIEW>Accounting Voucher View</PERSISTEDVIEW>
-                <VCHGSTCLASS/>
+                <PERSISTEDVIEW>${view}</PERSISTEDVIEW>
+                <ISINVOICE>${isInvoice ? 'Yes' : 'No'}</ISINVOICE>
+                ${gstClassXml}
                 <ENTEREDBY>SDK</ENTEREDBY>
                 <DIFFACTUALQTY>No</DIFFACTUALQTY>
                 <ISMSTFROMSYNC>No</ISMSTFROMSYNC>
                 <ASORIGINAL>No</ASORIGINAL>
                 <AUDITED>No</AUDITED>
                 <FORJOBCOSTING>No</FORJOBCOSTING>
-                <ISOPTIONAL>No</ISOPTIONAL>
+                <ISOPTIONAL>${voucherData.optional ? 'Yes' : 'No'}</ISOPTIONAL>
+                <ISPOSTDATED>${voucherData.postDated ? 'Yes' : 'No'}</ISPOSTDATED>
                 <EFFECTIVEDATE>${this.formatDate(date)}</EFFECTIVEDATE>
                 <USEFOREXCISE>No</USEFOREXCISE>
                 <ISFORJOBWORKIN>No</ISFORJOBWORKIN>
@@ -189,8 +235,8 @@ ${filterXml}
                 <IGNOREGSTINVALIDATION>No</IGNOREGSTINVALIDATION>
                 <ISVATPRINCIPALACCOUNT>No</ISVATPRINCIPALACCOUNT>
                 <VCHSTATUSISVCHNUMUSED>No</VCHSTATUSISVCHNUMUSED>
-                <VCHGSTCLASS/>
-                <VCHENTRYMODE>Item Invoice</VCHENTRYMODE>
+                ${gstClassXml}
+                <VCHENTRYMODE>${isInvoice ? 'Item Invoice' : 'As Voucher'}</VCHENTRYMODE>
                 <DIFFACTUALQTY>No</DIFFACTUALQTY>
                 <ISMSTFROMSYNC>No</ISMSTFROMSYNC>
                 <ISDELETED>No</ISDELETED>
@@ -199,7 +245,7 @@ ${filterXml}
                 <AUDITED>No</AUDITED>
                 <ISCOMMONPARTY>No</ISCOMMONPARTY>
                 <FORJOBCOSTING>No</FORJOBCOSTING>
-                <ISOPTIONAL>No</ISOPTIONAL>
+                <ISOPTIONAL>${voucherData.optional ? 'Yes' : 'No'}</ISOPTIONAL>
                 <USEFOREXCISE>No</USEFOREXCISE>
                 <ISFORJOBWORKIN>No</ISFORJOBWORKIN>
                 <ALLOWCONSUMPTION>No</ALLOWCONSUMPTION>
@@ -231,11 +277,360 @@ ${filterXml}
                 <GSTNOTEXPORTED>No</GSTNOTEXPORTED>
                 <IGNOREGSTINVALIDATION>No</IGNOREGSTINVALIDATION>
                 <ISVATPRINCIPALACCOUNT>No</ISVATPRINCIPALACCOUNT>
-                <VCHSTATUSISVCHNUMUSED>No</VCHSTATUSISVCHNUMUSED>${ledgerEntriesXml}
+                <VCHSTATUSISVCHNUMUSED>No</VCHSTATUSISVCHNUMUSED>${this.buildUdfXml(voucherData.udfs)}${entriesXml}
             </VOUCHER>
         </TALLYMESSAGE>`;
     }
 
+    /**
+     * Build the ledger and stock lines of a voucher
+     * Ledgers that stock lines are allocated to are posted through the lines' ACCOUNTINGALLOCATIONS
+     * rather than as LEDGERENTRIES.
+     * @param {Array} ledgerEntries - Ledger entries (see buildVoucherXml)
+     * @param {Array} [inventoryEntries] - Stock lines (see buildInventoryEntryXml)
+     * @returns {string} LEDGERENTRIES.LIST and ALLINVENTORYENTRIES.LIST elements
+     */
+    static buildVoucherEntriesXml(ledgerEntries, inventoryEntries = []) {
+        const allocationLedgers = new Set(inventoryEntries.map(line => line.ledgerName));
+
+        const inventoryEntriesXml = inventoryEntries.map(line => {
+            // Stock moves out when its ledger is credited (sales) and in when debited (purchase)
+            const ledgerEntry = ledgerEntries.find(entry => entry.ledgerName === line.ledgerName);
+            const deemedPositive = ledgerEntry && ledgerEntry.amount > 0 ? 'Yes' : 'No';
+            return this.buildInventoryEntryXml(line, deemedPositive);
+        }).join('');
+
+        const ledgerEntriesXml = ledgerEntries.filter(entry => !allocationLedgers.has(entry.ledgerName)).map(entry => `
+            <LEDGERENTRIES.LIST>
+                <OLDAUDITENTRYIDS.LIST TYPE="Number">
+                    <OLDAUDITENTRYIDS>-1</OLDAUDITENTRYIDS>
+                </OLDAUDITENTRYIDS.LIST>
+                <LEDGERNAME>${this.escapeXml(entry.ledgerName)}</LEDGERNAME>
+                <ISDEEMEDPOSITIVE>${entry.amount > 0 ? 'Yes' : 'No'}</ISDEEMEDPOSITIVE>
+                <AMOUNT>${Math.abs(entry.amount)}</AMOUNT>${this.buildBillAllocationsXml(entry)}${this.buildCostAllocationsXml(entry)}
+            </LEDGERENTRIES.LIST>
+        `).join('');
+
+        return `${ledgerEntriesXml}${inventoryEntriesXml}`;
+    }
+
+    /**
+     * Build a voucher alteration that carries only the fields being changed
+     * TallyPrime keeps the fields an alteration leaves out and replaces a list only when one is
+     * sent, so GST details, UDFs and anything else the SDK does not model survive the edit.
+     * Ledger and stock lines are sent together whenever either changes.
+     * @param {Object} target - Identifier of the voucher ({ guid }, { masterId } or { remoteId })
+     * @param {string} voucherType - Type of the voucher
+     * @param {Object} changes - Fields to change
+     * @param {string} [changes.date] - New date
+     * @param {string} [changes.voucherNumber] - New voucher number
+     * @param {string} [changes.narration] - New narration
+     * @param {string} [changes.partyLedgerName] - New party ledger
+     * @param {boolean} [changes.optional] - Optional flag
+     * @param {boolean} [changes.postDated] - Post-dated flag
+     * @param {Object<string, string>} [changes.udfs] - User-defined field values by UDF name
+     * @param {Array} [changes.ledgerEntries] - Complete new ledger entries (required with inventoryEntries)
+     * @param {Array} [changes.inventoryEntries] - Complete new stock lines
+     * @returns {string} Voucher XML
+     *
+     * @example
+     * XmlBuilder.buildVoucherAlterXml({ masterId: 1042 }, 'Sales', { narration: 'Corrected' });
+     */
+    static buildVoucherAlterXml(target, voucherType, changes) {
+        const fields = [];
+        if (changes.date !== undefined) {
+            fields.push(`<DATE>${this.formatDate(changes.date)}</DATE>`, `<EFFECTIVEDATE>${this.formatDate(changes.date)}</EFFECTIVEDATE>`);
+        }
+        if (changes.voucherNumber !== undefined) {
+            fields.push(`<VOUCHERNUMBER>${this.escapeXml(changes.voucherNumber)}</VOUCHERNUMBER>`);
+        }
+        if (changes.narration !== undefined) {
+            fields.push(`<NARRATION>${this.escapeXml(changes.narration)}</NARRATION>`);
+        }
+        if (changes.partyLedgerName !== undefined) {
+            fields.push(`<PARTYLEDGERNAME>${this.escapeXml(changes.partyLedgerName)}</PARTYLEDGERNAME>`);
+        }
+        if (changes.optional !== undefined) {
+            fields.push(`<ISOPTIONAL>${changes.optional ? 'Yes' : 'No'}</ISOPTIONAL>`);
+        }
+        if (changes.postDated !== undefined) {
+            fields.push(`<ISPOSTDATED>${changes.postDated ? 'Yes' : 'No'}</ISPOSTDATED>`);
+        }
+
+        let entriesXml = '';
+        if (changes.ledgerEntries) {
+            const isInvoice = (changes.inventoryEntries || []).length > 0;
+            const view = isInvoice ? 'Invoice Voucher View' : 'Accounting Voucher View';
+            fields.push(
+                `<PERSISTEDVIEW>${view}</PERSISTEDVIEW>`,
+                `<ISINVOICE>${isInvoice ? 'Yes' : 'No'}</ISINVOICE>`,
+                `<VCHENTRYMODE>${isInvoice ? 'Item Invoice' : 'As Voucher'}</VCHENTRYMODE>`
+            );
+            entriesXml = this.buildVoucherEntriesXml(changes.ledgerEntries, changes.inventoryEntries);
+        }
+
+        const fieldsXml = fields.map(field => `
+                ${field}`).join('');
+
+        return `<TALLYMESSAGE xmlns:UDF="TallyUDF">
+            <VOUCHER ${this.buildVoucherIdAttributes(target)} VCHTYPE="${this.escapeXml(voucherType)}" ACTION="Alter">${fieldsXml}${this.buildUdfXml(changes.udfs)}${entriesXml}
+            </VOUCHER>
+        </TALLYMESSAGE>`;
+    }
+
+    /**
+     * Build the VOUCHER attributes that point an alteration or deletion at one voucher
+     * @param {Object} target - Voucher identifier
+     * @param {string} [target.guid] - GUID
+     * @param {number|string} [target.masterId] - MasterID (as returned in LASTVCHID)
+     * @param {string} [target.remoteId] - Remote ID the voucher was created with
+     * @returns {string} REMOTEID or TAGNAME/TAGVALUE attributes
+     *
+     * @example
+     * XmlBuilder.buildVoucherIdAttributes({ masterId: 1042 }); // 'TAGNAME="MASTERID" TAGVALUE="1042"'
+     */
+    static buildVoucherIdAttributes(target) {
+        if (target.remoteId) {
+            return `REMOTEID="${this.escapeXml(target.remoteId)}"`;
+        }
+        if (target.guid) {
+            return `TAGNAME="GUID" TAGVALUE="${this.escapeXml(target.guid)}"`;
+        }
+        return `TAGNAME="MASTERID" TAGVALUE="${this.escapeXml(String(target.masterId))}"`;
+    }
+
+    /**
+     * Build user-defined field values
+     * @param {Object<string, string>} [udfs] - Values by UDF name
+     * @returns {string} UDF:<NAME>.LIST elements, or an empty string
+     *
+     * @example
+     * XmlBuilder.buildUdfXml({ OrderRef: 'WEB-1042' });
+     * // <UDF:ORDERREF.LIST DESC="`OrderRef`" ISLIST="YES" TYPE="String"><UDF:ORDERREF DESC="`OrderRef`">WEB-1042</UDF:ORDERREF>...
+     */
+    static buildUdfXml(udfs) {
+        return Object.entries(udfs || {}).map(([name, value]) => {
+            const tag = `UDF:${name.toUpperCase()}`;
+            const desc = this.escapeXml(`\`${name}\``);
+            return `
+                <${tag}.LIST DESC="${desc}" ISLIST="YES" TYPE="String">
+                    <${tag} DESC="${desc}">${this.escapeXml(String(value))}</${tag}>
+                </${tag}.LIST>`;
+        }).join('');
+    }
+
+    /**
+     * Get the bill allocations of a ledger entry
+     * Entries with only billName/billType get a single allocation for the whole amount, and a lone
+     * allocation without an amount takes the entry's amount.
+     * @param {Object} entry - Ledger entry ({ amount, billAllocations } or { amount, billName, billType })
+     * @returns {Array<Object>} Allocations ({ name, billType, amount, dueDate, creditPeriod }) with bill types
+     * normalised to TallyPrime's names; empty for entries that are not bill-wise
+     */
+    static billAllocations(entry) {
+        let allocations = [];
+        if (Array.isArray(entry.billAllocations)) {
+            allocations = entry.billAllocations.map(allocation => (
+                entry.billAllocations.length === 1 && allocation.amount === undefined
+                    ? { ...allocation, amount: entry.amount }
+                    : { ...allocation }
+            ));
+        } else if (entry.billName) {
+            allocations = [{ name: entry.billName, billType: entry.billType, amount: entry.amount }];
+        }
+
+        return allocations.map(allocation => ({
+            ...allocation,
+            billType: BILL_TYPE_ALIASES[(allocation.billType || 'New Ref').toLowerCase()] || allocation.billType
+        }));
+    }
+
+    /**
+     * Build the BILLALLOCATIONS.LIST elements of a ledger entry
+     * @param {Object} entry - Ledger entry
+     * @param {Array<Object>} [entry.billAllocations] - Allocations, with amounts signed like the entry amount
+     * (an allocation against the entry's direction, e.g. an Agst Ref netted off a New Ref, has the opposite sign)
+     * @param {string} [entry.billAllocations[].name] - Bill name (not used for 'On Account')
+     * @param {string} [entry.billAllocations[].billType='New Ref'] - 'New Ref', 'Agst Ref', 'Advance' or 'On Account'
+     * @param {number} [entry.billAllocations[].amount] - Allocated amount (default for a lone allocation: the entry amount)
+     * @param {string} [entry.billAllocations[].dueDate] - Due date of a new bill
+     * @param {number|string} [entry.billAllocations[].creditPeriod] - Credit period of a new bill, in days or
+     * as TallyPrime text (e.g. '30 Days')
+     * @returns {string} Bill allocations XML, empty if the entry has none
+     */
+    static buildBillAllocationsXml(entry) {
+        const direction = entry.amount < 0 ? -1 : 1;
+
+        return this.billAllocations(entry).map(allocation => {
+            let creditPeriodXml = '';
+            if (allocation.dueDate) {
+                creditPeriodXml = `
+                    <BILLCREDITPERIOD>${this.formatDate(allocation.dueDate)}</BILLCREDITPERIOD>`;
+            } else if (allocation.creditPeriod !== undefined) {
+                const period = typeof allocation.creditPeriod === 'number' ? `${allocation.creditPeriod} Days` : allocation.creditPeriod;
+                creditPeriodXml = `
+                    <BILLCREDITPERIOD>${this.escapeXml(period)}</BILLCREDITPERIOD>`;
+            }
+
+            return `
+                <BILLALLOCATIONS.LIST>
+                    <NAME>${this.escapeXml(allocation.billType === 'On Account' ? '' : allocation.name || '')}</NAME>
+                    <BILLTYPE>${this.escapeXml(allocation.billType)}</BILLTYPE>${creditPeriodXml}
+                    <AMOUNT>${allocation.amount * direction}</AMOUNT>
+                </BILLALLOCATIONS.LIST>`;
+        }).join('');
+    }
+
+    /**
+     * Get the cost centre allocations of a ledger entry grouped by cost category
+     * A lone allocation in a category without an amount takes the entry's amount.
+     * @param {Object} entry - Ledger entry ({ amount, costAllocations })
+     * @returns {Array<{category: string, allocations: Array<Object>}>} Allocations by category, in order of appearance
+     */
+    static costAllocationsByCategory(entry) {
+        const categories = new Map();
+        for (const allocation of entry.costAllocations || []) {
+            const category = allocation.category || 'Primary Cost Category';
+            if (!categories.has(category)) categories.set(category, []);
+            categories.get(category).push(allocation);
+        }
+
+        return [...categories].map(([category, allocations]) => ({
+            category,
+            allocations: allocations.map(allocation => (
+                allocations.length === 1 && allocation.amount === undefined
+                    ? { ...allocation, amount: entry.amount }
+                    : allocation
+            ))
+        }));
+    }
+
+    /**
+     * Build the CATEGORYALLOCATIONS.LIST elements of a ledger entry
+     * Each cost category allocates the whole entry amount across its cost centres.
+     * @param {Object} entry - Ledger entry
+     * @param {Array<Object>} [entry.costAllocations] - Cost centre allocations
+     * @param {string} entry.costAllocations[].costCentre - Cost centre name
+     * @param {string} [entry.costAllocations[].category='Primary Cost Category'] - Cost category
+     * @param {number} [entry.costAllocations[].amount] - Allocated amount, signed like the entry amount
+     * (default for a lone allocation in its category: the entry amount)
+     * @returns {string} Cost allocations XML, empty if the entry has none
+     */
+    static buildCostAllocationsXml(entry) {
+        const direction = entry.amount < 0 ? -1 : 1;
+
+        return this.costAllocationsByCategory(entry).map(({ category, allocations }) => `
+                <CATEGORYALLOCATIONS.LIST>
+                    <CATEGORY>${this.escapeXml(category)}</CATEGORY>
+                    <ISDEEMEDPOSITIVE>${entry.amount > 0 ? 'Yes' : 'No'}</ISDEEMEDPOSITIVE>${allocations.map(allocation => `
+                    <COSTCENTREALLOCATIONS.LIST>
+                        <NAME>${this.escapeXml(allocation.costCentre)}</NAME>
+                        <AMOUNT>${allocation.amount * direction}</AMOUNT>
+                    </COSTCENTREALLOCATIONS.LIST>`).join('')}
+                </CATEGORYALLOCATIONS.LIST>`).join('');
+    }
+
+    /**
+     * Build an ALLINVENTORYENTRIES.LIST element for an item invoice line
+     * @param {Object} line - Inventory line
+     * @param {string} line.stockItemName - Stock item name
+     * @param {number} line.quantity - Billed quantity
+     * @param {string} [line.unit] - Unit symbol (e.g. 'Nos'), appended to quantity and rate
+     * @param {number} [line.rate] - Rate per unit
+     * @param {number} [line.discount] - Discount in percent
+     * @param {number} [line.amount] - Line amount (default: quantity x rate less discount)
+     * @param {string} line.ledgerName - Sales or purchase ledger the line is allocated to
+     * @param {string} [line.godownName] - Godown the stock moves from or to
+     * @param {string} [line.batchName] - Batch name
+     * @param {string} [line.hsnCode] - HSN/SAC code
+     * @param {number} [line.gstRate] - Integrated GST rate in percent; adds the CGST, SGST/UTGST, IGST and Cess rate details
+     * @param {number} [line.cessRate] - Cess rate in percent
+     * @param {string} [deemedPositive='No'] - 'Yes' for stock coming in (purchase), 'No' for stock going out
+     * @returns {string} Inventory entry XML
+     */
+    static buildInventoryEntryXml(line, deemedPositive = 'No') {
+        const amount = this.inventoryLineAmount(line);
+        const unit = line.unit ? ` ${this.escapeXml(line.unit)}` : '';
+        const quantity = `${line.quantity}${unit}`;
+        const rateXml = line.rate !== undefined
+            ? `
+                <RATE>${line.rate}${line.unit ? `/${this.escapeXml(line.unit)}` : ''}</RATE>`
+            : '';
+        const discountXml = line.discount
+            ? `
+                <DISCOUNT>${line.discount}</DISCOUNT>`
+            : '';
+        const hsnXml = line.hsnCode || line.gstRate !== undefined
+            ? `
+                <GSTOVRDNTAXABILITY>Taxable</GSTOVRDNTAXABILITY>
+                <GSTHSNNAME>${this.escapeXml(line.hsnCode || '')}</GSTHSNNAME>`
+            : '';
+        const rateDetailsXml = line.gstRate !== undefined ? this.buildGstRateDetailsXml(line.gstRate, line.cessRate) : '';
+        const batchXml = line.godownName || line.batchName
+            ? `
+                <BATCHALLOCATIONS.LIST>
+                    <GODOWNNAME>${this.escapeXml(line.godownName || 'Main Location')}</GODOWNNAME>
+                    <BATCHNAME>${this.escapeXml(line.batchName || 'Primary Batch')}</BATCHNAME>
+                    <AMOUNT>${amount}</AMOUNT>
+                    <ACTUALQTY>${quantity}</ACTUALQTY>
+                    <BILLEDQTY>${quantity}</BILLEDQTY>
+                </BATCHALLOCATIONS.LIST>`
+            : '';
+
+        return `
+            <ALLINVENTORYENTRIES.LIST>
+                <STOCKITEMNAME>${this.escapeXml(line.stockItemName)}</STOCKITEMNAME>${hsnXml}
+                <ISDEEMEDPOSITIVE>${deemedPositive}</ISDEEMEDPOSITIVE>${rateXml}${discountXml}
+                <AMOUNT>${amount}</AMOUNT>
+                <ACTUALQTY>${quantity}</ACTUALQTY>
+                <BILLEDQTY>${quantity}</BILLEDQTY>${batchXml}${rateDetailsXml}
+                <ACCOUNTINGALLOCATIONS.LIST>
+                    <LEDGERNAME>${this.escapeXml(line.ledgerName)}</LEDGERNAME>
+                    <ISDEEMEDPOSITIVE>${deemedPositive}</ISDEEMEDPOSITIVE>
+                    <AMOUNT>${amount}</AMOUNT>
+                </ACCOUNTINGALLOCATIONS.LIST>
+            </ALLINVENTORYENTRIES.LIST>
+        `;
+    }
+
+    /**
+     * Build the RATEDETAILS.LIST elements for a GST rate, one per duty head
+     * @param {number} gstRate - Integrated GST rate in percent
+     * @param {number} [cessRate=0] - Cess rate in percent
+     * @returns {string} Rate details XML
+     */
+    static buildGstRateDetailsXml(gstRate, cessRate = 0) {
+        const heads = [
+            ['CGST', gstRate / 2],
+            ['SGST/UTGST', gstRate / 2],
+            ['IGST', gstRate],
+            ['Cess', cessRate || 0]
+        ];
+
+        return heads.map(([head, rate]) => `
+                <RATEDETAILS.LIST>
+                    <GSTRATEDUTYHEAD>${head}</GSTRATEDUTYHEAD>
+                    <GSTRATEVALUATIONTYPE>Based on Value</GSTRATEVALUATIONTYPE>
+                    <GSTRATE>${rate}</GSTRATE>
+                </RATEDETAILS.LIST>`).join('');
+    }
+
+    /**
+     * Work out the amount of an inventory line
+     * @param {Object} line - Inventory line ({ quantity, rate, discount, amount })
+     * @returns {number} The given amount, or quantity x rate less the discount percentage, rounded to paise
+     *
+     * @example
+     * XmlBuilder.inventoryLineAmount({ quantity: 10, rate: 250, discount: 10 }); // 2250
+     */
+    static inventoryLineAmount(line) {
+        if (typeof line.amount === 'number') return Math.abs(line.amount);
+
+        const gross = line.quantity * line.rate;
+        const net = line.discount ? gross * (1 - line.discount / 100) : gross;
+        return Math.round(net * 100) / 100;
+    }
+
     /**
      * Build stock item XML structure
      * @param {Object} stockData - Stock item information
@@ -243,10 +638,31 @@ ${filterXml}
      * @param {string} stockData.parent - Parent group
      * @param {string} stockData.baseUnits - Base units
      * @param {Object} stockData.openingBalance - Opening balance details
+     * @param {Object} [stockData.gst] - GST details
+     * @param {string} [stockData.gst.hsnCode] - HSN/SAC code
+     * @param {number} [stockData.gst.gstRate] - Integrated GST rate in percent
+     * @param {number} [stockData.gst.cessRate] - Cess rate in percent
+     * @param {string} [stockData.gst.taxability='Taxable'] - Taxability ('Taxable', 'Exempt', 'Nil Rated')
+     * @param {string} [stockData.gst.typeOfSupply='Goods'] - Type of supply ('Goods' or 'Services')
+     * @param {string} [stockData.gst.applicableFrom='1-Jul-2017'] - Date the GST details apply from
      * @returns {string} Stock item XML
      */
     static buildStockItemXml(stockData) {
-        const { name, parent, baseUnits, openingBalance, alias } = stockData;
+        const { name, parent, baseUnits, openingBalance, alias, gst } = stockData;
+        const taxability = gst ? gst.taxability || 'Taxable' : '';
+
+        let gstDetailsXml = '';
+        if (gst) {
+            gstDetailsXml = `
+                <GSTDETAILS.LIST>
+                    <APPLICABLEFROM>${this.formatDate(gst.applicableFrom || '1-Jul-2017')}</APPLICABLEFROM>
+                    <HSNCODE>${this.escapeXml(gst.hsnCode || '')}</HSNCODE>
+                    <TAXABILITY>${this.escapeXml(taxability)}</TAXABILITY>
+                    <STATEWISEDETAILS.LIST>
+                        <STATENAME>Any</STATENAME>${gst.gstRate !== undefined ? this.buildGstRateDetailsXml(gst.gstRate, gst.cessRate) : ''}
+                    </STATEWISEDETAILS.LIST>
+                </GSTDETAILS.LIST>`;
+        }
         
         let openingBalanceXml = '';
         if (openingBalance) {
@@ -268,10 +684,10 @@ ${filterXml}
                 <ADDITIONALUNITS/>
                 <VAT.VATCLASSIFICATIONNAME/>
                 <VAT.VATASSESSABLEVALUE/>
-                <GST.APPLICABLE/>
-                <GST.HSNCODE/>
-                <GST.TAXABILITY/>
-                <GST.GSTTYPEOFSUPPLY/>
+                <GST.APPLICABLE>${gst ? 'Applicable' : ''}</GST.APPLICABLE>
+                <GST.HSNCODE>${this.escapeXml(gst && gst.hsnCode ? gst.hsnCode : '')}</GST.HSNCODE>
+                <GST.TAXABILITY>${this.escapeXml(taxability)}</GST.TAXABILITY>
+                <GST.GSTTYPEOFSUPPLY>${this.escapeXml(gst ? gst.typeOfSupply || 'Goods' : '')}</GST.GSTTYPEOFSUPPLY>
                 <ISCOSTCENTRESON>No</ISCOSTCENTRESON>
                 <ISENTRYTAXAPPLICABLE>No</ISENTRYTAXAPPLICABLE>
                 <ISCOSTTRACKINGON>No</ISCOSTTRACKINGON>
@@ -303,7 +719,7 @@ ${filterXml}
                 <FORROYALTY>No</FORROYALTY>
                 <FOREXCISE>No</FOREXCISE>
                 <FORTDS>No</FORTDS>
-                <FORTCS>No</FORTCS>${openingBalanceXml}
+                <FORTCS>No</FORTCS>${openingBalanceXml}${gstDetailsXml}
             </STOCKITEM>
         </TALLYMESSAGE>`;
     }
@@ -399,9 +815,11 @@ ${filterXml}
      * Build collection request XML for fetching multiple records
      * @param {string} collection - Collection name (e.g., 'Ledger', 'Voucher', 'Stock Item')
      * @param {Object} filters - Filters to apply
+     * @param {Object} [options] - Request options
+     * @param {string} [options.companyName] - Company to export from (SVCURRENTCOMPANY); defaults to the active company
      * @returns {string} Collection request XML
      */
-    static buildCollectionRequest(collection, filters = {}) {
+    static buildCollectionRequest(collection, filters = {}, options = {}) {
         let filterXml = '';
         if (Object.keys(filters).length > 0) {
             filterXml = Object.entries(filters)
@@ -409,11 +827,16 @@ ${filterXml}
                 .join('\\n');
         }
 
+        const companyVar = options.companyName
+            ? `
+                    ${this.buildCompanyVariable(options.companyName)}`
+            : '';
+
         const bodyContent = `<EXPORTDATA>
             <REQUESTDESC>
                 <REPORTNAME>List of ${collection}</REPORTNAME>
                 <STATICVARIABLES>
-                    <SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT>
+                    <SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT>${companyVar}
 ${filterXml}
                 </STATICVARIABLES>
             </REQUESTDESC>
@@ -424,7 +847,8 @@ ${filterXml}
 
     /**
      * Build minimal Group create XML
-     * @param {{name:string,parent:string}} groupData
+     * @param {{name:string,parent:string}} groupData - Group information (omit parent for Primary)
+     * @returns {string} Group XML
      */
     static buildGroupXml(groupData) {
         const { name, parent } = groupData;
@@ -433,22 +857,123 @@ ${filterXml}
                 <NAME.LIST>
                     <NAME>${this.escapeXml(name)}</NAME>
                 </NAME.LIST>
-                <PARENT>${this.escapeXml(parent)}</PARENT>
+                <PARENT>${this.escapeXml(parent || '')}</PARENT>
             </GROUP>
         </TALLYMESSAGE>`;
     }
 
+    /**
+     * Build stock group XML structure
+     * @param {Object} stockGroupData - Stock group information
+     * @param {string} stockGroupData.name - Stock group name
+     * @param {string} [stockGroupData.parent] - Parent stock group (omit for Primary)
+     * @param {string} [stockGroupData.alias] - Alias
+     * @returns {string} Stock group XML
+     */
+    static buildStockGroupXml(stockGroupData) {
+        const { name, parent, alias } = stockGroupData;
+        return `<TALLYMESSAGE xmlns:UDF="TallyUDF">
+            <STOCKGROUP NAME="${this.escapeXml(name)}" ACTION="Create">
+                <NAME.LIST>
+                    <NAME>${this.escapeXml(name)}</NAME>${alias ? `
+                    <NAME>${this.escapeXml(alias)}</NAME>` : ''}
+                </NAME.LIST>
+                <PARENT>${this.escapeXml(parent || '')}</PARENT>
+                <ISADDABLE>Yes</ISADDABLE>
+            </STOCKGROUP>
+        </TALLYMESSAGE>`;
+    }
+
+    /**
+     * Build simple unit of measure XML structure
+     * @param {Object} unitData - Unit information
+     * @param {string} unitData.name - Unit symbol (e.g. 'Kg')
+     * @param {string} [unitData.formalName] - Formal name (e.g. 'Kilograms')
+     * @param {number} [unitData.decimalPlaces=0] - Number of decimal places
+     * @returns {string} Unit XML
+     */
+    static buildUnitXml(unitData) {
+        const { name, formalName, decimalPlaces = 0 } = unitData;
+        return `<TALLYMESSAGE xmlns:UDF="TallyUDF">
+            <UNIT NAME="${this.escapeXml(name)}" ACTION="Create">
+                <NAME>${this.escapeXml(name)}</NAME>
+                <ORIGINALNAME>${this.escapeXml(formalName || name)}</ORIGINALNAME>
+                <ISSIMPLEUNIT>Yes</ISSIMPLEUNIT>
+                <DECIMALPLACES>${decimalPlaces}</DECIMALPLACES>
+            </UNIT>
+        </TALLYMESSAGE>`;
+    }
+
+    /**
+     * Build cost category XML structure
+     * @param {Object} categoryData - Cost category information
+     * @param {string} categoryData.name - Cost category name
+     * @param {boolean} [categoryData.allocateRevenue=true] - Allocate revenue items
+     * @param {boolean} [categoryData.allocateNonRevenue=false] - Allocate non-revenue items
+     * @returns {string} Cost category XML
+     */
+    static buildCostCategoryXml(categoryData) {
+        const { name, allocateRevenue = true, allocateNonRevenue = false } = categoryData;
+        return `<TALLYMESSAGE xmlns:UDF="TallyUDF">
+            <COSTCATEGORY NAME="${this.escapeXml(name)}" ACTION="Create">
+                <NAME.LIST>
+                    <NAME>${this.escapeXml(name)}</NAME>
+                </NAME.LIST>
+                <ALLOCATEREVENUE>${allocateRevenue ? 'Yes' : 'No'}</ALLOCATEREVENUE>
+                <ALLOCATENONREVENUE>${allocateNonRevenue ? 'Yes' : 'No'}</ALLOCATENONREVENUE>
+            </COSTCATEGORY>
+        </TALLYMESSAGE>`;
+    }
+
+    /**
+     * Build cost centre XML structure
+     * @param {Object} centreData - Cost centre information
+     * @param {string} centreData.name - Cost centre name
+     * @param {string} [centreData.parent] - Parent cost centre (omit for Primary)
+     * @param {string} [centreData.category='Primary Cost Category'] - Cost category
+     * @param {string} [centreData.alias] - Alias
+     * @returns {string} Cost centre XML
+     */
+    static buildCostCentreXml(centreData) {
+        const { name, parent, category, alias } = centreData;
+        return `<TALLYMESSAGE xmlns:UDF="TallyUDF">
+            <COSTCENTRE NAME="${this.escapeXml(name)}" ACTION="Create">
+                <NAME.LIST>
+                    <NAME>${this.escapeXml(name)}</NAME>${alias ? `
+                    <NAME>${this.escapeXml(alias)}</NAME>` : ''}
+                </NAME.LIST>
+                <PARENT>${this.escapeXml(parent || '')}</PARENT>
+                <CATEGORY>${this.escapeXml(category || 'Primary Cost Category')}</CATEGORY>
+                <ISEMPLOYEEGROUP>No</ISEMPLOYEEGROUP>
+            </COSTCENTRE>
+        </TALLYMESSAGE>`;
+    }
+
     /**
      * Build a TDL-based collection export request (robust across editions)
      * @param {string} collectionName - Friendly ID for the collection (e.g., 'Group List')
      * @param {string} type - Tally object type (e.g., 'Group', 'Ledger')
      * @param {string[]} fetchFields - Fields to fetch (e.g., ['NAME','PARENT'])
+     * @param {Object} [options] - Request options
+     * @param {string} [options.companyName] - Company to export from (SVCURRENTCOMPANY); defaults to the active company
+     * @param {string} [options.filter] - TDL formula objects must satisfy (e.g. '$OrderRef = "WEB-1042"')
      * @returns {string} XML envelope ready to send
      */
-    static buildTDLCollectionRequest(collectionName, type, fetchFields = []) {
+    static buildTDLCollectionRequest(collectionName, type, fetchFields = [], options = {}) {
         const id = this.escapeXml(collectionName);
         const collType = this.escapeXml(type);
         const fetchLine = fetchFields.length > 0 ? `<FETCH>${fetchFields.join(',')}</FETCH>` : '';
+        const filterLine = options.filter ? `<FILTERS>SDKFilter</FILTERS>` : '';
+        const formulaXml = options.filter
+            ? `
+                    <SYSTEM TYPE="Formulae" NAME="SDKFilter">${this.escapeXml(options.filter)}</SYSTEM>`
+            : '';
+        const staticVars = options.companyName
+            ? `
+            <STATICVARIABLES>
+                ${this.buildCompanyVariable(options.companyName)}
+            </STATICVARIABLES>`
+            : '';
 
         // Match user-provided working example structure
         return `<?xml version="1.0" encoding="UTF-8"?>
@@ -460,19 +985,28 @@ ${filterXml}
         <ID>${id}</ID>
     </HEADER>
     <BODY>
-        <DESC>
+        <DESC>${staticVars}
             <TDL>
                 <TDLMESSAGE>
                     <COLLECTION NAME="${id}" ISINITIALIZE="Yes">
                         <TYPE>${collType}</TYPE>
-                        ${fetchLine}
-                    </COLLECTION>
+                        ${fetchLine}${filterLine}
+                    </COLLECTION>${formulaXml}
                 </TDLMESSAGE>
             </TDL>
         </DESC>
     </BODY>
 </ENVELOPE>`;
     }
+
+    /**
+     * Build the SVCURRENTCOMPANY static variable that points a request at a company
+     * @param {string} companyName - Company name as shown in TallyPrime
+     * @returns {string} SVCURRENTCOMPANY element
+     */
+    static buildCompanyVariable(companyName) {
+        return `<SVCURRENTCOMPANY>${this.escapeXml(companyName)}</SVCURRENTCOMPANY>`;
+    }
 }
 
 export default XmlBuilder;
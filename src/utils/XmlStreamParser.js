@@ -0,0 +1,215 @@
+import sax from 'sax';
+import { TallyLineError, TallyParseError } from '../errors/index.js';
+import { EncodingUtils } from './EncodingUtils.js';
+
+/**
+ * XmlStreamParser - Incremental parser for large TallyPrime export responses
+ * Reads the response chunk by chunk with a SAX parser and emits one object per row instead
+ * of building the whole document in memory. A row is a TALLYMESSAGE element (report exports)
+ * or a direct child of COLLECTION (TDL collection exports). Each row has the same shape
+ * xml2js produces with `explicitArray: false, mergeAttrs: true`, so the services' existing
+ * row parsers can be reused unchanged. The charset is detected from the first chunk (see
+ * EncodingUtils.detectEncoding) and illegal control characters are stripped on the way.
+ *
+ * @class XmlStreamParser
+ */
+export class XmlStreamParser {
+    /**
+     * Create an XmlStreamParser instance
+     * @param {Object} [options] - Parser options
+     * @param {Function} [options.isRow] - (name, parentName) => boolean deciding which elements are rows
+     * @param {string} [options.contentType] - Content-Type header of the response, used for charset detection
+     * @param {string} [options.encoding] - Force an encoding instead of detecting it
+     */
+    constructor(options = {}) {
+        this.isRow = options.isRow || ((name, parentName) => name === 'TALLYMESSAGE' || parentName === 'COLLECTION');
+        this.contentType = options.contentType;
+        this.encoding = options.encoding;
+    }
+
+    /**
+     * Parse a response body and yield its rows
+     * @param {AsyncIterable<Buffer|string>|Iterable<Buffer|string>|string} source - Response body or chunk stream
+     * @returns {AsyncGenerator<Object>} Rows in document order
+     *
+     * @example
+     * const parser = new XmlStreamParser();
+     * for await (const row of parser.rows(response.data)) {
+     *   console.log(row.VOUCHERNUMBER);
+     * }
+     */
+    async *rows(source) {
+        const chunks = typeof source === 'string' || Buffer.isBuffer(source) ? [source] : source;
+        const state = this._createState();
+        let decoder = null;
+
+        for await (const chunk of chunks) {
+            if (typeof chunk === 'string') {
+                this._write(state, chunk);
+            } else {
+                if (!decoder) {
+                    const encoding = EncodingUtils.normalizeEncoding(this.encoding) ||
+                        EncodingUtils.detectEncoding(Buffer.from(chunk), this.contentType);
+                    decoder = EncodingUtils.createDecoder(encoding);
+                }
+                this._write(state, decoder.decode(chunk, { stream: true }));
+            }
+            yield* this._drain(state);
+        }
+
+        if (decoder) this._write(state, decoder.decode());
+        this._write(state, '', true);
+        state.parser.close();
+        this._throwIfFailed(state);
+        yield* this._drain(state);
+
+        if (state.lineErrors.length > 0) {
+            throw new TallyLineError(`Tally error: ${state.lineErrors.join('; ')}`, {
+                lineErrors: state.lineErrors
+            });
+        }
+    }
+
+    /**
+     * Set up a SAX parser that collects completed rows into a buffer
+     * @private
+     * @returns {Object} Parser state
+     */
+    _createState() {
+        const parser = sax.parser(true, { trim: false, normalize: false });
+        const state = { parser, path: [], stack: [], ready: [], lineErrors: [], errorText: null, error: null, pending: '', started: false };
+
+        parser.onopentag = node => {
+            const parentName = state.path[state.path.length - 1];
+            state.path.push(node.name);
+
+            if (state.stack.length > 0 || this.isRow(node.name, parentName)) {
+                state.stack.push({ name: node.name, attributes: node.attributes, children: {}, hasChildren: false, text: '' });
+            } else if (node.name === 'LINEERROR' || node.name === 'ERROR') {
+                state.errorText = '';
+            }
+        };
+
+        parser.ontext = text => {
+            if (state.stack.length > 0) {
+                state.stack[state.stack.length - 1].text += text;
+            } else if (state.errorText !== null) {
+                state.errorText += text;
+            }
+        };
+        parser.oncdata = parser.ontext;
+
+        parser.onclosetag = () => {
+            state.path.pop();
+
+            if (state.stack.length === 0) {
+                if (state.errorText !== null) {
+                    state.lineErrors.push(state.errorText.trim());
+                    state.errorText = null;
+                }
+                return;
+            }
+
+            const node = state.stack.pop();
+            const value = toValue(node);
+
+            if (state.stack.length === 0) {
+                state.ready.push(value);
+            } else {
+                const parent = state.stack[state.stack.length - 1];
+                parent.hasChildren = true;
+                addChild(parent.children, node.name, value);
+            }
+        };
+
+        parser.onerror = error => {
+            state.error = error;
+        };
+
+        return state;
+    }
+
+    /**
+     * Sanitize text and feed it to the parser
+     * A trailing partial character reference is held back until the next chunk so that a
+     * reference split across chunks is still recognised.
+     * @private
+     */
+    _write(state, text, final = false) {
+        let input = state.pending + (text || '');
+        state.pending = '';
+
+        if (!state.started) {
+            input = input.replace(/^\uFEFF/, '');
+            state.started = input.length > 0;
+        }
+
+        if (!final) {
+            const partial = /&#?[0-9a-zA-Z]*$/.exec(input);
+            if (partial) {
+                state.pending = input.slice(partial.index);
+                input = input.slice(0, partial.index);
+            }
+        }
+
+        if (!input) return;
+        state.parser.write(EncodingUtils.sanitizeXml(input));
+        this._throwIfFailed(state);
+    }
+
+    /**
+     * Raise a SAX error as a TallyParseError
+     * @private
+     */
+    _throwIfFailed(state) {
+        if (state.error) {
+            const error = state.error;
+            state.error = null;
+            throw new TallyParseError(`XML parsing error: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Yield and forget the rows completed so far
+     * @private
+     */
+    *_drain(state) {
+        while (state.ready.length > 0) {
+            yield state.ready.shift();
+        }
+    }
+}
+
+/**
+ * Convert a finished element into its xml2js-style value
+ * @private
+ */
+function toValue(node) {
+    const attributeNames = Object.keys(node.attributes);
+
+    if (!node.hasChildren && attributeNames.length === 0) {
+        return node.text;
+    }
+
+    const value = {};
+    if (node.text.trim() !== '') value._ = node.text;
+    for (const name of attributeNames) addChild(value, name, node.attributes[name]);
+    for (const [name, child] of Object.entries(node.children)) addChild(value, name, child);
+    return value;
+}
+
+/**
+ * Add a property, turning repeated names into an array
+ * @private
+ */
+function addChild(target, name, value) {
+    if (!(name in target)) {
+        target[name] = value;
+    } else if (Array.isArray(target[name])) {
+        target[name].push(value);
+    } else {
+        target[name] = [target[name], value];
+    }
+}
+
+export default XmlStreamParser;
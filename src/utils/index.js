@@ -1,2 +1,5 @@
 export { XmlBuilder } from './XmlBuilder.js';
+export { XmlStreamParser } from './XmlStreamParser.js';
+export { EncodingUtils } from './EncodingUtils.js';
+export { GstCalculator } from './GstCalculator.js';
 // export { default as XmlBuilder } from './XmlBuilder.js';
\ No newline at end of file
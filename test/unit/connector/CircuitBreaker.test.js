@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import { MockTallyServer } from '../../../src/testing/index.js';
+import { TallyConnector } from '../../../src/connector/TallyConnector.js';
+import { CircuitBreaker } from '../../../src/connector/CircuitBreaker.js';
+import { XmlBuilder } from '../../../src/utils/index.js';
+import { TallyCircuitOpenError, TallyHttpError } from '../../../src/errors/index.js';
+
+const EXPORT_XML = XmlBuilder.buildTDLCollectionRequest('Ledger List', 'Ledger', ['NAME']);
+
+describe('CircuitBreaker', () => {
+    it('opens after failureThreshold consecutive failures', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeout: 60000 });
+
+        breaker.recordFailure();
+        breaker.recordFailure();
+        assert.equal(await breaker.allowRequest(), true);
+
+        breaker.recordFailure();
+        assert.equal(breaker.getState().state, 'OPEN');
+        assert.equal(await breaker.allowRequest(), false);
+    });
+
+    it('resets the failure count on success', () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 2 });
+
+        breaker.recordFailure();
+        breaker.recordSuccess();
+        breaker.recordFailure();
+
+        assert.equal(breaker.getState().state, 'CLOSED');
+    });
+
+    it('shares one HALF_OPEN probe between concurrent callers', async () => {
+        let probes = 0;
+        const breaker = new CircuitBreaker({
+            failureThreshold: 1,
+            resetTimeout: 0,
+            probe: async () => {
+                probes++;
+                return true;
+            }
+        });
+        breaker.recordFailure();
+
+        const allowed = await Promise.all([breaker.allowRequest(), breaker.allowRequest(), breaker.allowRequest()]);
+
+        assert.deepEqual(allowed, [true, true, true]);
+        assert.equal(probes, 1);
+        assert.equal(breaker.getState().state, 'CLOSED');
+    });
+
+    it('opens again when the probe fails', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 0, probe: async () => false });
+        breaker.recordFailure();
+
+        assert.equal(await breaker.allowRequest(), false);
+        assert.equal(breaker.getState().state, 'OPEN');
+    });
+});
+
+describe('TallyConnector circuit breaker', () => {
+    let server;
+    let connector;
+
+    beforeEach(async () => {
+        server = new MockTallyServer();
+        const { host, port } = await server.start();
+        connector = new TallyConnector({
+            host,
+            port,
+            retry: false,
+            circuitBreaker: { failureThreshold: 2, resetTimeout: 60000 }
+        });
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('fails fast without contacting TallyPrime once open', async () => {
+        server.injectFault({ status: 503, times: 2 });
+        await assert.rejects(connector.sendRequest(EXPORT_XML), TallyHttpError);
+        await assert.rejects(connector.sendRequest(EXPORT_XML), TallyHttpError);
+
+        await assert.rejects(connector.sendRequest(EXPORT_XML), TallyCircuitOpenError);
+        assert.equal(server.requests.length, 0);
+    });
+
+    it('lets testConnection through while open', async () => {
+        server.injectFault({ status: 503, times: 2 });
+        await assert.rejects(connector.sendRequest(EXPORT_XML));
+        await assert.rejects(connector.sendRequest(EXPORT_XML));
+
+        assert.equal(await connector.testConnection(), true);
+        assert.equal(server.requests.length, 1);
+        assert.equal(connector.circuitBreaker.getState().state, 'OPEN');
+    });
+});
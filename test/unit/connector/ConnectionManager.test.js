@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { MockTallyServer } from '../../../src/testing/index.js';
+import { ConnectionManager } from '../../../src/connector/ConnectionManager.js';
+import { TallyConnectionError, TallyNotFoundError } from '../../../src/errors/index.js';
+import { countRequests } from '../helpers.js';
+
+describe('ConnectionManager', () => {
+    let mumbai;
+    let pune;
+    let manager;
+
+    beforeEach(async () => {
+        mumbai = new MockTallyServer({ companyName: 'Acme Ltd' });
+        pune = new MockTallyServer({ companyName: 'Pune Traders' });
+        mumbai.addCompany('Shared Co');
+        pune.addCompany('Shared Co');
+
+        const endpoints = {};
+        for (const [name, server] of [['mumbai', mumbai], ['pune', pune]]) {
+            const { host, port } = await server.start();
+            endpoints[name] = { host, port };
+        }
+        manager = new ConnectionManager({ endpoints, defaults: { retry: false, circuitBreaker: false } });
+    });
+
+    afterEach(async () => {
+        manager.stop();
+        await Promise.all([mumbai.stop(), pune.stop()]);
+    });
+
+    it('routes each company to the endpoint that has it loaded', async () => {
+        mumbai.seed({ ledgers: [{ name: 'Mumbai Customer', parent: 'Sundry Debtors' }] }, 'Acme Ltd');
+        pune.seed({ ledgers: [{ name: 'Pune Customer', parent: 'Sundry Debtors' }] }, 'Pune Traders');
+
+        const acme = await manager.forCompany('Acme Ltd').ledger.getLedgerList();
+        const traders = await manager.forCompany('Pune Traders').ledger.getLedgerList();
+
+        assert.ok(acme.data.some(ledger => ledger.name === 'Mumbai Customer'));
+        assert.ok(!acme.data.some(ledger => ledger.name === 'Pune Customer'));
+        assert.ok(traders.data.some(ledger => ledger.name === 'Pune Customer'));
+        assert.equal(manager.forCompany('Acme Ltd'), manager.forCompany('Acme Ltd'));
+    });
+
+    it('reports the health, companies and latency of every endpoint', async () => {
+        await pune.stop();
+
+        const [mumbaiStatus, puneStatus] = await manager.checkHealth();
+
+        assert.equal(mumbaiStatus.healthy, true);
+        assert.deepEqual(mumbaiStatus.companies.sort(), ['Acme Ltd', 'Shared Co']);
+        assert.equal(typeof mumbaiStatus.latency, 'number');
+        assert.equal(mumbaiStatus.lastError, null);
+        assert.equal(puneStatus.healthy, false);
+        assert.ok(puneStatus.lastError);
+        assert.ok(puneStatus.lastCheckedAt instanceof Date);
+    });
+
+    it('fails exports over to the next endpoint with the company', async () => {
+        await manager.checkHealth();
+        pune.requests = [];
+        mumbai.injectFault({ reset: true });
+
+        const { data } = await manager.forCompany('Shared Co').ledger.getLedgerList();
+
+        assert.ok(data.length > 0);
+        assert.equal(countRequests(pune, 'export data'), 1);
+        assert.equal(manager.getStatus()[0].healthy, false);
+    });
+
+    it('never resends an import to another endpoint', async () => {
+        await manager.checkHealth();
+        mumbai.injectFault({ reset: true });
+
+        await assert.rejects(
+            manager.forCompany('Shared Co').ledger.createLedger({ name: 'Once Only', parent: 'Sundry Debtors' }),
+            TallyConnectionError
+        );
+        assert.equal(countRequests(pune, 'import data'), 0);
+    });
+
+    it('raises TallyNotFoundError for a company no endpoint has loaded', async () => {
+        await assert.rejects(
+            manager.forCompany('Nowhere Ltd').ledger.getLedgerList(),
+            error => error instanceof TallyNotFoundError && error.objectName === 'Nowhere Ltd'
+        );
+    });
+
+    it('raises TallyConnectionError when the endpoint of the company is down', async () => {
+        await mumbai.stop();
+
+        await assert.rejects(manager.forCompany('Acme Ltd').ledger.getLedgerList(), TallyConnectionError);
+    });
+
+    it('traces company services in the metrics of the endpoint they are routed to', async () => {
+        await manager.checkHealth();
+        const ledgerSpans = name => manager.getConnector(name).metrics.getSpans()
+            .filter(span => span.attributes['tally.method'] === 'getLedgerList');
+
+        await manager.forCompany('Pune Traders').ledger.getLedgerList();
+
+        const [request, service] = ledgerSpans('pune');
+        assert.deepEqual([request.name, service.name], ['tally.request', 'LedgerService.getLedgerList']);
+        assert.equal(request.parentSpanId, service.spanId);
+        assert.equal(service.attributes['tally.company'], 'Pune Traders');
+        assert.deepEqual(ledgerSpans('mumbai'), []);
+    });
+});
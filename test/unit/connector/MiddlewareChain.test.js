@@ -0,0 +1,156 @@
+import assert from 'node:assert/strict';
+import { startMock } from '../helpers.js';
+import { MiddlewareChain } from '../../../src/connector/MiddlewareChain.js';
+import { XmlBuilder } from '../../../src/utils/index.js';
+import { TallyHttpError, TallyValidationError } from '../../../src/errors/index.js';
+
+const EXPORT_XML = XmlBuilder.buildTDLCollectionRequest('Ledger List', 'Ledger', ['NAME']);
+
+/**
+ * A middleware that logs its hooks as '<name>.<hook>'
+ */
+function logging(name, log, overrides = {}) {
+    return {
+        beforeRequest: () => log.push(`${name}.before`),
+        afterResponse: () => log.push(`${name}.after`),
+        onError: () => log.push(`${name}.onError`),
+        ...overrides
+    };
+}
+
+describe('MiddlewareChain', () => {
+    let server;
+    let tally;
+
+    beforeEach(async () => {
+        ({ server, tally } = await startMock());
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('requires at least one hook', () => {
+        assert.throws(() => new MiddlewareChain([{ before() {} }]), TallyValidationError);
+    });
+
+    it('runs beforeRequest hooks in registration order and the others in reverse', async () => {
+        const log = [];
+        tally.use(logging('outer', log)).use(logging('inner', log));
+
+        await tally.connector.sendRequest(EXPORT_XML);
+        server.injectFault({ status: 500 });
+        await assert.rejects(tally.connector.sendRequest(EXPORT_XML), TallyHttpError);
+
+        assert.deepEqual(log, [
+            'outer.before', 'inner.before', 'inner.after', 'outer.after',
+            'outer.before', 'inner.before', 'inner.onError', 'outer.onError'
+        ]);
+    });
+
+    it('describes the calling service method in the context', async () => {
+        const contexts = [];
+        tally.use({ afterResponse: context => contexts.push(context) });
+
+        await tally.ledger.getLedgerList();
+
+        const [context] = contexts;
+        assert.deepEqual([context.service, context.method, context.stream, context.error], ['LedgerService', 'getLedgerList', false, null]);
+        assert.equal(typeof context.duration, 'number');
+        assert.ok(context.response);
+    });
+
+    it('sends the XML a beforeRequest hook rewrote', async () => {
+        tally.use({ beforeRequest: context => { context.xml = context.xml.replace('NAME="Draft Name"', 'NAME="Final Name"'); } });
+
+        await tally.ledger.createLedger({ name: 'Draft Name', parent: 'Sundry Debtors' });
+
+        assert.ok(server.getMaster('LEDGER', 'Final Name'));
+        assert.equal(server.getMaster('LEDGER', 'Draft Name'), undefined);
+    });
+
+    it('recovers when an onError hook clears the error, skipping the hooks after it', async () => {
+        const log = [];
+        tally.use(logging('outer', log)).use(logging('inner', log, {
+            onError: context => {
+                log.push('inner.onError');
+                context.error = null;
+                context.response = { success: true, fallback: true };
+            }
+        }));
+        server.injectFault({ status: 503 });
+
+        const response = await tally.connector.sendRequest(EXPORT_XML);
+
+        assert.deepEqual(response, { success: true, fallback: true });
+        assert.deepEqual(log, ['outer.before', 'inner.before', 'inner.onError']);
+    });
+
+    it('fails with the error an onError hook puts in place', async () => {
+        tally.use({ onError: context => { context.error = new TallyValidationError(`Wrapped: ${context.error.message}`); } });
+        server.injectFault({ status: 500 });
+
+        await assert.rejects(tally.connector.sendRequest(EXPORT_XML), error => error instanceof TallyValidationError && /^Wrapped:/.test(error.message));
+    });
+
+    it('hands an error thrown by beforeRequest to onError without sending the request', async () => {
+        const seen = [];
+        tally.use({ onError: context => seen.push(context.error.message) });
+        tally.use({ beforeRequest: () => { throw new Error('not allowed'); } });
+
+        await assert.rejects(tally.connector.sendRequest(EXPORT_XML), /not allowed/);
+        assert.deepEqual(seen, ['not allowed']);
+        assert.equal(server.requests.length, 0);
+    });
+
+    it('hands an error thrown by afterResponse to onError, which may recover', async () => {
+        tally.use({
+            onError: context => {
+                context.response = { success: true, note: context.error.message };
+                context.error = null;
+            }
+        });
+        tally.use({ afterResponse: () => { throw new Error('audit log is full'); } });
+
+        assert.deepEqual(await tally.connector.sendRequest(EXPORT_XML), { success: true, note: 'audit log is full' });
+    });
+
+    it('fails with the error an onError hook throws', async () => {
+        tally.use({ onError: () => { throw new Error('onError broke'); } });
+        server.injectFault({ status: 500 });
+
+        await assert.rejects(tally.connector.sendRequest(EXPORT_XML), /onError broke/);
+    });
+
+    describe('around streamed requests', () => {
+        it('reports the number of rows to afterResponse', async () => {
+            const contexts = [];
+            tally.use({ afterResponse: context => contexts.push(context) });
+
+            const rows = [];
+            for await (const row of tally.connector.streamRequest(EXPORT_XML)) rows.push(row);
+
+            assert.equal(contexts[0].stream, true);
+            assert.deepEqual(contexts[0].response, { success: true, rows: rows.length });
+        });
+
+        it('hands errors thrown by beforeRequest and afterResponse to onError', async () => {
+            const seen = [];
+            const failing = { beforeRequest: () => { throw new Error('before failed'); } };
+            tally.use({ onError: context => seen.push(context.error.message) });
+            tally.use(failing);
+
+            await assert.rejects(async () => {
+                for await (const row of tally.connector.streamRequest(EXPORT_XML)) assert.fail(`unexpected row ${row}`);
+            }, /before failed/);
+
+            tally.connector.middleware.remove(failing);
+            tally.use({ afterResponse: () => { throw new Error('after failed'); } });
+            await assert.rejects(async () => {
+                for await (const row of tally.connector.streamRequest(EXPORT_XML)) assert.ok(row);
+            }, /after failed/);
+
+            assert.deepEqual(seen, ['before failed', 'after failed']);
+        });
+    });
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startMock } from '../helpers.js';
+import { RecordingTransport } from '../../../src/connector/transports/index.js';
+import { TallyPrimeSDK } from '../../../src/index.js';
+
+describe('RecordingTransport', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'tally-cassette-'));
+    });
+
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('keeps the cassette whole when requests finish together', async () => {
+        const cassettePath = join(dir, 'concurrent.json');
+        const recorder = new RecordingTransport({
+            cassettePath,
+            transport: {
+                send: async xml => {
+                    await new Promise(resolve => setTimeout(resolve, Number(xml) % 3));
+                    return { status: 200, headers: {}, data: `<RESPONSE>${'x'.repeat(20000)}${xml}</RESPONSE>` };
+                }
+            }
+        });
+
+        await Promise.all(Array.from({ length: 30 }, (_, i) => recorder.send(String(i))));
+
+        const cassette = JSON.parse(await readFile(cassettePath, 'utf8'));
+        assert.deepEqual(
+            cassette.interactions.map(interaction => interaction.request.body).sort((a, b) => a - b),
+            Array.from({ length: 30 }, (_, i) => String(i))
+        );
+    });
+
+    it('records a session that replays without TallyPrime', async () => {
+        const cassettePath = join(dir, 'session.json');
+        const { server, tally } = await startMock();
+        server.seed({ ledgers: [{ name: 'ABC Corporation', parent: 'Sundry Debtors' }] });
+
+        tally.connector.record(cassettePath);
+        const created = await tally.ledger.createLedger({ name: 'Recorded Ltd', parent: 'Sundry Debtors' });
+        const recorded = await tally.ledger.getLedgerList();
+        await assert.rejects(tally.ledger.createLedger({ name: 'Orphan', parent: 'No Such Group' }));
+        await server.stop();
+
+        const replay = new TallyPrimeSDK({ retry: false, circuitBreaker: false });
+        replay.connector.replay(cassettePath);
+
+        assert.deepEqual(await replay.ledger.createLedger({ name: 'Recorded Ltd', parent: 'Sundry Debtors' }), created);
+        assert.deepEqual(await replay.ledger.getLedgerList(), recorded);
+        await assert.rejects(
+            replay.ledger.createLedger({ name: 'Orphan', parent: 'No Such Group' }),
+            /No Such Group/
+        );
+        await assert.rejects(replay.ledger.fetchLedger('Never Recorded'), /No recorded interaction matches/);
+    });
+});
@@ -0,0 +1,177 @@
+import assert from 'node:assert/strict';
+import { RequestQueue } from '../../../src/connector/RequestQueue.js';
+import { TallyValidationError } from '../../../src/errors/index.js';
+import { startMock } from '../helpers.js';
+
+/**
+ * A task that runs until it is settled by hand
+ */
+function deferredTask(name, started) {
+    let finish;
+    const task = () => {
+        started.push(name);
+        return new Promise(resolve => {
+            finish = () => resolve(name);
+        });
+    };
+    return { task, finish: () => finish() };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('RequestQueue', () => {
+    it('runs one request at a time by default, in arrival order', async () => {
+        const queue = new RequestQueue();
+        const started = [];
+        const [a, b] = [deferredTask('a', started), deferredTask('b', started)];
+
+        const results = [queue.run(a.task), queue.run(b.task)];
+        await tick();
+        assert.deepEqual(started, ['a']);
+
+        a.finish();
+        await tick();
+        assert.deepEqual(started, ['a', 'b']);
+
+        b.finish();
+        assert.deepEqual(await Promise.all(results), ['a', 'b']);
+    });
+
+    it('starts every queued high request before normal ones and normal before low', async () => {
+        const queue = new RequestQueue();
+        const started = [];
+        const blocker = deferredTask('blocker', started);
+        const tasks = [['low-1', 'low'], ['normal-1', 'normal'], ['high-1', 'high'], ['normal-2', undefined], ['high-2', 'high']];
+
+        const running = [queue.run(blocker.task)];
+        for (const [name, priority] of tasks) {
+            running.push(queue.run(async () => started.push(name), { priority }));
+        }
+        await tick();
+        blocker.finish();
+        await Promise.all(running);
+
+        assert.deepEqual(started, ['blocker', 'high-1', 'high-2', 'normal-1', 'normal-2', 'low-1']);
+    });
+
+    it('rejects an unknown priority', async () => {
+        await assert.rejects(new RequestQueue().run(async () => {}, { priority: 'urgent' }), TallyValidationError);
+    });
+
+    it('keeps no more requests in flight than the concurrency limit', async () => {
+        const queue = new RequestQueue({ concurrency: 2 });
+        let inFlight = 0;
+        let peak = 0;
+        const task = async () => {
+            peak = Math.max(peak, ++inFlight);
+            await tick();
+            inFlight--;
+        };
+
+        await Promise.all(Array.from({ length: 6 }, () => queue.run(task)));
+
+        assert.equal(peak, 2);
+        assert.equal(queue.getStats().active, 0);
+    });
+
+    it('starts waiting requests as soon as setConcurrency raises the limit', async () => {
+        const queue = new RequestQueue();
+        const started = [];
+        const tasks = ['a', 'b', 'c'].map(name => deferredTask(name, started));
+
+        const results = tasks.map(({ task }) => queue.run(task));
+        await tick();
+        assert.deepEqual(started, ['a']);
+
+        queue.setConcurrency(3);
+        await tick();
+        assert.deepEqual(started, ['a', 'b', 'c']);
+
+        queue.setConcurrency(1);
+        tasks.forEach(({ finish }) => finish());
+        await Promise.all(results);
+        assert.equal(queue.getStats().concurrency, 1);
+    });
+
+    it('holds a slot acquired for a stream until it is released', async () => {
+        const queue = new RequestQueue();
+        const started = [];
+
+        const release = await queue.acquire();
+        const next = queue.run(async () => started.push('next'));
+        await tick();
+        assert.deepEqual([started, queue.getStats().active], [[], 1]);
+
+        release();
+        await next;
+        assert.deepEqual(started, ['next']);
+    });
+
+    describe('getStats', () => {
+        let now;
+        let realNow;
+
+        beforeEach(() => {
+            realNow = Date.now;
+            now = 1_000_000;
+            Date.now = () => now;
+        });
+
+        afterEach(() => {
+            Date.now = realNow;
+        });
+
+        it('counts pending requests per lane and measures their wait', async () => {
+            const queue = new RequestQueue();
+            const started = [];
+            const blocker = deferredTask('blocker', started);
+            const low = deferredTask('low', started);
+            const high = deferredTask('high', started);
+
+            const results = [queue.run(blocker.task)];
+            now += 100;
+            results.push(queue.run(low.task, { priority: 'low' }));
+            now += 50;
+            results.push(queue.run(high.task, { priority: 'high' }));
+            now += 250;
+            await tick();
+
+            assert.deepEqual(queue.getStats(), {
+                concurrency: 1,
+                active: 1,
+                pending: 2,
+                pendingByPriority: { high: 1, normal: 0, low: 1 },
+                processed: 1,
+                averageWaitTime: 0,
+                maxWaitTime: 0,
+                oldestWaitTime: 300
+            });
+
+            blocker.finish();
+            await tick();
+            high.finish();
+            await tick();
+            low.finish();
+            await Promise.all(results);
+
+            const stats = queue.getStats();
+            assert.deepEqual(
+                [stats.active, stats.pending, stats.processed, stats.maxWaitTime, stats.averageWaitTime, stats.oldestWaitTime],
+                [0, 0, 3, 300, Math.round((0 + 250 + 300) / 3), 0]
+            );
+        });
+    });
+
+    it('is reported by the connector through getQueueStats', async () => {
+        const { server, tally } = await startMock({ concurrency: 2 });
+
+        try {
+            await Promise.all([tally.ledger.getLedgerList(), tally.ledger.getLedgerList({ nameContains: 'cash' })]);
+
+            const stats = tally.connector.getQueueStats();
+            assert.deepEqual([stats.concurrency, stats.active, stats.pending, stats.processed], [2, 0, 0, 2]);
+        } finally {
+            await server.stop();
+        }
+    });
+});
@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import { startMock, countRequests } from '../helpers.js';
+import { ResponseCache } from '../../../src/connector/ResponseCache.js';
+import { XmlBuilder } from '../../../src/utils/index.js';
+import { TallyPrimeSDK } from '../../../src/index.js';
+
+const EXPORT_XML = XmlBuilder.buildTDLCollectionRequest('Ledger List', 'Ledger', ['NAME']);
+
+describe('ResponseCache', () => {
+    it('hands out copies, so a caller changing its response leaves the entry intact', () => {
+        const cache = new ResponseCache();
+        const response = { data: { rows: [{ NAME: 'Cash' }] } };
+
+        cache.set('key', response, { type: 'Ledger', ttl: 60000 });
+        response.data.rows[0].NAME = 'Changed before reading';
+        cache.get('key').data.rows.push({ NAME: 'Added by a caller' });
+
+        assert.deepEqual(cache.get('key'), { data: { rows: [{ NAME: 'Cash' }] } });
+    });
+
+    describe('through the connector', () => {
+        let server;
+        let tally;
+
+        beforeEach(async () => {
+            ({ server, tally } = await startMock({ cache: true }));
+        });
+
+        afterEach(async () => {
+            await server.stop();
+        });
+
+        it('serves a repeated export from the cache', async () => {
+            const first = await tally.ledger.getLedgerList();
+            const second = await tally.ledger.getLedgerList();
+
+            assert.deepEqual(second.data, first.data);
+            assert.equal(countRequests(server, 'export data'), 1);
+        });
+
+        it('does not share response objects between callers', async () => {
+            const first = await tally.connector.sendRequest(EXPORT_XML);
+            first.data.ENVELOPE = null;
+
+            const second = await tally.connector.sendRequest(EXPORT_XML);
+
+            assert.ok(second.data.ENVELOPE);
+            assert.equal(countRequests(server, 'export data'), 1);
+        });
+
+        it('drops the stale entries when an import goes through the connector', async () => {
+            await tally.ledger.getLedgerList();
+            await tally.ledger.createLedger({ name: 'ABC Corporation', parent: 'Sundry Debtors' });
+
+            const { data } = await tally.ledger.getLedgerList();
+
+            assert.ok(data.some(ledger => ledger.name === 'ABC Corporation'));
+            assert.equal(countRequests(server, 'export data'), 2);
+        });
+
+        it('keeps entries of other types on an import', async () => {
+            await tally.ledger.getLedgerList();
+            await tally.stock.getStockItemList();
+            await tally.ledger.createLedger({ name: 'ABC Corporation', parent: 'Sundry Debtors' });
+            server.requests = [];
+
+            await tally.stock.getStockItemList();
+            await tally.ledger.getLedgerList();
+
+            assert.equal(countRequests(server, 'export data'), 1);
+        });
+
+        it('clears only the given type with clearCache(type)', async () => {
+            await tally.ledger.getLedgerList();
+            await tally.stock.getStockItemList();
+            server.requests = [];
+
+            assert.equal(tally.clearCache('Stock Item'), 1);
+            await tally.ledger.getLedgerList();
+            await tally.stock.getStockItemList();
+
+            assert.equal(countRequests(server, 'export data'), 1);
+            assert.ok(server.requests[0].xml.includes('Stock Item'));
+        });
+
+        it('clears everything with clearCache()', async () => {
+            await tally.ledger.getLedgerList();
+            await tally.stock.getStockItemList();
+
+            assert.equal(tally.clearCache(), 2);
+            assert.equal(tally.connector.cache.getStats().size, 0);
+        });
+    });
+
+    describe('with alterIdCheck', () => {
+        let server;
+        let tally;
+        let otherApp;
+
+        beforeEach(async () => {
+            ({ server, tally } = await startMock({ cache: { alterIdCheck: true, alterIdInterval: 0 } }));
+            const { host, port } = server.getAddress();
+            otherApp = new TallyPrimeSDK({ host, port, retry: false, circuitBreaker: false });
+        });
+
+        afterEach(async () => {
+            await server.stop();
+        });
+
+        it('serves entries while the AlterIDs are unchanged', async () => {
+            await tally.ledger.getLedgerList();
+            await tally.ledger.getLedgerList();
+
+            assert.equal(tally.connector.cache.getStats().hits, 1);
+        });
+
+        it('drops entries once another application changes a master', async () => {
+            await tally.ledger.getLedgerList();
+            await otherApp.ledger.createLedger({ name: 'ABC Corporation', parent: 'Sundry Debtors' });
+
+            const { data } = await tally.ledger.getLedgerList();
+
+            assert.ok(data.some(ledger => ledger.name === 'ABC Corporation'));
+            assert.equal(tally.connector.cache.getStats().hits, 0);
+        });
+    });
+});
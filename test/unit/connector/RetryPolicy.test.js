@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { MockTallyServer } from '../../../src/testing/index.js';
+import { TallyConnector } from '../../../src/connector/TallyConnector.js';
+import { RetryPolicy } from '../../../src/connector/RetryPolicy.js';
+import { XmlBuilder } from '../../../src/utils/index.js';
+import { TallyConnectionError, TallyHttpError, TallyValidationError } from '../../../src/errors/index.js';
+
+const EXPORT_XML = XmlBuilder.buildTDLCollectionRequest('Ledger List', 'Ledger', ['NAME']);
+const IMPORT_XML = XmlBuilder.buildImportRequest(XmlBuilder.buildLedgerXml({ name: 'Retried', parent: 'Sundry Debtors' }));
+
+describe('RetryPolicy', () => {
+    it('treats only Export Data requests as idempotent', () => {
+        assert.equal(RetryPolicy.isIdempotent(EXPORT_XML), true);
+        assert.equal(RetryPolicy.isIdempotent(IMPORT_XML), false);
+    });
+
+    it('retries connection errors and gateway statuses up to maxAttempts', () => {
+        const policy = new RetryPolicy({ maxAttempts: 2 });
+
+        assert.equal(policy.shouldRetry(new TallyConnectionError('reset'), 1, EXPORT_XML), true);
+        assert.equal(policy.shouldRetry(new TallyHttpError('busy', { status: 503 }), 1, EXPORT_XML), true);
+        assert.equal(policy.shouldRetry(new TallyHttpError('bad', { status: 400 }), 1, EXPORT_XML), false);
+        assert.equal(policy.shouldRetry(new TallyValidationError('bad'), 1, EXPORT_XML), false);
+        assert.equal(policy.shouldRetry(new TallyConnectionError('reset'), 2, EXPORT_XML), false);
+    });
+
+    it('grows the delay exponentially up to maxDelay', () => {
+        const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 300, jitter: false });
+
+        assert.deepEqual([1, 2, 3].map(attempt => policy.getDelay(attempt)), [100, 200, 300]);
+    });
+});
+
+describe('TallyConnector retries', () => {
+    let server;
+    let connector;
+
+    beforeEach(async () => {
+        server = new MockTallyServer();
+        const { host, port } = await server.start();
+        connector = new TallyConnector({
+            host,
+            port,
+            retry: { maxAttempts: 3, baseDelay: 0, jitter: false },
+            circuitBreaker: false
+        });
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('retries an export after ECONNRESET', async () => {
+        server.injectFault({ reset: true, times: 2 });
+
+        const response = await connector.sendRequest(EXPORT_XML);
+
+        assert.equal(response.success, true);
+        assert.deepEqual(server.faults, []);
+    });
+
+    it('retries an export after a 503 and gives up after maxAttempts', async () => {
+        server.injectFault({ status: 503, times: 3 });
+
+        await assert.rejects(connector.sendRequest(EXPORT_XML), error => error instanceof TallyHttpError && error.attempts === 3);
+        assert.deepEqual(server.faults, []);
+    });
+
+    it('never retries an import', async () => {
+        server.injectFault({ reset: true, times: 2 });
+
+        await assert.rejects(connector.sendRequest(IMPORT_XML), error => error instanceof TallyConnectionError && error.attempts === 1);
+        assert.equal(server.faults[0].times, 1);
+        assert.equal(server.getMaster('LEDGER', 'Retried'), undefined);
+    });
+});
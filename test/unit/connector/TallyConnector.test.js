@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import { startMock } from '../helpers.js';
+import { XmlBuilder } from '../../../src/utils/index.js';
+import { TallyAbortError, TallyHttpError, TallyTimeoutError } from '../../../src/errors/index.js';
+
+const EXPORT_XML = XmlBuilder.buildTDLCollectionRequest('Ledger List', 'Ledger', ['NAME']);
+
+describe('TallyConnector', () => {
+    let server;
+    let tally;
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    describe('cancellation and timeouts', () => {
+        beforeEach(async () => {
+            ({ server, tally } = await startMock());
+        });
+
+        it('rejects at once for a signal that is already aborted', async () => {
+            await assert.rejects(
+                tally.connector.sendRequest(EXPORT_XML, { signal: AbortSignal.abort(new Error('gone')) }),
+                error => error instanceof TallyAbortError && error.cause.message === 'gone'
+            );
+            assert.equal(server.requests.length, 0);
+        });
+
+        it('takes a request aborted while queued off the queue without sending it', async () => {
+            server.injectFault({ delay: 200 });
+            const controller = new AbortController();
+
+            const first = tally.connector.sendRequest(EXPORT_XML);
+            const queued = tally.connector.sendRequest(EXPORT_XML, { signal: controller.signal });
+            await new Promise(resolve => setTimeout(resolve, 50));
+            assert.equal(tally.connector.getQueueStats().pending, 1);
+            controller.abort();
+
+            await assert.rejects(queued, error => error instanceof TallyAbortError && /while queued/.test(error.message));
+            assert.equal(tally.connector.getQueueStats().pending, 0);
+            await first;
+            assert.equal(server.requests.length, 1);
+        });
+
+        it('cancels a request in flight', async () => {
+            server.injectFault({ delay: 2000 });
+            const controller = new AbortController();
+            const startedAt = Date.now();
+
+            const pending = tally.connector.sendRequest(EXPORT_XML, { signal: controller.signal });
+            setTimeout(() => controller.abort(), 50);
+
+            await assert.rejects(pending, TallyAbortError);
+            assert.ok(Date.now() - startedAt < 1000);
+            assert.equal(tally.connector.getQueueStats().active, 0);
+        });
+
+        it('times out a call after its own timeout and leaves the connector timeout alone', async () => {
+            server.injectFault({ delay: 500 });
+
+            await assert.rejects(
+                tally.connector.sendRequest(EXPORT_XML, { timeout: 50 }),
+                error => error instanceof TallyTimeoutError && error.timeout === 50
+            );
+            assert.equal(tally.connector.timeout, 30000);
+            assert.ok(await tally.connector.sendRequest(EXPORT_XML));
+        });
+    });
+
+    describe('cancellation during retry back-off', () => {
+        beforeEach(async () => {
+            ({ server, tally } = await startMock({ retry: { maxAttempts: 3, baseDelay: 5000, jitter: false } }));
+        });
+
+        it('stops waiting for the next attempt', async () => {
+            server.injectFault({ status: 503 });
+            const controller = new AbortController();
+            const startedAt = Date.now();
+
+            const pending = tally.connector.sendRequest(EXPORT_XML, { signal: controller.signal });
+            setTimeout(() => controller.abort(), 100);
+
+            await assert.rejects(
+                pending,
+                error => error instanceof TallyAbortError && error.cause instanceof TallyHttpError && error.cause.status === 503
+            );
+            assert.ok(Date.now() - startedAt < 1000);
+        });
+    });
+});
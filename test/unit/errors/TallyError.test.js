@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { startMock } from '../helpers.js';
+import { TallyError, TallyHttpError, TallyNotFoundError } from '../../../src/errors/index.js';
+
+describe('TallyError', () => {
+    describe('wrap', () => {
+        it('keeps the class and message of SDK errors and records the context', () => {
+            const error = new TallyHttpError('TallyPrime server error: 503 - Service Unavailable', { status: 503 });
+
+            const wrapped = TallyError.wrap(TallyError.wrap(error, 'Failed to fetch voucher'), 'Failed to update voucher');
+
+            assert.equal(wrapped, error);
+            assert.equal(wrapped.message, 'TallyPrime server error: 503 - Service Unavailable');
+            assert.deepEqual(wrapped.context, ['Failed to update voucher', 'Failed to fetch voucher']);
+        });
+
+        it('wraps other errors in a TallyError with the same message and the original as cause', () => {
+            const error = new TypeError('Cannot read properties of undefined');
+
+            const wrapped = TallyError.wrap(error, 'Failed to fetch ledger');
+
+            assert.ok(wrapped instanceof TallyError);
+            assert.equal(wrapped.message, 'Cannot read properties of undefined');
+            assert.equal(wrapped.cause, error);
+            assert.deepEqual(wrapped.context, ['Failed to fetch ledger']);
+        });
+    });
+
+    describe('raised by the services', () => {
+        let server;
+        let tally;
+
+        beforeEach(async () => {
+            ({ server, tally } = await startMock());
+        });
+
+        afterEach(async () => {
+            await server.stop();
+        });
+
+        it('does not prefix the message of a failed request', async () => {
+            server.injectFault({ status: 503, times: 1 });
+
+            await assert.rejects(tally.ledger.createLedger({ name: 'ABC Corporation', parent: 'Sundry Debtors' }), error => {
+                assert.ok(error instanceof TallyHttpError);
+                assert.equal(error.message, 'TallyPrime server error: 503 - Service Unavailable');
+                assert.deepEqual(error.context, ['Failed to create ledger']);
+                return true;
+            });
+        });
+
+        it('lists the nested operations instead of stacking prefixes', async () => {
+            await assert.rejects(tally.voucher.updateVoucher({ masterId: 42 }, { narration: 'Corrected' }), error => {
+                assert.ok(error instanceof TallyNotFoundError);
+                assert.equal(error.message, "Voucher with masterId '42' not found");
+                assert.deepEqual(error.context, ['Failed to update voucher', 'Failed to fetch voucher']);
+                return true;
+            });
+        });
+    });
+});
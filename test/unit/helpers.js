@@ -0,0 +1,39 @@
+import { MockTallyServer } from '../../src/testing/index.js';
+import { TallyPrimeSDK } from '../../src/index.js';
+
+/**
+ * Start a MockTallyServer and an SDK pointed at it
+ * Retries and the circuit breaker are off unless the config turns them on, so faults surface at once.
+ * @param {Object} [config] - SDK configuration overrides
+ * @param {Object} [serverOptions] - MockTallyServer options
+ * @returns {Promise<{server: MockTallyServer, tally: TallyPrimeSDK}>} Running server and SDK
+ */
+export async function startMock(config = {}, serverOptions = {}) {
+    const server = new MockTallyServer(serverOptions);
+    const { host, port } = await server.start();
+    const tally = new TallyPrimeSDK({ host, port, retry: false, circuitBreaker: false, ...config });
+
+    return { server, tally };
+}
+
+/**
+ * Count the recorded requests of a type
+ * @param {MockTallyServer} server - Mock server
+ * @param {string} requestType - Lower-case TALLYREQUEST value (e.g. 'import data')
+ * @returns {number} Number of requests
+ */
+export function countRequests(server, requestType) {
+    return server.requests.filter(request => request.requestType === requestType).length;
+}
+
+/**
+ * List the masters sent in each recorded import, in the order they were sent
+ * @param {MockTallyServer} server - Mock server
+ * @returns {Array<Array<string>>} One list of '<ELEMENT>:<name>' per import request
+ */
+export function importedMasters(server) {
+    return server.requests
+        .filter(request => request.requestType === 'import data')
+        .map(request => [...request.xml.matchAll(/<(GROUP|LEDGER|UNIT|STOCKGROUP|STOCKITEM)\b[^>]*\bNAME="([^"]+)"/g)]
+            .map(([, element, name]) => `${element}:${name}`));
+}
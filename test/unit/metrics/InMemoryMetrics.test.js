@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict';
+import { startMock } from '../helpers.js';
+import { InMemoryMetrics, SpanContext } from '../../../src/metrics/index.js';
+
+describe('InMemoryMetrics', () => {
+    describe('toPrometheus', () => {
+        it('renders nothing before anything is recorded', () => {
+            assert.equal(new InMemoryMetrics().toPrometheus(), '');
+        });
+
+        it('renders one counter line per label set, escaping label values', () => {
+            const metrics = new InMemoryMetrics();
+            metrics.increment('tally_requests_total', { method: 'getLedgerList', status: 'ok' });
+            metrics.increment('tally_requests_total', { status: 'ok', method: 'getLedgerList' }, 2);
+            metrics.increment('tally_requests_total', { company: 'A "B"\\C\nD', service: null });
+
+            assert.equal(metrics.toPrometheus(), [
+                '# TYPE tally_requests_total counter',
+                'tally_requests_total{method="getLedgerList",status="ok"} 3',
+                'tally_requests_total{company="A \\"B\\"\\\\C\\nD"} 1',
+                ''
+            ].join('\n'));
+        });
+
+        it('renders cumulative histogram buckets ending in +Inf', () => {
+            const metrics = new InMemoryMetrics({ buckets: { tally_rows: [10, 100] } });
+            for (const value of [5, 50, 500]) metrics.observe('tally_rows', value, { type: 'Ledger' });
+
+            assert.equal(metrics.toPrometheus(), [
+                '# TYPE tally_rows histogram',
+                'tally_rows_bucket{type="Ledger",le="10"} 1',
+                'tally_rows_bucket{type="Ledger",le="100"} 2',
+                'tally_rows_bucket{type="Ledger",le="+Inf"} 3',
+                'tally_rows_sum{type="Ledger"} 555',
+                'tally_rows_count{type="Ledger"} 3',
+                ''
+            ].join('\n'));
+        });
+
+        it('picks latency buckets for _seconds metrics and size buckets for _bytes metrics', () => {
+            const metrics = new InMemoryMetrics();
+            metrics.observe('tally_request_duration_seconds', 0.2);
+            metrics.observe('tally_response_size_bytes', 2000);
+
+            const [duration, size] = metrics.getSnapshot().histograms;
+            assert.deepEqual([duration.buckets['0.1'], duration.buckets['0.25'], duration.buckets['256']], [0, 1, undefined]);
+            assert.deepEqual([size.buckets['1024'], size.buckets['4096'], size.buckets['0.25']], [0, 1, undefined]);
+        });
+    });
+
+    describe('spans', () => {
+        it('keeps only the most recent maxSpans finished spans', () => {
+            const metrics = new InMemoryMetrics({ maxSpans: 3 });
+            for (let i = 1; i <= 5; i++) metrics.startSpan(`span-${i}`).end();
+
+            assert.deepEqual(metrics.getSpans().map(span => span.name), ['span-3', 'span-4', 'span-5']);
+        });
+
+        it('keeps no spans when maxSpans is 0', () => {
+            const metrics = new InMemoryMetrics({ maxSpans: 0 });
+            metrics.startSpan('dropped').end();
+
+            assert.deepEqual(metrics.getSpans(), []);
+        });
+
+        it('records a span once, with its status, error and attributes at the time it ended', () => {
+            const metrics = new InMemoryMetrics();
+            const span = metrics.startSpan('import', { 'tally.company': 'Acme Ltd' });
+            span.setAttribute('tally.rows', 3);
+            span.end(new TypeError('bad row'));
+            span.end();
+            span.setAttribute('tally.rows', 4);
+
+            const [recorded] = metrics.getSpans();
+            assert.equal(metrics.getSpans().length, 1);
+            assert.deepEqual(
+                [recorded.status, recorded.error, recorded.attributes],
+                ['error', { name: 'TypeError', message: 'bad row' }, { 'tally.company': 'Acme Ltd', 'tally.rows': 3 }]
+            );
+        });
+
+        it('starts child spans in the trace of their parent', () => {
+            const metrics = new InMemoryMetrics();
+            const parent = metrics.startSpan('parent');
+            const child = metrics.startSpan('child', {}, parent);
+
+            assert.equal(child.traceId, parent.traceId);
+            assert.equal(child.parentSpanId, parent.spanId);
+            assert.equal(parent.parentSpanId, null);
+        });
+    });
+
+    describe('service and request spans', () => {
+        let server;
+        let tally;
+
+        beforeEach(async () => {
+            ({ server, tally } = await startMock());
+        });
+
+        afterEach(async () => {
+            await server.stop();
+        });
+
+        it('makes each request span a child of the service call that sent it', async () => {
+            await Promise.all([tally.ledger.getLedgerList(), tally.stock.getStockItemList()]);
+
+            const spans = tally.getMetrics().getSpans();
+            for (const [service, method] of [['LedgerService', 'getLedgerList'], ['StockItemService', 'getStockItemList']]) {
+                const parent = spans.find(span => span.name === `${service}.${method}`);
+                const requests = spans.filter(span => span.parentSpanId === parent.spanId);
+
+                assert.ok(requests.length > 0);
+                for (const request of requests) {
+                    assert.deepEqual([request.name, request.traceId, request.attributes['tally.method']], ['tally.request', parent.traceId, method]);
+                }
+            }
+            assert.equal(SpanContext.current(), null);
+        });
+
+        it('parents the request of a streamed call to its service span', async () => {
+            for await (const ledger of tally.ledger.streamLedgers()) assert.ok(ledger.name);
+
+            const spans = tally.getMetrics().getSpans();
+            const parent = spans.find(span => span.name === 'LedgerService.streamLedgers');
+            const request = spans.find(span => span.name === 'tally.request');
+            assert.equal(request.parentSpanId, parent.spanId);
+            assert.equal(parent.status, 'ok');
+        });
+
+        it('starts a new trace for a request sent outside any service call', async () => {
+            await tally.ledger.getLedgerList();
+            await tally.connector.sendRequest(server.requests[0].xml);
+
+            const request = tally.getMetrics().getSpans().at(-1);
+            assert.deepEqual([request.name, request.parentSpanId], ['tally.request', null]);
+        });
+    });
+});
@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict';
+import { startMock } from '../helpers.js';
+
+describe('CompanyService', () => {
+    let server;
+    let tally;
+
+    beforeEach(async () => {
+        ({ server, tally } = await startMock({}, { companyName: 'Acme Ltd' }));
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('lists the loaded companies', async () => {
+        server.addCompany('Globex Ltd');
+
+        const { data } = await tally.company.getCompanyList();
+
+        assert.deepEqual(data.map(company => company.name).sort(), ['Acme Ltd', 'Globex Ltd']);
+    });
+
+    it('scopes services to a company', async () => {
+        server.addCompany('Globex Ltd');
+
+        await tally.forCompany('Globex Ltd').ledger.createLedger({ name: 'Scoped', parent: 'Sundry Debtors' });
+
+        assert.ok(server.getMaster('LEDGER', 'Scoped', 'Globex Ltd'));
+        assert.equal(server.getMaster('LEDGER', 'Scoped', 'Acme Ltd'), undefined);
+    });
+});
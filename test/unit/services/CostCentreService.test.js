@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { startMock } from '../helpers.js';
+import { TallyImportError, TallyValidationError } from '../../../src/errors/index.js';
+
+describe('CostCentreService', () => {
+    let server;
+    let tally;
+
+    beforeEach(async () => {
+        ({ server, tally } = await startMock());
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    describe('createCostCategory', () => {
+        it('creates the category and lists it with its allocation flags', async () => {
+            const result = await tally.costCentre.createCostCategory({ name: 'Projects', allocateNonRevenue: true });
+
+            const { data } = await tally.costCentre.getCostCategoryList();
+            assert.equal(result.costCategoryName, 'Projects');
+            assert.deepEqual(data.find(category => category.name === 'Projects'), {
+                name: 'Projects',
+                allocateRevenue: true,
+                allocateNonRevenue: true
+            });
+            assert.ok(data.some(category => category.name === 'Primary Cost Category'));
+        });
+
+        it('requires a name', async () => {
+            await assert.rejects(tally.costCentre.createCostCategory({}), TallyValidationError);
+            assert.equal(server.requests.length, 0);
+        });
+    });
+
+    describe('createCostCentre', () => {
+        beforeEach(async () => {
+            await tally.costCentre.createCostCategory({ name: 'Projects' });
+            await tally.costCentre.createCostCentre({ name: 'Head Office' });
+            await tally.costCentre.createCostCentre({ name: 'Project Alpha', category: 'Projects' });
+            await tally.costCentre.createCostCentre({ name: 'Alpha Site', parent: 'Project Alpha', category: 'Projects' });
+        });
+
+        it('lists the cost centres filtered by category and parent', async () => {
+            const all = await tally.costCentre.getCostCentreList();
+            const projects = await tally.costCentre.getCostCentreList({ category: 'projects' });
+            const children = await tally.costCentre.getCostCentreList({ parent: 'Project Alpha' });
+
+            assert.equal(all.count, 3);
+            assert.deepEqual(projects.data.map(centre => centre.name), ['Project Alpha', 'Alpha Site']);
+            assert.deepEqual(children.data, [{ name: 'Alpha Site', parent: 'Project Alpha', category: 'Projects' }]);
+        });
+
+        it('surfaces the line error for an unknown cost category', async () => {
+            await assert.rejects(
+                tally.costCentre.createCostCentre({ name: 'Stray', category: 'Nowhere' }),
+                error => error instanceof TallyImportError && /Cost Category 'Nowhere' does not exist/.test(error.message)
+            );
+            assert.equal(server.getMaster('COSTCENTRE', 'Stray'), undefined);
+        });
+
+        it('requires a name', async () => {
+            await assert.rejects(tally.costCentre.createCostCentre({ category: 'Projects' }), TallyValidationError);
+        });
+    });
+});
@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+import { importedMasters, startMock } from '../helpers.js';
+import { TallyImportError, TallyValidationError } from '../../../src/errors/index.js';
+
+describe('LedgerService', () => {
+    let server;
+    let tally;
+
+    beforeEach(async () => {
+        ({ server, tally } = await startMock());
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    describe('createLedger', () => {
+        it('creates the ledger under its group', async () => {
+            const result = await tally.ledger.createLedger({ name: 'ABC Corporation', parent: 'Sundry Debtors' });
+
+            assert.equal(result.success, true);
+            assert.equal(result.importResult.created, 1);
+            assert.equal(server.getMaster('LEDGER', 'ABC Corporation').fields.PARENT, 'Sundry Debtors');
+        });
+
+        it('validates the name and parent before sending', async () => {
+            await assert.rejects(tally.ledger.createLedger({ parent: 'Sundry Debtors' }), TallyValidationError);
+            await assert.rejects(tally.ledger.createLedger({ name: 'No Parent' }), TallyValidationError);
+            assert.equal(server.requests.length, 0);
+        });
+
+        it('reports the line error of a rejected import', async () => {
+            await assert.rejects(
+                tally.ledger.createLedger({ name: 'Orphan', parent: 'No Such Group' }),
+                error => error instanceof TallyImportError && /No Such Group/.test(error.importResult.lineErrors[0])
+            );
+        });
+    });
+
+    describe('getLedgerList', () => {
+        it('lists ledgers with client-side filters', async () => {
+            server.seed({
+                ledgers: [
+                    { name: 'Acme Corp', parent: 'Sundry Debtors' },
+                    { name: 'Globex Corp', parent: 'Sundry Creditors' }
+                ]
+            });
+
+            const { data, count } = await tally.ledger.getLedgerList({ nameContains: 'corp' });
+
+            assert.equal(count, 2);
+            assert.deepEqual(data.map(ledger => ledger.name).sort(), ['Acme Corp', 'Globex Corp']);
+        });
+    });
+
+    describe('streamLedgers', () => {
+        it('yields the same ledgers as getLedgerList', async () => {
+            const names = [];
+            for await (const ledger of tally.ledger.streamLedgers()) names.push(ledger.name);
+
+            const { data } = await tally.ledger.getLedgerList();
+            assert.deepEqual(names, data.map(ledger => ledger.name));
+        });
+    });
+
+    describe('importLedgers', () => {
+        it('sends groups before ledgers and nested groups after their parents', async () => {
+            const summary = await tally.ledger.importLedgers({
+                groups: [
+                    { name: 'Retail', parent: 'Online Customers' },
+                    { name: 'Online Customers', parent: 'Sundry Debtors' }
+                ],
+                ledgers: [{ name: 'Acme Retail', parent: 'Retail' }]
+            });
+
+            assert.deepEqual(importedMasters(server), [['GROUP:Online Customers', 'GROUP:Retail', 'LEDGER:Acme Retail']]);
+            assert.equal(summary.created, 3);
+            assert.equal(server.getMaster('LEDGER', 'Acme Retail').fields.PARENT, 'Retail');
+        });
+
+        it('reports each master as created, skipped or failed', async () => {
+            const summary = await tally.ledger.importLedgers({
+                ledgers: [
+                    { name: 'Cash', parent: 'Cash-in-Hand' },
+                    { name: 'Acme Retail', parent: 'Sundry Debtors' },
+                    { name: 'Globex Stores', parent: 'No Such Group' }
+                ]
+            });
+
+            assert.deepEqual(
+                summary.results.map(result => [result.name, result.status]),
+                [['Cash', 'skipped'], ['Acme Retail', 'created'], ['Globex Stores', 'failed']]
+            );
+            assert.match(summary.results[2].error, /No Such Group/);
+            assert.deepEqual(
+                [summary.success, summary.total, summary.created, summary.skipped, summary.failed],
+                [false, 3, 1, 1, 1]
+            );
+        });
+
+        it('fails the masters under a group that was not imported without sending them', async () => {
+            const summary = await tally.ledger.importLedgers(
+                {
+                    groups: [{ name: 'Online Customers', parent: 'No Such Group' }],
+                    ledgers: [{ name: 'Acme Retail', parent: 'Online Customers' }]
+                },
+                { batchSize: 1 }
+            );
+
+            assert.deepEqual(summary.results.map(result => result.status), ['failed', 'failed']);
+            assert.equal(summary.results[1].error, "Group 'Online Customers' was not imported");
+            assert.deepEqual(importedMasters(server), [['GROUP:Online Customers']]);
+        });
+
+        it('fails groups in a circular parent chain, and the masters under them', async () => {
+            const summary = await tally.ledger.importLedgers({
+                groups: [
+                    { name: 'North', parent: 'South' },
+                    { name: 'South', parent: 'North' },
+                    { name: 'East', parent: 'Sundry Debtors' }
+                ],
+                ledgers: [{ name: 'Acme Retail', parent: 'North' }]
+            });
+
+            assert.deepEqual(
+                summary.results.map(result => [result.name, result.status]),
+                [['North', 'failed'], ['South', 'failed'], ['East', 'created'], ['Acme Retail', 'failed']]
+            );
+            assert.match(summary.results[0].error, /circular parent chain/);
+            assert.equal(summary.results[3].error, "Group 'North' was not imported");
+        });
+    });
+
+    describe('deleteLedger', () => {
+        it('deletes a ledger with force', async () => {
+            server.seed({ ledgers: [{ name: 'Old Supplier', parent: 'Sundry Creditors' }] });
+
+            await tally.ledger.deleteLedger('Old Supplier', { force: true });
+
+            assert.equal(server.getMaster('LEDGER', 'Old Supplier'), undefined);
+        });
+    });
+});
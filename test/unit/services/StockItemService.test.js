@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import { importedMasters, startMock } from '../helpers.js';
+import { TallyValidationError } from '../../../src/errors/index.js';
+
+describe('StockItemService', () => {
+    let server;
+    let tally;
+
+    beforeEach(async () => {
+        ({ server, tally } = await startMock());
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    describe('createStockItem', () => {
+        it('creates the item with its units and GST details', async () => {
+            server.seed({ stockGroups: [{ name: 'Raw Materials' }] });
+
+            await tally.stock.createStockItem({
+                name: 'Widget A',
+                parent: 'Raw Materials',
+                baseUnits: 'Nos',
+                gst: { hsnCode: '8471', gstRate: 18 }
+            });
+
+            const item = server.getMaster('STOCKITEM', 'Widget A');
+            assert.equal(item.fields.PARENT, 'Raw Materials');
+            assert.equal(item.fields.BASEUNITS, 'Nos');
+            assert.equal(item.fields['GST.HSNCODE'], '8471');
+        });
+
+        it('requires a name, parent and base units', async () => {
+            await assert.rejects(tally.stock.createStockItem({ parent: 'Primary', baseUnits: 'Nos' }), TallyValidationError);
+            await assert.rejects(tally.stock.createStockItem({ name: 'A', baseUnits: 'Nos' }), TallyValidationError);
+            await assert.rejects(tally.stock.createStockItem({ name: 'A', parent: 'Primary' }), TallyValidationError);
+            assert.equal(server.requests.length, 0);
+        });
+    });
+
+    describe('importStockItems', () => {
+        it('sends units, then stock groups with parents first, then stock items', async () => {
+            const summary = await tally.stock.importStockItems({
+                stockItems: [{ name: 'Hex Bolt', parent: 'Bolts', baseUnits: 'Pcs' }],
+                stockGroups: [
+                    { name: 'Bolts', parent: 'Fasteners' },
+                    { name: 'Fasteners' }
+                ],
+                units: [{ name: 'Pcs', formalName: 'Pieces' }]
+            });
+
+            assert.deepEqual(importedMasters(server), [['UNIT:Pcs', 'STOCKGROUP:Fasteners', 'STOCKGROUP:Bolts', 'STOCKITEM:Hex Bolt']]);
+            assert.deepEqual(
+                summary.results.map(result => [result.type, result.name, result.status]),
+                [
+                    ['unit', 'Pcs', 'created'],
+                    ['stockGroup', 'Bolts', 'created'],
+                    ['stockGroup', 'Fasteners', 'created'],
+                    ['stockItem', 'Hex Bolt', 'created']
+                ]
+            );
+            assert.equal(server.getMaster('STOCKITEM', 'Hex Bolt').fields.BASEUNITS, 'Pcs');
+        });
+
+        it('skips existing masters and fails items under a stock group that was not imported', async () => {
+            const summary = await tally.stock.importStockItems(
+                {
+                    units: [{ name: 'Nos' }],
+                    stockGroups: [{ name: 'Bolts', parent: 'No Such Group' }],
+                    stockItems: [
+                        { name: 'Washer', parent: 'Primary', baseUnits: 'Nos' },
+                        { name: 'Hex Bolt', parent: 'Bolts', baseUnits: 'Nos' }
+                    ]
+                },
+                { batchSize: 1 }
+            );
+
+            assert.deepEqual(
+                summary.results.map(result => [result.name, result.status]),
+                [['Nos', 'skipped'], ['Bolts', 'failed'], ['Washer', 'created'], ['Hex Bolt', 'failed']]
+            );
+            assert.match(summary.results[1].error, /No Such Group/);
+            assert.equal(summary.results[3].error, "Stock Group 'Bolts' was not imported");
+            assert.deepEqual([summary.created, summary.skipped, summary.failed], [1, 1, 2]);
+            assert.equal(server.getMaster('STOCKITEM', 'Hex Bolt'), undefined);
+        });
+    });
+
+    describe('getStockItemList', () => {
+        it('lists seeded stock items', async () => {
+            server.seed({ stockItems: [{ name: 'Bolt', baseUnits: 'Nos' }, { name: 'Nut', baseUnits: 'Nos' }] });
+
+            const { data } = await tally.stock.getStockItemList({ nameContains: 'o' });
+
+            assert.deepEqual(data.map(item => item.name), ['Bolt']);
+        });
+    });
+
+    describe('streamStockItems', () => {
+        it('yields the same stock items as getStockItemList', async () => {
+            server.seed({ stockItems: [{ name: 'Bolt', baseUnits: 'Nos' }, { name: 'Nut', baseUnits: 'Nos' }] });
+
+            const streamed = [];
+            for await (const item of tally.stock.streamStockItems()) streamed.push(item);
+
+            const { data } = await tally.stock.getStockItemList();
+            assert.deepEqual(streamed, data);
+            assert.deepEqual(streamed.map(item => item.name), ['Bolt', 'Nut']);
+        });
+    });
+});
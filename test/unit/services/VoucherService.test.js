@@ -0,0 +1,673 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { countRequests, startMock } from '../helpers.js';
+import { TallyHttpError, TallyImportError, TallyValidationError } from '../../../src/errors/index.js';
+import { TallyPrimeSDK } from '../../../src/index.js';
+
+/**
+ * A balanced sales voucher
+ */
+function salesVoucher(overrides = {}) {
+    return {
+        voucherType: 'Sales',
+        date: '15-Sep-2023',
+        voucherNumber: 'S-001',
+        narration: 'Sale to ABC Corporation',
+        ledgerEntries: [
+            { ledgerName: 'ABC Corporation', amount: 1180 },
+            { ledgerName: 'Sales', amount: -1000 },
+            { ledgerName: 'GST Output', amount: -180 }
+        ],
+        ...overrides
+    };
+}
+
+describe('VoucherService', () => {
+    let server;
+    let tally;
+
+    beforeEach(async () => {
+        ({ server, tally } = await startMock());
+        server.seed({
+            ledgers: [
+                { name: 'ABC Corporation', parent: 'Sundry Debtors' },
+                { name: 'Sales', parent: 'Sales Accounts' },
+                { name: 'GST Output', parent: 'Duties & Taxes' }
+            ]
+        });
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    describe('createVoucher', () => {
+        it('posts the voucher and returns its MasterID', async () => {
+            const result = await tally.voucher.createVoucher(salesVoucher());
+
+            const [voucher] = server.listVouchers();
+            assert.equal(result.success, true);
+            assert.equal(result.masterId, voucher.masterId);
+            assert.equal(voucher.fields.NARRATION, 'Sale to ABC Corporation');
+        });
+
+        it('rejects unbalanced entries before sending', async () => {
+            const voucher = salesVoucher({ ledgerEntries: [{ ledgerName: 'ABC Corporation', amount: 100 }, { ledgerName: 'Sales', amount: -90 }] });
+
+            await assert.rejects(tally.voucher.createVoucher(voucher), TallyValidationError);
+            assert.equal(server.requests.length, 0);
+        });
+
+        it('surfaces the line error for an unknown ledger', async () => {
+            const voucher = salesVoucher({ ledgerEntries: [{ ledgerName: 'Nobody', amount: 10 }, { ledgerName: 'Sales', amount: -10 }] });
+
+            await assert.rejects(tally.voucher.createVoucher(voucher), TallyImportError);
+            assert.equal(server.listVouchers().length, 0);
+        });
+    });
+
+    describe('createVoucher with an idempotency key', () => {
+        it('returns the existing voucher on a replay instead of posting it again', async () => {
+            const first = await tally.voucher.createVoucher(salesVoucher({ idempotencyKey: 'ORDER-1' }));
+            const replay = await tally.voucher.createVoucher(salesVoucher({ idempotencyKey: 'ORDER-1' }));
+
+            assert.equal(first.duplicate, false);
+            assert.equal(replay.duplicate, true);
+            assert.equal(replay.masterId, first.masterId);
+            assert.equal(server.listVouchers().length, 1);
+        });
+
+        it('returns the full voucher from a UDF key, as from a REMOTEID key', async () => {
+            const options = { idempotencyUdf: 'OrderRef' };
+            await tally.voucher.createVoucher(salesVoucher({ idempotencyKey: 'ORDER-1' }));
+            await tally.voucher.createVoucher(salesVoucher({ voucherNumber: 'S-002', idempotencyKey: 'ORDER-2' }), options);
+
+            const byRemoteId = await tally.voucher.createVoucher(salesVoucher({ idempotencyKey: 'ORDER-1' }));
+            const byUdf = await tally.voucher.createVoucher(salesVoucher({ voucherNumber: 'S-002', idempotencyKey: 'ORDER-2' }), options);
+
+            assert.equal(byUdf.duplicate, true);
+            assert.equal(byUdf.voucherNumber, 'S-002');
+            assert.deepEqual(Object.keys(byUdf.data).sort(), Object.keys(byRemoteId.data).sort());
+            assert.deepEqual(
+                byUdf.data.ledgerEntries.map(entry => [entry.ledgerName, entry.amount]),
+                [['ABC Corporation', 1180], ['Sales', -1000], ['GST Output', -180]]
+            );
+            assert.equal(server.listVouchers().length, 2);
+        });
+
+        it('alters only the fields that differ with onDuplicate alter', async () => {
+            const voucher = salesVoucher({ voucherNumber: undefined, narration: undefined, idempotencyKey: 'ORDER-1' });
+            const { masterId } = await tally.voucher.createVoucher(voucher);
+            await tally.voucher.updateVoucher({ masterId }, { narration: 'Checked by accounts' });
+
+            const replay = await tally.voucher.createVoucher(
+                {
+                    ...voucher,
+                    ledgerEntries: [
+                        { ledgerName: 'ABC Corporation', amount: 2360 },
+                        { ledgerName: 'Sales', amount: -2000 },
+                        { ledgerName: 'GST Output', amount: -360 }
+                    ]
+                },
+                { onDuplicate: 'alter' }
+            );
+            const { data } = await tally.voucher.fetchVoucher({ masterId });
+
+            assert.equal(replay.duplicate, true);
+            assert.deepEqual(replay.changedFields, ['ledgerEntries']);
+            assert.equal(data.voucherNumber, '1');
+            assert.equal(data.narration, 'Checked by accounts');
+            assert.deepEqual(data.ledgerEntries.map(entry => entry.amount), [2360, -2000, -360]);
+            assert.equal(server.listVouchers().length, 1);
+        });
+
+        it('sends no alter when the replay matches the existing voucher', async () => {
+            await tally.voucher.createVoucher(salesVoucher({ idempotencyKey: 'ORDER-1' }));
+            server.requests = [];
+
+            const replay = await tally.voucher.createVoucher(salesVoucher({ idempotencyKey: 'ORDER-1' }), { onDuplicate: 'alter' });
+
+            assert.deepEqual(replay.changedFields, []);
+            assert.equal(countRequests(server, 'import data'), 0);
+        });
+
+        it('rejects a UDF key with double quotes before sending', async () => {
+            const voucher = salesVoucher({ idempotencyKey: 'ORDER-1" OR $Narration = "x' });
+
+            await assert.rejects(tally.voucher.createVoucher(voucher, { idempotencyUdf: 'OrderRef' }), error => {
+                assert.ok(error instanceof TallyValidationError);
+                assert.equal(error.field, 'idempotencyKey');
+                return true;
+            });
+            assert.equal(server.requests.length, 0);
+        });
+    });
+
+    describe('createVoucher with autoCreateMasters', () => {
+        /**
+         * An item invoice selling 10 of the given stock item in the given unit
+         */
+        function itemInvoice(stockItemName, unit, overrides = {}) {
+            return salesVoucher({
+                partyLedgerName: 'ABC Corporation',
+                inventoryEntries: [{ stockItemName, quantity: 10, rate: 100, unit, ledgerName: 'Sales' }],
+                ...overrides
+            });
+        }
+
+        it('creates the missing ledgers, stock items and units before posting', async () => {
+            const voucher = itemInvoice('Widget', 'Pcs', {
+                ledgerEntries: [
+                    { ledgerName: 'Jane Doe', amount: 1180 },
+                    { ledgerName: 'Sales', amount: -1000 },
+                    { ledgerName: 'GST Output', amount: -180 }
+                ],
+                partyLedgerName: 'Jane Doe'
+            });
+
+            const result = await tally.voucher.createVoucher(voucher, {
+                autoCreateMasters: { ledgers: { parent: 'Sundry Debtors' }, stockItems: {} }
+            });
+
+            assert.deepEqual(result.createdMasters, [
+                { type: 'ledger', name: 'Jane Doe' },
+                { type: 'unit', name: 'Pcs' },
+                { type: 'stockItem', name: 'Widget' }
+            ]);
+            assert.equal(server.getMaster('STOCKITEM', 'Widget').fields.BASEUNITS, 'Pcs');
+            assert.equal(server.listVouchers().length, 1);
+        });
+
+        it('creates a missing unit of a stock item that exists', async () => {
+            server.seed({ stockItems: [{ name: 'Widget', parent: 'Primary', baseUnits: 'Nos' }] });
+
+            const result = await tally.voucher.createVoucher(itemInvoice('Widget', 'Box'), { autoCreateMasters: {} });
+
+            assert.deepEqual(result.createdMasters, [{ type: 'unit', name: 'Box' }]);
+            assert.ok(server.getMaster('UNIT', 'Box'));
+            assert.equal(server.listVouchers().length, 1);
+        });
+
+        it('looks up the idempotency key first and creates nothing for a replay', async () => {
+            const options = { autoCreateMasters: { ledgers: { parent: 'Sundry Debtors' } } };
+            const voucher = salesVoucher({
+                idempotencyKey: 'ORDER-1',
+                ledgerEntries: [
+                    { ledgerName: 'Jane Doe', amount: 1180 },
+                    { ledgerName: 'Sales', amount: -1000 },
+                    { ledgerName: 'GST Output', amount: -180 }
+                ]
+            });
+            const first = await tally.voucher.createVoucher(voucher, options);
+            server.requests = [];
+            const replay = await tally.voucher.createVoucher(voucher, options);
+
+            assert.deepEqual(first.createdMasters, [{ type: 'ledger', name: 'Jane Doe' }]);
+            assert.equal(replay.duplicate, true);
+            assert.equal(replay.masterId, first.masterId);
+            assert.deepEqual(replay.createdMasters, []);
+            assert.equal(countRequests(server, 'import data'), 0);
+            assert.ok(server.requests.every(request => !request.xml.includes('Ledger List')));
+        });
+    });
+
+    describe('fetchVoucher', () => {
+        it('reads back the entries of a created voucher', async () => {
+            const { masterId } = await tally.voucher.createVoucher(salesVoucher());
+
+            const { data } = await tally.voucher.fetchVoucher({ masterId });
+
+            assert.equal(data.voucherNumber, 'S-001');
+            assert.deepEqual(
+                data.ledgerEntries.map(entry => [entry.ledgerName, entry.amount]),
+                [['ABC Corporation', 1180], ['Sales', -1000], ['GST Output', -180]]
+            );
+        });
+    });
+
+    describe('bill allocations', () => {
+        const billWise = billAllocations => salesVoucher({
+            ledgerEntries: [
+                { ledgerName: 'ABC Corporation', amount: 1180, billAllocations },
+                { ledgerName: 'Sales', amount: -1000 },
+                { ledgerName: 'GST Output', amount: -180 }
+            ]
+        });
+
+        it('sends each allocation on the party line only and reads them back', async () => {
+            const { masterId } = await tally.voucher.createVoucher(billWise([
+                { name: 'S-001/1', amount: 680, creditPeriod: 30 },
+                { name: 'S-001/2', amount: 500, dueDate: '2023-10-15' }
+            ]));
+
+            const [request] = server.requests;
+            assert.equal(request.xml.match(/<BILLALLOCATIONS\.LIST>/g).length, 2);
+            for (const ledgerName of ['Sales', 'GST Output']) {
+                const line = request.xml.split('<LEDGERNAME>').find(part => part.startsWith(`${ledgerName}<`));
+                assert.doesNotMatch(line.split('</LEDGERENTRIES.LIST>')[0], /BILLALLOCATIONS/);
+            }
+
+            const { data } = await tally.voucher.fetchVoucher({ masterId });
+            const [party, sales] = data.ledgerEntries;
+            assert.deepEqual(party.billAllocations, [
+                { name: 'S-001/1', billType: 'New Ref', amount: 680, creditPeriod: '30 Days' },
+                { name: 'S-001/2', billType: 'New Ref', amount: 500, creditPeriod: '15-Oct-2023' }
+            ]);
+            assert.equal(party.billName, 'S-001/1');
+            assert.deepEqual(sales.billAllocations, []);
+        });
+
+        it('reads back credit-side allocations with the sign of the entry', async () => {
+            const { masterId } = await tally.voucher.createVoucher({
+                voucherType: 'Receipt',
+                date: '20-Sep-2023',
+                voucherNumber: 'R-001',
+                ledgerEntries: [
+                    { ledgerName: 'Sales', amount: 1000 },
+                    {
+                        ledgerName: 'ABC Corporation',
+                        amount: -1000,
+                        billAllocations: [{ name: 'S-001', billType: 'Agst Ref', amount: -1180 }, { billType: 'On Account', amount: 180 }]
+                    }
+                ]
+            });
+
+            const { data } = await tally.voucher.fetchVoucher({ masterId });
+            assert.deepEqual(
+                data.ledgerEntries[1].billAllocations.map(({ name, billType, amount }) => [name, billType, amount]),
+                [['S-001', 'Agst Ref', -1180], ['', 'On Account', 180]]
+            );
+        });
+
+        it('rejects allocations that do not add up to the entry amount', async () => {
+            await assert.rejects(
+                tally.voucher.createVoucher(billWise([{ name: 'A', amount: 1000 }, { name: 'B', amount: 100 }])),
+                error => error instanceof TallyValidationError && /add up to 1100\.00, not the entry amount 1180\.00/.test(error.message)
+            );
+            assert.equal(server.requests.length, 0);
+        });
+
+        it('rejects due dates and credit periods on anything but a New Ref', async () => {
+            for (const allocation of [{ dueDate: '2023-10-15' }, { creditPeriod: 30 }]) {
+                await assert.rejects(
+                    tally.voucher.createVoucher(billWise([{ name: 'S-000', billType: 'Agst Ref', ...allocation }])),
+                    error => error instanceof TallyValidationError && error.field === 'dueDate'
+                );
+            }
+        });
+
+        it('rejects invalid due dates, negative credit periods, unnamed bills and unknown bill types', async () => {
+            const cases = [
+                [{ name: 'A', dueDate: 'someday' }, 'dueDate'],
+                [{ name: 'A', creditPeriod: -5 }, 'creditPeriod'],
+                [{ billType: 'Agst Ref' }, 'name'],
+                [{ name: 'A', billType: 'Credit Note' }, 'billType'],
+                [{ name: 'A', amount: 0 }, 'amount']
+            ];
+            for (const [allocation, field] of cases) {
+                await assert.rejects(
+                    tally.voucher.createVoucher(billWise([allocation])),
+                    error => error instanceof TallyValidationError && error.field === field
+                );
+            }
+            assert.equal(server.requests.length, 0);
+        });
+    });
+
+    describe('cost allocations', () => {
+        const allocated = costAllocations => salesVoucher({
+            ledgerEntries: [
+                { ledgerName: 'ABC Corporation', amount: 1180 },
+                { ledgerName: 'Sales', amount: -1000, costAllocations },
+                { ledgerName: 'GST Output', amount: -180 }
+            ]
+        });
+
+        beforeEach(async () => {
+            await tally.costCentre.createCostCategory({ name: 'Regions' });
+            for (const [name, category] of [['Project Alpha'], ['Project Beta'], ['North', 'Regions']]) {
+                await tally.costCentre.createCostCentre({ name, category });
+            }
+            server.requests = [];
+        });
+
+        it('allocates the entry across cost centres in each category and reads them back', async () => {
+            const { masterId } = await tally.voucher.createVoucher(allocated([
+                { costCentre: 'Project Alpha', amount: -600 },
+                { costCentre: 'Project Beta', amount: -400 },
+                { costCentre: 'North', category: 'Regions' }
+            ]));
+
+            const { data } = await tally.voucher.fetchVoucher({ masterId });
+            assert.deepEqual(data.ledgerEntries[1].costAllocations, [
+                { category: 'Primary Cost Category', costCentre: 'Project Alpha', amount: -600 },
+                { category: 'Primary Cost Category', costCentre: 'Project Beta', amount: -400 },
+                { category: 'Regions', costCentre: 'North', amount: -1000 }
+            ]);
+            assert.deepEqual(data.ledgerEntries[0].costAllocations, []);
+        });
+
+        it('rejects a category whose allocations do not add up to the entry amount', async () => {
+            await assert.rejects(
+                tally.voucher.createVoucher(allocated([
+                    { costCentre: 'Project Alpha', amount: -1000 },
+                    { costCentre: 'North', category: 'Regions', amount: -900 }
+                ])),
+                error => error instanceof TallyValidationError && /in 'Regions' add up to -900\.00, not the entry amount -1000\.00/.test(error.message)
+            );
+            assert.equal(server.requests.length, 0);
+        });
+
+        it('rejects allocations without a cost centre or an amount', async () => {
+            for (const [costAllocations, field] of [
+                [[{ amount: -1000 }], 'costCentre'],
+                [[{ costCentre: 'Project Alpha', amount: -1000 }, { costCentre: 'Project Beta', amount: 0 }], 'amount']
+            ]) {
+                await assert.rejects(
+                    tally.voucher.createVoucher(allocated(costAllocations)),
+                    error => error instanceof TallyValidationError && error.field === field
+                );
+            }
+            assert.equal(server.requests.length, 0);
+        });
+
+        it('surfaces the line error for an unknown cost centre', async () => {
+            await assert.rejects(
+                tally.voucher.createVoucher(allocated([{ costCentre: 'Project Gamma' }])),
+                error => error instanceof TallyImportError && /Cost Centre 'Project Gamma' does not exist/.test(error.message)
+            );
+            assert.equal(server.listVouchers().length, 0);
+        });
+    });
+
+    describe('createGstInvoice', () => {
+        const invoice = overrides => ({
+            date: '15-Sep-2023',
+            voucherNumber: 'S-101',
+            partyLedgerName: 'ABC Corporation',
+            companyState: 'Karnataka',
+            accountLedgerName: 'Sales',
+            taxLedgers: { cgst: 'CGST Output', sgst: 'SGST Output', igst: 'IGST Output' },
+            lines: [{ stockItemName: 'Widget', quantity: 10, unit: 'Nos', rate: 100, gstRate: 18 }],
+            ...overrides
+        });
+
+        beforeEach(() => {
+            server.seed({
+                ledgers: ['CGST Output', 'SGST Output', 'IGST Output'].map(name => ({ name, parent: 'Duties & Taxes' })),
+                stockItems: [{ name: 'Widget', parent: 'Primary', baseUnits: 'Nos' }]
+            });
+        });
+
+        it('charges IGST when the party state differs from the company state', async () => {
+            const { gst } = await tally.voucher.createGstInvoice(invoice({ partyState: 'Maharashtra' }));
+
+            assert.deepEqual([gst.cgst, gst.sgst, gst.igst], [0, 0, 180]);
+        });
+
+        it('rejects a party state it does not know instead of assuming an intra-state supply', async () => {
+            await assert.rejects(tally.voucher.createGstInvoice(invoice({ partyState: 'Karnatak' })), error => {
+                assert.ok(error instanceof TallyValidationError);
+                assert.equal(error.field, 'partyState');
+                return true;
+            });
+            assert.equal(server.requests.length, 0);
+        });
+    });
+
+    describe('updateVoucher', () => {
+        beforeEach(() => {
+            server.seed({
+                ledgers: [{ name: 'IGST Output', parent: 'Duties & Taxes' }],
+                stockItems: [{ name: 'Widget', parent: 'Primary', baseUnits: 'Nos' }]
+            });
+        });
+
+        /**
+         * The stored fields of the only voucher, without its narration
+         */
+        function storedFieldsBesidesNarration() {
+            const fields = structuredClone(server.listVouchers()[0].fields);
+            delete fields.NARRATION;
+            return fields;
+        }
+
+        it('changes only the narration of a GST invoice, keeping its stock lines and GST details', async () => {
+            const { masterId } = await tally.voucher.createGstInvoice({
+                date: '15-Sep-2023',
+                voucherNumber: 'S-101',
+                partyLedgerName: 'ABC Corporation',
+                partyGstin: '27AAPFU0939F1ZV',
+                companyState: 'Karnataka',
+                accountLedgerName: 'Sales',
+                taxLedgers: { igst: 'IGST Output' },
+                lines: [{ stockItemName: 'Widget', hsnCode: '8471', quantity: 10, unit: 'Nos', rate: 100, gstRate: 18 }]
+            });
+            const before = storedFieldsBesidesNarration();
+
+            const result = await tally.voucher.updateVoucher({ masterId }, { narration: 'Corrected' });
+
+            assert.deepEqual(result.changedFields, ['narration']);
+            assert.equal(server.listVouchers()[0].fields.NARRATION, 'Corrected');
+            assert.deepEqual(storedFieldsBesidesNarration(), before);
+            assert.ok(before['ALLINVENTORYENTRIES.LIST']);
+            assert.equal(before.PARTYGSTIN, '27AAPFU0939F1ZV');
+        });
+
+        it('keeps the UDFs and stock lines of an item invoice', async () => {
+            const { masterId } = await tally.voucher.createVoucher(salesVoucher({
+                partyLedgerName: 'ABC Corporation',
+                inventoryEntries: [{ stockItemName: 'Widget', quantity: 10, rate: 100, unit: 'Nos', ledgerName: 'Sales' }],
+                udfs: { OrderRef: 'WEB-1042' }
+            }));
+            const before = storedFieldsBesidesNarration();
+
+            await tally.voucher.updateVoucher({ masterId }, { narration: 'Corrected' });
+            const { data } = await tally.voucher.fetchVoucher({ masterId });
+
+            assert.deepEqual(storedFieldsBesidesNarration(), before);
+            assert.deepEqual(data.udfs, { OrderRef: 'WEB-1042' });
+            assert.deepEqual(data.inventoryEntries.map(line => [line.stockItemName, line.quantity]), [['Widget', 10]]);
+        });
+
+        it('sends no import when nothing changes', async () => {
+            const { masterId } = await tally.voucher.createVoucher(salesVoucher());
+            server.requests = [];
+
+            const result = await tally.voucher.updateVoucher({ masterId }, { narration: 'Sale to ABC Corporation' });
+
+            assert.deepEqual(result.changedFields, []);
+            assert.equal(result.importResult, null);
+            assert.equal(countRequests(server, 'import data'), 0);
+        });
+    });
+
+    describe('streamVouchers', () => {
+        beforeEach(async () => {
+            await tally.voucher.createVoucher(salesVoucher());
+            await tally.voucher.createVoucher(salesVoucher({ voucherNumber: 'S-002', date: '16-Sep-2023' }));
+        });
+
+        it('yields the same vouchers as getVoucherList', async () => {
+            const streamed = [];
+            for await (const voucher of tally.voucher.streamVouchers()) streamed.push(voucher);
+
+            const { data } = await tally.voucher.getVoucherList();
+            assert.deepEqual(streamed, data);
+            assert.deepEqual(streamed.map(voucher => voucher.voucherNumber), ['S-001', 'S-002']);
+        });
+
+        it('lets the loop body make other SDK calls', async () => {
+            const ledgerCounts = [];
+            for await (const voucher of tally.voucher.streamVouchers({}, { timeout: 5000 })) {
+                const { count } = await tally.ledger.getLedgerList();
+                ledgerCounts.push([voucher.voucherNumber, count]);
+            }
+
+            assert.equal(ledgerCounts.length, 2);
+            assert.ok(ledgerCounts.every(([, count]) => count > 0));
+        });
+    });
+
+    describe('importVouchers', () => {
+        const row = (i, ledgerName = 'ABC Corporation') => ({
+            voucherType: 'Sales',
+            date: '15-Sep-2023',
+            narration: `row ${i}`,
+            ledgerEntries: [{ ledgerName, amount: 100 + i }, { ledgerName: 'Sales', amount: -(100 + i) }]
+        });
+
+        it('maps a partly rejected batch back to its rows by GUID', async () => {
+            const vouchers = [row(0), row(1, 'Nobody'), { ...row(2), remoteId: 'ERP-2' }, row(3, 'Ghost'), row(4)];
+
+            const summary = await tally.voucher.importVouchers(vouchers, { batchSize: 5 });
+
+            assert.equal(summary.batches, 1);
+            assert.deepEqual(summary.results.map(result => result.status), ['imported', 'failed', 'imported', 'failed', 'imported']);
+            assert.match(summary.results[1].error, /Nobody/);
+            assert.match(summary.results[3].error, /Ghost/);
+            assert.equal(summary.results[2].guid, 'ERP-2');
+
+            const narrationByGuid = new Map(server.listVouchers().map(voucher => [voucher.guid, voucher.fields.NARRATION]));
+            for (const result of summary.results.filter(result => result.status === 'imported')) {
+                assert.equal(narrationByGuid.get(result.guid), `row ${result.index}`);
+            }
+            assert.equal(narrationByGuid.size, 3);
+        });
+
+        it('returns the generated remote ID of every row, imported or not', async () => {
+            const summary = await tally.voucher.importVouchers([row(0), row(1, 'Nobody')]);
+
+            assert.equal(summary.results[0].remoteId, summary.results[0].guid);
+            assert.match(summary.results[1].remoteId, /^[0-9a-f-]{36}$/);
+            assert.equal(summary.results[1].guid, null);
+        });
+
+        it('rejects rows with an idempotency key', async () => {
+            const summary = await tally.voucher.importVouchers([{ ...row(0), idempotencyKey: 'ORDER-1' }, row(1)]);
+
+            assert.equal(summary.results[0].status, 'failed');
+            assert.match(summary.results[0].error, /remoteId/);
+            assert.equal(summary.results[1].status, 'imported');
+        });
+
+        it('reports a partly rejected batch as unresolved when the lookup fails', async () => {
+            let requests = 0;
+            tally.connector.use({
+                beforeRequest(context) {
+                    // The second request of the batch is the GUID lookup
+                    if (context.method === 'importVouchers' && ++requests === 2) server.injectFault({ status: 500 });
+                }
+            });
+
+            const summary = await tally.voucher.importVouchers([row(0), row(1), row(2, 'Nobody'), row(3), row(4)], { batchSize: 3 });
+
+            assert.deepEqual(summary.results.map(result => result.status), ['unresolved', 'unresolved', 'unresolved', 'skipped', 'skipped']);
+            assert.deepEqual([summary.success, summary.imported, summary.failed, summary.unresolved], [false, 0, 0, 3]);
+            assert.ok(summary.error instanceof TallyHttpError);
+            assert.match(summary.results[0].error, /could not look up which vouchers were imported/);
+            assert.equal(server.listVouchers().length, 2);
+        });
+
+        it('replays a recorded import whose rows have explicit remote IDs', async () => {
+            const dir = await mkdtemp(join(tmpdir(), 'tally-cassette-'));
+            const cassettePath = join(dir, 'import.json');
+            const vouchers = [{ ...row(0), remoteId: 'ERP-0' }, { ...row(1, 'Nobody'), remoteId: 'ERP-1' }, { ...row(2), remoteId: 'ERP-2' }];
+            try {
+                tally.connector.record(cassettePath);
+                const recorded = await tally.voucher.importVouchers(vouchers);
+
+                const offline = new TallyPrimeSDK({ retry: false, circuitBreaker: false });
+                offline.connector.replay(cassettePath);
+                const replayed = await offline.voucher.importVouchers(vouchers);
+
+                assert.deepEqual(replayed.results, recorded.results);
+                assert.deepEqual(replayed.results.map(result => result.status), ['imported', 'failed', 'imported']);
+            } finally {
+                await rm(dir, { recursive: true, force: true });
+            }
+        });
+
+        it('stops at a batch that fails outright and still reports the batches before it', async () => {
+            let imports = 0;
+            tally.connector.use({
+                beforeRequest(context) {
+                    if (context.method === 'importVouchers' && ++imports === 2) server.injectFault({ status: 500 });
+                }
+            });
+
+            const summary = await tally.voucher.importVouchers([row(0), row(1), row(2), row(3), row(4)], { batchSize: 2 });
+
+            assert.deepEqual(summary.results.map(result => result.status), ['imported', 'imported', 'failed', 'failed', 'skipped']);
+            assert.ok(summary.error instanceof TallyHttpError);
+            assert.equal(summary.results[2].error, summary.error.message);
+            assert.equal(server.listVouchers().length, 2);
+        });
+    });
+
+    describe('cancelVoucher', () => {
+        it('cancels the voucher it resolved, addressed by MasterID', async () => {
+            const earlier = await tally.voucher.createVoucher(salesVoucher());
+            const later = await tally.voucher.createVoucher(salesVoucher({ date: '15-Sep-2024' }));
+            server.requests = [];
+
+            const result = await tally.voucher.cancelVoucher('S-001', 'Sales', { date: '15-Sep-2024', narration: 'Order cancelled' });
+
+            const [cancelXml] = server.requests.filter(request => request.requestType === 'import data').map(request => request.xml);
+            assert.match(cancelXml, new RegExp(`TAGNAME="MASTERID" TAGVALUE="${later.masterId}"`));
+            assert.doesNotMatch(cancelXml, /Voucher Number/);
+            assert.equal(result.masterId, later.masterId);
+            assert.deepEqual(
+                server.listVouchers().map(voucher => [voucher.masterId, voucher.fields.ISCANCELLED || 'No']),
+                [[earlier.masterId, 'No'], [later.masterId, 'Yes']]
+            );
+        });
+
+        it('cancels by identifier and refuses to cancel twice', async () => {
+            const { masterId } = await tally.voucher.createVoucher(salesVoucher());
+
+            await tally.voucher.cancelVoucher({ masterId });
+            const { data } = await tally.voucher.fetchVoucher({ masterId });
+
+            assert.equal(data.cancelled, true);
+            assert.equal(data.voucherNumber, 'S-001');
+            await assert.rejects(tally.voucher.cancelVoucher({ masterId }), TallyValidationError);
+        });
+    });
+
+    describe('optional and post-dated vouchers', () => {
+        it('creates optional and post-dated vouchers', async () => {
+            const memo = await tally.voucher.createVoucher(salesVoucher({ optional: true }));
+            const postDated = await tally.voucher.createVoucher(salesVoucher({ voucherNumber: 'S-002', postDated: true }));
+
+            const { data: memoData } = await tally.voucher.fetchVoucher({ masterId: memo.masterId });
+            const { data: postDatedData } = await tally.voucher.fetchVoucher({ masterId: postDated.masterId });
+
+            assert.deepEqual([memoData.optional, memoData.postDated], [true, false]);
+            assert.deepEqual([postDatedData.optional, postDatedData.postDated], [false, true]);
+        });
+
+        it('converts an optional voucher to a regular one', async () => {
+            const memo = await tally.voucher.createVoucher(salesVoucher({ optional: true }));
+
+            const result = await tally.voucher.convertToRegular({ masterId: memo.masterId });
+            const { data } = await tally.voucher.fetchVoucher({ masterId: memo.masterId });
+
+            assert.deepEqual(result.changedFields, ['optional']);
+            assert.equal(data.optional, false);
+            assert.equal(server.listVouchers()[0].fields.ISOPTIONAL, 'No');
+        });
+    });
+
+    describe('deleteVoucher', () => {
+        it('deletes the voucher by number and type', async () => {
+            await tally.voucher.createVoucher(salesVoucher());
+
+            await tally.voucher.deleteVoucher('S-001', 'Sales', { date: '15-Sep-2023' });
+
+            assert.equal(server.listVouchers().length, 0);
+        });
+    });
+});
@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { startMock } from '../helpers.js';
+import { TallyConnectionError, TallyHttpError } from '../../../src/errors/index.js';
+
+describe('MockTallyServer', () => {
+    let server;
+    let tally;
+
+    beforeEach(async () => {
+        ({ server, tally } = await startMock());
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    it('starts with the default company, groups, ledgers and units', () => {
+        assert.ok(server.getCompany());
+        assert.ok(server.getMaster('GROUP', 'Sundry Debtors'));
+        assert.ok(server.getMaster('LEDGER', 'Cash'));
+        assert.ok(server.getMaster('UNIT', 'Nos'));
+    });
+
+    it('serves seeded masters to the services', async () => {
+        server.seed({
+            ledgers: [{ name: 'ABC Corporation', parent: 'Sundry Debtors' }],
+            stockItems: [{ name: 'Widget A', baseUnits: 'Nos' }]
+        });
+
+        const ledgers = await tally.ledger.getLedgerList({ nameContains: 'abc' });
+        const items = await tally.stock.getStockItemList();
+
+        assert.deepEqual(ledgers.data.map(ledger => [ledger.name, ledger.parent]), [['ABC Corporation', 'Sundry Debtors']]);
+        assert.ok(items.data.some(item => item.name === 'Widget A'));
+    });
+
+    it('records every request it receives', async () => {
+        await tally.ledger.createLedger({ name: 'Recorded', parent: 'Sundry Debtors' });
+        await tally.ledger.getLedgerList();
+
+        assert.deepEqual(server.requests.map(request => request.requestType), ['import data', 'export data']);
+        assert.match(server.requests[0].xml, /<LEDGER NAME="Recorded"/);
+    });
+
+    it('answers injected HTTP status faults', async () => {
+        server.injectFault({ status: 503 });
+
+        await assert.rejects(tally.ledger.getLedgerList(), error => error instanceof TallyHttpError && error.status === 503);
+        const { count } = await tally.ledger.getLedgerList();
+        assert.ok(count > 0);
+    });
+
+    it('drops the connection for reset faults', async () => {
+        server.injectFault({ reset: true });
+
+        await assert.rejects(tally.ledger.getLedgerList(), TallyConnectionError);
+    });
+
+    it('forgets data, requests and faults on reset', async () => {
+        server.seed({ ledgers: [{ name: 'Temporary', parent: 'Sundry Debtors' }] });
+        server.injectFault({ status: 500, times: 5 });
+        server.reset();
+
+        assert.equal(server.getMaster('LEDGER', 'Temporary'), undefined);
+        assert.deepEqual(server.requests, []);
+        assert.deepEqual(server.faults, []);
+    });
+});
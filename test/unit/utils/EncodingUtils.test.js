@@ -0,0 +1,158 @@
+import assert from 'node:assert/strict';
+import { EncodingUtils } from '../../../src/utils/index.js';
+
+const utf16be = text => Buffer.from(text, 'utf16le').swap16();
+
+describe('EncodingUtils', () => {
+    describe('normalizeEncoding', () => {
+        it('maps charset labels to the encodings it supports', () => {
+            assert.deepEqual(
+                ['UTF8', ' utf-16 ', 'Unicode', 'UTF-16BE', 'cp1252', 'ISO-8859-1', 'us-ascii', 'shift_jis', ''].map(label => EncodingUtils.normalizeEncoding(label)),
+                ['utf-8', 'utf-16le', 'utf-16le', 'utf-16be', 'windows-1252', 'windows-1252', 'windows-1252', null, null]
+            );
+        });
+    });
+
+    describe('detectEncoding', () => {
+        it('trusts a byte order mark over everything else', () => {
+            const contentType = 'text/xml; charset=windows-1252';
+
+            assert.equal(EncodingUtils.detectEncoding(Buffer.from([0xEF, 0xBB, 0xBF, 0x3C]), contentType), 'utf-8');
+            assert.equal(EncodingUtils.detectEncoding(Buffer.from([0xFF, 0xFE, 0x3C, 0x00]), contentType), 'utf-16le');
+            assert.equal(EncodingUtils.detectEncoding(Buffer.from([0xFE, 0xFF, 0x00, 0x3C]), contentType), 'utf-16be');
+        });
+
+        it('uses the Content-Type charset when there is no byte order mark', () => {
+            const xml = Buffer.from('<?xml version="1.0" encoding="UTF-8"?><ENVELOPE/>');
+
+            assert.equal(EncodingUtils.detectEncoding(xml, 'text/xml; charset="ISO-8859-1"'), 'windows-1252');
+            assert.equal(EncodingUtils.detectEncoding(xml, 'text/xml; charset=utf-16'), 'utf-16le');
+        });
+
+        it('ignores a charset it does not support', () => {
+            assert.equal(EncodingUtils.detectEncoding(Buffer.from('<ENVELOPE/>', 'utf16le'), 'text/xml; charset=koi8-r'), 'utf-16le');
+        });
+
+        it('recognises unlabelled UTF-16 by the zero byte next to the opening bracket', () => {
+            assert.equal(EncodingUtils.detectEncoding(Buffer.from('<ENVELOPE/>', 'utf16le')), 'utf-16le');
+            assert.equal(EncodingUtils.detectEncoding(utf16be('<ENVELOPE/>')), 'utf-16be');
+        });
+
+        it('falls back to the XML declaration and then to UTF-8', () => {
+            const declared = Buffer.from('  <?xml version="1.0" encoding=\'windows-1252\'?><ENVELOPE/>');
+
+            assert.equal(EncodingUtils.detectEncoding(declared, 'text/xml'), 'windows-1252');
+            assert.equal(EncodingUtils.detectEncoding(Buffer.from('<?xml version="1.0" encoding="EBCDIC"?><A/>')), 'utf-8');
+            assert.equal(EncodingUtils.detectEncoding(Buffer.from('<ENVELOPE/>')), 'utf-8');
+            assert.equal(EncodingUtils.detectEncoding(Buffer.alloc(0)), 'utf-8');
+        });
+    });
+
+    describe('decode', () => {
+        it('strips the byte order mark of strings and UTF-8 bodies', () => {
+            assert.equal(EncodingUtils.decode('\uFEFF<A/>'), '<A/>');
+            assert.equal(EncodingUtils.decode(Buffer.from('\uFEFF<A>₹</A>')), '<A>₹</A>');
+        });
+
+        it('decodes UTF-16 in either byte order', () => {
+            assert.equal(EncodingUtils.decode(Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('<A>é</A>', 'utf16le')])), '<A>é</A>');
+            assert.equal(EncodingUtils.decode(utf16be('<A>é</A>')), '<A>é</A>');
+        });
+
+        it('falls back to Windows-1252 for unlabelled bodies that are not UTF-8', () => {
+            const body = Buffer.from([0x3C, 0x41, 0x3E, 0x80, 0x20, 0x93, 0x71, 0x94, 0x20, 0xE9, 0x3C, 0x2F, 0x41, 0x3E]);
+
+            assert.equal(EncodingUtils.decode(body), '<A>€ “q” é</A>');
+        });
+
+        it('decodes labelled Windows-1252 even when the bytes happen to be valid UTF-8', () => {
+            const body = Buffer.from('<A>Ã©</A>', 'latin1');
+
+            assert.equal(EncodingUtils.decode(body, 'text/xml; charset=windows-1252'), '<A>Ã©</A>');
+        });
+    });
+
+    describe('createDecoder', () => {
+        it('joins UTF-8 sequences split across chunks', () => {
+            const bytes = Buffer.from('<A>₹</A>');
+            const decoder = EncodingUtils.createDecoder('utf-8');
+
+            const text = decoder.decode(bytes.subarray(0, 4), { stream: true }) + decoder.decode(bytes.subarray(4), { stream: true }) + decoder.decode();
+
+            assert.equal(text, '<A>₹</A>');
+        });
+
+        it('switches a UTF-8 decoder to Windows-1252 for good once a chunk is not UTF-8', () => {
+            const decoder = EncodingUtils.createDecoder('utf-8');
+
+            const chunks = [Buffer.from('<A>ok'), Buffer.from([0x96]), Buffer.from('é', 'utf8')].map(chunk => decoder.decode(chunk, { stream: true }));
+
+            assert.deepEqual([...chunks, decoder.decode()], ['<A>ok', '–', 'Ã©', '']);
+        });
+
+        it('carries an odd UTF-16BE byte over to the next chunk', () => {
+            const bytes = utf16be('<A>é€</A>');
+            const decoder = EncodingUtils.createDecoder('utf-16be');
+
+            let text = '';
+            for (let i = 0; i < bytes.length; i += 3) {
+                text += decoder.decode(bytes.subarray(i, i + 3), { stream: true });
+            }
+            text += decoder.decode();
+
+            assert.equal(text, '<A>é€</A>');
+        });
+
+        it('decodes UTF-16LE chunks with the platform decoder', () => {
+            const bytes = Buffer.from('<A>é</A>', 'utf16le');
+            const decoder = EncodingUtils.createDecoder('utf-16le');
+
+            assert.equal(decoder.decode(bytes.subarray(0, 5), { stream: true }) + decoder.decode(bytes.subarray(5)), '<A>é</A>');
+        });
+    });
+
+    describe('encode', () => {
+        const xml = '<?xml version="1.0" encoding="UTF-8"?><A>₹ – Ω</A>';
+
+        it('returns UTF-8 requests unchanged', () => {
+            assert.equal(EncodingUtils.encode(xml), xml);
+            assert.equal(EncodingUtils.encode(xml, 'shift_jis'), xml);
+        });
+
+        it('adds a byte order mark and relabels the declaration for UTF-16', () => {
+            const body = EncodingUtils.encode(xml, 'utf-16');
+
+            assert.deepEqual([...body.subarray(0, 2)], [0xFF, 0xFE]);
+            assert.equal(body.subarray(2).toString('utf16le'), xml.replace('UTF-8', 'UTF-16'));
+        });
+
+        it('writes Windows-1252 bytes and references for characters it cannot map', () => {
+            const body = EncodingUtils.encode(xml, 'cp1252');
+
+            assert.equal(EncodingUtils.decode(body, 'text/xml; charset=windows-1252'), '<?xml version="1.0" encoding="windows-1252"?><A>&#8377; – &#937;</A>');
+        });
+
+        it('builds the matching Content-Type', () => {
+            assert.deepEqual(
+                [undefined, 'utf-16', 'latin1'].map(encoding => EncodingUtils.contentType(encoding)),
+                ['text/xml; charset=utf-8', 'text/xml; charset=utf-16', 'text/xml; charset=windows-1252']
+            );
+        });
+    });
+
+    describe('sanitizeXml', () => {
+        it('drops references to characters that are not allowed in XML', () => {
+            assert.equal(EncodingUtils.sanitizeXml('<A>ABC&#4; Ltd&#x1F;&#X0;</A>'), '<A>ABC Ltd</A>');
+        });
+
+        it('keeps references to allowed characters, including tabs and line breaks', () => {
+            const xml = '<A>&#9;&#10;&#13;&#x20AC;&#65;&#128512;&amp;</A>';
+
+            assert.equal(EncodingUtils.sanitizeXml(xml), xml);
+        });
+
+        it('drops raw control characters and unpaired surrogates but keeps whitespace and astral characters', () => {
+            assert.equal(EncodingUtils.sanitizeXml('<A>\u0004x\t\ny\r\u001F\uD800😀\uFFFE</A>'), '<A>x\t\ny\r😀</A>');
+        });
+    });
+});
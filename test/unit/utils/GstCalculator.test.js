@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import { GstCalculator } from '../../../src/utils/index.js';
+
+describe('GstCalculator', () => {
+    describe('calculate', () => {
+        it('splits intra-state tax into CGST and SGST', () => {
+            const gst = GstCalculator.calculate([{ taxableValue: 1000, gstRate: 18 }], { interState: false });
+
+            assert.deepEqual(
+                [gst.taxableValue, gst.cgst, gst.sgst, gst.igst, gst.totalTax, gst.invoiceTotal],
+                [1000, 90, 90, 0, 180, 1180]
+            );
+        });
+
+        it('charges inter-state tax as IGST', () => {
+            const gst = GstCalculator.calculate([{ taxableValue: 1000, gstRate: 18 }], { interState: true });
+
+            assert.deepEqual([gst.cgst, gst.sgst, gst.igst, gst.totalTax], [0, 0, 180, 180]);
+        });
+
+        it('adds cess on the taxable value of the lines that carry it', () => {
+            const gst = GstCalculator.calculate(
+                [{ taxableValue: 1000, gstRate: 28, cessRate: 12 }, { taxableValue: 500, gstRate: 28 }],
+                { interState: false }
+            );
+
+            assert.deepEqual([gst.cgst, gst.sgst, gst.cess, gst.totalTax, gst.invoiceTotal], [210, 210, 120, 540, 2040]);
+        });
+
+        it('rounds the total to the nearest rupee unless roundOff is false', () => {
+            const lines = [{ taxableValue: 4995, gstRate: 18 }];
+
+            const rounded = GstCalculator.calculate(lines, { interState: true });
+            const exact = GstCalculator.calculate(lines, { interState: true, roundOff: false });
+
+            assert.deepEqual([rounded.igst, rounded.roundOff, rounded.invoiceTotal], [899.1, -0.1, 5894]);
+            assert.deepEqual([exact.roundOff, exact.invoiceTotal], [0, 5894.1]);
+        });
+
+        it('rounds the tax per GST rate, not per line', () => {
+            const gst = GstCalculator.calculate(
+                [{ taxableValue: 33.33, gstRate: 5 }, { taxableValue: 33.33, gstRate: 5 }, { taxableValue: 10, gstRate: 12 }],
+                { interState: false }
+            );
+
+            // 66.66 at 5% is 1.6665 per half, 1.67; per line it would be 0.83 + 0.83
+            assert.deepEqual(
+                gst.byRate.map(entry => [entry.gstRate, entry.taxableValue, entry.cgst, entry.sgst]),
+                [[5, 66.66, 1.67, 1.67], [12, 10, 0.6, 0.6]]
+            );
+            assert.deepEqual([gst.cgst, gst.sgst], [2.27, 2.27]);
+        });
+    });
+
+    describe('isValidGstin', () => {
+        it('accepts GSTINs with a valid state code and check digit', () => {
+            assert.equal(GstCalculator.isValidGstin('27AAPFU0939F1ZV'), true);
+            assert.equal(GstCalculator.isValidGstin('29AABCT1332L1ZA'), true);
+        });
+
+        it('rejects a wrong check digit, an unknown state code and malformed input', () => {
+            assert.equal(GstCalculator.isValidGstin('27AAPFU0939F1ZA'), false);
+            assert.equal(GstCalculator.isValidGstin('99AAPFU0939F1ZV'), false);
+            assert.equal(GstCalculator.isValidGstin('27AAPFU0939F1Z'), false);
+            assert.equal(GstCalculator.isValidGstin('27aapfu0939f1zv'), false);
+            assert.equal(GstCalculator.isValidGstin(undefined), false);
+        });
+    });
+
+    describe('stateName and isInterState', () => {
+        it('resolves state names, codes and GSTINs', () => {
+            assert.equal(GstCalculator.stateName('karnataka'), 'Karnataka');
+            assert.equal(GstCalculator.stateName('7'), 'Delhi');
+            assert.equal(GstCalculator.stateName('27AAPFU0939F1ZV'), 'Maharashtra');
+            assert.equal(GstCalculator.stateName('Karnatak'), null);
+        });
+
+        it('compares the supplier state with the place of supply', () => {
+            assert.equal(GstCalculator.isInterState('29AABCT1332L1ZT', 'Karnataka'), false);
+            assert.equal(GstCalculator.isInterState('Karnataka', '27'), true);
+        });
+    });
+});
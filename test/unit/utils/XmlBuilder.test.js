@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import { XmlBuilder } from '../../../src/utils/index.js';
+
+/**
+ * Pull the allocations out of BILLALLOCATIONS.LIST XML
+ */
+function allocationsIn(xml) {
+    return [...xml.matchAll(/<BILLALLOCATIONS\.LIST>([\s\S]*?)<\/BILLALLOCATIONS\.LIST>/g)].map(([, body]) => {
+        const allocation = {};
+        for (const [, tag, value] of body.matchAll(/<(\w+)>([^<]*)<\/\1>/g)) allocation[tag] = value;
+        return allocation;
+    });
+}
+
+describe('XmlBuilder', () => {
+    describe('buildBillAllocationsXml', () => {
+        it('writes one list per allocation with amounts signed for the entry direction', () => {
+            const xml = XmlBuilder.buildBillAllocationsXml({
+                ledgerName: 'ABC Corporation',
+                amount: -1500,
+                billAllocations: [
+                    { name: 'INV-1', billType: 'agst ref', amount: -1000 },
+                    { name: 'INV-2', billType: 'Agst Ref', amount: -600 },
+                    { name: 'ADV-1', billType: 'Advance', amount: 100 }
+                ]
+            });
+
+            assert.deepEqual(allocationsIn(xml), [
+                { NAME: 'INV-1', BILLTYPE: 'Agst Ref', AMOUNT: '1000' },
+                { NAME: 'INV-2', BILLTYPE: 'Agst Ref', AMOUNT: '600' },
+                { NAME: 'ADV-1', BILLTYPE: 'Advance', AMOUNT: '-100' }
+            ]);
+        });
+
+        it('gives a lone allocation without an amount the whole entry amount', () => {
+            const xml = XmlBuilder.buildBillAllocationsXml({ amount: 1180, billAllocations: [{ name: 'S-001' }] });
+
+            assert.deepEqual(allocationsIn(xml), [{ NAME: 'S-001', BILLTYPE: 'New Ref', AMOUNT: '1180' }]);
+        });
+
+        it('turns billName and billType into a single allocation', () => {
+            const xml = XmlBuilder.buildBillAllocationsXml({ amount: 500, billName: 'S-002', billType: 'New Ref' });
+
+            assert.deepEqual(allocationsIn(xml), [{ NAME: 'S-002', BILLTYPE: 'New Ref', AMOUNT: '500' }]);
+        });
+
+        it('drops the name of On Account allocations', () => {
+            const xml = XmlBuilder.buildBillAllocationsXml({ amount: 200, billAllocations: [{ name: 'X', billType: 'On Account' }] });
+
+            assert.deepEqual(allocationsIn(xml), [{ NAME: '', BILLTYPE: 'On Account', AMOUNT: '200' }]);
+        });
+
+        it('writes a due date in place of a credit period', () => {
+            const xml = XmlBuilder.buildBillAllocationsXml({
+                amount: 300,
+                billAllocations: [
+                    { name: 'A', amount: 100, dueDate: '2023-10-15', creditPeriod: 45 },
+                    { name: 'B', amount: 100, creditPeriod: 30 },
+                    { name: 'C', amount: 100, creditPeriod: '2 Months' }
+                ]
+            });
+
+            assert.deepEqual(
+                allocationsIn(xml).map(allocation => allocation.BILLCREDITPERIOD),
+                ['15-Oct-2023', '30 Days', '2 Months']
+            );
+        });
+
+        it('writes nothing for an entry that is not bill-wise', () => {
+            assert.equal(XmlBuilder.buildBillAllocationsXml({ ledgerName: 'Sales', amount: -1000 }), '');
+            assert.equal(XmlBuilder.buildBillAllocationsXml({ ledgerName: 'Sales', amount: -1000, billAllocations: [] }), '');
+        });
+    });
+
+    describe('buildCostAllocationsXml', () => {
+        it('writes one list per category with amounts signed for the entry direction', () => {
+            const xml = XmlBuilder.buildCostAllocationsXml({
+                amount: -1000,
+                costAllocations: [
+                    { costCentre: 'Project Alpha', amount: -600 },
+                    { costCentre: 'North', category: 'Regions' },
+                    { costCentre: 'Project Beta', amount: -400 }
+                ]
+            });
+
+            const categories = [...xml.matchAll(/<CATEGORYALLOCATIONS\.LIST>([\s\S]*?)<\/CATEGORYALLOCATIONS\.LIST>/g)].map(([, body]) => [
+                body.match(/<CATEGORY>([^<]*)</)[1],
+                body.match(/<ISDEEMEDPOSITIVE>([^<]*)</)[1],
+                [...body.matchAll(/<NAME>([^<]*)<\/NAME>\s*<AMOUNT>([^<]*)</g)].map(([, name, amount]) => `${name}=${amount}`)
+            ]);
+            assert.deepEqual(categories, [
+                ['Primary Cost Category', 'No', ['Project Alpha=600', 'Project Beta=400']],
+                ['Regions', 'No', ['North=1000']]
+            ]);
+        });
+
+        it('escapes cost centre and category names', () => {
+            const xml = XmlBuilder.buildCostAllocationsXml({ amount: 50, costAllocations: [{ costCentre: 'R&D', category: '<Ops>' }] });
+
+            assert.match(xml, /<CATEGORY>&lt;Ops&gt;<\/CATEGORY>/);
+            assert.match(xml, /<NAME>R&amp;D<\/NAME>\s*<AMOUNT>50<\/AMOUNT>/);
+        });
+
+        it('writes nothing for an entry without cost allocations', () => {
+            assert.equal(XmlBuilder.buildCostAllocationsXml({ amount: 100 }), '');
+        });
+    });
+});
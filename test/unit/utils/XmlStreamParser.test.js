@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { XmlStreamParser } from '../../../src/utils/index.js';
+import { TallyLineError, TallyParseError } from '../../../src/errors/index.js';
+
+/**
+ * Read every row of a source into an array
+ */
+async function readRows(source, options) {
+    const rows = [];
+    for await (const row of new XmlStreamParser(options).rows(source)) rows.push(row);
+    return rows;
+}
+
+/**
+ * Split a string into Buffers of at most `size` bytes, cutting through multi-byte characters
+ */
+function byteChunks(text, size, encoding = 'utf8') {
+    const bytes = Buffer.from(text, encoding);
+    const chunks = [];
+    for (let start = 0; start < bytes.length; start += size) chunks.push(bytes.subarray(start, start + size));
+    return chunks;
+}
+
+const COLLECTION_XML = '<ENVELOPE><BODY><DATA><COLLECTION>' +
+    '<LEDGER NAME="Cash"><PARENT>Cash-in-Hand</PARENT></LEDGER>' +
+    '<LEDGER NAME="ABC &amp; Sons"><PARENT>Sundry Debtors</PARENT><ADDRESS.LIST><ADDRESS>Line 1</ADDRESS><ADDRESS>Line 2</ADDRESS></ADDRESS.LIST></LEDGER>' +
+    '</COLLECTION></DATA></BODY></ENVELOPE>';
+
+describe('XmlStreamParser', () => {
+    it('yields collection rows in the xml2js shape the services parse', async () => {
+        const rows = await readRows(COLLECTION_XML);
+
+        assert.deepEqual(rows, [
+            { NAME: 'Cash', PARENT: 'Cash-in-Hand' },
+            { NAME: 'ABC & Sons', PARENT: 'Sundry Debtors', 'ADDRESS.LIST': { ADDRESS: ['Line 1', 'Line 2'] } }
+        ]);
+    });
+
+    it('yields TALLYMESSAGE rows of report exports', async () => {
+        const xml = '<ENVELOPE><BODY><DATA><TALLYMESSAGE><VOUCHER VCHTYPE="Sales"><VOUCHERNUMBER>1</VOUCHERNUMBER></VOUCHER></TALLYMESSAGE>' +
+            '<TALLYMESSAGE><VOUCHER VCHTYPE="Receipt"><VOUCHERNUMBER>2</VOUCHERNUMBER></VOUCHER></TALLYMESSAGE></DATA></BODY></ENVELOPE>';
+
+        const rows = await readRows(xml);
+
+        assert.deepEqual(rows.map(row => [row.VOUCHER.VCHTYPE, row.VOUCHER.VOUCHERNUMBER]), [['Sales', '1'], ['Receipt', '2']]);
+    });
+
+    it('gives the same rows however the body is split into chunks', async () => {
+        const expected = await readRows(COLLECTION_XML);
+
+        for (const size of [1, 2, 3, 7, 64]) {
+            assert.deepEqual(await readRows(byteChunks(COLLECTION_XML, size)), expected, `chunks of ${size} bytes`);
+        }
+    });
+
+    it('recognises character references split across chunks', async () => {
+        const chunks = ['<ENVELOPE><COLLECTION><LEDGER><NAME>&#x', '20B9; Traders &#', '38;amp; Co &am', 'p; Ltd</NAME></LEDGER></COLLECTION></ENVELOPE>'];
+
+        const [row] = await readRows(chunks);
+
+        assert.equal(row.NAME, '₹ Traders &amp; Co & Ltd');
+    });
+
+    it('decodes multi-byte characters split across Buffer chunks', async () => {
+        const xml = '<?xml version="1.0" encoding="UTF-8"?><ENVELOPE><COLLECTION><LEDGER><NAME>Café ₹ Ström</NAME></LEDGER></COLLECTION></ENVELOPE>';
+
+        const [row] = await readRows(byteChunks(xml, 5));
+
+        assert.equal(row.NAME, 'Café ₹ Ström');
+    });
+
+    it('strips control characters TallyPrime leaves in names', async () => {
+        const [row] = await readRows('<ENVELOPE><COLLECTION><LEDGER><NAME>Bad\u0004Name&#4;</NAME></LEDGER></COLLECTION></ENVELOPE>');
+
+        assert.equal(row.NAME, 'BadName');
+    });
+
+    it('yields the rows before a LINEERROR, then throws a TallyLineError', async () => {
+        const xml = '<ENVELOPE><BODY><DATA><COLLECTION><LEDGER NAME="Cash"/></COLLECTION>' +
+            '<LINEERROR>Could not find Report \'Ledgers\'</LINEERROR></DATA></BODY></ENVELOPE>';
+        const rows = [];
+
+        await assert.rejects(
+            (async () => {
+                for await (const row of new XmlStreamParser().rows(xml)) rows.push(row);
+            })(),
+            error => {
+                assert.ok(error instanceof TallyLineError);
+                assert.deepEqual(error.lineErrors, ["Could not find Report 'Ledgers'"]);
+                return true;
+            }
+        );
+        assert.deepEqual(rows, [{ NAME: 'Cash' }]);
+    });
+
+    it('throws a TallyParseError for malformed XML', async () => {
+        await assert.rejects(readRows('<ENVELOPE><COLLECTION><LEDGER></COLLECTION></ENVELOPE>'), TallyParseError);
+    });
+});